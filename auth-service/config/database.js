@@ -0,0 +1,15 @@
+// Database configuration, selected by NODE_ENV (development when unset); storage is relative to the service root
+const config = {
+  development: {
+    dialect: 'sqlite',
+    storage: process.env.DB_PATH || './data/nutriconnect.db',
+    logging: console.log
+  },
+  production: {
+    dialect: 'sqlite',
+    storage: process.env.DB_PATH || './data/nutriconnect.db',
+    logging: console.log
+  }
+};
+
+module.exports = config;
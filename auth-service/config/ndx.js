@@ -0,0 +1,10 @@
+// NDX (National Data Exchange) settings for student health record lookups.
+// Defaults point at the mock exchange mounted on this service at /mock/ndx.
+const port = process.env.PORT || 3001;
+
+const ndxConfig = {
+  baseUrl: process.env.NDX_BASE_URL || `http://localhost:${port}/mock/ndx`,
+  apiKey: process.env.NDX_API_KEY || 'ndx-dev-key'
+};
+
+module.exports = ndxConfig;
@@ -0,0 +1,40 @@
+// Per-school (tenant) configuration. A school's stored settings are merged over these
+// defaults, so a new school only needs to record what differs.
+const schoolsConfig = {
+  defaultSettings: {
+    timezone: 'Asia/Colombo',
+    currency: 'LKR',
+    // Latest time (school local time, HH:MM) to order a meal for the same day
+    orderCutoffTime: '09:00',
+    // How many days ahead of the service date meals can be ordered
+    bookingHorizonDays: 14,
+    // Latest time (school local time, HH:MM) to cancel an order for the same day;
+    // null uses orderCutoffTime
+    cancellationCutoffTime: null,
+    // Meal ID -> price, overriding the menu price at this school
+    mealPrices: {},
+    // Subsidy applied to eligible students' meals; amountPerMeal null keeps each meal's own subsidy,
+    // and maxPerOrder caps the subsidy across all items of one order (null for no cap)
+    subsidyProgram: {
+      id: 'gsmp',
+      name: 'Government School Meal Program',
+      amountPerMeal: null,
+      maxPerOrder: null
+    }
+  },
+
+  // Schools registered on an empty development database
+  demoSchools: [
+    { id: 'royal-college', name: 'Royal College' },
+    {
+      id: 'visakha-vidyalaya',
+      name: 'Visakha Vidyalaya',
+      settings: {
+        orderCutoffTime: '08:30',
+        mealPrices: { meal_001: 55.00 }
+      }
+    }
+  ]
+};
+
+module.exports = schoolsConfig;
@@ -0,0 +1,47 @@
+// Login brute-force protection. Failures are counted per username and per client IP
+// within a sliding window; reaching the limit locks that username/IP out for a while.
+const securityConfig = {
+  login: {
+    maxFailuresPerUsername: parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10),
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '20', 10),
+    failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10),
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10),
+    // Failed attempts are answered after base * 2^(failures - 1) ms, capped at maxDelayMs
+    baseDelayMs: 250,
+    maxDelayMs: 4000
+  },
+
+  // One-time passcodes sent by SMS (parent phone login)
+  otp: {
+    allowedRoles: ['PARENT'],
+    codeLength: 6,
+    ttlSeconds: parseInt(process.env.OTP_TTL_SECONDS || '300', 10),
+    maxVerifyAttempts: 5,
+    resendIntervalSeconds: 60,
+    maxRequestsPerPhonePerHour: 5,
+    maxRequestsPerIpPerHour: 20
+  },
+
+  // Password rules applied when a password is set by reset or activation
+  password: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10),
+    // bcrypt ignores everything after 72 bytes
+    maxLength: 72
+  },
+
+  // Signed single-use links for password reset and first-time activation
+  accountTokens: {
+    resetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10),
+    activationTtlHours: parseInt(process.env.ACTIVATION_TTL_HOURS || '72', 10),
+    // Repeated "forgot password" requests within this interval do not send another link
+    resendIntervalSeconds: 60,
+    linkBaseUrl: process.env.FRONTEND_URL || 'http://localhost:3000'
+  },
+
+  // Version of the consent notice guardians agree to; recorded with every grant and withdrawal
+  consent: {
+    policyVersion: process.env.CONSENT_POLICY_VERSION || '2025-01'
+  }
+};
+
+module.exports = securityConfig;
@@ -0,0 +1,13 @@
+// SLUDI (national digital identity) OpenID Connect settings.
+// Defaults point at the mock provider mounted on this service at /mock/sludi.
+const port = process.env.PORT || 3001;
+
+const sludiConfig = {
+  baseUrl: process.env.SLUDI_BASE_URL || `http://localhost:${port}/mock/sludi`,
+  clientId: process.env.SLUDI_CLIENT_ID || 'nutriconnect_app',
+  clientSecret: process.env.SLUDI_CLIENT_SECRET,
+  redirectUri: process.env.SLUDI_REDIRECT_URI || `http://localhost:${port}/api/auth/sludi/callback`,
+  scope: 'openid profile student'
+};
+
+module.exports = sludiConfig;
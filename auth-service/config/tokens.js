@@ -0,0 +1,11 @@
+// Token lifetimes shared by the auth routes and session/revocation services
+const tokenConfig = {
+  accessTokenTtlSeconds: 24 * 60 * 60, // 24 hours
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10),
+  // Access tokens are signed with RS256; the active key is replaced after this many days
+  signingKeyRotationDays: parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30', 10),
+  // HMAC key for password reset / activation links; links stop working if it changes
+  accountTokenSecret: process.env.ACCOUNT_TOKEN_SECRET
+};
+
+module.exports = tokenConfig;
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('./index');
+const UserModel = require('../models/User');
+const { checkPasswordStrength } = require('../utils/password');
+
+/**
+ * Create the first ADMIN account from ADMIN_USERNAME, ADMIN_PASSWORD (and optionally ADMIN_NAME,
+ * ADMIN_EMAIL), unless an administrator already exists. Databases that are not seeded with the
+ * demo accounts (production) get their first administrator this way.
+ * @returns {Promise<Object|null>} Created admin, or null when there was nothing to do
+ */
+async function bootstrapAdmin() {
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = process.env;
+  if (!username || !password) return null;
+  if (await UserModel.count('ADMIN') > 0) return null;
+
+  if (await UserModel.findByUsername(username)) {
+    throw new Error(`Cannot create the first admin: username "${username}" is taken`);
+  }
+  const problems = checkPasswordStrength(password, { username });
+  if (problems.length > 0) {
+    throw new Error(`Cannot create the first admin: ${problems.join('; ')}`);
+  }
+
+  await UserModel.upsert({
+    id: `adm_${crypto.randomBytes(6).toString('hex')}`,
+    username,
+    passwordHash: await bcrypt.hash(password, 10),
+    role: 'ADMIN',
+    profile: {
+      name: process.env.ADMIN_NAME || 'Administrator',
+      email: process.env.ADMIN_EMAIL
+    }
+  });
+  return UserModel.findByUsername(username);
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  bootstrapAdmin()
+    .then((admin) => {
+      console.log(admin
+        ? `[DB] Created admin ${admin.username} (${admin.id})`
+        : '[DB] No admin created: one already exists, or ADMIN_USERNAME/ADMIN_PASSWORD are not set');
+      return db.close();
+    })
+    .catch((error) => {
+      console.error('[DB] Admin bootstrap failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = { bootstrapAdmin };
@@ -0,0 +1,13 @@
+require('dotenv').config();
+const db = require('./index');
+
+// Apply pending schema migrations without starting the server
+db.ready()
+  .then(() => {
+    console.log('[DB] Migrations up to date');
+    return db.close();
+  })
+  .catch((error) => {
+    console.error('[DB] Migration failed:', error);
+    process.exit(1);
+  });
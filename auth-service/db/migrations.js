@@ -0,0 +1,307 @@
+/**
+ * Ordered schema migrations for the auth-service database.
+ * Append new migrations to the end; never edit one that has shipped.
+ */
+module.exports = [
+  {
+    id: '001_create_users',
+    up: `
+      CREATE TABLE roles (
+        name TEXT PRIMARY KEY,
+        description TEXT
+      );
+
+      INSERT INTO roles (name, description) VALUES
+        ('STUDENT', 'Student ordering meals'),
+        ('PARENT', 'Parent or guardian of one or more students'),
+        ('SCHOOL_STAFF', 'School canteen or administrative staff'),
+        ('ADMIN', 'Platform administrator');
+
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL REFERENCES roles(name),
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      CREATE TABLE profiles (
+        user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        email TEXT,
+        phone TEXT,
+        school TEXT,
+        grade TEXT,
+        staff_role TEXT,
+        dietary_restrictions TEXT,
+        subsidy_eligible INTEGER
+      );
+
+      CREATE TABLE parent_child_links (
+        parent_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        child_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        PRIMARY KEY (parent_id, child_id)
+      );
+
+      CREATE INDEX idx_parent_child_links_child ON parent_child_links (child_id);
+    `
+  },
+  {
+    id: '002_create_refresh_tokens',
+    up: `
+      CREATE TABLE refresh_tokens (
+        id TEXT PRIMARY KEY,
+        token_hash TEXT NOT NULL UNIQUE,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        family_id TEXT NOT NULL,
+        device_id TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        replaced_by TEXT,
+        revoked_at TEXT,
+        revoked_reason TEXT
+      );
+
+      CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id);
+      CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+    `
+  },
+  {
+    id: '003_create_token_revocations',
+    up: `
+      CREATE TABLE revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        reason TEXT,
+        revoked_by TEXT,
+        revoked_at TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+
+      CREATE INDEX idx_revoked_tokens_expires ON revoked_tokens (expires_at);
+
+      -- Revokes a user's access tokens issued up to not_before, in milliseconds (the iat_ms claim)
+      CREATE TABLE user_token_revocations (
+        user_id TEXT PRIMARY KEY,
+        not_before INTEGER NOT NULL,
+        reason TEXT,
+        revoked_by TEXT,
+        revoked_at TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+    `
+  },
+  {
+    id: '004_add_user_sludi_id',
+    up: `
+      ALTER TABLE users ADD COLUMN sludi_id TEXT;
+
+      CREATE UNIQUE INDEX idx_users_sludi_id ON users (sludi_id);
+    `
+  },
+  {
+    id: '005_create_signing_keys',
+    up: `
+      CREATE TABLE signing_keys (
+        kid TEXT PRIMARY KEY,
+        algorithm TEXT NOT NULL,
+        private_key TEXT NOT NULL,
+        public_jwk TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        retired_at TEXT
+      );
+    `
+  },
+  {
+    id: '006_create_login_throttles_and_audit_log',
+    up: `
+      CREATE TABLE login_throttles (
+        throttle_key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        first_failure_at TEXT NOT NULL,
+        last_failure_at TEXT NOT NULL,
+        locked_until TEXT
+      );
+
+      CREATE TABLE audit_log (
+        id TEXT PRIMARY KEY,
+        event TEXT NOT NULL,
+        actor_id TEXT,
+        subject TEXT,
+        ip_address TEXT,
+        details TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_audit_log_event ON audit_log (event, created_at);
+    `
+  },
+  {
+    id: '007_create_otp_challenges',
+    up: `
+      CREATE TABLE otp_challenges (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        phone TEXT NOT NULL,
+        code_hash TEXT,
+        ip_address TEXT,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        consumed_at TEXT
+      );
+
+      CREATE INDEX idx_otp_challenges_phone ON otp_challenges (phone, created_at);
+      CREATE INDEX idx_otp_challenges_ip ON otp_challenges (ip_address, created_at);
+    `
+  },
+  {
+    id: '008_create_guardian_invitations',
+    up: `
+      ALTER TABLE parent_child_links ADD COLUMN relationship TEXT;
+      ALTER TABLE parent_child_links ADD COLUMN linked_via TEXT NOT NULL DEFAULT 'admin';
+      ALTER TABLE parent_child_links ADD COLUMN linked_by TEXT;
+
+      CREATE TABLE guardian_invitations (
+        id TEXT PRIMARY KEY,
+        code_hash TEXT UNIQUE NOT NULL,
+        child_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        accepted_by TEXT,
+        accepted_at TEXT,
+        revoked_at TEXT
+      );
+
+      CREATE INDEX idx_guardian_invitations_child ON guardian_invitations (child_id);
+    `
+  },
+  {
+    id: '009_create_account_tokens',
+    up: `
+      ALTER TABLE users ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+      ALTER TABLE users ADD COLUMN password_changed_at TEXT;
+
+      CREATE TABLE account_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        requested_ip TEXT
+      );
+
+      CREATE INDEX idx_account_tokens_user ON account_tokens (user_id, purpose);
+    `
+  },
+  {
+    id: '010_add_profile_student_number',
+    up: `
+      ALTER TABLE profiles ADD COLUMN student_number TEXT;
+
+      CREATE UNIQUE INDEX idx_profiles_school_student_number ON profiles (school, student_number)
+        WHERE student_number IS NOT NULL;
+    `
+  },
+  {
+    id: '011_create_schools',
+    up: `
+      CREATE TABLE schools (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL DEFAULT 'active',
+        settings TEXT NOT NULL DEFAULT '{}',
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      );
+
+      ALTER TABLE profiles ADD COLUMN school_id TEXT REFERENCES schools(id);
+
+      -- Register every school already named on a profile, keyed by a slug of its name
+      INSERT INTO schools (id, name, created_at, updated_at)
+        SELECT lower(replace(trim(school), ' ', '-')), trim(school),
+               strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        FROM profiles
+        WHERE school IS NOT NULL AND trim(school) <> ''
+        GROUP BY trim(school);
+
+      UPDATE profiles SET school_id = (SELECT id FROM schools WHERE schools.name = trim(profiles.school))
+        WHERE school IS NOT NULL;
+
+      DROP INDEX idx_profiles_school_student_number;
+      CREATE UNIQUE INDEX idx_profiles_school_student_number ON profiles (school_id, student_number)
+        WHERE student_number IS NOT NULL;
+      CREATE INDEX idx_profiles_school_id ON profiles (school_id);
+    `
+  },
+  {
+    id: '012_create_consent_records',
+    up: `
+      -- Append-only: a student's current consent for a purpose is its latest record
+      CREATE TABLE consent_records (
+        id TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        purpose TEXT NOT NULL,
+        action TEXT NOT NULL CHECK (action IN ('granted', 'withdrawn')),
+        actor_id TEXT NOT NULL,
+        policy_version TEXT NOT NULL,
+        ip_address TEXT,
+        created_at TEXT NOT NULL
+      );
+
+      CREATE INDEX idx_consent_records_student ON consent_records (student_id, purpose, created_at);
+    `
+  },
+  {
+    id: '013_add_audit_log_hash_chain',
+    up: `
+      ALTER TABLE audit_log ADD COLUMN seq INTEGER;
+      ALTER TABLE audit_log ADD COLUMN service TEXT NOT NULL DEFAULT 'auth-service';
+      ALTER TABLE audit_log ADD COLUMN entity_type TEXT;
+      ALTER TABLE audit_log ADD COLUMN entity_id TEXT;
+      ALTER TABLE audit_log ADD COLUMN before_state TEXT;
+      ALTER TABLE audit_log ADD COLUMN after_state TEXT;
+      ALTER TABLE audit_log ADD COLUMN prev_hash TEXT;
+      ALTER TABLE audit_log ADD COLUMN hash TEXT;
+
+      -- Existing entries keep their insertion order; they are hashed into the chain on the next write
+      UPDATE audit_log SET seq = (SELECT COUNT(*) FROM audit_log earlier WHERE earlier.rowid <= audit_log.rowid);
+
+      CREATE UNIQUE INDEX idx_audit_log_seq ON audit_log (seq);
+      CREATE INDEX idx_audit_log_actor ON audit_log (actor_id, created_at);
+      CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id, created_at);
+      CREATE INDEX idx_audit_log_created_at ON audit_log (created_at);
+
+      -- Entries cannot be changed or removed once they are part of the chain
+      CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        WHEN OLD.hash IS NOT NULL
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+
+      CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+      BEGIN
+        SELECT RAISE(ABORT, 'audit_log is append-only');
+      END;
+    `
+  },
+  {
+    id: '014_create_student_allergies',
+    up: `
+      -- Allergies declared by a student's guardians; a student's current set replaces the last one
+      CREATE TABLE student_allergies (
+        student_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        allergen TEXT NOT NULL,
+        declared_by TEXT NOT NULL,
+        declared_at TEXT NOT NULL,
+        PRIMARY KEY (student_id, allergen)
+      );
+    `
+  }
+];
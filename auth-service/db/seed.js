@@ -0,0 +1,92 @@
+const db = require('./index');
+const UserModel = require('../models/User');
+const SchoolModel = require('../models/School');
+const { demoSchools } = require('../config/schools');
+
+// Demo accounts used throughout the README and frontend (formerly MOCK_USERS)
+const DEMO_USERS = [
+  {
+    id: 'std_001',
+    username: 'student123',
+    passwordHash: '$2a$10$qF0iShMhY5NCmaNj5xcfmO8Z1ZGUQLyoT7l5rxE68qg/Hw5X1vvnS', // password123
+    role: 'STUDENT',
+    sludiId: 'LK200903140001',
+    profile: {
+      name: 'Kasun Perera',
+      school: 'Royal College',
+      school_id: 'royal-college',
+      grade: '10A',
+      student_number: 'RC-10234',
+      email: 'kasun.perera@student.royal.lk',
+      dietary_restrictions: ['vegetarian'],
+      subsidy_eligible: true
+    }
+  },
+  {
+    id: 'par_001',
+    username: 'parent456',
+    passwordHash: '$2a$10$0YIDmh6UFgdmWSRMauDZhu.80Um4kr.0gPu5RS9vyyeLkx0HUhrsO', // password456
+    role: 'PARENT',
+    sludiId: 'LK198507150002',
+    profile: {
+      name: 'Nimali Perera',
+      email: 'nimali.perera@parent.royal.lk',
+      phone: '+94771234567'
+    },
+    children: ['std_001']
+  },
+  {
+    id: 'staff_001',
+    username: 'staff789',
+    passwordHash: '$2a$10$aO2uTFfGoyZ1b1Bn2BvHWuRkLyswrsDfYNcaVKLbnBOKW3H0Av6dm', // password789
+    role: 'SCHOOL_STAFF',
+    sludiId: 'LK197811200003',
+    profile: {
+      name: 'Sunil Fernando',
+      email: 'sunil.fernando@staff.royal.lk',
+      role: 'canteen_manager',
+      school: 'Royal College',
+      school_id: 'royal-college'
+    }
+  }
+];
+
+/**
+ * Recreate the demo schools and accounts (idempotent)
+ * @returns {Promise<number>} Number of users seeded
+ */
+async function seedDemoUsers() {
+  for (const school of demoSchools) {
+    if (!await SchoolModel.findById(school.id)) {
+      await SchoolModel.create(school);
+    }
+  }
+
+  for (const user of DEMO_USERS) {
+    await UserModel.upsert(user);
+  }
+
+  for (const user of DEMO_USERS) {
+    for (const childId of user.children || []) {
+      await UserModel.linkChild(user.id, childId);
+    }
+  }
+
+  return DEMO_USERS.length;
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+
+  seedDemoUsers()
+    .then((count) => {
+      console.log(`[DB] Seeded ${count} demo users`);
+      return db.close();
+    })
+    .catch((error) => {
+      console.error('[DB] Seeding failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { DEMO_USERS, seedDemoUsers };
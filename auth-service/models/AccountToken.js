@@ -0,0 +1,87 @@
+const db = require('../db');
+
+class AccountToken {
+  /**
+   * Map a database row to an account token record
+   * @param {Object} row - Database row
+   * @returns {Object|null} Token record
+   */
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      purpose: row.purpose,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      usedAt: row.used_at,
+      requestedIp: row.requested_ip
+    };
+  }
+
+  /**
+   * Store an issued token. Only the ID is stored; the link carries an HMAC over the record.
+   * @param {Object} data - { id, userId, purpose, expiresAt, requestedIp }
+   * @returns {Promise<Object>} Record
+   */
+  async create(data) {
+    const { id, userId, purpose, expiresAt, requestedIp } = data;
+    await db.run(
+      `INSERT INTO account_tokens (id, user_id, purpose, created_at, expires_at, requested_ip)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, userId, purpose, new Date().toISOString(), expiresAt, requestedIp || null]
+    );
+    return this.findById(id);
+  }
+
+  /**
+   * Find token by ID
+   * @param {string} id - Token ID
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findById(id) {
+    return this.toRecord(await db.get('SELECT * FROM account_tokens WHERE id = ?', [id]));
+  }
+
+  /**
+   * Most recent token of a purpose issued to a user
+   * @param {string} userId - User ID
+   * @param {string} purpose - 'password_reset' or 'activation'
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findLatest(userId, purpose) {
+    return this.toRecord(await db.get(
+      'SELECT * FROM account_tokens WHERE user_id = ? AND purpose = ? ORDER BY created_at DESC LIMIT 1',
+      [userId, purpose]
+    ));
+  }
+
+  /**
+   * Use a token, only if it has not been used already
+   * @param {string} id - Token ID
+   * @returns {Promise<boolean>} True if this call used it
+   */
+  async consume(id) {
+    const result = await db.run(
+      'UPDATE account_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL',
+      [new Date().toISOString(), id]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Invalidate a user's outstanding tokens of a purpose (a new link replaces old ones)
+   * @param {string} userId - User ID
+   * @param {string} purpose - 'password_reset' or 'activation'
+   * @returns {Promise<void>}
+   */
+  async invalidateForUser(userId, purpose) {
+    await db.run(
+      'UPDATE account_tokens SET used_at = ? WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [new Date().toISOString(), userId, purpose]
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new AccountToken();
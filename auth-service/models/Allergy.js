@@ -0,0 +1,61 @@
+const db = require('../db');
+
+class Allergy {
+  /**
+   * Map a student_allergies row to a declared allergy
+   * @param {Object} row - Database row
+   * @returns {Object|null} Allergy
+   */
+  toAllergy(row) {
+    if (!row) return null;
+    return {
+      allergen: row.allergen,
+      declaredBy: row.declared_by,
+      declaredAt: row.declared_at
+    };
+  }
+
+  /**
+   * A student's declared allergies
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} Allergies, by allergen
+   */
+  async findByStudent(studentId) {
+    const rows = await db.all(
+      'SELECT * FROM student_allergies WHERE student_id = ? ORDER BY allergen',
+      [studentId]
+    );
+    return rows.map(row => this.toAllergy(row));
+  }
+
+  /**
+   * Replace a student's allergies. Allergens already declared keep who declared them and when.
+   * @param {string} studentId - Student user ID
+   * @param {Array<string>} allergens - The student's allergens
+   * @param {string} declaredBy - Guardian declaring them
+   * @returns {Promise<Array>} Allergies
+   */
+  async replace(studentId, allergens, declaredBy) {
+    const now = new Date().toISOString();
+
+    await db.transaction(async () => {
+      await db.run(
+        `DELETE FROM student_allergies
+         WHERE student_id = ? AND allergen NOT IN (${allergens.map(() => '?').join(', ') || 'NULL'})`,
+        [studentId, ...allergens]
+      );
+      for (const allergen of allergens) {
+        await db.run(
+          `INSERT OR IGNORE INTO student_allergies (student_id, allergen, declared_by, declared_at)
+           VALUES (?, ?, ?, ?)`,
+          [studentId, allergen, declaredBy, now]
+        );
+      }
+    });
+
+    return this.findByStudent(studentId);
+  }
+}
+
+// Export singleton instance
+module.exports = new Allergy();
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+// prev_hash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+const fromJson = (value) => (value ? JSON.parse(value) : null);
+
+/**
+ * Hash an audit_log row together with the hash of the entry before it.
+ * Covers every stored column, so changing, removing or reordering an entry breaks the chain.
+ * @param {Object} row - audit_log row (stored column values)
+ * @param {string} prevHash - Hash of the previous entry
+ * @returns {string} Hex SHA-256 hash
+ */
+const hashRow = (row, prevHash) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([
+    prevHash,
+    row.seq,
+    row.id,
+    row.event,
+    row.service,
+    row.actor_id,
+    row.subject,
+    row.entity_type,
+    row.entity_id,
+    row.ip_address,
+    row.details,
+    row.before_state,
+    row.after_state,
+    row.created_at
+  ]))
+  .digest('hex');
+
+class AuditLog {
+  constructor() {
+    // Appends run one at a time so each entry links to the one written before it
+    this.appendQueue = Promise.resolve();
+    this.sealed = false;
+  }
+
+  /**
+   * Map a database row to an audit entry
+   * @param {Object} row - Database row
+   * @returns {Object|null} Audit entry
+   */
+  toEntry(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      seq: row.seq,
+      event: row.event,
+      service: row.service,
+      actorId: row.actor_id,
+      subject: row.subject,
+      entityType: row.entity_type,
+      entityId: row.entity_id,
+      ipAddress: row.ip_address,
+      details: fromJson(row.details),
+      before: fromJson(row.before_state),
+      after: fromJson(row.after_state),
+      createdAt: row.created_at,
+      prevHash: row.prev_hash,
+      hash: row.hash
+    };
+  }
+
+  /**
+   * Append an audit entry to the hash chain
+   * @param {Object} entry - { event, actorId, subject, entityType, entityId, ipAddress, details, before, after, service }
+   * @returns {Promise<Object>} Stored entry
+   */
+  record(entry) {
+    const append = this.appendQueue.then(() => this.append(entry));
+    this.appendQueue = append.catch(() => {});
+    return append;
+  }
+
+  async append(entry) {
+    const { event, actorId, subject, entityType, entityId, ipAddress, details, before, after, service = 'auth-service' } = entry;
+
+    await this.sealLegacyEntries();
+
+    const last = await db.get('SELECT seq, hash FROM audit_log ORDER BY seq DESC LIMIT 1');
+    const row = {
+      id: uuidv4(),
+      seq: last ? last.seq + 1 : 1,
+      event,
+      service,
+      actor_id: actorId || null,
+      subject: subject || entityId || null,
+      entity_type: entityType || null,
+      entity_id: entityId || null,
+      ip_address: ipAddress || null,
+      details: toJson(details),
+      before_state: toJson(before),
+      after_state: toJson(after),
+      created_at: new Date().toISOString(),
+      prev_hash: last ? last.hash : GENESIS_HASH
+    };
+    row.hash = hashRow(row, row.prev_hash);
+
+    const columns = Object.keys(row);
+    await db.run(
+      `INSERT INTO audit_log (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map(column => row[column])
+    );
+
+    return this.toEntry(row);
+  }
+
+  /**
+   * Hash entries written before the chain existed into it, oldest first
+   * @returns {Promise<void>}
+   */
+  async sealLegacyEntries() {
+    if (this.sealed) return;
+
+    const unsealed = await db.all('SELECT * FROM audit_log WHERE hash IS NULL ORDER BY seq');
+    if (unsealed.length) {
+      const previous = await db.get(
+        'SELECT hash FROM audit_log WHERE hash IS NOT NULL AND seq < ? ORDER BY seq DESC LIMIT 1',
+        [unsealed[0].seq]
+      );
+      let prevHash = previous ? previous.hash : GENESIS_HASH;
+
+      await db.transaction(async () => {
+        for (const row of unsealed) {
+          const hash = hashRow(row, prevHash);
+          await db.run('UPDATE audit_log SET prev_hash = ?, hash = ? WHERE id = ?', [prevHash, hash, row.id]);
+          prevHash = hash;
+        }
+      });
+      console.log(`[AUDIT] Sealed ${unsealed.length} existing audit entries into the hash chain`);
+    }
+
+    this.sealed = true;
+  }
+
+  /**
+   * List audit entries, newest first
+   * @param {Object} filters - { event, subject, actorId, entityType, entityId, service, from, to, limit, offset };
+   *   from/to are ISO dates or timestamps, to is inclusive of the whole day
+   * @returns {Promise<Array>} Entries
+   */
+  async findAll(filters = {}) {
+    const { event, subject, actorId, entityType, entityId, service, from, to, limit = 100, offset = 0 } = filters;
+    const conditions = [];
+    const params = [];
+
+    const equals = { event, subject, actor_id: actorId, entity_type: entityType, entity_id: entityId, service };
+    for (const [column, value] of Object.entries(equals)) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push(to.length === 10 ? 'substr(created_at, 1, 10) <= ?' : 'created_at <= ?');
+      params.push(to);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await db.all(
+      `SELECT * FROM audit_log ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    return rows.map(row => this.toEntry(row));
+  }
+
+  /**
+   * Recompute the hash chain from the first entry
+   * @returns {Promise<Object>} { valid, entries, headSeq, headHash, brokenAt: { seq, id, reason } | null }
+   */
+  async verifyChain() {
+    const rows = await db.all('SELECT * FROM audit_log ORDER BY seq');
+    let prevHash = GENESIS_HASH;
+    let expectedSeq = 1;
+
+    for (const row of rows) {
+      let reason = null;
+
+      if (row.hash === null) {
+        // Written before the chain existed and not yet sealed; nothing to check
+        expectedSeq = row.seq + 1;
+        continue;
+      }
+      if (row.seq !== expectedSeq) {
+        reason = `expected entry ${expectedSeq} but found ${row.seq} (entries removed)`;
+      } else if (row.prev_hash !== prevHash) {
+        reason = 'previous hash does not match the entry before it';
+      } else if (hashRow(row, row.prev_hash) !== row.hash) {
+        reason = 'entry contents do not match its hash';
+      }
+
+      if (reason) {
+        return {
+          valid: false,
+          entries: rows.length,
+          headSeq: null,
+          headHash: null,
+          brokenAt: { seq: row.seq, id: row.id, reason }
+        };
+      }
+
+      prevHash = row.hash;
+      expectedSeq = row.seq + 1;
+    }
+
+    const head = rows[rows.length - 1];
+    return {
+      valid: true,
+      entries: rows.length,
+      headSeq: head ? head.seq : null,
+      headHash: head ? head.hash : null,
+      brokenAt: null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AuditLog();
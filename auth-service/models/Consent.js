@@ -0,0 +1,129 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+class Consent {
+  /**
+   * Map a consent_records row to a consent record
+   * @param {Object} row - Database row
+   * @returns {Object|null} Consent record
+   */
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      studentId: row.student_id,
+      purpose: row.purpose,
+      action: row.action,
+      actorId: row.actor_id,
+      policyVersion: row.policy_version,
+      ipAddress: row.ip_address,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Append a grant or withdrawal
+   * @param {Object} recordData - { studentId, purpose, action, actorId, policyVersion, ipAddress }
+   * @returns {Promise<Object>} Stored record
+   */
+  async record(recordData) {
+    const { studentId, purpose, action, actorId, policyVersion, ipAddress } = recordData;
+    const id = uuidv4();
+
+    await db.run(
+      `INSERT INTO consent_records (id, student_id, purpose, action, actor_id, policy_version, ip_address, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, studentId, purpose, action, actorId, policyVersion, ipAddress || null, new Date().toISOString()]
+    );
+
+    return this.toRecord(await db.get('SELECT * FROM consent_records WHERE id = ?', [id]));
+  }
+
+  /**
+   * Latest record for each purpose a student has a record for
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Object>} Purpose -> latest record
+   */
+  async findCurrent(studentId) {
+    const rows = await db.all(
+      `SELECT * FROM consent_records
+       WHERE student_id = ?
+       ORDER BY created_at, rowid`,
+      [studentId]
+    );
+
+    // Later records overwrite earlier ones
+    return Object.fromEntries(rows.map(row => [row.purpose, this.toRecord(row)]));
+  }
+
+  /**
+   * IDs of students whose current consent for a purpose is granted
+   * @param {string} purpose - Consent purpose
+   * @returns {Promise<Set<string>>} Student IDs
+   */
+  async findGrantedStudentIds(purpose) {
+    const rows = await db.all(
+      `SELECT c.student_id FROM consent_records c
+       WHERE c.purpose = ? AND c.action = 'granted'
+         AND c.rowid = (
+           SELECT latest.rowid FROM consent_records latest
+           WHERE latest.student_id = c.student_id AND latest.purpose = c.purpose
+           ORDER BY latest.created_at DESC, latest.rowid DESC
+           LIMIT 1
+         )`,
+      [purpose]
+    );
+    return new Set(rows.map(row => row.student_id));
+  }
+
+  /**
+   * Consent history, oldest first
+   * @param {Object} filters - { studentId, schoolId, purpose, from, to } - from/to are ISO dates
+   * @returns {Promise<Array>} Records, each with the student's name and school ID
+   */
+  async findHistory(filters = {}) {
+    const { studentId, schoolId, purpose, from, to } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (studentId) {
+      conditions.push('c.student_id = ?');
+      params.push(studentId);
+    }
+    if (schoolId) {
+      conditions.push('p.school_id = ?');
+      params.push(schoolId);
+    }
+    if (purpose) {
+      conditions.push('c.purpose = ?');
+      params.push(purpose);
+    }
+    if (from) {
+      conditions.push('c.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('substr(c.created_at, 1, 10) <= ?');
+      params.push(to);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = await db.all(
+      `SELECT c.*, p.name AS student_name, p.school_id
+       FROM consent_records c
+       LEFT JOIN profiles p ON p.user_id = c.student_id
+       ${where}
+       ORDER BY c.created_at, c.rowid`,
+      params
+    );
+
+    return rows.map(row => ({
+      ...this.toRecord(row),
+      studentName: row.student_name,
+      schoolId: row.school_id
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new Consent();
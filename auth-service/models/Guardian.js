@@ -0,0 +1,142 @@
+const db = require('../db');
+
+class Guardian {
+  /**
+   * Map a parent_child_links row (joined with both profiles) to a guardian link
+   * @param {Object} row - Database row
+   * @returns {Object|null} Guardian link
+   */
+  toLink(row) {
+    if (!row) return null;
+    return {
+      parentId: row.parent_id,
+      parentName: row.parent_name,
+      childId: row.child_id,
+      childName: row.child_name,
+      relationship: row.relationship,
+      linkedVia: row.linked_via,
+      linkedBy: row.linked_by,
+      createdAt: row.created_at
+    };
+  }
+
+  toInvitation(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      childId: row.child_id,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      acceptedBy: row.accepted_by,
+      acceptedAt: row.accepted_at,
+      revokedAt: row.revoked_at
+    };
+  }
+
+  /**
+   * Find guardian links by parent and/or child
+   * @param {Object} filters - { parentId, childId }
+   * @returns {Promise<Array>} Links
+   */
+  async findLinks(filters = {}) {
+    const { parentId, childId } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (parentId) {
+      conditions.push('l.parent_id = ?');
+      params.push(parentId);
+    }
+    if (childId) {
+      conditions.push('l.child_id = ?');
+      params.push(childId);
+    }
+
+    const rows = await db.all(
+      `SELECT l.*, pp.name AS parent_name, cp.name AS child_name
+       FROM parent_child_links l
+       LEFT JOIN profiles pp ON pp.user_id = l.parent_id
+       LEFT JOIN profiles cp ON cp.user_id = l.child_id
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY l.created_at`,
+      params
+    );
+    return rows.map(row => this.toLink(row));
+  }
+
+  /**
+   * Create a guardian link
+   * @param {Object} linkData - { parentId, childId, relationship, linkedVia, linkedBy }
+   * @returns {Promise<boolean>} False if the link already existed
+   */
+  async link(linkData) {
+    const { parentId, childId, relationship, linkedVia, linkedBy } = linkData;
+    const result = await db.run(
+      `INSERT OR IGNORE INTO parent_child_links (parent_id, child_id, created_at, relationship, linked_via, linked_by)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [parentId, childId, new Date().toISOString(), relationship || null, linkedVia, linkedBy || null]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Remove a guardian link
+   * @param {string} parentId - Parent user ID
+   * @param {string} childId - Child user ID
+   * @returns {Promise<boolean>} True if a link was removed
+   */
+  async unlink(parentId, childId) {
+    const result = await db.run(
+      'DELETE FROM parent_child_links WHERE parent_id = ? AND child_id = ?',
+      [parentId, childId]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Store a guardian invitation (only the code's hash is kept)
+   * @param {Object} data - { id, codeHash, childId, createdBy, expiresAt }
+   * @returns {Promise<Object>} Invitation
+   */
+  async createInvitation(data) {
+    const { id, codeHash, childId, createdBy, expiresAt } = data;
+    await db.run(
+      `INSERT INTO guardian_invitations (id, code_hash, child_id, created_by, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [id, codeHash, childId, createdBy, new Date().toISOString(), expiresAt]
+    );
+    return this.toInvitation(await db.get('SELECT * FROM guardian_invitations WHERE id = ?', [id]));
+  }
+
+  /**
+   * Find an open (unused, unexpired, unrevoked) invitation by code hash
+   * @param {string} codeHash - SHA-256 of the invitation code
+   * @returns {Promise<Object|null>} Invitation or null
+   */
+  async findOpenInvitation(codeHash) {
+    return this.toInvitation(await db.get(
+      `SELECT * FROM guardian_invitations
+       WHERE code_hash = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > ?`,
+      [codeHash, new Date().toISOString()]
+    ));
+  }
+
+  /**
+   * Mark an invitation accepted, only if it is still open
+   * @param {string} id - Invitation ID
+   * @param {string} parentId - Accepting parent
+   * @returns {Promise<boolean>} True if this call accepted it
+   */
+  async acceptInvitation(id, parentId) {
+    const result = await db.run(
+      `UPDATE guardian_invitations SET accepted_by = ?, accepted_at = ?
+       WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL`,
+      [parentId, new Date().toISOString(), id]
+    );
+    return result.changes === 1;
+  }
+}
+
+// Export singleton instance
+module.exports = new Guardian();
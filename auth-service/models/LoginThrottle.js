@@ -0,0 +1,74 @@
+const db = require('../db');
+
+class LoginThrottle {
+  /**
+   * Map a database row to a throttle record
+   * @param {Object} row - Database row
+   * @returns {Object|null} Throttle record
+   */
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      key: row.throttle_key,
+      failures: row.failures,
+      firstFailureAt: row.first_failure_at,
+      lastFailureAt: row.last_failure_at,
+      lockedUntil: row.locked_until
+    };
+  }
+
+  /**
+   * Find throttle state by key
+   * @param {string} key - e.g. 'username:student123' or 'ip:10.0.0.5'
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findByKey(key) {
+    return this.toRecord(await db.get('SELECT * FROM login_throttles WHERE throttle_key = ?', [key]));
+  }
+
+  /**
+   * Count a failed attempt, restarting the count (and clearing an old lockout) if the previous window has passed
+   * @param {string} key - Throttle key
+   * @param {string} windowStart - ISO timestamp; earlier failures no longer count
+   * @returns {Promise<Object>} Updated record
+   */
+  async recordFailure(key, windowStart) {
+    const now = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO login_throttles (throttle_key, failures, first_failure_at, last_failure_at)
+       VALUES (?, 1, ?, ?)
+       ON CONFLICT(throttle_key) DO UPDATE SET
+         failures = CASE WHEN first_failure_at < ? THEN 1 ELSE failures + 1 END,
+         first_failure_at = CASE WHEN first_failure_at < ? THEN excluded.first_failure_at ELSE first_failure_at END,
+         last_failure_at = excluded.last_failure_at,
+         locked_until = CASE WHEN first_failure_at < ? THEN NULL ELSE locked_until END`,
+      [key, now, now, windowStart, windowStart, windowStart]
+    );
+
+    return this.findByKey(key);
+  }
+
+  /**
+   * Lock a key until the given time
+   * @param {string} key - Throttle key
+   * @param {string} lockedUntil - ISO timestamp
+   * @returns {Promise<void>}
+   */
+  async lock(key, lockedUntil) {
+    await db.run('UPDATE login_throttles SET locked_until = ? WHERE throttle_key = ?', [lockedUntil, key]);
+  }
+
+  /**
+   * Clear failures and any lockout for a key
+   * @param {string} key - Throttle key
+   * @returns {Promise<boolean>} True if there was anything to clear
+   */
+  async clear(key) {
+    const result = await db.run('DELETE FROM login_throttles WHERE throttle_key = ?', [key]);
+    return result.changes > 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new LoginThrottle();
@@ -0,0 +1,121 @@
+const db = require('../db');
+
+class OtpChallenge {
+  /**
+   * Map a database row to an OTP challenge record
+   * @param {Object} row - Database row
+   * @returns {Object|null} Challenge record
+   */
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      phone: row.phone,
+      codeHash: row.code_hash,
+      ipAddress: row.ip_address,
+      attempts: row.attempts,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      consumedAt: row.consumed_at
+    };
+  }
+
+  /**
+   * Store a challenge. Requests for unregistered numbers are stored without a user or
+   * code so they count towards the same rate limits.
+   * @param {Object} data - { id, userId, phone, codeHash, ipAddress, expiresAt }
+   * @returns {Promise<void>}
+   */
+  async create(data) {
+    const { id, userId, phone, codeHash, ipAddress, expiresAt } = data;
+    await db.run(
+      `INSERT INTO otp_challenges (id, user_id, phone, code_hash, ip_address, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId || null, phone, codeHash || null, ipAddress || null, new Date().toISOString(), expiresAt]
+    );
+  }
+
+  /**
+   * Most recent challenge for a phone number that can still be verified
+   * @param {string} phone - Normalized phone number
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findActiveByPhone(phone) {
+    return this.toRecord(await db.get(
+      `SELECT * FROM otp_challenges
+       WHERE phone = ? AND consumed_at IS NULL AND expires_at > ?
+       ORDER BY created_at DESC LIMIT 1`,
+      [phone, new Date().toISOString()]
+    ));
+  }
+
+  /**
+   * Most recent challenge for a phone number, whatever its state
+   * @param {string} phone - Normalized phone number
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findLatestByPhone(phone) {
+    return this.toRecord(await db.get(
+      'SELECT * FROM otp_challenges WHERE phone = ? ORDER BY created_at DESC LIMIT 1',
+      [phone]
+    ));
+  }
+
+  /**
+   * Count challenges requested since a point in time
+   * @param {Object} filter - { phone } or { ipAddress }
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<number>} Count
+   */
+  async countSince(filter, since) {
+    const column = filter.phone ? 'phone' : 'ip_address';
+    const row = await db.get(
+      `SELECT COUNT(*) AS total FROM otp_challenges WHERE ${column} = ? AND created_at > ?`,
+      [filter.phone || filter.ipAddress, since]
+    );
+    return row.total;
+  }
+
+  /**
+   * Count a verification attempt, unless the challenge has used up its attempts
+   * @param {string} id - Challenge ID
+   * @param {number} maxAttempts - Attempts allowed per challenge
+   * @returns {Promise<boolean>} True if the attempt was allowed
+   */
+  async incrementAttempts(id, maxAttempts) {
+    const result = await db.run(
+      'UPDATE otp_challenges SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+      [id, maxAttempts]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Consume a challenge, only if it has not been consumed already
+   * @param {string} id - Challenge ID
+   * @returns {Promise<boolean>} True if this call consumed it
+   */
+  async consume(id) {
+    const result = await db.run(
+      'UPDATE otp_challenges SET consumed_at = ? WHERE id = ? AND consumed_at IS NULL',
+      [new Date().toISOString(), id]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Invalidate every outstanding challenge for a phone number (a new code replaces old ones)
+   * @param {string} phone - Normalized phone number
+   * @returns {Promise<void>}
+   */
+  async invalidateForPhone(phone) {
+    await db.run(
+      'UPDATE otp_challenges SET consumed_at = ? WHERE phone = ? AND consumed_at IS NULL',
+      [new Date().toISOString(), phone]
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new OtpChallenge();
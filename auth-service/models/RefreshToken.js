@@ -0,0 +1,100 @@
+const db = require('../db');
+
+class RefreshToken {
+  /**
+   * Map a database row to a refresh token record
+   * @param {Object} row - Database row
+   * @returns {Object|null} Refresh token record
+   */
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      userId: row.user_id,
+      familyId: row.family_id,
+      deviceId: row.device_id,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      expiresAt: row.expires_at,
+      usedAt: row.used_at,
+      replacedBy: row.replaced_by,
+      revokedAt: row.revoked_at,
+      revokedReason: row.revoked_reason
+    };
+  }
+
+  /**
+   * Store a new refresh token (only its hash is persisted)
+   * @param {Object} tokenData - { id, tokenHash, userId, familyId, deviceId, userAgent, expiresAt }
+   * @returns {Promise<Object>} Stored record
+   */
+  async create(tokenData) {
+    const { id, tokenHash, userId, familyId, deviceId, userAgent, expiresAt } = tokenData;
+
+    await db.run(
+      `INSERT INTO refresh_tokens (id, token_hash, user_id, family_id, device_id, user_agent, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, tokenHash, userId, familyId, deviceId || null, userAgent || null, new Date().toISOString(), expiresAt]
+    );
+
+    return this.findById(id);
+  }
+
+  async findById(id) {
+    return this.toRecord(await db.get('SELECT * FROM refresh_tokens WHERE id = ?', [id]));
+  }
+
+  /**
+   * Find refresh token by hash
+   * @param {string} tokenHash - SHA-256 hash of the opaque token
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findByHash(tokenHash) {
+    return this.toRecord(await db.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]));
+  }
+
+  /**
+   * Mark a token as used, only if it has not been used already
+   * @param {string} id - Token ID
+   * @param {string} replacedBy - ID of the token issued in its place
+   * @returns {Promise<boolean>} True if this call consumed the token
+   */
+  async markUsed(id, replacedBy) {
+    const result = await db.run(
+      'UPDATE refresh_tokens SET used_at = ?, replaced_by = ? WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL',
+      [new Date().toISOString(), replacedBy, id]
+    );
+    return result.changes === 1;
+  }
+
+  /**
+   * Revoke every token in a family (one login session)
+   * @param {string} familyId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeFamily(familyId, reason) {
+    const result = await db.run(
+      'UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ? WHERE family_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, familyId]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Revoke every token belonging to a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  async revokeAllForUser(userId, reason) {
+    const result = await db.run(
+      'UPDATE refresh_tokens SET revoked_at = ?, revoked_reason = ? WHERE user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), reason, userId]
+    );
+    return result.changes;
+  }
+}
+
+// Export singleton instance
+module.exports = new RefreshToken();
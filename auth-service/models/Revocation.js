@@ -0,0 +1,65 @@
+const db = require('../db');
+
+class Revocation {
+  /**
+   * Add an access token to the denylist
+   * @param {Object} data - { jti, userId, reason, revokedBy, expiresAt (epoch seconds) }
+   * @returns {Promise<void>}
+   */
+  async revokeToken(data) {
+    const { jti, userId, reason, revokedBy, expiresAt } = data;
+    await db.run(
+      `INSERT OR IGNORE INTO revoked_tokens (jti, user_id, reason, revoked_by, revoked_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [jti, userId, reason || null, revokedBy || null, new Date().toISOString(), expiresAt]
+    );
+  }
+
+  /**
+   * Revoke every access token issued to a user up to notBeforeMs
+   * @param {Object} data - { userId, notBeforeMs (epoch milliseconds), reason, revokedBy, expiresAt (epoch seconds) }
+   * @returns {Promise<void>}
+   */
+  async revokeUser(data) {
+    const { userId, notBeforeMs, reason, revokedBy, expiresAt } = data;
+    await db.run(
+      `INSERT INTO user_token_revocations (user_id, not_before, reason, revoked_by, revoked_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         not_before = excluded.not_before,
+         reason = excluded.reason,
+         revoked_by = excluded.revoked_by,
+         revoked_at = excluded.revoked_at,
+         expires_at = excluded.expires_at`,
+      [userId, notBeforeMs, reason || null, revokedBy || null, new Date().toISOString(), expiresAt]
+    );
+  }
+
+  /**
+   * Entries that still affect unexpired tokens
+   * @param {number} now - Current time (epoch seconds)
+   * @returns {Promise<Object>} { tokens: [{ jti, exp }], users: [{ userId, notBeforeMs, exp }] }
+   */
+  async findActive(now) {
+    const tokens = await db.all('SELECT jti, expires_at FROM revoked_tokens WHERE expires_at >= ?', [now]);
+    const users = await db.all('SELECT user_id, not_before, expires_at FROM user_token_revocations WHERE expires_at >= ?', [now]);
+
+    return {
+      tokens: tokens.map(row => ({ jti: row.jti, exp: row.expires_at })),
+      users: users.map(row => ({ userId: row.user_id, notBeforeMs: row.not_before, exp: row.expires_at }))
+    };
+  }
+
+  /**
+   * Delete entries whose tokens have expired anyway
+   * @param {number} now - Current time (epoch seconds)
+   * @returns {Promise<void>}
+   */
+  async purgeExpired(now) {
+    await db.run('DELETE FROM revoked_tokens WHERE expires_at < ?', [now]);
+    await db.run('DELETE FROM user_token_revocations WHERE expires_at < ?', [now]);
+  }
+}
+
+// Export singleton instance
+module.exports = new Revocation();
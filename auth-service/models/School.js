@@ -0,0 +1,115 @@
+const db = require('../db');
+const { defaultSettings } = require('../config/schools');
+
+/**
+ * Merge a school's stored settings over the defaults
+ * @param {Object} stored - Stored settings overrides
+ * @returns {Object} Effective settings
+ */
+const withDefaults = (stored = {}) => ({
+  ...defaultSettings,
+  ...stored,
+  mealPrices: { ...defaultSettings.mealPrices, ...stored.mealPrices },
+  subsidyProgram: { ...defaultSettings.subsidyProgram, ...stored.subsidyProgram }
+});
+
+class School {
+  /**
+   * Map a database row to a school with its effective settings
+   * @param {Object} row - Database row
+   * @returns {Object|null} School
+   */
+  toSchool(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      name: row.name,
+      status: row.status,
+      settings: withDefaults(JSON.parse(row.settings)),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Find school by ID
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Object|null>} School or null
+   */
+  async findById(schoolId) {
+    return this.toSchool(await db.get('SELECT * FROM schools WHERE id = ?', [schoolId]));
+  }
+
+  /**
+   * Find school by name (case-insensitive)
+   * @param {string} name - School name
+   * @returns {Promise<Object|null>} School or null
+   */
+  async findByName(name) {
+    return this.toSchool(await db.get('SELECT * FROM schools WHERE lower(name) = lower(?)', [name]));
+  }
+
+  /**
+   * List schools by name
+   * @param {Object} filters - { status }
+   * @returns {Promise<Array>} Schools
+   */
+  async findAll(filters = {}) {
+    const rows = filters.status
+      ? await db.all('SELECT * FROM schools WHERE status = ? ORDER BY name', [filters.status])
+      : await db.all('SELECT * FROM schools ORDER BY name');
+    return rows.map(row => this.toSchool(row));
+  }
+
+  /**
+   * Register a school
+   * @param {Object} schoolData - { id, name, settings }
+   * @returns {Promise<Object>} Stored school
+   */
+  async create(schoolData) {
+    const { id, name, settings = {} } = schoolData;
+    const now = new Date().toISOString();
+
+    await db.run(
+      'INSERT INTO schools (id, name, settings, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+      [id, name, JSON.stringify(settings), now, now]
+    );
+
+    return this.findById(id);
+  }
+
+  /**
+   * Update a school's name, status and/or stored settings
+   * @param {string} schoolId - School ID
+   * @param {Object} fields - Any of { name, status, settings }; settings replace the stored overrides
+   * @returns {Promise<Object|null>} Updated school
+   */
+  async update(schoolId, fields) {
+    const columns = {
+      name: fields.name,
+      status: fields.status,
+      settings: fields.settings === undefined ? undefined : JSON.stringify(fields.settings)
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+
+    await db.run(
+      `UPDATE schools SET ${[...entries.map(([column]) => `${column} = ?`), 'updated_at = ?'].join(', ')} WHERE id = ?`,
+      [...entries.map(([, value]) => value), new Date().toISOString(), schoolId]
+    );
+
+    return this.findById(schoolId);
+  }
+
+  /**
+   * Get the settings stored for a school, without defaults
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Object|null>} Stored settings or null if the school does not exist
+   */
+  async findStoredSettings(schoolId) {
+    const row = await db.get('SELECT settings FROM schools WHERE id = ?', [schoolId]);
+    return row ? JSON.parse(row.settings) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new School();
@@ -0,0 +1,89 @@
+const db = require('../db');
+
+class SigningKey {
+  /**
+   * Map a database row to a signing key record
+   * @param {Object} row - Database row
+   * @returns {Object|null} Signing key record
+   */
+  toRecord(row) {
+    if (!row) return null;
+    return {
+      kid: row.kid,
+      algorithm: row.algorithm,
+      privateKey: row.private_key,
+      publicJwk: JSON.parse(row.public_jwk),
+      createdAt: row.created_at,
+      retiredAt: row.retired_at
+    };
+  }
+
+  /**
+   * Store a new signing key
+   * @param {Object} keyData - { kid, algorithm, privateKey (PEM), publicJwk }
+   * @returns {Promise<Object>} Stored record
+   */
+  async create(keyData) {
+    const { kid, algorithm, privateKey, publicJwk } = keyData;
+
+    await db.run(
+      `INSERT INTO signing_keys (kid, algorithm, private_key, public_jwk, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [kid, algorithm, privateKey, JSON.stringify(publicJwk), new Date().toISOString()]
+    );
+
+    return this.toRecord(await db.get('SELECT * FROM signing_keys WHERE kid = ?', [kid]));
+  }
+
+  /**
+   * The key currently used for signing (newest non-retired key)
+   * @returns {Promise<Object|null>} Record or null
+   */
+  async findActive() {
+    return this.toRecord(await db.get(
+      'SELECT * FROM signing_keys WHERE retired_at IS NULL ORDER BY created_at DESC LIMIT 1'
+    ));
+  }
+
+  /**
+   * Keys whose tokens may still be valid: the active key plus keys retired after the cutoff
+   * @param {string} retiredAfter - ISO timestamp
+   * @returns {Promise<Array>} Records, newest first
+   */
+  async findPublished(retiredAfter) {
+    const rows = await db.all(
+      'SELECT * FROM signing_keys WHERE retired_at IS NULL OR retired_at > ? ORDER BY created_at DESC',
+      [retiredAfter]
+    );
+    return rows.map(row => this.toRecord(row));
+  }
+
+  /**
+   * Retire every key except the given one
+   * @param {string} activeKid - Key that stays active
+   * @returns {Promise<number>} Number of keys retired
+   */
+  async retireAllExcept(activeKid) {
+    const result = await db.run(
+      'UPDATE signing_keys SET retired_at = ? WHERE retired_at IS NULL AND kid != ?',
+      [new Date().toISOString(), activeKid]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Delete keys retired before the cutoff (no unexpired token can reference them)
+   * @param {string} retiredBefore - ISO timestamp
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async purgeRetired(retiredBefore) {
+    const result = await db.run(
+      'DELETE FROM signing_keys WHERE retired_at IS NOT NULL AND retired_at <= ?',
+      [retiredBefore]
+    );
+    return result.changes;
+  }
+}
+
+// Export singleton instance
+module.exports = new SigningKey();
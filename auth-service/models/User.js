@@ -0,0 +1,302 @@
+const db = require('../db');
+
+// The school name comes from the schools registry when the profile is assigned to one
+const USER_COLUMNS = `
+  u.id, u.username, u.password_hash, u.role, u.sludi_id, u.status, u.password_changed_at, u.created_at, u.updated_at,
+  p.name, p.email, p.phone, COALESCE(s.name, p.school) AS school, p.school_id, p.grade, p.staff_role, p.student_number,
+  p.dietary_restrictions, p.subsidy_eligible
+`;
+
+const USER_TABLES = `
+  users u
+  LEFT JOIN profiles p ON p.user_id = u.id
+  LEFT JOIN schools s ON s.id = p.school_id
+`;
+
+/**
+ * Drop undefined/null entries so profiles only carry the fields relevant to the role
+ * @param {Object} profile - Profile object
+ * @returns {Object} Compacted profile
+ */
+const compact = (profile) => Object.fromEntries(
+  Object.entries(profile).filter(([, value]) => value !== null && value !== undefined)
+);
+
+class User {
+  /**
+   * Map a joined users/profiles row to the user shape used by the auth routes
+   * @param {Object} row - Database row
+   * @param {Array<string>} children - Linked child user IDs (parents only)
+   * @returns {Object} User
+   */
+  toUser(row, children) {
+    return {
+      id: row.id,
+      username: row.username,
+      password: row.password_hash,
+      role: row.role,
+      sludiId: row.sludi_id,
+      status: row.status,
+      passwordChangedAt: row.password_changed_at,
+      profile: compact({
+        name: row.name,
+        email: row.email,
+        phone: row.phone,
+        school: row.school,
+        school_id: row.school_id,
+        grade: row.grade,
+        student_number: row.student_number,
+        role: row.staff_role,
+        children: row.role === 'PARENT' ? children : undefined,
+        dietary_restrictions: row.dietary_restrictions ? JSON.parse(row.dietary_restrictions) : undefined,
+        subsidy_eligible: row.subsidy_eligible === null ? undefined : Boolean(row.subsidy_eligible)
+      }),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async hydrate(row) {
+    if (!row) return null;
+    const children = row.role === 'PARENT' ? await this.findChildIds(row.id) : [];
+    return this.toUser(row, children);
+  }
+
+  /**
+   * Find user by username
+   * @param {string} username - Username
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByUsername(username) {
+    const row = await db.get(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE u.username = ?`,
+      [username]
+    );
+    return this.hydrate(row);
+  }
+
+  /**
+   * Find user by ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findById(userId) {
+    const row = await db.get(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE u.id = ?`,
+      [userId]
+    );
+    return this.hydrate(row);
+  }
+
+  /**
+   * Find user by linked SLUDI (national digital identity) subject
+   * @param {string} sludiId - SLUDI subject identifier
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findBySludiId(sludiId) {
+    const row = await db.get(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE u.sludi_id = ?`,
+      [sludiId]
+    );
+    return this.hydrate(row);
+  }
+
+  /**
+   * Find user by phone number on their profile
+   * @param {string} phone - Phone number (E.164)
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByPhone(phone) {
+    const row = await db.get(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE p.phone = ?`,
+      [phone]
+    );
+    return this.hydrate(row);
+  }
+
+  /**
+   * Find user by email address on their profile (case-insensitive)
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByEmail(email) {
+    const row = await db.get(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE lower(p.email) = lower(?)`,
+      [email]
+    );
+    return this.hydrate(row);
+  }
+
+  /**
+   * Find a student by the school-issued student number
+   * @param {string} schoolId - School ID
+   * @param {string} studentNumber - Student number from the school roster
+   * @returns {Promise<Object|null>} User or null
+   */
+  async findByStudentNumber(schoolId, studentNumber) {
+    const row = await db.get(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES}
+       WHERE p.school_id = ? AND p.student_number = ?`,
+      [schoolId, studentNumber]
+    );
+    return this.hydrate(row);
+  }
+
+  /**
+   * List all users
+   * @returns {Promise<Array>} Users
+   */
+  async findAll() {
+    const rows = await db.all(
+      `SELECT ${USER_COLUMNS} FROM ${USER_TABLES} ORDER BY u.username`
+    );
+    return Promise.all(rows.map(row => this.hydrate(row)));
+  }
+
+  /**
+   * List students, optionally for one school
+   * @param {Object} filters - { schoolId }
+   * @returns {Promise<Array>} Students
+   */
+  async findStudents(filters = {}) {
+    const rows = filters.schoolId
+      ? await db.all(`SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE u.role = 'STUDENT' AND p.school_id = ? ORDER BY u.username`, [filters.schoolId])
+      : await db.all(`SELECT ${USER_COLUMNS} FROM ${USER_TABLES} WHERE u.role = 'STUDENT' ORDER BY u.username`);
+    return Promise.all(rows.map(row => this.hydrate(row)));
+  }
+
+  /**
+   * Find the child user IDs linked to a parent
+   * @param {string} parentId - Parent user ID
+   * @returns {Promise<Array<string>>} Child IDs
+   */
+  async findChildIds(parentId) {
+    const rows = await db.all(
+      'SELECT child_id FROM parent_child_links WHERE parent_id = ? ORDER BY created_at',
+      [parentId]
+    );
+    return rows.map(row => row.child_id);
+  }
+
+  /**
+   * Create or replace a user and profile
+   * @param {Object} userData - { id, username, passwordHash, role, sludiId, status, profile }.
+   *   status only applies to new users (default 'active'); existing users keep theirs.
+   * @returns {Promise<Object>} Stored user
+   */
+  async upsert(userData) {
+    const { id, username, passwordHash, role, sludiId, status = 'active', profile = {} } = userData;
+    const now = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO users (id, username, password_hash, role, sludi_id, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET
+         username = excluded.username,
+         password_hash = excluded.password_hash,
+         role = excluded.role,
+         sludi_id = excluded.sludi_id,
+         updated_at = excluded.updated_at`,
+      [id, username, passwordHash, role, sludiId || null, status, now, now]
+    );
+
+    await db.run(
+      `INSERT INTO profiles (user_id, name, email, phone, school, school_id, grade, staff_role, student_number, dietary_restrictions, subsidy_eligible)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         name = excluded.name,
+         email = excluded.email,
+         phone = excluded.phone,
+         school = excluded.school,
+         school_id = excluded.school_id,
+         grade = excluded.grade,
+         staff_role = excluded.staff_role,
+         student_number = excluded.student_number,
+         dietary_restrictions = excluded.dietary_restrictions,
+         subsidy_eligible = excluded.subsidy_eligible`,
+      [
+        id,
+        profile.name,
+        profile.email || null,
+        profile.phone || null,
+        profile.school || null,
+        profile.school_id || null,
+        profile.grade || null,
+        profile.role || null,
+        profile.student_number || null,
+        profile.dietary_restrictions ? JSON.stringify(profile.dietary_restrictions) : null,
+        profile.subsidy_eligible === undefined ? null : (profile.subsidy_eligible ? 1 : 0)
+      ]
+    );
+
+    return this.findById(id);
+  }
+
+  /**
+   * Update selected profile fields, leaving the account and other fields unchanged
+   * @param {string} userId - User ID
+   * @param {Object} fields - Any of { name, grade, dietary_restrictions, subsidy_eligible }
+   * @returns {Promise<void>}
+   */
+  async updateProfile(userId, fields) {
+    const columns = {
+      name: fields.name,
+      grade: fields.grade,
+      dietary_restrictions: fields.dietary_restrictions === undefined
+        ? undefined
+        : JSON.stringify(fields.dietary_restrictions),
+      subsidy_eligible: fields.subsidy_eligible === undefined ? undefined : (fields.subsidy_eligible ? 1 : 0)
+    };
+    const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+    if (entries.length === 0) return;
+
+    await db.run(
+      `UPDATE profiles SET ${entries.map(([column]) => `${column} = ?`).join(', ')} WHERE user_id = ?`,
+      [...entries.map(([, value]) => value), userId]
+    );
+    await db.run('UPDATE users SET updated_at = ? WHERE id = ?', [new Date().toISOString(), userId]);
+  }
+
+  /**
+   * Set a new password hash, activating the account if it was awaiting activation
+   * @param {string} userId - User ID
+   * @param {string} passwordHash - bcrypt hash
+   * @returns {Promise<void>}
+   */
+  async updatePassword(userId, passwordHash) {
+    const now = new Date().toISOString();
+    await db.run(
+      `UPDATE users SET password_hash = ?, password_changed_at = ?, status = 'active', updated_at = ?
+       WHERE id = ?`,
+      [passwordHash, now, now, userId]
+    );
+  }
+
+  /**
+   * Link a child account to a parent
+   * @param {string} parentId - Parent user ID
+   * @param {string} childId - Child user ID
+   * @returns {Promise<void>}
+   */
+  async linkChild(parentId, childId) {
+    await db.run(
+      'INSERT OR IGNORE INTO parent_child_links (parent_id, child_id, created_at) VALUES (?, ?, ?)',
+      [parentId, childId, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Count users
+   * @param {string} [role] - Only count users with this role
+   * @returns {Promise<number>} Number of users
+   */
+  async count(role) {
+    const row = role
+      ? await db.get('SELECT COUNT(*) AS total FROM users WHERE role = ?', [role])
+      : await db.get('SELECT COUNT(*) AS total FROM users');
+    return row.total;
+  }
+}
+
+// Export singleton instance
+module.exports = new User();
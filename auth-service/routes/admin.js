@@ -0,0 +1,555 @@
+const express = require('express');
+const { authenticateToken, requirePermission, requireServiceKey } = require('nutriconnect-shared/auth');
+const UserModel = require('../models/User');
+const RevocationService = require('../services/RevocationService');
+const KeyService = require('../services/KeyService');
+const LoginProtectionService = require('../services/LoginProtectionService');
+const AccountService = require('../services/AccountService');
+const RosterImportService = require('../services/RosterImportService');
+const AuditLogModel = require('../models/AuditLog');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/revoke-sessions:
+ *   post:
+ *     summary: Revoke all sessions for a user
+ *     description: |
+ *       Immediately invalidates every access token and refresh token issued to the user,
+ *       e.g. for a lost phone or when a staff member leaves. The user must log in again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Lost phone"
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       403:
+ *         description: Forbidden - requires manage:sessions permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/revoke-sessions', authenticateToken, requirePermission('manage:sessions'), async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+
+    const reason = (req.body && req.body.reason) || 'admin_revocation';
+    const result = await RevocationService.revokeAllForUser(user.id, reason, req.user.id);
+
+    res.json({
+      success: true,
+      message: `All sessions revoked for ${user.username}`,
+      userId: user.id,
+      revokedBefore: new Date(result.notBeforeMs).toISOString(),
+      refreshTokensRevoked: result.refreshTokensRevoked
+    });
+  } catch (error) {
+    console.error('[ADMIN] Session revocation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while revoking sessions'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Unlock a user's login
+ *     description: |
+ *       Clears the failed-attempt count and any lockout on the user's username so they
+ *       can log in again before the lockout expires. Recorded in the audit log.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login unlocked
+ *       403:
+ *         description: Forbidden - requires manage:users permission
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:userId/unlock', authenticateToken, requirePermission('manage:users'), async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+
+    const cleared = await LoginProtectionService.unlock(user, req.user.id, req.ip);
+
+    console.log(`[ADMIN] Login unlocked for ${user.username} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: cleared ? `Login unlocked for ${user.username}` : `${user.username} was not locked out`,
+      userId: user.id,
+      wasLocked: cleared
+    });
+  } catch (error) {
+    console.error('[ADMIN] Unlock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while unlocking the user'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/activation:
+ *   post:
+ *     summary: Send an account activation link
+ *     description: |
+ *       Sends a signed, single-use activation link to a provisioned account that has not
+ *       been activated yet (by email, or SMS if it has no email address). Sending again
+ *       replaces the previous link.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Activation link sent
+ *       403:
+ *         description: Forbidden - requires manage:users permission
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account already active, or no email/phone to send to
+ */
+router.post('/users/:userId/activation', authenticateToken, requirePermission('manage:users'), async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User not found'
+      });
+    }
+
+    const result = await AccountService.sendActivation(user, req.user.id, req.ip);
+
+    console.log(`[ADMIN] Activation link sent to ${user.username} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `Activation link sent to ${user.username} by ${result.channel}`,
+      userId: user.id,
+      channel: result.channel,
+      expiresAt: result.expiresAt
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('[ADMIN] Activation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while sending the activation link'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roster/import:
+ *   post:
+ *     summary: Import a school's student roster from CSV
+ *     description: |
+ *       Creates or updates student accounts and profiles and links them to parent accounts
+ *       (matched by phone number, or created). Columns: student_id, name, grade (required),
+ *       parent_phone, parent_name, subsidy_eligible (yes/no) and dietary_restrictions
+ *       (separated by ";"). Every row is validated; if any row is invalid nothing is
+ *       imported and the errors are returned per line. New accounts must be activated
+ *       before they can sign in.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "royal-college"
+ *       - in: query
+ *         name: dry_run
+ *         schema:
+ *           type: boolean
+ *         description: Validate and report what would change without writing anything
+ *       - in: query
+ *         name: send_activation
+ *         schema:
+ *           type: boolean
+ *         description: Send activation links to newly created parent accounts
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               student_id,name,grade,parent_phone,subsidy_eligible,dietary_restrictions
+ *               RC-10235,Nimal Silva,9B,0771234568,yes,
+ *     responses:
+ *       200:
+ *         description: Roster imported (or validated, for a dry run)
+ *       400:
+ *         description: Missing schoolId, unreadable CSV or missing columns
+ *       403:
+ *         description: Forbidden - requires manage:users permission
+ *       404:
+ *         description: School not found
+ *       422:
+ *         description: One or more rows are invalid; nothing was imported
+ */
+router.post(
+  '/roster/import',
+  authenticateToken,
+  requirePermission('manage:users'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const report = await RosterImportService.importRoster({
+        schoolId: req.query.schoolId,
+        csv: req.body,
+        dryRun: req.query.dry_run === 'true',
+        sendActivation: req.query.send_activation === 'true'
+      }, req.user, req.ip);
+
+      res.status(report.valid ? 200 : 422).json({
+        success: report.valid,
+        ...(report.valid ? {} : { error: 'validation_error', message: 'Some rows are invalid; nothing was imported' }),
+        ...report
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.code,
+          message: error.message
+        });
+      }
+
+      console.error('[ADMIN] Roster import error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'server_error',
+        message: 'An error occurred while importing the roster'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/audit-log:
+ *   get:
+ *     summary: List audit log entries
+ *     description: |
+ *       Logins, lockouts, consent changes, student record reads, order status changes,
+ *       cancellations and refunds from every service, newest first. Each entry records the
+ *       actor, the entity acted on and its state before and after.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           example: "order.status_changed"
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [user, student, order, payment, school]
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: User ID, username or IP the entry is about
+ *       - in: query
+ *         name: service
+ *         schema:
+ *           type: string
+ *           enum: [auth-service, order-service, payment-service]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *       403:
+ *         description: Forbidden - requires read:audit permission
+ */
+router.get('/audit-log', authenticateToken, requirePermission('read:audit'), async (req, res) => {
+  try {
+    const { event, subject, actorId, entityType, entityId, service, from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const entries = await AuditLogModel.findAll({ event, subject, actorId, entityType, entityId, service, from, to, limit, offset });
+
+    res.json({
+      success: true,
+      entries,
+      count: entries.length
+    });
+  } catch (error) {
+    console.error('[ADMIN] Audit log error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while loading the audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/verify:
+ *   get:
+ *     summary: Verify the audit log hash chain
+ *     description: |
+ *       Recomputes every entry's hash from its contents and the previous entry's hash.
+ *       Reports the first entry that was changed, removed or reordered. Keep the returned
+ *       headHash somewhere else to also detect the whole chain being rewritten.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result (valid is false if the chain is broken)
+ *       403:
+ *         description: Forbidden - requires read:audit permission
+ */
+router.get('/audit-log/verify', authenticateToken, requirePermission('read:audit'), async (req, res) => {
+  try {
+    const result = await AuditLogModel.verifyChain();
+
+    if (!result.valid) {
+      console.error(`[ADMIN] Audit log hash chain broken at entry ${result.brokenAt.seq}: ${result.brokenAt.reason}`);
+    }
+
+    res.json({
+      success: true,
+      ...result,
+      verifiedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[ADMIN] Audit log verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while verifying the audit log'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/audit-log/events:
+ *   post:
+ *     summary: Append an audit entry from another service
+ *     description: Internal endpoint (X-Service-Key) used by order-service and payment-service.
+ *     tags: [Internal]
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [event, service]
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: "order.cancelled"
+ *               service:
+ *                 type: string
+ *                 example: "order-service"
+ *               actorId:
+ *                 type: string
+ *               entityType:
+ *                 type: string
+ *               entityId:
+ *                 type: string
+ *               ipAddress:
+ *                 type: string
+ *               before:
+ *                 type: object
+ *               after:
+ *                 type: object
+ *               details:
+ *                 type: object
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Entry appended
+ *       400:
+ *         description: Missing event or service
+ *       401:
+ *         description: Missing or invalid service key
+ */
+router.post('/audit-log/events', requireServiceKey, async (req, res) => {
+  try {
+    const { event, service, actorId, entityType, entityId, ipAddress, before, after, details, occurredAt } = req.body || {};
+    if (!event || !service || service === 'auth-service') {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'event and the calling service name are required'
+      });
+    }
+
+    const entry = await AuditLogModel.record({
+      event,
+      service,
+      actorId,
+      entityType,
+      entityId,
+      ipAddress,
+      before,
+      after,
+      // The calling service may deliver late after an outage; keep when it actually happened
+      details: { ...details, occurredAt }
+    });
+
+    res.status(201).json({
+      success: true,
+      seq: entry.seq,
+      hash: entry.hash
+    });
+  } catch (error) {
+    console.error('[ADMIN] Audit event error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while recording the audit event'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/keys/rotate:
+ *   post:
+ *     summary: Rotate the access token signing key
+ *     description: |
+ *       Generates a new RS256 signing key for new access tokens. The previous key is
+ *       retired but stays in the JWKS until the tokens it signed have expired, so
+ *       existing sessions keep working. Keys also rotate automatically every
+ *       JWT_KEY_ROTATION_DAYS.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *       403:
+ *         description: Forbidden - requires manage:keys permission
+ */
+router.post('/keys/rotate', authenticateToken, requirePermission('manage:keys'), async (req, res) => {
+  try {
+    const result = await KeyService.rotate();
+
+    console.log(`[ADMIN] Signing key rotated by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Signing key rotated',
+      kid: result.kid,
+      createdAt: result.createdAt,
+      retiredKeys: result.retiredKeys
+    });
+  } catch (error) {
+    console.error('[ADMIN] Key rotation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while rotating the signing key'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('nutriconnect-shared/auth');
+const { ALLERGENS } = require('nutriconnect-shared/dietary');
+const AllergyService = require('../services/AllergyService');
+const router = express.Router();
+
+/**
+ * Send an AllergyService error, or a generic server error for anything unexpected
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`[ALLERGIES] ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message
+  });
+};
+
+/**
+ * @swagger
+ * /api/allergies/allergens:
+ *   get:
+ *     summary: Allergens a guardian can declare and meals are tagged with
+ *     tags: [Allergies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Allergen vocabulary
+ */
+router.get('/allergens', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    allergens: Object.entries(ALLERGENS).map(([allergen, description]) => ({ allergen, description }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/allergies/students/{studentId}:
+ *   get:
+ *     summary: A student's declared allergies
+ *     description: Visible to the student, their guardians, staff at their school and administrators.
+ *     tags: [Allergies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Allergies, with who declared each and when
+ *       404:
+ *         description: Student not found
+ */
+router.get('/students/:studentId', authenticateToken, requirePermission('read:allergies'), async (req, res) => {
+  try {
+    const allergies = await AllergyService.getAllergies(req.params.studentId, req.user);
+
+    res.json({
+      success: true,
+      studentId: req.params.studentId,
+      allergies
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while fetching allergies');
+  }
+});
+
+/**
+ * @swagger
+ * /api/allergies/students/{studentId}:
+ *   put:
+ *     summary: Declare a student's allergies
+ *     description: |
+ *       Replaces the student's declared allergies. Only verified guardians can do this.
+ *       Orders for meals containing a declared allergen are refused unless school staff
+ *       record an override.
+ *     tags: [Allergies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [allergens]
+ *             properties:
+ *               allergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [peanuts, milk]
+ *     responses:
+ *       200:
+ *         description: Allergies declared
+ *       400:
+ *         description: Unknown allergen
+ *       403:
+ *         description: Not a verified guardian of the student
+ *       404:
+ *         description: Student not found
+ */
+router.put('/students/:studentId', authenticateToken, requirePermission('update:allergies'), async (req, res) => {
+  try {
+    const allergies = await AllergyService.declareAllergies(req.params.studentId, req.body.allergens, req.user, req.ip);
+
+    res.json({
+      success: true,
+      studentId: req.params.studentId,
+      allergies
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while declaring allergies');
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,24 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const {
+  authenticateToken,
+  requireServiceKey,
+  permissionsForRole
+} = require('nutriconnect-shared/auth');
+const UserModel = require('../models/User');
+const GuardianModel = require('../models/Guardian');
+const AllergyModel = require('../models/Allergy');
+const AuditLogModel = require('../models/AuditLog');
+const SessionService = require('../services/SessionService');
+const RevocationService = require('../services/RevocationService');
+const KeyService = require('../services/KeyService');
+const LoginProtectionService = require('../services/LoginProtectionService');
+const SludiService = require('../services/SludiService');
+const OtpService = require('../services/OtpService');
+const AccountService = require('../services/AccountService');
+const ConsentService = require('../services/ConsentService');
+const tokenConfig = require('../config/tokens');
 const router = express.Router();
 
 // Mock OAuth2.0 provider configuration
@@ -11,51 +29,6 @@ const OAUTH_CONFIG = {
   grant_type: 'authorization_code'
 };
 
-// JWT secret (in production, use environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'mock_jwt_secret_for_development_only';
-
-// Mock user database (in production, use actual database)
-const MOCK_USERS = {
-  "student123": {
-    id: "std_001",
-    username: "student123",
-    password: "$2a$10$qF0iShMhY5NCmaNj5xcfmO8Z1ZGUQLyoT7l5rxE68qg/Hw5X1vvnS", // password123
-    role: "STUDENT",
-    profile: {
-      name: "Kasun Perera",
-      school: "Royal College",
-      grade: "10A",
-      email: "kasun.perera@student.royal.lk",
-      dietary_restrictions: ["vegetarian"],
-      subsidy_eligible: true
-    }
-  },
-  "parent456": {
-    id: "par_001",
-    username: "parent456", 
-    password: "$2a$10$0YIDmh6UFgdmWSRMauDZhu.80Um4kr.0gPu5RS9vyyeLkx0HUhrsO", // password456
-    role: "PARENT",
-    profile: {
-      name: "Nimali Perera",
-      email: "nimali.perera@parent.royal.lk",
-      children: ["std_001"],
-      phone: "+94771234567"
-    }
-  },
-  "staff789": {
-    id: "staff_001",
-    username: "staff789",
-    password: "$2a$10$aO2uTFfGoyZ1b1Bn2BvHWuRkLyswrsDfYNcaVKLbnBOKW3H0Av6dm", // password789
-    role: "SCHOOL_STAFF", 
-    profile: {
-      name: "Sunil Fernando",
-      email: "sunil.fernando@staff.royal.lk",
-      role: "canteen_manager",
-      school: "Royal College"
-    }
-  }
-};
-
 // Mock OAuth2.0 provider token exchange
 const mockOAuthTokenExchange = async (credentials) => {
   // Simulate external OAuth2.0 provider API call
@@ -73,43 +46,122 @@ const mockOAuthTokenExchange = async (credentials) => {
   });
 };
 
-// Generate JWT token
-const generateJWT = (user) => {
+// Resolve a user's permissions: explicit per-user grants override the role defaults
+const getUserPermissions = (user) => user.permissions || permissionsForRole(user.role);
+
+// Device binding for refresh tokens: explicit device_id in the body, else the X-Device-Id header
+const getDeviceInfo = (req) => ({
+  deviceId: req.body.device_id || req.get('X-Device-Id') || null,
+  userAgent: req.get('User-Agent')
+});
+
+// Cookie binding a SLUDI login to the browser that started it, sent back on the callback redirect
+// (SameSite=Lax allows that top-level navigation)
+const SLUDI_LOGIN_COOKIE = 'sludi_login';
+const sludiCookieOptions = {
+  httpOnly: true,
+  sameSite: 'lax',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/api/auth/sludi'
+};
+
+// Read a cookie from the Cookie header
+const readCookie = (req, name) => {
+  for (const pair of (req.get('Cookie') || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+      return decodeURIComponent(pair.slice(separator + 1).trim());
+    }
+  }
+  return undefined;
+};
+
+// Generate RS256 JWT token (sid links the access token to its refresh token session, jti identifies it for revocation)
+const generateJWT = async (user, sessionId) => {
+  const issuedAtMs = Date.now();
   const payload = {
+    jti: uuidv4(),
     sub: user.id,
+    sid: sessionId,
     username: user.username,
     role: user.role,
+    // Tenant claim: the school the user belongs to; downstream services scope school data by it
+    tid: user.profile.school_id || null,
     profile: user.profile,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
+    permissions: getUserPermissions(user),
+    iat: Math.floor(issuedAtMs / 1000),
+    // Issue time to the millisecond, so a revocation cutoff cannot catch tokens issued later in the same second
+    iat_ms: issuedAtMs,
+    exp: Math.floor(issuedAtMs / 1000) + tokenConfig.accessTokenTtlSeconds
   };
   
-  return jwt.sign(payload, JWT_SECRET);
+  return KeyService.signAccessToken(payload);
 };
 
-// Verify JWT token middleware
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ 
-      error: 'unauthorized',
-      message: 'Access token required'
-    });
+// Start a refresh token session for an authenticated user and build the login response body.
+// method is how the user authenticated ('password', 'sludi' or 'otp'), for the audit log.
+const createLoginSession = async (req, user, method) => {
+  // Provisioned accounts cannot sign in by any method until they have been activated
+  if (user.status !== 'active') {
+    const error = new Error('This account has not been activated yet. Use the activation link you were sent.');
+    error.statusCode = 403;
+    error.code = 'account_not_activated';
+    throw error;
   }
   
-  const token = authHeader.substring(7);
+  // Start a refresh token session and generate internal JWT token
+  const session = await SessionService.issueRefreshToken(user.id, getDeviceInfo(req));
+  const jwtToken = await generateJWT(user, session.record.familyId);
   
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    return res.status(401).json({ 
-      error: 'invalid_token',
-      message: 'Invalid or expired token'
-    });
-  }
+  await AuditLogModel.record({
+    event: 'login.succeeded',
+    actorId: user.id,
+    entityType: 'user',
+    entityId: user.id,
+    ipAddress: req.ip,
+    details: { method, role: user.role, sessionId: session.record.familyId }
+  });
+  
+  // Resolve permissions (also embedded in the JWT)
+  const permissions = getUserPermissions(user);
+  
+  // Prepare user response (exclude sensitive data)
+  const userResponse = {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    profile: {
+      name: user.profile.name,
+      email: user.profile.email,
+      school: user.profile.school,
+      school_id: user.profile.school_id,
+      grade: user.profile.grade,
+      phone: user.profile.phone,
+      children: user.profile.children,
+      dietary_restrictions: user.profile.dietary_restrictions,
+      subsidy_eligible: user.profile.subsidy_eligible
+    }
+  };
+  
+  return {
+    success: true,
+    token: jwtToken,
+    refresh_token: session.refreshToken,
+    expires_in: tokenConfig.accessTokenTtlSeconds,
+    token_type: 'Bearer',
+    user: userResponse,
+    permissions
+  };
+};
+
+// Locked-out logins keep the invalid_credentials body so clients need no special handling
+const sendLockedOut = (res, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    error: 'invalid_credentials',
+    message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s).`
+  });
 };
 
 /**
@@ -136,6 +188,10 @@ const verifyToken = (req, res, next) => {
  *           format: password
  *           description: User's password
  *           example: "password123"
+ *         device_id:
+ *           type: string
+ *           description: Optional device identifier the refresh token is bound to
+ *           example: "android-5f2c9a"
  *     LoginResponse:
  *       type: object
  *       properties:
@@ -145,11 +201,11 @@ const verifyToken = (req, res, next) => {
  *         token:
  *           type: string
  *           description: JWT access token
- *           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *           example: "eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCIsImtpZCI6Ii4uLiJ9..."
  *         refresh_token:
  *           type: string
- *           description: OAuth2.0 refresh token
- *           example: "mock_refresh_token_123"
+ *           description: Opaque, single-use refresh token (rotated on every refresh)
+ *           example: "b3JxZ0pXbnR1dmRkY2V6a1lSZkZ6bGZ0UVdQTnN0aVo"
  *         expires_in:
  *           type: integer
  *           description: Token expiration time in seconds
@@ -187,6 +243,10 @@ const verifyToken = (req, res, next) => {
  *             school:
  *               type: string
  *               example: "Royal College"
+ *             school_id:
+ *               type: string
+ *               description: School (tenant) ID, also carried in the access token's tid claim
+ *               example: "royal-college"
  *             grade:
  *               type: string
  *               example: "10A"
@@ -238,6 +298,14 @@ const verifyToken = (req, res, next) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: |
+ *           Too many failed attempts for this username or client IP; locked out until
+ *           Retry-After seconds have passed. Body uses the invalid_credentials error.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -263,26 +331,32 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    // Find user in mock database
-    const user = MOCK_USERS[username];
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        error: 'invalid_credentials',
-        message: 'Invalid username or password'
-      });
+    // Refuse attempts while the username or client IP is locked out
+    const lockout = await LoginProtectionService.checkLockout(username, req.ip);
+    if (lockout.locked) {
+      return sendLockedOut(res, lockout.retryAfterSeconds);
     }
     
+    // Find user in the user store
+    const user = await UserModel.findByUsername(username);
+    
     // Verify password (using bcrypt in production)
-    const isValidPassword = await bcrypt.compare(password, user.password);
+    const isValidPassword = user ? await bcrypt.compare(password, user.password) : false;
     if (!isValidPassword) {
+      const failure = await LoginProtectionService.recordFailure(username, req.ip, user && user.id);
+      if (failure.locked) {
+        return sendLockedOut(res, failure.retryAfterSeconds);
+      }
+      
       return res.status(401).json({
         success: false,
-        error: 'invalid_credentials', 
+        error: 'invalid_credentials',
         message: 'Invalid username or password'
       });
     }
     
+    await LoginProtectionService.recordSuccess(username);
+    
     // Simulate OAuth2.0 provider token exchange
     console.log(`[AUTH] Initiating OAuth2.0 flow for user: ${username}`);
     const oauthResponse = await mockOAuthTokenExchange({ username, password });
@@ -292,39 +366,12 @@ router.post('/login', async (req, res) => {
       scope: oauthResponse.scope
     });
     
-    // Generate internal JWT token
-    const jwtToken = generateJWT(user);
-    
-    // Generate role-based permissions
-    const permissions = generatePermissions(user.role);
-    
-    // Prepare user response (exclude sensitive data)
-    const userResponse = {
-      id: user.id,
-      username: user.username,
-      role: user.role,
-      profile: {
-        name: user.profile.name,
-        email: user.profile.email,
-        school: user.profile.school,
-        grade: user.profile.grade,
-        phone: user.profile.phone,
-        children: user.profile.children,
-        dietary_restrictions: user.profile.dietary_restrictions,
-        subsidy_eligible: user.profile.subsidy_eligible
-      }
-    };
+    const loginResponse = await createLoginSession(req, user, 'password');
     
     console.log(`[AUTH] Login successful for user: ${username}, role: ${user.role}`);
     
     res.json({
-      success: true,
-      token: jwtToken,
-      refresh_token: `refresh_${oauthResponse.access_token}`,
-      expires_in: 86400, // 24 hours
-      token_type: 'Bearer',
-      user: userResponse,
-      permissions,
+      ...loginResponse,
       oauth_metadata: {
         provider: 'mock_oauth_provider',
         scope: oauthResponse.scope,
@@ -333,6 +380,14 @@ router.post('/login', async (req, res) => {
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    
     console.error('[AUTH] Login error:', error);
     res.status(500).json({
       success: false,
@@ -342,242 +397,235 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Generate role-based permissions
-const generatePermissions = (role) => {
-  const basePermissions = ['read:profile', 'update:profile'];
-  
-  switch (role) {
-    case 'STUDENT':
-      return [...basePermissions, 'read:menu', 'create:order', 'read:orders', 'read:nutrition'];
-    case 'PARENT':
-      return [...basePermissions, 'read:menu', 'create:order', 'read:orders', 'read:children', 'read:nutrition'];
-    case 'SCHOOL_STAFF':
-      return [...basePermissions, 'manage:menu', 'read:orders', 'update:orders', 'read:reports', 'read:nutrition'];
-    case 'ADMIN':
-      return [...basePermissions, 'manage:*', 'read:*', 'create:*', 'update:*', 'delete:*'];
-    default:
-      return basePermissions;
-  }
-};
-
 /**
  * @swagger
- * /api/auth/me:
+ * /api/auth/sludi/login:
  *   get:
- *     summary: Get current authenticated user information
+ *     summary: Start a SLUDI (national digital identity) login
  *     description: |
- *       Returns the current user's profile information based on the JWT token.
- *       Requires valid Bearer token in Authorization header.
+ *       Starts an OpenID Connect authorization code flow with PKCE against SLUDI and
+ *       redirects the browser to the SLUDI authorization endpoint. Pass format=json to
+ *       receive the authorization URL instead of a redirect. Either way the response sets a
+ *       short-lived sludi_login cookie that the callback requires, so the login can only be
+ *       completed in the browser that started it.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: login_hint
+ *         schema:
+ *           type: string
+ *         description: SLUDI ID to sign in as (the mock provider skips its picker)
+ *         example: "LK200903140001"
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json]
  *     responses:
  *       200:
- *         description: Current user information
+ *         description: Authorization URL (format=json)
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 user:
- *                   $ref: '#/components/schemas/User'
- *                 permissions:
- *                   type: array
- *                   items:
- *                     type: string
- *                   example: ["read:menu", "create:order"]
- *                 token_info:
- *                   type: object
- *                   properties:
- *                     issued_at:
- *                       type: integer
- *                       description: Token issued timestamp
- *                     expires_at:
- *                       type: integer
- *                       description: Token expiration timestamp
- *       401:
- *         description: Unauthorized - invalid or missing token
+ *                 success:
+ *                   type: boolean
+ *                 authorization_url:
+ *                   type: string
+ *                 state:
+ *                   type: string
+ *                 expires_in:
+ *                   type: integer
+ *       302:
+ *         description: Redirect to the SLUDI authorization endpoint
+ *       502:
+ *         description: SLUDI is unavailable
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/me', verifyToken, (req, res) => {
+router.get('/sludi/login', async (req, res) => {
   try {
-    // Extract user info from verified JWT token
-    const { sub, username, role, profile, iat, exp } = req.user;
-    
-    // Generate current permissions based on role
-    const permissions = generatePermissions(role);
-    
-    // Prepare user response
-    const userResponse = {
-      id: sub,
-      username,
-      role,
-      profile
-    };
+    const request = await SludiService.createAuthorizationRequest({ loginHint: req.query.login_hint });
+    res.cookie(SLUDI_LOGIN_COOKIE, request.browserBinding, { ...sludiCookieOptions, maxAge: request.expiresIn * 1000 });
     
-    console.log(`[AUTH] User info requested for: ${username}`);
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        authorization_url: request.authorizationUrl,
+        state: request.state,
+        expires_in: request.expiresIn
+      });
+    }
     
-    res.json({
-      user: userResponse,
-      permissions,
-      token_info: {
-        issued_at: iat,
-        expires_at: exp,
-        time_remaining: exp - Math.floor(Date.now() / 1000)
-      }
-    });
+    res.redirect(302, request.authorizationUrl);
     
   } catch (error) {
-    console.error('[AUTH] Error fetching user info:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    
+    console.error('[AUTH] SLUDI login error:', error);
     res.status(500).json({
+      success: false,
       error: 'server_error',
-      message: 'An error occurred while fetching user information'
+      message: 'An error occurred while starting the SLUDI login'
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/refresh:
- *   post:
- *     summary: Refresh access token
+ * /api/auth/sludi/callback:
+ *   get:
+ *     summary: Complete a SLUDI login
  *     description: |
- *       Refreshes an expired or near-expired JWT token using a refresh token.
- *       Follows OAuth2.0 refresh token flow.
+ *       Redirect target for the SLUDI authorization endpoint. Exchanges the authorization
+ *       code (with the PKCE verifier), validates the id_token signature, issuer, audience
+ *       and nonce, and signs in the NutriConnect user linked to the SLUDI identity.
+ *       The sludi_login cookie set when the login started must match the state.
+ *       Returns the same body as /api/auth/login.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - refresh_token
- *             properties:
- *               refresh_token:
- *                 type: string
- *                 description: The refresh token received during login
- *                 example: "refresh_mock_oauth_token_123"
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *         description: Set by SLUDI when the user denies or the request fails
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 token:
- *                   type: string
- *                   description: New JWT access token
- *                 refresh_token:
- *                   type: string
- *                   description: New refresh token
- *                 expires_in:
- *                   type: integer
- *                   example: 86400
+ *               $ref: '#/components/schemas/LoginResponse'
  *       400:
- *         description: Bad request - missing refresh token
+ *         description: Unknown or expired state, a state not started in this browser, or SLUDI returned an error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       401:
- *         description: Invalid or expired refresh token
+ *         description: Code exchange or id_token validation failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: SLUDI identity is not linked to a NutriConnect account
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/refresh', async (req, res) => {
+router.get('/sludi/callback', async (req, res) => {
   try {
-    const { refresh_token } = req.body;
+    const { code, state, error, error_description } = req.query;
     
-    if (!refresh_token) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        error: 'invalid_request',
-        message: 'Refresh token is required'
+        error: 'sludi_error',
+        message: error_description || `SLUDI login failed: ${error}`
       });
     }
     
-    // Validate refresh token format (in production, verify against database)
-    if (!refresh_token.startsWith('refresh_mock_oauth_token_')) {
-      return res.status(401).json({
+    if (!code || !state) {
+      return res.status(400).json({
         success: false,
-        error: 'invalid_grant',
-        message: 'Invalid refresh token'
+        error: 'invalid_request',
+        message: 'code and state are required'
       });
     }
     
-    // Extract user ID from refresh token (simplified for mock)
-    const tokenParts = refresh_token.split('_');
-    const mockUserId = tokenParts[tokenParts.length - 1];
-    
-    // Find user (in production, lookup by refresh token in database)
-    let user = null;
-    for (const [username, userData] of Object.entries(MOCK_USERS)) {
-      if (userData.id.includes(mockUserId.substring(0, 3))) {
-        user = userData;
-        break;
-      }
-    }
+    const binding = readCookie(req, SLUDI_LOGIN_COOKIE);
+    res.clearCookie(SLUDI_LOGIN_COOKIE, sludiCookieOptions);
+    const { claims, scope } = await SludiService.completeAuthorization(state, code, binding);
     
+    // Map the verified SLUDI citizen/student identity to a NutriConnect account
+    const user = await UserModel.findBySludiId(claims.sub);
     if (!user) {
-      return res.status(401).json({
+      console.warn(`[AUTH] SLUDI login for unlinked identity: ${claims.sub}`);
+      return res.status(403).json({
         success: false,
-        error: 'invalid_grant',
-        message: 'Refresh token not found or expired'
+        error: 'identity_not_linked',
+        message: 'This SLUDI identity is not linked to a NutriConnect account'
       });
     }
     
-    // Simulate OAuth2.0 provider refresh
-    console.log(`[AUTH] Refreshing token for user: ${user.username}`);
-    const oauthResponse = await mockOAuthTokenExchange({ refresh: true });
-    
-    // Generate new JWT token
-    const newJwtToken = generateJWT(user);
-    const newRefreshToken = `refresh_${oauthResponse.access_token}`;
+    const loginResponse = await createLoginSession(req, user, 'sludi');
     
-    console.log(`[AUTH] Token refreshed successfully for user: ${user.username}`);
+    console.log(`[AUTH] SLUDI login successful for user: ${user.username}, role: ${user.role}`);
     
     res.json({
-      success: true,
-      token: newJwtToken,
-      refresh_token: newRefreshToken,
-      expires_in: 86400,
-      token_type: 'Bearer'
+      ...loginResponse,
+      oauth_metadata: {
+        provider: 'sludi',
+        subject: claims.sub,
+        citizen_type: claims.citizen_type,
+        scope,
+        issued_at: new Date().toISOString()
+      }
     });
     
   } catch (error) {
-    console.error('[AUTH] Token refresh error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    
+    console.error('[AUTH] SLUDI callback error:', error);
     res.status(500).json({
       success: false,
       error: 'server_error',
-      message: 'An error occurred while refreshing the token'
+      message: 'An internal error occurred during authentication'
     });
   }
 });
 
 /**
  * @swagger
- * /api/auth/logout:
+ * /api/auth/otp/request:
  *   post:
- *     summary: Logout user
+ *     summary: Request a one-time login code by SMS
  *     description: |
- *       Invalidates the current session and JWT token.
- *       In production, this would revoke the token on the OAuth2.0 provider.
+ *       Sends a short-lived login code to a parent's registered mobile number. The
+ *       response is the same whether or not the number is registered. Requests are
+ *       limited per number and per client IP.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+94771234567"
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Code sent if the number is registered
  *         content:
  *           application/json:
  *             schema:
@@ -588,35 +636,800 @@ router.post('/refresh', async (req, res) => {
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Logout successful"
- *       401:
- *         description: Unauthorized - invalid token
+ *                 expires_in:
+ *                   type: integer
+ *                   example: 300
+ *       400:
+ *         description: Missing or invalid phone number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many code requests (see Retry-After)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/logout', verifyToken, async (req, res) => {
+router.post('/otp/request', async (req, res) => {
   try {
-    const { username } = req.user;
+    const { phone } = req.body;
     
-    // In production, revoke token on OAuth2.0 provider
-    console.log(`[AUTH] Logging out user: ${username}`);
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Phone number is required'
+      });
+    }
     
-    // Simulate OAuth2.0 token revocation
-    // await revokeOAuthToken(req.headers.authorization);
+    const result = await OtpService.requestCode(phone, req.ip);
     
     res.json({
       success: true,
-      message: 'Logout successful'
+      message: 'If this number is registered, a login code has been sent by SMS',
+      expires_in: result.expiresIn
     });
     
   } catch (error) {
-    console.error('[AUTH] Logout error:', error);
+    if (error.statusCode) {
+      if (error.retryAfterSeconds) {
+        res.set('Retry-After', String(error.retryAfterSeconds));
+      }
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    
+    console.error('[AUTH] OTP request error:', error);
     res.status(500).json({
       success: false,
       error: 'server_error',
-      message: 'An error occurred during logout'
+      message: 'An error occurred while sending the login code'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/otp/verify:
+ *   post:
+ *     summary: Log in with a one-time code
+ *     description: |
+ *       Verifies the code sent by /api/auth/otp/request and returns the same body as
+ *       /api/auth/login. Codes are single use and allow a limited number of attempts.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phone
+ *               - code
+ *             properties:
+ *               phone:
+ *                 type: string
+ *                 example: "+94771234567"
+ *               code:
+ *                 type: string
+ *                 example: "482913"
+ *               device_id:
+ *                 type: string
+ *                 description: Optional device identifier the refresh token is bound to
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Missing phone or code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid, expired or exhausted code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/otp/verify', async (req, res) => {
+  try {
+    const { phone, code } = req.body;
+    
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Phone number and code are required',
+        details: {
+          missing_fields: []
+            .concat(!phone ? ['phone'] : [])
+            .concat(!code ? ['code'] : [])
+        }
+      });
+    }
+    
+    const user = await OtpService.verifyCode(phone, code);
+    const loginResponse = await createLoginSession(req, user, 'otp');
+    
+    console.log(`[AUTH] OTP login successful for user: ${user.username}, role: ${user.role}`);
+    
+    res.json(loginResponse);
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    
+    console.error('[AUTH] OTP verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An internal error occurred during authentication'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Request a password reset link
+ *     description: |
+ *       Sends a signed, single-use reset link by email (or SMS if the account has no email
+ *       address). The response is the same whether or not the account exists.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: Username, email address or phone number
+ *                 example: "parent456"
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists
+ *       400:
+ *         description: Missing identifier
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const { identifier } = req.body;
+    
+    if (!identifier) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Username, email address or phone number is required'
+      });
+    }
+    
+    await AccountService.requestPasswordReset(identifier, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'If an account matches, a password reset link has been sent'
+    });
+    
+  } catch (error) {
+    console.error('[AUTH] Password reset request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An internal error occurred while requesting a password reset'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Set a new password with a reset link
+ *     description: |
+ *       Uses the token from a reset link to set a new password. The token works once.
+ *       All of the user's sessions are signed out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: At least 10 characters with letters and numbers, not containing the username
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Invalid or expired link, or the password does not meet the requirements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Token and new password are required',
+        details: {
+          missing_fields: []
+            .concat(!token ? ['token'] : [])
+            .concat(!password ? ['password'] : [])
+        }
+      });
+    }
+    
+    await AccountService.resetPassword(token, password, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Password changed. Please log in with your new password.'
+    });
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+        details: error.details
+      });
+    }
+    
+    console.error('[AUTH] Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An internal error occurred while resetting the password'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/activate:
+ *   post:
+ *     summary: Activate a provisioned account
+ *     description: |
+ *       Uses the token from an activation link to choose the account's first password.
+ *       Provisioned accounts cannot sign in until they are activated.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account activated
+ *       400:
+ *         description: Invalid or expired link, or the password does not meet the requirements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/activate', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Token and password are required',
+        details: {
+          missing_fields: []
+            .concat(!token ? ['token'] : [])
+            .concat(!password ? ['password'] : [])
+        }
+      });
+    }
+    
+    const user = await AccountService.activate(token, password, req.ip);
+    
+    res.json({
+      success: true,
+      message: 'Account activated. You can now log in.',
+      username: user.username
+    });
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message,
+        details: error.details
+      });
+    }
+    
+    console.error('[AUTH] Account activation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An internal error occurred while activating the account'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get current authenticated user information
+ *     description: |
+ *       Returns the current user's profile information based on the JWT token.
+ *       Requires valid Bearer token in Authorization header.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user information
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["read:menu", "create:order"]
+ *                 token_info:
+ *                   type: object
+ *                   properties:
+ *                     issued_at:
+ *                       type: integer
+ *                       description: Token issued timestamp
+ *                     expires_at:
+ *                       type: integer
+ *                       description: Token expiration timestamp
+ *       401:
+ *         description: Unauthorized - invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: User referenced by the token no longer exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    // Token timing comes from the verified JWT, profile data from the user store
+    const { iat, exp } = req.auth;
+    const user = await UserModel.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'user_not_found',
+        message: 'User account no longer exists'
+      });
+    }
+    
+    // Permissions embedded in the token (role defaults for older tokens)
+    const { permissions } = req.user;
+    
+    // Prepare user response
+    const userResponse = {
+      id: user.id,
+      username: user.username,
+      role: user.role,
+      profile: user.profile
+    };
+    
+    console.log(`[AUTH] User info requested for: ${user.username}`);
+    
+    res.json({
+      user: userResponse,
+      permissions,
+      token_info: {
+        issued_at: iat,
+        expires_at: exp,
+        time_remaining: exp - Math.floor(Date.now() / 1000)
+      }
+    });
+    
+  } catch (error) {
+    console.error('[AUTH] Error fetching user info:', error);
+    res.status(500).json({
+      error: 'server_error',
+      message: 'An error occurred while fetching user information'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: |
+ *       Refreshes an expired or near-expired JWT token using a refresh token.
+ *       Follows OAuth2.0 refresh token flow. Refresh tokens are single-use: each call
+ *       returns a new refresh token, and presenting an already-used token revokes the
+ *       whole session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 description: The refresh token received during login or the previous refresh
+ *                 example: "b3JxZ0pXbnR1dmRkY2V6a1lSZkZ6bGZ0UVdQTnN0aVo"
+ *               device_id:
+ *                 type: string
+ *                 description: Device identifier, required if one was given at login
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 token:
+ *                   type: string
+ *                   description: New JWT access token
+ *                 refresh_token:
+ *                   type: string
+ *                   description: New refresh token
+ *                 expires_in:
+ *                   type: integer
+ *                   example: 86400
+ *       400:
+ *         description: Bad request - missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid or expired refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Refresh token is required'
+      });
+    }
+    
+    // Rotate: consume the presented token and issue its successor in the same session
+    const rotated = await SessionService.rotateRefreshToken(refresh_token, getDeviceInfo(req));
+    const { user } = rotated;
+    
+    // Generate new JWT token
+    const newJwtToken = await generateJWT(user, rotated.sessionId);
+    
+    console.log(`[AUTH] Token refreshed successfully for user: ${user.username}`);
+    
+    res.json({
+      success: true,
+      token: newJwtToken,
+      refresh_token: rotated.refreshToken,
+      expires_in: tokenConfig.accessTokenTtlSeconds,
+      token_type: 'Bearer'
+    });
+    
+  } catch (error) {
+    if (error.code === 'invalid_grant') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+    
+    console.error('[AUTH] Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while refreshing the token'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: |
+ *       Revokes the current access token (denylisted by jti across all services) and its
+ *       session: the refresh token family the access token was issued with (and, if
+ *       supplied, the session of the given refresh token).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 description: Refresh token of the session to revoke
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logout successful"
+ *       401:
+ *         description: Unauthorized - invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { id, username } = req.user;
+    const { refresh_token } = req.body || {};
+    
+    console.log(`[AUTH] Logging out user: ${username}`);
+    
+    // Denylist this access token so every service rejects it immediately
+    await RevocationService.revokeAccessToken(req.auth, 'logout', id);
+    
+    // Revoke the refresh token session so it can no longer mint access tokens
+    let revoked = 0;
+    if (req.auth.sid) {
+      revoked += await SessionService.revokeSession(req.auth.sid, 'logout');
+    }
+    if (refresh_token) {
+      revoked += await SessionService.revokeByRefreshToken(refresh_token, id, 'logout');
+    }
+    
+    console.log(`[AUTH] Revoked ${revoked} refresh token(s) for user: ${username}`);
+    
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+    
+  } catch (error) {
+    console.error('[AUTH] Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred during logout'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/revocations:
+ *   get:
+ *     summary: Access token denylist snapshot (service-to-service)
+ *     description: |
+ *       Returns revoked token IDs (jti) and per-user revocation cutoffs that still affect
+ *       unexpired tokens. order-service and payment-service poll this to keep their
+ *       in-memory denylist in sync. Requires the internal X-Service-Key header.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Denylist snapshot
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokens:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       jti:
+ *                         type: string
+ *                       exp:
+ *                         type: integer
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       userId:
+ *                         type: string
+ *                       notBeforeMs:
+ *                         type: integer
+ *                         description: Tokens issued at or before this time (epoch milliseconds, the iat_ms claim) are revoked
+ *                       exp:
+ *                         type: integer
+ *                         description: When every token the entry covers has expired (epoch seconds)
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Missing or invalid service key
+ */
+router.get('/revocations', requireServiceKey, async (req, res) => {
+  try {
+    res.json(await RevocationService.getSnapshot());
+  } catch (error) {
+    console.error('[AUTH] Revocation snapshot error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while fetching revocations'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/students/{studentId}:
+ *   get:
+ *     summary: Student record for other services
+ *     description: |
+ *       Internal endpoint (X-Service-Key) used by order-service to look up a student's
+ *       school, grade, subsidy eligibility, dietary restrictions, guardian-declared allergies,
+ *       guardians and current consent for each purpose. Every lookup is recorded in the audit log.
+ *     tags: [Internal]
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Service-Name
+ *         schema:
+ *           type: string
+ *         description: Calling service, for the audit log
+ *       - in: header
+ *         name: X-Acting-User
+ *         schema:
+ *           type: string
+ *         description: User whose request caused the lookup, for the audit log
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Student record
+ *       401:
+ *         description: Missing or invalid service key
+ *       404:
+ *         description: Student not found
+ */
+router.get('/students/:studentId', requireServiceKey, async (req, res) => {
+  try {
+    const user = await UserModel.findById(req.params.studentId);
+    if (!user || user.role !== 'STUDENT') {
+      return res.status(404).json({
+        success: false,
+        error: 'student_not_found',
+        message: 'Student not found'
+      });
+    }
+    
+    const guardians = await GuardianModel.findLinks({ childId: user.id });
+    const consents = await ConsentService.getStatus(user.id);
+    const allergies = await AllergyModel.findByStudent(user.id);
+    
+    await AuditLogModel.record({
+      event: 'student.read',
+      service: req.get('X-Service-Name') || 'auth-service',
+      actorId: req.get('X-Acting-User') || null,
+      entityType: 'student',
+      entityId: user.id,
+      ipAddress: req.ip,
+      details: { via: 'internal_lookup' }
+    });
+    
+    res.json({
+      success: true,
+      student: {
+        id: user.id,
+        name: user.profile.name,
+        school: user.profile.school,
+        schoolId: user.profile.school_id || null,
+        grade: user.profile.grade,
+        studentNumber: user.profile.student_number,
+        subsidyEligible: Boolean(user.profile.subsidy_eligible),
+        dietaryRestrictions: user.profile.dietary_restrictions || [],
+        allergies: allergies.map(allergy => allergy.allergen),
+        guardianIds: guardians.map(link => link.parentId),
+        consents: Object.fromEntries(consents.map(consent => [consent.purpose, consent.granted])),
+        status: user.status
+      }
+    });
+  } catch (error) {
+    console.error('[AUTH] Student lookup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while fetching the student'
     });
   }
 });
@@ -0,0 +1,256 @@
+const express = require('express');
+const { authenticateToken, requirePermission, requireTenant } = require('nutriconnect-shared/auth');
+const { CONSENT_PURPOSES } = require('nutriconnect-shared/consent');
+const ConsentService = require('../services/ConsentService');
+const { formatCsv } = require('../utils/csv');
+const router = express.Router();
+
+const EXPORT_COLUMNS = ['id', 'studentId', 'studentName', 'schoolId', 'purpose', 'action', 'actorId', 'policyVersion', 'ipAddress', 'createdAt'];
+
+/**
+ * Send a ConsentService error, or a generic server error for anything unexpected
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`[CONSENTS] ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message
+  });
+};
+
+/**
+ * Send consent records as JSON, or as a CSV download when ?format=csv
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array} records - Consent records
+ * @param {string} filename - Download file name (without extension)
+ */
+const sendRecords = (req, res, records, filename) => {
+  if (req.query.format === 'csv') {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(formatCsv(EXPORT_COLUMNS, records));
+  }
+
+  res.json({
+    success: true,
+    records,
+    count: records.length
+  });
+};
+
+/**
+ * @swagger
+ * /api/consents/purposes:
+ *   get:
+ *     summary: List consent purposes
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purposes and what each one allows
+ */
+router.get('/purposes', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    purposes: Object.entries(CONSENT_PURPOSES).map(([purpose, description]) => ({ purpose, description }))
+  });
+});
+
+/**
+ * @swagger
+ * /api/consents/export:
+ *   get:
+ *     summary: Export consent history for a school
+ *     description: |
+ *       Every grant and withdrawal, oldest first. Staff export their own school;
+ *       administrators every school unless they pass schoolId.
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: purpose
+ *         schema:
+ *           type: string
+ *           enum: [nutrition_tracking, ndx_health_records, analytics, third_party_apps]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Consent records
+ *       403:
+ *         description: Forbidden - requires read:reports permission and a school assignment
+ */
+router.get('/export', authenticateToken, requirePermission('read:reports'), requireTenant('query'), async (req, res) => {
+  try {
+    const { purpose, from, to } = req.query;
+    const records = await ConsentService.getHistory({ schoolId: req.tenant.schoolId, purpose, from, to });
+
+    console.log(`[CONSENTS] Consent history exported by ${req.user.id} (${req.tenant.schoolId || 'all schools'})`);
+
+    sendRecords(req, res, records, `consents-${req.tenant.schoolId || 'all'}`);
+  } catch (error) {
+    sendError(res, error, 'An error occurred while exporting consents');
+  }
+});
+
+/**
+ * @swagger
+ * /api/consents/students/{studentId}:
+ *   get:
+ *     summary: Current consent for a student
+ *     description: Visible to the student, their guardians, staff at their school and administrators.
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether each purpose is granted, and when and by whom it was last changed
+ *       404:
+ *         description: Student not found
+ */
+router.get('/students/:studentId', authenticateToken, requirePermission('read:consents'), async (req, res) => {
+  try {
+    const student = await ConsentService.findStudentForActor(req.params.studentId, req.user);
+
+    res.json({
+      success: true,
+      studentId: student.id,
+      consents: await ConsentService.getStatus(student.id)
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while fetching consents');
+  }
+});
+
+/**
+ * @swagger
+ * /api/consents/students/{studentId}/history:
+ *   get:
+ *     summary: Export a student's consent history
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Every grant and withdrawal, oldest first
+ *       404:
+ *         description: Student not found
+ */
+router.get('/students/:studentId/history', authenticateToken, requirePermission('read:consents'), async (req, res) => {
+  try {
+    const student = await ConsentService.findStudentForActor(req.params.studentId, req.user);
+    const records = await ConsentService.getHistory({ studentId: student.id });
+
+    sendRecords(req, res, records, `consents-${student.id}`);
+  } catch (error) {
+    sendError(res, error, 'An error occurred while exporting consent history');
+  }
+});
+
+/**
+ * @swagger
+ * /api/consents/students/{studentId}/{purpose}/{action}:
+ *   post:
+ *     summary: Grant or withdraw consent
+ *     description: |
+ *       Records a guardian's consent (or its withdrawal) for using the student's data for a
+ *       purpose, with the current consent policy version. Only verified guardians can do this.
+ *       Withdrawal takes effect immediately.
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: purpose
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [nutrition_tracking, ndx_health_records, analytics, third_party_apps]
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [grant, withdraw]
+ *     responses:
+ *       200:
+ *         description: Consent recorded (changed is false if it already had this value)
+ *       400:
+ *         description: Unknown purpose
+ *       403:
+ *         description: Not a verified guardian of the student
+ *       404:
+ *         description: Student not found
+ */
+router.post('/students/:studentId/:purpose/:action(grant|withdraw)', authenticateToken, requirePermission('update:consents'), async (req, res) => {
+  try {
+    const { studentId, purpose, action } = req.params;
+    const result = await ConsentService.setConsent(studentId, purpose, action === 'grant', req.user, req.ip);
+
+    res.json({
+      success: true,
+      studentId,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while recording consent');
+  }
+});
+
+module.exports = router;
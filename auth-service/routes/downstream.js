@@ -1,4 +1,8 @@
 const express = require('express');
+const { requireServiceKey } = require('nutriconnect-shared/auth');
+const NdxService = require('../services/NdxService');
+const ConsentModel = require('../models/Consent');
+const UserModel = require('../models/User');
 const router = express.Router();
 
 // downstream routes - implement actual logic
@@ -6,4 +10,132 @@ router.get('/', (req, res) => {
   res.json({ message: 'downstream endpoint - implement logic here' });
 });
 
+/**
+ * @swagger
+ * /api/v1/students/{studentId}/health-record:
+ *   get:
+ *     summary: Student health record from NDX
+ *     description: |
+ *       Looks up the student's school health record in NDX. Refused with consent_required
+ *       unless a guardian has granted the ndx_health_records consent.
+ *     tags: [Downstream]
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Health record
+ *       401:
+ *         description: Missing or invalid service key
+ *       403:
+ *         description: No consent for NDX health record sharing
+ *       404:
+ *         description: Student or health record not found
+ */
+router.get('/students/:studentId/health-record', requireServiceKey, async (req, res) => {
+  try {
+    const healthRecord = await NdxService.getHealthRecord(req.params.studentId, {
+      service: req.get('X-Service-Name'),
+      actorId: req.get('X-Acting-User'),
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      ...healthRecord
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.code,
+        message: error.message
+      });
+    }
+
+    console.error('[DOWNSTREAM] Health record error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while fetching the health record'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/nutrition/analytics:
+ *   get:
+ *     summary: Aggregated nutrition analytics
+ *     description: |
+ *       Student counts by school, subsidy eligibility and dietary restriction. Only students
+ *       whose guardians have granted the analytics consent are counted.
+ *     tags: [Downstream]
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Aggregated analytics
+ *       401:
+ *         description: Missing or invalid service key
+ */
+router.get('/nutrition/analytics', requireServiceKey, async (req, res) => {
+  try {
+    const [students, consented] = await Promise.all([
+      UserModel.findStudents({ schoolId: req.query.schoolId }),
+      ConsentModel.findGrantedStudentIds('analytics')
+    ]);
+
+    const schools = {};
+    for (const student of students.filter(s => consented.has(s.id))) {
+      const schoolId = student.profile.school_id || 'unassigned';
+      const school = schools[schoolId] = schools[schoolId] || {
+        schoolId,
+        school: student.profile.school || null,
+        students: 0,
+        subsidyEligible: 0,
+        dietaryRestrictions: {}
+      };
+
+      school.students += 1;
+      if (student.profile.subsidy_eligible) school.subsidyEligible += 1;
+      for (const restriction of student.profile.dietary_restrictions || []) {
+        school.dietaryRestrictions[restriction] = (school.dietaryRestrictions[restriction] || 0) + 1;
+      }
+    }
+
+    res.json({
+      success: true,
+      consentPurpose: 'analytics',
+      studentsIncluded: Object.values(schools).reduce((total, school) => total + school.students, 0),
+      studentsExcluded: students.filter(s => !consented.has(s.id)).length,
+      schools: Object.values(schools),
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('[DOWNSTREAM] Nutrition analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while building nutrition analytics'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,232 @@
+const express = require('express');
+const { authenticateToken, requirePermission } = require('nutriconnect-shared/auth');
+const GuardianService = require('../services/GuardianService');
+const router = express.Router();
+
+/**
+ * Send a GuardianService error, or a generic server error for anything unexpected
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`[GUARDIANS] ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message
+  });
+};
+
+/**
+ * @swagger
+ * /api/guardians/invitations:
+ *   post:
+ *     summary: Create a guardian invitation code
+ *     description: |
+ *       Issues a single-use code (valid for 72 hours) that a parent redeems with
+ *       POST /api/guardians/links to become a verified guardian of the student.
+ *       School staff can invite for students at their school, admins for any student.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [studentId]
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *                 example: "std_001"
+ *     responses:
+ *       201:
+ *         description: Invitation created; the code is only returned once
+ *       400:
+ *         description: Missing studentId
+ *       403:
+ *         description: Not allowed to invite for this student
+ *       404:
+ *         description: Student not found
+ */
+router.post('/invitations', authenticateToken, requirePermission('create:guardian_invitation'), async (req, res) => {
+  try {
+    const { studentId } = req.body || {};
+
+    if (!studentId) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'studentId is required'
+      });
+    }
+
+    const { code, invitation } = await GuardianService.createInvitation(studentId, req.user);
+
+    res.status(201).json({
+      success: true,
+      code,
+      studentId: invitation.childId,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while creating the invitation');
+  }
+});
+
+/**
+ * @swagger
+ * /api/guardians/links:
+ *   post:
+ *     summary: Redeem an invitation code
+ *     description: |
+ *       Links the calling parent to the student the code was issued for. The child appears in
+ *       the parent's token (profile.children) from their next login or token refresh.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "K7PM-3QXD"
+ *               relationship:
+ *                 type: string
+ *                 example: "mother"
+ *     responses:
+ *       201:
+ *         description: Guardian link created
+ *       400:
+ *         description: Missing, invalid or expired code
+ *       409:
+ *         description: Already a guardian of this student
+ */
+router.post('/links', authenticateToken, requirePermission('create:guardian_link'), async (req, res) => {
+  try {
+    const { code, relationship } = req.body || {};
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_request',
+        message: 'Invitation code is required'
+      });
+    }
+
+    const link = await GuardianService.acceptInvitation(code, req.user, {
+      relationship,
+      ipAddress: req.ip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Guardian link created. Refresh your token to act for this student.',
+      link
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while linking the guardian');
+  }
+});
+
+/**
+ * @swagger
+ * /api/guardians/links:
+ *   get:
+ *     summary: List guardian links
+ *     description: |
+ *       Parents see their linked children, students and staff see the student's guardians,
+ *       and admins see every link (optionally filtered by parentId / childId).
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: parentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: childId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Guardian links
+ */
+router.get('/links', authenticateToken, requirePermission('read:guardians'), async (req, res) => {
+  try {
+    const links = await GuardianService.listLinks(req.user, {
+      parentId: req.query.parentId,
+      childId: req.query.childId
+    });
+
+    res.json({
+      success: true,
+      links,
+      total: links.length
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while fetching guardian links');
+  }
+});
+
+/**
+ * @swagger
+ * /api/guardians/links/{parentId}/{childId}:
+ *   delete:
+ *     summary: Remove a guardian link
+ *     description: |
+ *       The parent (or an admin) can remove the link; students cannot. The parent's current access
+ *       tokens are revoked so they lose access to the student immediately.
+ *     tags: [Guardians]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: parentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: childId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Link removed
+ *       403:
+ *         description: Not the parent in this link
+ *       404:
+ *         description: Link not found
+ */
+router.delete('/links/:parentId/:childId', authenticateToken, requirePermission('delete:guardian_link'), async (req, res) => {
+  try {
+    const { parentId, childId } = req.params;
+    await GuardianService.unlink(parentId, childId, req.user, req.ip);
+
+    res.json({
+      success: true,
+      message: 'Guardian link removed'
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while removing the guardian link');
+  }
+});
+
+module.exports = router;
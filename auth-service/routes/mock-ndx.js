@@ -1,9 +1,44 @@
 const express = require('express');
+const ndxConfig = require('../config/ndx');
 const router = express.Router();
 
-// mock-ndx routes - implement actual logic
+/**
+ * Mock NDX (National Data Exchange).
+ * Serves school health screening records keyed by SLUDI citizen ID so the
+ * consent-checked health record lookup can be developed offline.
+ */
+
+// Mock health records for the demo citizens
+const HEALTH_RECORDS = {
+  'LK200903140001': {
+    citizenId: 'LK200903140001',
+    bloodGroup: 'O+',
+    allergies: ['peanuts'],
+    chronicConditions: [],
+    immunizationsUpToDate: true,
+    screenings: [
+      { date: '2024-02-12', heightCm: 162, weightKg: 49.5, bmi: 18.9, notes: 'Routine school medical inspection' },
+      { date: '2025-02-10', heightCm: 167, weightKg: 53.0, bmi: 19.0, notes: 'Routine school medical inspection' }
+    ],
+    source: 'School Health Programme, Ministry of Health'
+  }
+};
+
 router.get('/', (req, res) => {
   res.json({ message: 'mock-ndx endpoint - implement logic here' });
 });
 
+router.get('/health-records/:citizenId', (req, res) => {
+  if (req.get('X-API-Key') !== ndxConfig.apiKey) {
+    return res.status(401).json({ error: 'unauthorized', message: 'Invalid NDX API key' });
+  }
+
+  const record = HEALTH_RECORDS[req.params.citizenId];
+  if (!record) {
+    return res.status(404).json({ error: 'not_found', message: 'No health record for this citizen' });
+  }
+
+  res.json({ record, retrievedAt: new Date().toISOString() });
+});
+
 module.exports = router;
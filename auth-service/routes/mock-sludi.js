@@ -1,9 +1,401 @@
 const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sludiConfig = require('../config/sludi');
 const router = express.Router();
 
-// mock-sludi routes - implement actual logic
-router.get('/', (req, res) => {
-  res.json({ message: 'mock-sludi endpoint - implement logic here' });
+/**
+ * Mock SLUDI OpenID Connect provider.
+ * A local stand-in for the national identity provider supporting the authorization
+ * code flow with PKCE (S256), so the government login flow can be developed offline.
+ * Keys, codes and access tokens live in memory and reset on restart.
+ */
+
+const ISSUER = sludiConfig.baseUrl;
+const AUTHORIZATION_CODE_TTL_MS = 5 * 60 * 1000;  // 5 minutes
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;         // 1 hour
+
+// Registered relying parties
+const CLIENTS = {
+  [sludiConfig.clientId]: {
+    clientSecret: sludiConfig.clientSecret,
+    redirectUris: [sludiConfig.redirectUri]
+  }
+};
+
+// Mock citizen registry (SLUDI identities for the demo accounts)
+const CITIZENS = {
+  'LK200903140001': {
+    sub: 'LK200903140001',
+    name: 'Kasun Perera',
+    given_name: 'Kasun',
+    family_name: 'Perera',
+    birthdate: '2009-03-14',
+    citizen_type: 'STUDENT',
+    student: {
+      school: 'Royal College',
+      grade: '10A',
+      student_number: 'RC-2019-0451'
+    }
+  },
+  'LK198507150002': {
+    sub: 'LK198507150002',
+    name: 'Nimali Perera',
+    given_name: 'Nimali',
+    family_name: 'Perera',
+    birthdate: '1985-07-15',
+    citizen_type: 'CITIZEN',
+    email: 'nimali.perera@parent.royal.lk',
+    phone_number: '+94771234567'
+  },
+  'LK197811200003': {
+    sub: 'LK197811200003',
+    name: 'Sunil Fernando',
+    given_name: 'Sunil',
+    family_name: 'Fernando',
+    birthdate: '1978-11-20',
+    citizen_type: 'CITIZEN',
+    email: 'sunil.fernando@staff.royal.lk'
+  }
+};
+
+// Signing key for id_tokens, published through the JWKS endpoint
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = publicKey.export({ format: 'jwk' });
+const KEY_ID = crypto.createHash('sha256').update(publicJwk.n).digest('base64url').slice(0, 16);
+
+const authorizationCodes = new Map(); // code -> pending grant
+const accessTokens = new Map();       // access token -> { sub, scope, expiresAt }
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const oauthError = (res, status, error, description) => res.status(status).json({
+  error,
+  error_description: description
+});
+
+/**
+ * Claims released for the granted scopes
+ * @param {Object} citizen - Citizen record
+ * @param {Array<string>} scopes - Granted scopes
+ * @returns {Object} Claims
+ */
+const claimsForScopes = (citizen, scopes) => {
+  const claims = { sub: citizen.sub };
+
+  if (scopes.includes('profile')) {
+    Object.assign(claims, {
+      name: citizen.name,
+      given_name: citizen.given_name,
+      family_name: citizen.family_name,
+      birthdate: citizen.birthdate,
+      citizen_type: citizen.citizen_type
+    });
+    if (citizen.email) claims.email = citizen.email;
+    if (citizen.phone_number) claims.phone_number = citizen.phone_number;
+  }
+
+  if (scopes.includes('student') && citizen.student) {
+    claims.student = citizen.student;
+  }
+
+  return claims;
+};
+
+/**
+ * Validate an authorization request; returns an error description or null
+ * @param {Object} params - Authorization request parameters
+ * @returns {string|null} Error description
+ */
+const validateAuthorizationRequest = (params) => {
+  const client = CLIENTS[params.client_id];
+
+  if (!client) return 'Unknown client_id';
+  if (!client.redirectUris.includes(params.redirect_uri)) return 'redirect_uri is not registered for this client';
+  if (params.response_type !== 'code') return 'Only response_type=code is supported';
+  if (!(params.scope || '').split(' ').includes('openid')) return 'scope must include openid';
+  if (!params.code_challenge) return 'PKCE code_challenge is required';
+  if (params.code_challenge_method !== 'S256') return 'code_challenge_method must be S256';
+
+  return null;
+};
+
+/**
+ * Issue an authorization code and redirect back to the client
+ */
+const approve = (res, params, citizen) => {
+  const code = crypto.randomBytes(32).toString('base64url');
+
+  authorizationCodes.set(code, {
+    clientId: params.client_id,
+    redirectUri: params.redirect_uri,
+    codeChallenge: params.code_challenge,
+    nonce: params.nonce,
+    scopes: params.scope.split(' '),
+    sub: citizen.sub,
+    expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS
+  });
+
+  const redirect = new URL(params.redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (params.state) redirect.searchParams.set('state', params.state);
+
+  console.log(`[MOCK_SLUDI] Authorization code issued for ${citizen.sub}`);
+  res.redirect(302, redirect.toString());
+};
+
+/**
+ * @swagger
+ * /mock/sludi/.well-known/openid-configuration:
+ *   get:
+ *     summary: Mock SLUDI OpenID Connect discovery metadata
+ *     tags: [Mock SLUDI]
+ *     responses:
+ *       200:
+ *         description: Provider metadata
+ */
+router.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'profile', 'student'],
+    token_endpoint_auth_methods_supported: ['none', 'client_secret_post'],
+    code_challenge_methods_supported: ['S256'],
+    claims_supported: [
+      'sub', 'name', 'given_name', 'family_name', 'birthdate',
+      'email', 'phone_number', 'citizen_type', 'student', 'nonce'
+    ]
+  });
+});
+
+/**
+ * @swagger
+ * /mock/sludi/.well-known/jwks.json:
+ *   get:
+ *     summary: Mock SLUDI JSON Web Key Set
+ *     description: Public keys used to verify SLUDI id_token signatures
+ *     tags: [Mock SLUDI]
+ *     responses:
+ *       200:
+ *         description: JWKS document
+ */
+router.get('/.well-known/jwks.json', (req, res) => {
+  res.json({
+    keys: [{ ...publicJwk, kid: KEY_ID, use: 'sig', alg: 'RS256' }]
+  });
+});
+
+/**
+ * @swagger
+ * /mock/sludi/authorize:
+ *   get:
+ *     summary: Mock SLUDI authorization endpoint
+ *     description: |
+ *       Starts the authorization code + PKCE flow. Shows a citizen picker in place of the
+ *       real SLUDI login; pass login_hint with a citizen ID to approve without the picker.
+ *     tags: [Mock SLUDI]
+ *     parameters:
+ *       - { in: query, name: response_type, required: true, schema: { type: string, enum: [code] } }
+ *       - { in: query, name: client_id, required: true, schema: { type: string } }
+ *       - { in: query, name: redirect_uri, required: true, schema: { type: string } }
+ *       - { in: query, name: scope, required: true, schema: { type: string, example: "openid profile student" } }
+ *       - { in: query, name: state, schema: { type: string } }
+ *       - { in: query, name: nonce, schema: { type: string } }
+ *       - { in: query, name: code_challenge, required: true, schema: { type: string } }
+ *       - { in: query, name: code_challenge_method, required: true, schema: { type: string, enum: [S256] } }
+ *       - { in: query, name: login_hint, schema: { type: string, example: "LK200903140001" } }
+ *     responses:
+ *       200:
+ *         description: Citizen picker page
+ *       302:
+ *         description: Redirect to redirect_uri with code and state
+ *       400:
+ *         description: Invalid authorization request
+ */
+router.get('/authorize', (req, res) => {
+  const params = req.query;
+  const validationError = validateAuthorizationRequest(params);
+  if (validationError) {
+    return oauthError(res, 400, 'invalid_request', validationError);
+  }
+
+  const hinted = CITIZENS[params.login_hint];
+  if (hinted) {
+    return approve(res, params, hinted);
+  }
+
+  const hiddenFields = Object.entries(params)
+    .filter(([name]) => name !== 'login_hint')
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('\n      ');
+
+  const options = Object.values(CITIZENS)
+    .map(citizen => `<option value="${citizen.sub}">${escapeHtml(citizen.name)} (${citizen.sub})</option>`)
+    .join('\n        ');
+
+  res.send(`<!DOCTYPE html>
+<html>
+  <head><title>SLUDI Sign In (Mock)</title></head>
+  <body>
+    <h1>SLUDI Sign In (Mock)</h1>
+    <p>Choose the citizen identity to sign in as.</p>
+    <form method="post" action="authorize">
+      ${hiddenFields}
+      <select name="sludi_id">
+        ${options}
+      </select>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`);
+});
+
+router.post('/authorize', (req, res) => {
+  const params = req.body;
+  const validationError = validateAuthorizationRequest(params);
+  if (validationError) {
+    return oauthError(res, 400, 'invalid_request', validationError);
+  }
+
+  const citizen = CITIZENS[params.sludi_id];
+  if (!citizen) {
+    return oauthError(res, 400, 'invalid_request', 'Unknown citizen identity');
+  }
+
+  approve(res, params, citizen);
+});
+
+/**
+ * @swagger
+ * /mock/sludi/token:
+ *   post:
+ *     summary: Mock SLUDI token endpoint
+ *     description: Exchanges an authorization code and PKCE code_verifier for an id_token and access token
+ *     tags: [Mock SLUDI]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [grant_type, code, redirect_uri, client_id, code_verifier]
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 enum: [authorization_code]
+ *               code:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens issued
+ *       400:
+ *         description: Invalid grant or request
+ */
+router.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+
+  if (grant_type !== 'authorization_code') {
+    return oauthError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  const client = CLIENTS[client_id];
+  if (!client || (client.clientSecret && client.clientSecret !== client_secret)) {
+    return oauthError(res, 401, 'invalid_client', 'Client authentication failed');
+  }
+
+  const grant = authorizationCodes.get(code);
+  // Codes are single use, whether or not the exchange succeeds
+  authorizationCodes.delete(code);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return oauthError(res, 400, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+  if (grant.clientId !== client_id || grant.redirectUri !== redirect_uri) {
+    return oauthError(res, 400, 'invalid_grant', 'Authorization code was issued to another client or redirect_uri');
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return oauthError(res, 400, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const citizen = CITIZENS[grant.sub];
+  const accessToken = crypto.randomBytes(32).toString('base64url');
+  accessTokens.set(accessToken, {
+    sub: citizen.sub,
+    scopes: grant.scopes,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000
+  });
+
+  const idToken = jwt.sign(
+    {
+      ...claimsForScopes(citizen, grant.scopes),
+      ...(grant.nonce && { nonce: grant.nonce })
+    },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: KEY_ID,
+      issuer: ISSUER,
+      audience: client_id,
+      expiresIn: 5 * 60
+    }
+  );
+
+  console.log(`[MOCK_SLUDI] Tokens issued for ${citizen.sub}`);
+
+  res.json({
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    scope: grant.scopes.join(' '),
+    id_token: idToken
+  });
+});
+
+/**
+ * @swagger
+ * /mock/sludi/userinfo:
+ *   get:
+ *     summary: Mock SLUDI userinfo endpoint
+ *     tags: [Mock SLUDI]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Claims for the authenticated citizen
+ *       401:
+ *         description: Invalid access token
+ */
+router.get('/userinfo', (req, res) => {
+  const authHeader = req.headers.authorization || '';
+  const grant = accessTokens.get(authHeader.replace(/^Bearer /, ''));
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+    return oauthError(res, 401, 'invalid_token', 'Access token is invalid or expired');
+  }
+
+  res.json(claimsForScopes(CITIZENS[grant.sub], grant.scopes));
 });
 
 module.exports = router;
@@ -0,0 +1,321 @@
+const express = require('express');
+const { authenticateToken, requirePermission, requireServiceKey } = require('nutriconnect-shared/auth');
+const SchoolModel = require('../models/School');
+const SchoolService = require('../services/SchoolService');
+const router = express.Router();
+
+/**
+ * Send a SchoolService error, or a generic server error for anything unexpected
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`[SCHOOLS] ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message
+  });
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SchoolSettings:
+ *       type: object
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           example: "Asia/Colombo"
+ *         currency:
+ *           type: string
+ *           example: "LKR"
+ *         orderCutoffTime:
+ *           type: string
+ *           description: Latest school-local time (HH:MM) to order for the same day
+ *           example: "09:00"
+ *         bookingHorizonDays:
+ *           type: integer
+ *           description: How many days ahead of the service date meals can be ordered
+ *           example: 14
+ *         cancellationCutoffTime:
+ *           type: string
+ *           nullable: true
+ *           description: Latest school-local time (HH:MM) to cancel an order for the same day; null uses orderCutoffTime
+ *           example: "08:00"
+ *         mealPrices:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           description: Meal ID to price, overriding the menu price at this school
+ *           example: { "meal_001": 55.00 }
+ *         subsidyProgram:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               example: "gsmp"
+ *             name:
+ *               type: string
+ *               example: "Government School Meal Program"
+ *             amountPerMeal:
+ *               type: number
+ *               nullable: true
+ *               description: Subsidy per meal for eligible students; null keeps each meal's own subsidy
+ *             maxPerOrder:
+ *               type: number
+ *               nullable: true
+ *               description: Most subsidy applied across all items of one order; null for no cap
+ *     School:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "royal-college"
+ *         name:
+ *           type: string
+ *           example: "Royal College"
+ *         status:
+ *           type: string
+ *           enum: [active, suspended]
+ *         settings:
+ *           $ref: '#/components/schemas/SchoolSettings'
+ */
+
+/**
+ * @swagger
+ * /api/schools:
+ *   get:
+ *     summary: List schools
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended]
+ *     responses:
+ *       200:
+ *         description: Schools
+ *       403:
+ *         description: Forbidden - requires manage:schools permission
+ */
+router.get('/', authenticateToken, requirePermission('manage:schools'), async (req, res) => {
+  try {
+    const schools = await SchoolModel.findAll({ status: req.query.status });
+
+    res.json({
+      success: true,
+      schools,
+      count: schools.length
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while listing schools');
+  }
+});
+
+/**
+ * @swagger
+ * /api/schools:
+ *   post:
+ *     summary: Register a school
+ *     description: |
+ *       Adds a school (tenant). Students and staff assigned to it carry its ID in the
+ *       `tid` claim of their access tokens, and their data is scoped to it in every service.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: Defaults to a slug of the name
+ *                 example: "ananda-college"
+ *               name:
+ *                 type: string
+ *                 example: "Ananda College"
+ *               settings:
+ *                 $ref: '#/components/schemas/SchoolSettings'
+ *     responses:
+ *       201:
+ *         description: School registered
+ *       400:
+ *         description: Invalid name, ID or settings
+ *       403:
+ *         description: Forbidden - requires manage:schools permission
+ *       409:
+ *         description: A school with this ID or name already exists
+ */
+router.post('/', authenticateToken, requirePermission('manage:schools'), async (req, res) => {
+  try {
+    const school = await SchoolService.createSchool(req.body || {}, req.user, req.ip);
+
+    console.log(`[SCHOOLS] School ${school.id} registered by ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      school
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while registering the school');
+  }
+});
+
+/**
+ * @swagger
+ * /api/schools/{schoolId}:
+ *   get:
+ *     summary: Get a school and its settings
+ *     description: Administrators can see any school; other users only their own.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schoolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: School
+ *       404:
+ *         description: School not found
+ */
+router.get('/:schoolId', authenticateToken, async (req, res) => {
+  try {
+    const school = await SchoolService.getSchoolForActor(req.params.schoolId, req.user);
+
+    res.json({
+      success: true,
+      school
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while fetching the school');
+  }
+});
+
+/**
+ * @swagger
+ * /api/schools/{schoolId}:
+ *   patch:
+ *     summary: Update a school
+ *     description: |
+ *       Renames, suspends or reactivates a school, or changes its settings. Settings are
+ *       merged into the current ones; a null meal price removes that override. Other
+ *       services pick up setting changes within SCHOOL_CONFIG_TTL_MS.
+ *     tags: [Schools]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schoolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [active, suspended]
+ *               settings:
+ *                 $ref: '#/components/schemas/SchoolSettings'
+ *     responses:
+ *       200:
+ *         description: School updated
+ *       400:
+ *         description: Invalid changes
+ *       403:
+ *         description: Forbidden - requires manage:schools permission
+ *       404:
+ *         description: School not found
+ */
+router.patch('/:schoolId', authenticateToken, requirePermission('manage:schools'), async (req, res) => {
+  try {
+    const school = await SchoolService.updateSchool(req.params.schoolId, req.body || {}, req.user, req.ip);
+
+    console.log(`[SCHOOLS] School ${school.id} updated by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      school
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while updating the school');
+  }
+});
+
+/**
+ * @swagger
+ * /api/schools/{schoolId}/config:
+ *   get:
+ *     summary: School configuration for other services
+ *     description: |
+ *       Internal endpoint (X-Service-Key) used by order-service and payment-service to
+ *       read a school's status and effective settings.
+ *     tags: [Internal]
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: schoolId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: School with effective settings
+ *       401:
+ *         description: Missing or invalid service key
+ *       404:
+ *         description: School not found
+ */
+router.get('/:schoolId/config', requireServiceKey, async (req, res) => {
+  try {
+    const school = await SchoolModel.findById(req.params.schoolId);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        error: 'school_not_found',
+        message: 'School not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      school
+    });
+  } catch (error) {
+    sendError(res, error, 'An error occurred while fetching the school configuration');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const KeyService = require('../services/KeyService');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Access token signing keys (JWKS)
+ *     description: |
+ *       Public RS256 keys that verify NutriConnect access tokens, matched by the `kid`
+ *       token header. Includes the active key and retired keys whose tokens may not
+ *       have expired yet. Downstream services fetch this instead of sharing a secret.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       kty:
+ *                         type: string
+ *                         example: "RSA"
+ *                       kid:
+ *                         type: string
+ *                       use:
+ *                         type: string
+ *                         example: "sig"
+ *                       alg:
+ *                         type: string
+ *                         example: "RS256"
+ *                       n:
+ *                         type: string
+ *                       e:
+ *                         type: string
+ *                         example: "AQAB"
+ */
+router.get('/jwks.json', async (req, res) => {
+  try {
+    const jwks = await KeyService.getJwks();
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(jwks);
+  } catch (error) {
+    console.error('[AUTH] JWKS error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'An error occurred while loading signing keys'
+    });
+  }
+});
+
+module.exports = router;
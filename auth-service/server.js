@@ -3,6 +3,14 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 require('dotenv').config();
+const { getServiceApiKey } = require('nutriconnect-shared/auth');
+
+const db = require('./db');
+const UserModel = require('./models/User');
+const { seedDemoUsers } = require('./db/seed');
+const { bootstrapAdmin } = require('./db/bootstrap-admin');
+const RevocationService = require('./services/RevocationService');
+const KeyService = require('./services/KeyService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -10,13 +18,19 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(morgan('combined'));
+app.use(morgan('combined', { skip: () => process.env.NODE_ENV === 'test' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/guardians', require('./routes/guardians'));
+app.use('/api/schools', require('./routes/schools'));
+app.use('/api/consents', require('./routes/consents'));
+app.use('/api/allergies', require('./routes/allergies'));
 app.use('/api/v1', require('./routes/downstream'));
+app.use('/.well-known', require('./routes/well-known'));
 
 // Mock DPI Services
 app.use('/mock/sludi', require('./routes/mock-sludi'));
@@ -68,7 +82,41 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 NutriConnect Backend running on port ${PORT}`);
-  console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-});
+// Apply migrations (seeding demo accounts on an empty database when SEED_DEMO_USERS=true, and
+// creating the first admin from ADMIN_USERNAME/ADMIN_PASSWORD if there is none) before serving
+const startServer = async () => {
+  // Refuse to start without SERVICE_API_KEY outside development
+  getServiceApiKey();
+  await db.ready();
+
+  if (process.env.SEED_DEMO_USERS === 'true' && await UserModel.count() === 0) {
+    const seeded = await seedDemoUsers();
+    console.log(`[DB] Seeded ${seeded} demo users`);
+  }
+
+  const admin = await bootstrapAdmin();
+  if (admin) {
+    console.log(`[DB] Created admin ${admin.username} from ADMIN_USERNAME`);
+  }
+
+  await RevocationService.loadIntoMemory();
+
+  // Make sure a signing key exists (rotating it if it is due) and publish the verification keys
+  await KeyService.getActiveKey();
+  await KeyService.loadIntoMemory();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 NutriConnect Backend running on port ${PORT}`);
+    console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
+  });
+};
+
+// Tests require the app without starting the server
+if (require.main === module) {
+  startServer().catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = app;
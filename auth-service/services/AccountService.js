@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const AccountTokenModel = require('../models/AccountToken');
+const UserModel = require('../models/User');
+const AuditLogModel = require('../models/AuditLog');
+const RevocationService = require('./RevocationService');
+const LoginProtectionService = require('./LoginProtectionService');
+const { getEmailSender } = require('./email');
+const { getSmsSender } = require('./sms');
+const { normalizePhone } = require('../utils/phone');
+const { checkPasswordStrength } = require('../utils/password');
+const securityConfig = require('../config/security');
+const tokenConfig = require('../config/tokens');
+
+const { accountTokens: accountTokenConfig } = securityConfig;
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  ACTIVATION: 'activation'
+};
+
+const accountError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+const invalidLink = () => accountError(400, 'invalid_token', 'This link is invalid or has expired');
+
+let generatedSecret = null;
+
+// Without ACCOUNT_TOKEN_SECRET a per-process key is used, so links stop working on restart
+const getSecret = () => {
+  if (tokenConfig.accountTokenSecret) {
+    return tokenConfig.accountTokenSecret;
+  }
+  if (!generatedSecret) {
+    console.warn('[AUTH] ACCOUNT_TOKEN_SECRET is not set; reset/activation links will not survive a restart');
+    generatedSecret = crypto.randomBytes(32);
+  }
+  return generatedSecret;
+};
+
+// The signature covers everything stored for the token, so a database row alone cannot be turned into a link
+const sign = (record) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${record.id}.${record.userId}.${record.purpose}.${record.expiresAt}`)
+  .digest('base64url');
+
+const buildLink = (page, token) => `${accountTokenConfig.linkBaseUrl}/${page}?token=${encodeURIComponent(token)}`;
+
+class AccountService {
+
+  /**
+   * Issue a signed single-use token, replacing any outstanding token of the same purpose
+   * @param {Object} user - User the token is for
+   * @param {string} purpose - One of PURPOSES
+   * @param {number} ttlMs - Lifetime in milliseconds
+   * @param {string} ip - Requesting IP address
+   * @returns {Promise<Object>} { token, record }
+   */
+  static async issueToken(user, purpose, ttlMs, ip) {
+    await AccountTokenModel.invalidateForUser(user.id, purpose);
+
+    const record = await AccountTokenModel.create({
+      id: crypto.randomBytes(16).toString('base64url'),
+      userId: user.id,
+      purpose,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString(),
+      requestedIp: ip
+    });
+
+    return { token: `${record.id}.${sign(record)}`, record };
+  }
+
+  /**
+   * Check a token's signature, purpose, expiry and that it is unused
+   * @param {string} token - Token from the link
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object>} Token record
+   */
+  static async verifyToken(token, purpose) {
+    const [id, signature] = String(token || '').split('.');
+    if (!id || !signature) {
+      throw invalidLink();
+    }
+
+    const record = await AccountTokenModel.findById(id);
+    if (!record) {
+      throw invalidLink();
+    }
+
+    const expected = Buffer.from(sign(record));
+    const provided = Buffer.from(signature);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw invalidLink();
+    }
+
+    if (record.purpose !== purpose || record.usedAt || new Date(record.expiresAt) <= new Date()) {
+      throw invalidLink();
+    }
+
+    return record;
+  }
+
+  /**
+   * Send a message by email, or by SMS when the profile has no email address
+   * @param {Object} user - Recipient
+   * @param {Object} content - { subject, text }
+   * @returns {Promise<string|null>} Channel used, or null if the user has no contact details
+   */
+  static async deliver(user, { subject, text }) {
+    if (user.profile.email) {
+      await getEmailSender().send({ to: user.profile.email, subject, text });
+      return 'email';
+    }
+    if (user.profile.phone) {
+      await getSmsSender().send({ to: user.profile.phone, message: `${subject}: ${text}` });
+      return 'sms';
+    }
+    return null;
+  }
+
+  /**
+   * Find the user a "forgot password" request refers to
+   * @param {string} identifier - Username, email address or phone number
+   * @returns {Promise<Object|null>} User or null
+   */
+  static async findByIdentifier(identifier) {
+    const value = String(identifier || '').trim();
+    if (!value) return null;
+
+    const byUsername = await UserModel.findByUsername(value);
+    if (byUsername) return byUsername;
+
+    if (value.includes('@')) {
+      return UserModel.findByEmail(value);
+    }
+
+    const phone = normalizePhone(value);
+    return phone ? UserModel.findByPhone(phone) : null;
+  }
+
+  /**
+   * Send a password reset link. The caller always gets the same response so the
+   * endpoint cannot be used to discover which accounts exist.
+   * @param {string} identifier - Username, email address or phone number
+   * @param {string} ip - Client IP address
+   * @returns {Promise<void>}
+   */
+  static async requestPasswordReset(identifier, ip) {
+    const user = await AccountService.findByIdentifier(identifier);
+
+    if (!user || user.status !== 'active') {
+      console.log('[AUTH] Password reset requested for unknown or inactive account');
+      return;
+    }
+
+    const latest = await AccountTokenModel.findLatest(user.id, PURPOSES.PASSWORD_RESET);
+    if (latest && Date.now() - new Date(latest.createdAt).getTime() < accountTokenConfig.resendIntervalSeconds * 1000) {
+      console.log(`[AUTH] Password reset for user ${user.id} requested again too soon; not resent`);
+      return;
+    }
+
+    const { token } = await AccountService.issueToken(
+      user,
+      PURPOSES.PASSWORD_RESET,
+      accountTokenConfig.resetTtlMinutes * 60 * 1000,
+      ip
+    );
+
+    const channel = await AccountService.deliver(user, {
+      subject: 'Reset your NutriConnect password',
+      text: `Use this link within ${accountTokenConfig.resetTtlMinutes} minutes to choose a new password: ` +
+        `${buildLink('reset-password', token)} If you did not ask for this, you can ignore this message.`
+    });
+
+    await AuditLogModel.record({
+      event: 'password.reset_requested',
+      actorId: user.id,
+      subject: user.id,
+      ipAddress: ip,
+      details: { channel }
+    });
+
+    console.log(`[AUTH] Password reset link for user ${user.id} sent by ${channel || 'no channel (no contact details)'}`);
+  }
+
+  /**
+   * Set a new password with a reset token. Every existing session is revoked.
+   * @param {string} token - Token from the reset link
+   * @param {string} newPassword - New password
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} User
+   */
+  static async resetPassword(token, newPassword, ip) {
+    const record = await AccountService.verifyToken(token, PURPOSES.PASSWORD_RESET);
+    const user = await UserModel.findById(record.userId);
+    if (!user) {
+      throw invalidLink();
+    }
+
+    // Checked before the token is used so a rejected password does not burn the link
+    const problems = checkPasswordStrength(newPassword, user);
+    if (problems.length > 0) {
+      throw accountError(400, 'weak_password', 'Password does not meet the requirements', problems);
+    }
+
+    if (!await AccountTokenModel.consume(record.id)) {
+      throw invalidLink();
+    }
+
+    await UserModel.updatePassword(user.id, await bcrypt.hash(newPassword, 10));
+    await RevocationService.revokeAllForUser(user.id, 'password_reset', user.id);
+    await LoginProtectionService.recordSuccess(user.username);
+
+    await AuditLogModel.record({
+      event: 'password.reset',
+      actorId: user.id,
+      subject: user.id,
+      ipAddress: ip
+    });
+
+    console.log(`[AUTH] Password reset for user ${user.id}`);
+
+    return user;
+  }
+
+  /**
+   * Send an activation link to a provisioned account that has not been activated yet
+   * @param {Object} user - User to activate
+   * @param {string} actorId - Acting admin user ID
+   * @param {string} ip - Admin's client IP
+   * @returns {Promise<Object>} { channel, expiresAt }
+   */
+  static async sendActivation(user, actorId, ip) {
+    if (user.status !== 'pending_activation') {
+      throw accountError(409, 'already_active', 'This account is already active');
+    }
+
+    const { token, record } = await AccountService.issueToken(
+      user,
+      PURPOSES.ACTIVATION,
+      accountTokenConfig.activationTtlHours * 60 * 60 * 1000,
+      ip
+    );
+
+    const channel = await AccountService.deliver(user, {
+      subject: 'Activate your NutriConnect account',
+      text: `Your username is ${user.username}. Set your password within ${accountTokenConfig.activationTtlHours} hours ` +
+        `using this link: ${buildLink('activate', token)}`
+    });
+
+    if (!channel) {
+      await AccountTokenModel.consume(record.id);
+      throw accountError(409, 'no_contact_details', 'The user has no email address or phone number to send the link to');
+    }
+
+    await AuditLogModel.record({
+      event: 'account.activation_sent',
+      actorId,
+      subject: user.id,
+      ipAddress: ip,
+      details: { channel, expiresAt: record.expiresAt }
+    });
+
+    return { channel, expiresAt: record.expiresAt };
+  }
+
+  /**
+   * Activate an account by choosing its first password
+   * @param {string} token - Token from the activation link
+   * @param {string} password - Chosen password
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} User
+   */
+  static async activate(token, password, ip) {
+    const record = await AccountService.verifyToken(token, PURPOSES.ACTIVATION);
+    const user = await UserModel.findById(record.userId);
+    if (!user || user.status !== 'pending_activation') {
+      throw invalidLink();
+    }
+
+    const problems = checkPasswordStrength(password, user);
+    if (problems.length > 0) {
+      throw accountError(400, 'weak_password', 'Password does not meet the requirements', problems);
+    }
+
+    if (!await AccountTokenModel.consume(record.id)) {
+      throw invalidLink();
+    }
+
+    await UserModel.updatePassword(user.id, await bcrypt.hash(password, 10));
+
+    await AuditLogModel.record({
+      event: 'account.activated',
+      actorId: user.id,
+      subject: user.id,
+      ipAddress: ip
+    });
+
+    console.log(`[AUTH] Account activated: ${user.id}`);
+
+    return user;
+  }
+}
+
+module.exports = AccountService;
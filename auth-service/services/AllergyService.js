@@ -0,0 +1,70 @@
+const { ALLERGENS, isAllergen } = require('nutriconnect-shared/dietary');
+const AllergyModel = require('../models/Allergy');
+const GuardianModel = require('../models/Guardian');
+const AuditLogModel = require('../models/AuditLog');
+const ConsentService = require('./ConsentService');
+
+const allergyError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+class AllergyService {
+
+  /**
+   * A student's declared allergies. Visible to the student, their guardians, staff at their
+   * school and administrators.
+   * @param {string} studentId - Student user ID
+   * @param {Object} actor - Request user
+   * @returns {Promise<Array>} [{ allergen, declaredBy, declaredAt }]
+   */
+  static async getAllergies(studentId, actor) {
+    const student = await ConsentService.findStudentForActor(studentId, actor);
+    return AllergyModel.findByStudent(student.id);
+  }
+
+  /**
+   * Declare a student's allergies, replacing the previous declaration. Only a verified guardian
+   * of the student may do this; meals containing these allergens can no longer be ordered for
+   * the student without a staff override.
+   * @param {string} studentId - Student user ID
+   * @param {Array<string>} allergens - Allergens from the shared vocabulary
+   * @param {Object} actor - Request user
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Array>} Allergies
+   */
+  static async declareAllergies(studentId, allergens, actor, ipAddress) {
+    if (!Array.isArray(allergens) || allergens.some(allergen => !isAllergen(allergen))) {
+      throw allergyError(400, 'invalid_allergen', `Allergens must be a list of: ${Object.keys(ALLERGENS).join(', ')}`);
+    }
+
+    const student = await ConsentService.findStudentForActor(studentId, actor);
+
+    // Checked against the database rather than the token so a removed link takes effect at once
+    const [link] = await GuardianModel.findLinks({ parentId: actor.id, childId: student.id });
+    if (!link) {
+      throw allergyError(403, 'forbidden', 'Only a verified guardian of this student can declare allergies');
+    }
+
+    const before = (await AllergyModel.findByStudent(student.id)).map(allergy => allergy.allergen);
+    const allergies = await AllergyModel.replace(student.id, [...new Set(allergens)], actor.id);
+
+    await AuditLogModel.record({
+      event: 'student.allergies_declared',
+      actorId: actor.id,
+      entityType: 'student',
+      entityId: student.id,
+      ipAddress,
+      before: { allergens: before },
+      after: { allergens: allergies.map(allergy => allergy.allergen) }
+    });
+
+    console.log(`[AUTH] Allergies for student ${student.id} declared by ${actor.id}`);
+
+    return allergies;
+  }
+}
+
+module.exports = AllergyService;
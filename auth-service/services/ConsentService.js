@@ -0,0 +1,157 @@
+const { canActForStudent, isCrossTenant } = require('nutriconnect-shared/auth');
+const { CONSENT_PURPOSES, isConsentPurpose } = require('nutriconnect-shared/consent');
+const ConsentModel = require('../models/Consent');
+const GuardianModel = require('../models/Guardian');
+const UserModel = require('../models/User');
+const AuditLogModel = require('../models/AuditLog');
+const securityConfig = require('../config/security');
+
+const consentError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+/**
+ * Load a student or fail with student_not_found
+ * @param {string} studentId - Student user ID
+ * @returns {Promise<Object>} Student
+ */
+const findStudent = async (studentId) => {
+  const student = await UserModel.findById(studentId);
+  if (!student || student.role !== 'STUDENT') {
+    throw consentError(404, 'student_not_found', 'Student not found');
+  }
+  return student;
+};
+
+const assertPurpose = (purpose) => {
+  if (!isConsentPurpose(purpose)) {
+    throw consentError(400, 'invalid_purpose', `Unknown consent purpose. Use one of: ${Object.keys(CONSENT_PURPOSES).join(', ')}`);
+  }
+};
+
+class ConsentService {
+
+  /**
+   * Check whether a student's data may currently be used for a purpose
+   * @param {string} studentId - Student user ID
+   * @param {string} purpose - Consent purpose
+   * @returns {Promise<boolean>} True if a guardian has granted it and not withdrawn it since
+   */
+  static async isGranted(studentId, purpose) {
+    const current = await ConsentModel.findCurrent(studentId);
+    return Boolean(current[purpose] && current[purpose].action === 'granted');
+  }
+
+  /**
+   * Current consent for every purpose
+   * @param {string} studentId - Student user ID
+   * @returns {Promise<Array>} [{ purpose, description, granted, updatedAt, updatedBy, policyVersion }]
+   */
+  static async getStatus(studentId) {
+    const current = await ConsentModel.findCurrent(studentId);
+
+    return Object.entries(CONSENT_PURPOSES).map(([purpose, description]) => {
+      const latest = current[purpose];
+      return {
+        purpose,
+        description,
+        granted: Boolean(latest && latest.action === 'granted'),
+        updatedAt: latest ? latest.createdAt : null,
+        updatedBy: latest ? latest.actorId : null,
+        policyVersion: latest ? latest.policyVersion : null
+      };
+    });
+  }
+
+  /**
+   * Check the caller may see a student's consents: the student, their guardians,
+   * staff at the student's school, or an administrator
+   * @param {string} studentId - Student user ID
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Student
+   */
+  static async findStudentForActor(studentId, actor) {
+    const student = await findStudent(studentId);
+
+    const allowed = canActForStudent(actor, student.id) ||
+      isCrossTenant(actor) ||
+      (actor.role === 'SCHOOL_STAFF' && actor.schoolId && actor.schoolId === student.profile.school_id);
+
+    // Students the caller has no relationship with are reported as missing
+    if (!allowed) {
+      throw consentError(404, 'student_not_found', 'Student not found');
+    }
+
+    return student;
+  }
+
+  /**
+   * Grant or withdraw consent for a purpose. Only a verified guardian of the student may do this.
+   * Setting the current value again records nothing.
+   * @param {string} studentId - Student user ID
+   * @param {string} purpose - Consent purpose
+   * @param {boolean} granted - True to grant, false to withdraw
+   * @param {Object} actor - Request user
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<Object>} { purpose, granted, changed, record }
+   */
+  static async setConsent(studentId, purpose, granted, actor, ipAddress) {
+    assertPurpose(purpose);
+    const student = await findStudent(studentId);
+
+    // Checked against the database rather than the token so a removed link takes effect at once
+    const [link] = await GuardianModel.findLinks({ parentId: actor.id, childId: student.id });
+    if (!link) {
+      throw consentError(403, 'forbidden', 'Only a verified guardian of this student can change consent');
+    }
+
+    const action = granted ? 'granted' : 'withdrawn';
+    const current = (await ConsentModel.findCurrent(student.id))[purpose];
+    const currentlyGranted = Boolean(current && current.action === 'granted');
+
+    if (currentlyGranted === granted) {
+      return { purpose, granted, changed: false, record: current || null };
+    }
+
+    const record = await ConsentModel.record({
+      studentId: student.id,
+      purpose,
+      action,
+      actorId: actor.id,
+      policyVersion: securityConfig.consent.policyVersion,
+      ipAddress
+    });
+
+    await AuditLogModel.record({
+      event: `consent.${action}`,
+      actorId: actor.id,
+      entityType: 'student',
+      entityId: student.id,
+      ipAddress,
+      before: { purpose, granted: currentlyGranted },
+      after: { purpose, granted },
+      details: { policyVersion: record.policyVersion, consentRecordId: record.id }
+    });
+
+    console.log(`[AUTH] Consent for ${purpose} ${action} for student ${student.id} by ${actor.id}`);
+
+    return { purpose, granted, changed: true, record };
+  }
+
+  /**
+   * Consent history for export
+   * @param {Object} filters - { studentId, schoolId, purpose, from, to }
+   * @returns {Promise<Array>} Records, oldest first
+   */
+  static async getHistory(filters = {}) {
+    if (filters.purpose) {
+      assertPurpose(filters.purpose);
+    }
+    return ConsentModel.findHistory(filters);
+  }
+}
+
+module.exports = ConsentService;
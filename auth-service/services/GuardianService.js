@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { hasPermission } = require('nutriconnect-shared/auth');
+const GuardianModel = require('../models/Guardian');
+const UserModel = require('../models/User');
+const AuditLogModel = require('../models/AuditLog');
+const RevocationService = require('./RevocationService');
+
+const INVITATION_TTL_HOURS = 72;
+
+// No 0/O, 1/I/L so codes can be read out over the phone or copied from a printed slip
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+const guardianError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const generateCode = () => {
+  const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+const normalizeCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const hashCode = (code) => crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+
+class GuardianService {
+
+  /**
+   * Issue a single-use code a parent can redeem to become a verified guardian of a student.
+   * School staff invite for students at their school, admins for anyone. Students cannot invite a guardian
+   * for themselves: who may act for a student is decided by the school, not by the student.
+   * @param {string} childId - Student user ID
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} { code, invitation }
+   */
+  static async createInvitation(childId, actor) {
+    const child = await UserModel.findById(childId);
+    if (!child || child.role !== 'STUDENT') {
+      throw guardianError(404, 'student_not_found', 'Student not found');
+    }
+
+    const allowed = hasPermission(actor.permissions, 'manage:guardians') ||
+      (actor.role === 'SCHOOL_STAFF' && actor.schoolId && actor.schoolId === child.profile.school_id);
+
+    if (!allowed) {
+      throw guardianError(403, 'forbidden', 'You cannot create guardian invitations for this student');
+    }
+
+    const code = generateCode();
+    const invitation = await GuardianModel.createInvitation({
+      id: uuidv4(),
+      codeHash: hashCode(code),
+      childId: child.id,
+      createdBy: actor.id,
+      expiresAt: new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    });
+
+    await AuditLogModel.record({
+      event: 'guardian.invitation_created',
+      actorId: actor.id,
+      subject: child.id,
+      details: { invitationId: invitation.id, expiresAt: invitation.expiresAt }
+    });
+
+    return { code, invitation };
+  }
+
+  /**
+   * Redeem an invitation code and link the calling parent to the student
+   * @param {string} code - Invitation code
+   * @param {Object} parent - Request user (must be a parent)
+   * @param {Object} options - { relationship, ipAddress }
+   * @returns {Promise<Object>} New guardian link
+   */
+  static async acceptInvitation(code, parent, options = {}) {
+    if (parent.role !== 'PARENT') {
+      throw guardianError(403, 'forbidden', 'Only parent accounts can become guardians');
+    }
+
+    const invitation = await GuardianModel.findOpenInvitation(hashCode(code));
+
+    // A concurrent redemption of the same code may have won the race
+    if (!invitation || !await GuardianModel.acceptInvitation(invitation.id, parent.id)) {
+      throw guardianError(400, 'invalid_code', 'Invalid or expired invitation code');
+    }
+
+    const created = await GuardianModel.link({
+      parentId: parent.id,
+      childId: invitation.childId,
+      relationship: options.relationship,
+      linkedVia: 'invitation',
+      linkedBy: invitation.createdBy
+    });
+
+    if (!created) {
+      throw guardianError(409, 'already_linked', 'You are already a guardian of this student');
+    }
+
+    await AuditLogModel.record({
+      event: 'guardian.linked',
+      actorId: parent.id,
+      subject: invitation.childId,
+      ipAddress: options.ipAddress,
+      details: { parentId: parent.id, invitationId: invitation.id, relationship: options.relationship || null }
+    });
+
+    console.log(`[AUTH] Guardian ${parent.id} linked to student ${invitation.childId}`);
+
+    const [link] = await GuardianModel.findLinks({ parentId: parent.id, childId: invitation.childId });
+    return link;
+  }
+
+  /**
+   * Links visible to the caller: a parent's children, a student's guardians, or any (admins)
+   * @param {Object} actor - Request user
+   * @param {Object} filters - { parentId, childId } (admins only)
+   * @returns {Promise<Array>} Links
+   */
+  static async listLinks(actor, filters = {}) {
+    if (hasPermission(actor.permissions, 'manage:guardians')) {
+      return GuardianModel.findLinks(filters);
+    }
+    if (actor.role === 'PARENT') {
+      return GuardianModel.findLinks({ parentId: actor.id });
+    }
+    return GuardianModel.findLinks({ childId: actor.id });
+  }
+
+  /**
+   * Remove a guardian link. The parent (or an admin) may remove it; the student may not, so a guardian
+   * cannot be cut off by the child they are responsible for.
+   * The parent's access tokens are revoked so the child drops out of their token on the next refresh.
+   * @param {string} parentId - Parent user ID
+   * @param {string} childId - Student user ID
+   * @param {Object} actor - Request user
+   * @param {string} ipAddress - Client IP address
+   * @returns {Promise<void>}
+   */
+  static async unlink(parentId, childId, actor, ipAddress) {
+    const allowed = actor.id === parentId || hasPermission(actor.permissions, 'manage:guardians');
+
+    if (!allowed) {
+      throw guardianError(403, 'forbidden', 'You cannot remove this guardian link');
+    }
+
+    if (!await GuardianModel.unlink(parentId, childId)) {
+      throw guardianError(404, 'link_not_found', 'Guardian link not found');
+    }
+
+    await RevocationService.revokeAccessTokensForUser(parentId, 'guardian_unlinked', actor.id);
+
+    await AuditLogModel.record({
+      event: 'guardian.unlinked',
+      actorId: actor.id,
+      subject: childId,
+      ipAddress,
+      details: { parentId }
+    });
+
+    console.log(`[AUTH] Guardian ${parentId} unlinked from student ${childId} by ${actor.id}`);
+  }
+}
+
+module.exports = GuardianService;
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { jwksKeySet } = require('nutriconnect-shared/auth');
+const SigningKeyModel = require('../models/SigningKey');
+const tokenConfig = require('../config/tokens');
+
+const ALGORITHM = 'RS256';
+
+let activeKey = null;
+
+/**
+ * RFC 7638 JWK thumbprint, used as the key ID
+ * @param {Object} jwk - RSA public JWK
+ * @returns {string} base64url SHA-256 thumbprint
+ */
+const thumbprint = (jwk) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n }))
+  .digest('base64url');
+
+// Retired keys stay published until every token they signed has expired
+const retentionCutoff = () => new Date(Date.now() - tokenConfig.accessTokenTtlSeconds * 1000).toISOString();
+
+const isDueForRotation = (key) => {
+  const ageMs = Date.now() - new Date(key.createdAt).getTime();
+  return ageMs >= tokenConfig.signingKeyRotationDays * 24 * 60 * 60 * 1000;
+};
+
+class KeyService {
+
+  /**
+   * Generate a new signing key and make it the active one.
+   * The previous key is retired but keeps verifying the tokens it already signed.
+   * @returns {Promise<Object>} { kid, createdAt, retiredKeys }
+   */
+  static async rotate() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const publicJwk = publicKey.export({ format: 'jwk' });
+    const kid = thumbprint(publicJwk);
+
+    const record = await SigningKeyModel.create({
+      kid,
+      algorithm: ALGORITHM,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      publicJwk
+    });
+    const retiredKeys = await SigningKeyModel.retireAllExcept(kid);
+
+    activeKey = record;
+    await KeyService.loadIntoMemory();
+
+    console.log(`[AUTH] Signing key rotated: ${kid} (${retiredKeys} retired)`);
+
+    return { kid, createdAt: record.createdAt, retiredKeys };
+  }
+
+  /**
+   * The key new tokens are signed with, rotating it first if it is missing or too old
+   * @returns {Promise<Object>} Signing key record
+   */
+  static async getActiveKey() {
+    if (!activeKey) {
+      activeKey = await SigningKeyModel.findActive();
+    }
+
+    if (!activeKey || isDueForRotation(activeKey)) {
+      await KeyService.rotate();
+    }
+
+    return activeKey;
+  }
+
+  /**
+   * Sign access token claims with the active key (kid in the header)
+   * @param {Object} payload - JWT claims
+   * @returns {Promise<string>} Encoded JWT
+   */
+  static async signAccessToken(payload) {
+    const key = await KeyService.getActiveKey();
+    return jwt.sign(payload, key.privateKey, { algorithm: ALGORITHM, keyid: key.kid });
+  }
+
+  /**
+   * Public keys for token verification, as served at /.well-known/jwks.json
+   * @returns {Promise<Object>} { keys: [JWK] }
+   */
+  static async getJwks() {
+    const cutoff = retentionCutoff();
+    await SigningKeyModel.purgeRetired(cutoff);
+    const keys = await SigningKeyModel.findPublished(cutoff);
+
+    return {
+      keys: keys.map(key => ({
+        ...key.publicJwk,
+        kid: key.kid,
+        use: 'sig',
+        alg: key.algorithm
+      }))
+    };
+  }
+
+  /**
+   * Load the published keys into this process's verification key set
+   * @returns {Promise<void>}
+   */
+  static async loadIntoMemory() {
+    jwksKeySet.load(await KeyService.getJwks());
+  }
+}
+
+module.exports = KeyService;
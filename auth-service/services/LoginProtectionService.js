@@ -0,0 +1,149 @@
+const LoginThrottleModel = require('../models/LoginThrottle');
+const AuditLogModel = require('../models/AuditLog');
+const securityConfig = require('../config/security');
+
+const { login: loginConfig } = securityConfig;
+
+const usernameKey = (username) => `username:${String(username).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isLocked = (record) => Boolean(record && record.lockedUntil && new Date(record.lockedUntil) > new Date());
+
+class LoginProtectionService {
+
+  /**
+   * Check whether login attempts for this username or client IP are locked out.
+   * Unknown usernames are tracked the same way so lockouts do not reveal which accounts exist.
+   * @param {string} username - Submitted username
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} { locked, retryAfterSeconds }
+   */
+  static async checkLockout(username, ip) {
+    const records = await Promise.all([
+      LoginThrottleModel.findByKey(usernameKey(username)),
+      LoginThrottleModel.findByKey(ipKey(ip))
+    ]);
+
+    const lockedUntil = records
+      .filter(isLocked)
+      .map(record => new Date(record.lockedUntil).getTime());
+
+    if (lockedUntil.length === 0) {
+      return { locked: false, retryAfterSeconds: 0 };
+    }
+
+    return {
+      locked: true,
+      retryAfterSeconds: Math.ceil((Math.max(...lockedUntil) - Date.now()) / 1000)
+    };
+  }
+
+  /**
+   * Record a failed attempt, lock the username/IP once its limit is reached, and
+   * hold the response back for a delay that doubles with each failure
+   * @param {string} username - Submitted username
+   * @param {string} ip - Client IP address
+   * @param {string} userId - Matching user ID, if the username exists
+   * @returns {Promise<Object>} { locked, retryAfterSeconds }
+   */
+  static async recordFailure(username, ip, userId) {
+    const windowStart = new Date(Date.now() - loginConfig.failureWindowMinutes * 60 * 1000).toISOString();
+
+    const [userRecord, ipRecord] = await Promise.all([
+      LoginThrottleModel.recordFailure(usernameKey(username), windowStart),
+      LoginThrottleModel.recordFailure(ipKey(ip), windowStart)
+    ]);
+
+    await AuditLogModel.record({
+      event: 'login.failed',
+      entityType: userId ? 'user' : null,
+      entityId: userId,
+      subject: userId || username,
+      ipAddress: ip,
+      details: { username, knownUser: Boolean(userId) }
+    });
+
+    let locked = false;
+
+    if (userRecord.failures >= loginConfig.maxFailuresPerUsername && !isLocked(userRecord)) {
+      await LoginProtectionService.lock(userRecord, {
+        event: 'login.account_locked',
+        subject: userId || username,
+        ipAddress: ip,
+        details: { username, failures: userRecord.failures, knownUser: Boolean(userId) }
+      });
+      locked = true;
+    }
+
+    if (ipRecord.failures >= loginConfig.maxFailuresPerIp && !isLocked(ipRecord)) {
+      await LoginProtectionService.lock(ipRecord, {
+        event: 'login.ip_locked',
+        subject: ip,
+        ipAddress: ip,
+        details: { lastUsername: username, failures: ipRecord.failures }
+      });
+      locked = true;
+    }
+
+    const failures = Math.max(userRecord.failures, ipRecord.failures);
+    await sleep(Math.min(loginConfig.baseDelayMs * 2 ** (failures - 1), loginConfig.maxDelayMs));
+
+    return locked
+      ? { locked: true, retryAfterSeconds: loginConfig.lockoutMinutes * 60 }
+      : { locked: false, retryAfterSeconds: 0 };
+  }
+
+  /**
+   * Lock a throttle key and write the audit entry for it
+   * @param {Object} record - Throttle record
+   * @param {Object} auditEntry - { event, subject, ipAddress, details }
+   * @returns {Promise<void>}
+   */
+  static async lock(record, auditEntry) {
+    const lockedUntil = minutesFromNow(loginConfig.lockoutMinutes);
+    await LoginThrottleModel.lock(record.key, lockedUntil);
+    await AuditLogModel.record({
+      ...auditEntry,
+      details: { ...auditEntry.details, lockedUntil }
+    });
+
+    console.warn(`[AUTH] Login locked for ${record.key} until ${lockedUntil} after ${record.failures} failed attempts`);
+  }
+
+  /**
+   * Reset the username's failure count after a successful login.
+   * The IP count is left alone so one valid account cannot be used to keep guessing others.
+   * @param {string} username - Username
+   * @returns {Promise<void>}
+   */
+  static async recordSuccess(username) {
+    await LoginThrottleModel.clear(usernameKey(username));
+  }
+
+  /**
+   * Lift a username lockout (admin action)
+   * @param {Object} user - User being unlocked
+   * @param {string} actorId - Acting admin user ID
+   * @param {string} ip - Admin's client IP
+   * @returns {Promise<boolean>} True if the account had failures or a lockout to clear
+   */
+  static async unlock(user, actorId, ip) {
+    const cleared = await LoginThrottleModel.clear(usernameKey(user.username));
+
+    await AuditLogModel.record({
+      event: 'login.account_unlocked',
+      actorId,
+      subject: user.id,
+      ipAddress: ip,
+      details: { username: user.username, hadLockout: cleared }
+    });
+
+    return cleared;
+  }
+}
+
+module.exports = LoginProtectionService;
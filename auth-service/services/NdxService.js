@@ -0,0 +1,69 @@
+const ndxConfig = require('../config/ndx');
+const ConsentService = require('./ConsentService');
+const UserModel = require('../models/User');
+const AuditLogModel = require('../models/AuditLog');
+const { requestJson } = require('../utils/http');
+
+const ndxError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+class NdxService {
+
+  /**
+   * Fetch a student's school health record from NDX.
+   * Nothing is requested from NDX unless a guardian has consented to ndx_health_records.
+   * @param {string} studentId - Student user ID
+   * @param {Object} requester - { service, actorId, ipAddress } for the audit log
+   * @returns {Promise<Object>} { studentId, record, retrievedAt }
+   */
+  static async getHealthRecord(studentId, requester = {}) {
+    const student = await UserModel.findById(studentId);
+    if (!student || student.role !== 'STUDENT') {
+      throw ndxError(404, 'student_not_found', 'Student not found');
+    }
+
+    if (!await ConsentService.isGranted(student.id, 'ndx_health_records')) {
+      throw ndxError(403, 'consent_required', 'A guardian has not consented to sharing NDX health records for this student');
+    }
+
+    if (!student.sludiId) {
+      throw ndxError(404, 'health_record_not_found', 'Student has no SLUDI identity to look up in NDX');
+    }
+
+    const { status, body } = await requestJson(
+      `${ndxConfig.baseUrl}/health-records/${encodeURIComponent(student.sludiId)}`,
+      { headers: { 'X-API-Key': ndxConfig.apiKey } }
+    );
+
+    if (status === 404) {
+      throw ndxError(404, 'health_record_not_found', 'NDX has no health record for this student');
+    }
+    if (status !== 200) {
+      throw ndxError(502, 'ndx_unavailable', 'NDX health records could not be loaded');
+    }
+
+    await AuditLogModel.record({
+      event: 'student.health_record_read',
+      service: requester.service,
+      actorId: requester.actorId,
+      entityType: 'student',
+      entityId: student.id,
+      ipAddress: requester.ipAddress,
+      details: { source: 'ndx', citizenId: student.sludiId }
+    });
+
+    console.log(`[AUTH] NDX health record retrieved for student ${student.id}`);
+
+    return {
+      studentId: student.id,
+      record: body.record,
+      retrievedAt: body.retrievedAt
+    };
+  }
+}
+
+module.exports = NdxService;
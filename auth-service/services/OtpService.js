@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const OtpChallengeModel = require('../models/OtpChallenge');
+const UserModel = require('../models/User');
+const { getSmsSender } = require('./sms');
+const { normalizePhone } = require('../utils/phone');
+const securityConfig = require('../config/security');
+
+const { otp: otpConfig } = securityConfig;
+
+const otpError = (statusCode, code, message, retryAfterSeconds) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+};
+
+// Codes are hashed with their challenge ID so equal codes never share a stored hash
+const hashCode = (challengeId, code) => crypto
+  .createHash('sha256')
+  .update(`${challengeId}:${code}`)
+  .digest('hex');
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** otpConfig.codeLength))
+  .padStart(otpConfig.codeLength, '0');
+
+const anHourAgo = () => new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+class OtpService {
+
+  /**
+   * Send a login code to a registered phone number.
+   * Unregistered numbers get the same response (and count towards the same limits)
+   * so the endpoint cannot be used to discover which numbers have accounts.
+   * @param {string} phoneInput - Phone number as entered
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} { phone, expiresIn }
+   */
+  static async requestCode(phoneInput, ip) {
+    const phone = normalizePhone(phoneInput);
+    if (!phone) {
+      throw otpError(400, 'invalid_request', 'A valid Sri Lankan mobile number is required');
+    }
+
+    await OtpService.enforceRequestLimits(phone, ip);
+
+    const user = await UserModel.findByPhone(phone);
+    const eligible = user && otpConfig.allowedRoles.includes(user.role);
+
+    const id = uuidv4();
+    const code = eligible ? generateCode() : null;
+    const expiresAt = new Date(Date.now() + otpConfig.ttlSeconds * 1000).toISOString();
+
+    await OtpChallengeModel.invalidateForPhone(phone);
+    await OtpChallengeModel.create({
+      id,
+      userId: eligible ? user.id : null,
+      phone,
+      codeHash: code ? hashCode(id, code) : null,
+      ipAddress: ip,
+      expiresAt
+    });
+
+    if (eligible) {
+      const minutes = Math.round(otpConfig.ttlSeconds / 60);
+      await getSmsSender().send({
+        to: phone,
+        message: `Your NutriConnect login code is ${code}. It expires in ${minutes} minutes. Do not share it with anyone.`
+      });
+      console.log(`[AUTH] OTP sent to user ${user.id}`);
+    } else {
+      console.log(`[AUTH] OTP requested for unregistered or ineligible number`);
+    }
+
+    return { phone, expiresIn: otpConfig.ttlSeconds };
+  }
+
+  /**
+   * Reject requests that come too soon after the last one or exceed the hourly limits
+   * @param {string} phone - Normalized phone number
+   * @param {string} ip - Client IP address
+   * @returns {Promise<void>}
+   */
+  static async enforceRequestLimits(phone, ip) {
+    const latest = await OtpChallengeModel.findLatestByPhone(phone);
+    if (latest) {
+      const elapsedSeconds = (Date.now() - new Date(latest.createdAt).getTime()) / 1000;
+      if (elapsedSeconds < otpConfig.resendIntervalSeconds) {
+        const wait = Math.ceil(otpConfig.resendIntervalSeconds - elapsedSeconds);
+        throw otpError(429, 'rate_limited', `Please wait ${wait} seconds before requesting another code`, wait);
+      }
+    }
+
+    const since = anHourAgo();
+    const [phoneCount, ipCount] = await Promise.all([
+      OtpChallengeModel.countSince({ phone }, since),
+      OtpChallengeModel.countSince({ ipAddress: ip }, since)
+    ]);
+
+    if (phoneCount >= otpConfig.maxRequestsPerPhonePerHour || ipCount >= otpConfig.maxRequestsPerIpPerHour) {
+      throw otpError(429, 'rate_limited', 'Too many code requests. Try again later', 60 * 60);
+    }
+  }
+
+  /**
+   * Check a code and return the user it logs in.
+   * Each code allows a limited number of guesses before it is invalidated.
+   * @param {string} phoneInput - Phone number as entered
+   * @param {string} code - Code from the SMS
+   * @returns {Promise<Object>} User
+   */
+  static async verifyCode(phoneInput, code) {
+    const phone = normalizePhone(phoneInput);
+    const challenge = phone && await OtpChallengeModel.findActiveByPhone(phone);
+
+    if (!challenge || !challenge.codeHash) {
+      throw otpError(401, 'invalid_otp', 'Invalid or expired code');
+    }
+
+    if (!await OtpChallengeModel.incrementAttempts(challenge.id, otpConfig.maxVerifyAttempts)) {
+      await OtpChallengeModel.consume(challenge.id);
+      throw otpError(401, 'invalid_otp', 'Too many incorrect attempts; request a new code');
+    }
+
+    const expected = Buffer.from(challenge.codeHash, 'hex');
+    const provided = Buffer.from(hashCode(challenge.id, String(code || '')), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) {
+      throw otpError(401, 'invalid_otp', 'Invalid or expired code');
+    }
+
+    // Codes are single use; a concurrent verify may have won the race
+    if (!await OtpChallengeModel.consume(challenge.id)) {
+      throw otpError(401, 'invalid_otp', 'Invalid or expired code');
+    }
+
+    const user = await UserModel.findById(challenge.userId);
+    if (!user) {
+      throw otpError(401, 'invalid_otp', 'Invalid or expired code');
+    }
+
+    return user;
+  }
+}
+
+module.exports = OtpService;
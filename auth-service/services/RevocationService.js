@@ -0,0 +1,114 @@
+const { revocationList, pushRevocations } = require('nutriconnect-shared/auth');
+const RevocationModel = require('../models/Revocation');
+const SessionService = require('./SessionService');
+const tokenConfig = require('../config/tokens');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Services that check access tokens, told about each revocation as it happens
+const subscriberUrls = () => (process.env.REVOCATION_SUBSCRIBERS ||
+  [process.env.ORDER_SERVICE_URL || 'http://localhost:3002', process.env.PAYMENT_SERVICE_URL || 'http://localhost:3003'].join(','))
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+class RevocationService {
+
+  /**
+   * Revoke a single access token (e.g. on logout)
+   * @param {Object} claims - Verified JWT claims (needs jti, sub, exp)
+   * @param {string} reason - Revocation reason
+   * @param {string} revokedBy - Acting user ID
+   * @returns {Promise<void>}
+   */
+  static async revokeAccessToken(claims, reason, revokedBy) {
+    if (!claims.jti) return;
+
+    await RevocationModel.revokeToken({
+      jti: claims.jti,
+      userId: claims.sub,
+      reason,
+      revokedBy,
+      expiresAt: claims.exp
+    });
+    revocationList.revokeToken(claims.jti, claims.exp);
+
+    await RevocationService.publish({ tokens: [{ jti: claims.jti, exp: claims.exp }] });
+  }
+
+  /**
+   * Revoke every access token and refresh token session of a user (lost phone, staff leaving)
+   * @param {string} userId - User whose sessions are revoked
+   * @param {string} reason - Revocation reason
+   * @param {string} revokedBy - Acting admin user ID
+   * @returns {Promise<Object>} { notBeforeMs, refreshTokensRevoked }
+   */
+  static async revokeAllForUser(userId, reason, revokedBy) {
+    const notBeforeMs = await RevocationService.revokeAccessTokensForUser(userId, reason, revokedBy);
+
+    const refreshTokensRevoked = await SessionService.revokeAllForUser(userId, reason);
+
+    console.log(`[AUTH] All sessions revoked for user ${userId} by ${revokedBy}: ${reason}`);
+
+    return { notBeforeMs, refreshTokensRevoked };
+  }
+
+  /**
+   * Revoke a user's current access tokens but keep their refresh token sessions,
+   * so their next refresh picks up changed claims (e.g. a removed guardian link)
+   * @param {string} userId - User whose access tokens are revoked
+   * @param {string} reason - Revocation reason
+   * @param {string} revokedBy - Acting user ID
+   * @returns {Promise<number>} Cutoff (milliseconds since epoch)
+   */
+  static async revokeAccessTokensForUser(userId, reason, revokedBy) {
+    const notBeforeMs = Date.now();
+    // Tokens issued before the cutoff are all expired once one access token lifetime has passed
+    const exp = Math.floor(notBeforeMs / 1000) + tokenConfig.accessTokenTtlSeconds;
+
+    await RevocationModel.revokeUser({ userId, notBeforeMs, reason, revokedBy, expiresAt: exp });
+    revocationList.revokeUser(userId, notBeforeMs, exp);
+
+    await RevocationService.publish({ users: [{ userId, notBeforeMs, exp }] });
+
+    return notBeforeMs;
+  }
+
+  /**
+   * Push a revocation to the services that check access tokens, so they refuse the tokens
+   * straight away. A service that cannot be reached picks it up from its next snapshot poll.
+   * @param {Object} update - { tokens: [{ jti, exp }], users: [{ userId, notBeforeMs, exp }] }
+   * @returns {Promise<void>}
+   */
+  static async publish(update) {
+    const missed = await pushRevocations(subscriberUrls(), update);
+    if (missed.length > 0) {
+      console.warn(`[AUTH] Revocation not pushed to ${missed.join(', ')}; they catch up on their next poll`);
+    }
+  }
+
+  /**
+   * Current denylist snapshot, as served to other services
+   * @returns {Promise<Object>} { tokens, users, generatedAt }
+   */
+  static async getSnapshot() {
+    const now = nowSeconds();
+    await RevocationModel.purgeExpired(now);
+    const active = await RevocationModel.findActive(now);
+
+    return {
+      ...active,
+      generatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Load persisted revocations into this process's in-memory denylist
+   * @returns {Promise<void>}
+   */
+  static async loadIntoMemory() {
+    revocationList.load(await RevocationService.getSnapshot());
+  }
+}
+
+module.exports = RevocationService;
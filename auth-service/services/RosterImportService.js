@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('../db');
+const UserModel = require('../models/User');
+const SchoolModel = require('../models/School');
+const GuardianModel = require('../models/Guardian');
+const AuditLogModel = require('../models/AuditLog');
+const AccountService = require('./AccountService');
+const { parseCsv } = require('../utils/csv');
+const { normalizePhone } = require('../utils/phone');
+
+const MAX_ROWS = 5000;
+const REQUIRED_COLUMNS = ['student_id', 'name', 'grade'];
+
+const STUDENT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/;
+const DIETARY_PATTERN = /^[a-z][a-z_]{1,29}$/;
+const TRUE_VALUES = ['yes', 'y', 'true', '1'];
+const FALSE_VALUES = ['no', 'n', 'false', '0', ''];
+
+const rosterError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const newUserId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+/**
+ * Validate one roster row and convert it to the fields that are stored
+ * @param {Object} values - Raw CSV values keyed by column
+ * @returns {Object} { student, errors }
+ */
+const validateRow = (values) => {
+  const errors = [];
+
+  const studentNumber = values.student_id;
+  if (!studentNumber) {
+    errors.push('student_id is required');
+  } else if (!STUDENT_ID_PATTERN.test(studentNumber)) {
+    errors.push('student_id may only contain letters, numbers, "-" and "_" (max 40)');
+  }
+
+  if (!values.name) {
+    errors.push('name is required');
+  } else if (values.name.length > 100) {
+    errors.push('name must be at most 100 characters');
+  }
+
+  if (!values.grade) {
+    errors.push('grade is required');
+  } else if (values.grade.length > 10) {
+    errors.push('grade must be at most 10 characters');
+  }
+
+  let parentPhone = null;
+  if (values.parent_phone) {
+    parentPhone = normalizePhone(values.parent_phone);
+    if (!parentPhone) {
+      errors.push(`parent_phone "${values.parent_phone}" is not a valid Sri Lankan mobile number`);
+    }
+  }
+
+  const subsidy = (values.subsidy_eligible || '').toLowerCase();
+  if (!TRUE_VALUES.includes(subsidy) && !FALSE_VALUES.includes(subsidy)) {
+    errors.push('subsidy_eligible must be yes or no');
+  }
+
+  const dietaryRestrictions = (values.dietary_restrictions || '')
+    .split(/[;|]/)
+    .map(item => item.trim().toLowerCase().replace(/[\s-]+/g, '_'))
+    .filter(Boolean);
+  const invalidDietary = dietaryRestrictions.filter(item => !DIETARY_PATTERN.test(item));
+  if (invalidDietary.length > 0) {
+    errors.push(`dietary_restrictions contains invalid entries: ${invalidDietary.join(', ')}`);
+  }
+
+  return {
+    errors,
+    student: {
+      studentNumber,
+      name: values.name,
+      grade: values.grade,
+      parentPhone,
+      parentName: values.parent_name || null,
+      subsidyEligible: TRUE_VALUES.includes(subsidy),
+      dietaryRestrictions: [...new Set(dietaryRestrictions)]
+    }
+  };
+};
+
+class RosterImportService {
+
+  /**
+   * Validate a school roster and, unless it is a dry run, upsert its students and parents.
+   * The import is all-or-nothing: if any row is invalid nothing is written and every
+   * row error is reported.
+   * @param {Object} options - { schoolId, csv, dryRun, sendActivation }
+   * @param {Object} actor - Request user
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} Import report
+   */
+  static async importRoster(options, actor, ip) {
+    const { schoolId, csv, dryRun = false, sendActivation = false } = options;
+
+    if (!schoolId) {
+      throw rosterError(400, 'invalid_request', 'schoolId is required');
+    }
+
+    const school = await SchoolModel.findById(schoolId);
+    if (!school) {
+      throw rosterError(404, 'school_not_found', 'School not found');
+    }
+
+    let parsed;
+    try {
+      parsed = parseCsv(csv);
+    } catch (error) {
+      throw rosterError(400, 'invalid_csv', error.message);
+    }
+
+    const missingColumns = REQUIRED_COLUMNS.filter(column => !parsed.headers.includes(column));
+    if (missingColumns.length > 0) {
+      throw rosterError(400, 'invalid_csv', `Missing required column(s): ${missingColumns.join(', ')}`);
+    }
+    if (parsed.records.length === 0) {
+      throw rosterError(400, 'invalid_csv', 'The roster has no rows');
+    }
+    if (parsed.records.length > MAX_ROWS) {
+      throw rosterError(400, 'invalid_csv', `A roster may have at most ${MAX_ROWS} rows; split the file`);
+    }
+
+    const plan = await RosterImportService.planImport(school, parsed.records);
+
+    const report = {
+      schoolId: school.id,
+      dryRun,
+      totalRows: parsed.records.length,
+      valid: plan.errors.length === 0,
+      errors: plan.errors,
+      summary: plan.summary
+    };
+
+    if (!report.valid || dryRun) {
+      return report;
+    }
+
+    const newParentIds = await RosterImportService.applyPlan(school, plan, actor);
+
+    if (sendActivation) {
+      report.activation = await RosterImportService.sendActivations(newParentIds, actor, ip);
+    }
+
+    await AuditLogModel.record({
+      event: 'roster.imported',
+      actorId: actor.id,
+      subject: school.id,
+      ipAddress: ip,
+      details: { totalRows: report.totalRows, ...report.summary }
+    });
+
+    console.log(`[AUTH] Roster imported for ${school.id} by ${actor.id}: ${JSON.stringify(report.summary)}`);
+
+    return report;
+  }
+
+  /**
+   * Validate every row against the file and the existing accounts, and work out what to write
+   * @param {Object} school - School
+   * @param {Array} records - Parsed CSV records
+   * @returns {Promise<Object>} { rows, errors, summary }
+   */
+  static async planImport(school, records) {
+    const rows = [];
+    const errors = [];
+    const seenStudentNumbers = new Map();
+    const newParents = new Map();
+    const summary = { studentsCreated: 0, studentsUpdated: 0, parentsCreated: 0, parentsLinked: 0 };
+
+    for (const record of records) {
+      const { student, errors: rowErrors } = validateRow(record.values);
+
+      if (student.studentNumber && seenStudentNumbers.has(student.studentNumber)) {
+        rowErrors.push(`student_id ${student.studentNumber} also appears on line ${seenStudentNumbers.get(student.studentNumber)}`);
+      } else if (student.studentNumber) {
+        seenStudentNumbers.set(student.studentNumber, record.line);
+      }
+
+      let existingStudent = null;
+      let username = null;
+      if (rowErrors.length === 0) {
+        existingStudent = await UserModel.findByStudentNumber(school.id, student.studentNumber);
+        if (!existingStudent) {
+          username = `${school.id}-${student.studentNumber.toLowerCase()}`;
+          if (await UserModel.findByUsername(username)) {
+            rowErrors.push(`username ${username} is already taken by another account`);
+          }
+        }
+      }
+
+      let parent = null;
+      if (rowErrors.length === 0 && student.parentPhone) {
+        const existingParent = await UserModel.findByPhone(student.parentPhone);
+        if (existingParent && existingParent.role !== 'PARENT') {
+          rowErrors.push('parent_phone belongs to an account that is not a parent');
+        } else if (existingParent) {
+          parent = { id: existingParent.id, isNew: false };
+        } else if (newParents.has(student.parentPhone)) {
+          // Siblings share one new parent account
+          parent = newParents.get(student.parentPhone);
+        } else {
+          parent = {
+            id: newUserId('par'),
+            isNew: true,
+            phone: student.parentPhone,
+            username: `parent-${student.parentPhone.replace(/\D/g, '')}`,
+            name: student.parentName || `Parent of ${student.name}`
+          };
+          if (await UserModel.findByUsername(parent.username)) {
+            rowErrors.push(`username ${parent.username} for the new parent account is already taken`);
+            parent = null;
+          } else {
+            newParents.set(student.parentPhone, parent);
+          }
+        }
+      }
+
+      if (rowErrors.length > 0) {
+        errors.push({ line: record.line, studentId: student.studentNumber || null, errors: rowErrors });
+        continue;
+      }
+
+      const studentId = existingStudent ? existingStudent.id : newUserId('std');
+      const alreadyLinked = Boolean(parent && !parent.isNew &&
+        (await GuardianModel.findLinks({ parentId: parent.id, childId: studentId })).length > 0);
+
+      rows.push({ student, studentId, username, isNew: !existingStudent, parent, linkParent: Boolean(parent) && !alreadyLinked });
+
+      summary[existingStudent ? 'studentsUpdated' : 'studentsCreated']++;
+      if (parent && !alreadyLinked) summary.parentsLinked++;
+    }
+
+    summary.parentsCreated = newParents.size;
+
+    return { rows, errors, summary };
+  }
+
+  /**
+   * Write a validated plan in one transaction. New accounts are created awaiting activation
+   * with an unusable random password.
+   * @param {Object} school - School
+   * @param {Object} plan - Result of planImport
+   * @param {Object} actor - Request user
+   * @returns {Promise<Array<string>>} IDs of parent accounts created
+   */
+  static async applyPlan(school, plan, actor) {
+    const placeholderHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+    const createdParents = new Set();
+
+    await db.transaction(async () => {
+      for (const row of plan.rows) {
+        const { student, parent } = row;
+
+        if (row.isNew) {
+          await UserModel.upsert({
+            id: row.studentId,
+            username: row.username,
+            passwordHash: placeholderHash,
+            role: 'STUDENT',
+            status: 'pending_activation',
+            profile: {
+              name: student.name,
+              school: school.name,
+              school_id: school.id,
+              grade: student.grade,
+              student_number: student.studentNumber,
+              dietary_restrictions: student.dietaryRestrictions,
+              subsidy_eligible: student.subsidyEligible
+            }
+          });
+        } else {
+          await UserModel.updateProfile(row.studentId, {
+            name: student.name,
+            grade: student.grade,
+            dietary_restrictions: student.dietaryRestrictions,
+            subsidy_eligible: student.subsidyEligible
+          });
+        }
+
+        if (parent && parent.isNew && !createdParents.has(parent.id)) {
+          await UserModel.upsert({
+            id: parent.id,
+            username: parent.username,
+            passwordHash: placeholderHash,
+            role: 'PARENT',
+            status: 'pending_activation',
+            profile: { name: parent.name, phone: parent.phone }
+          });
+          createdParents.add(parent.id);
+        }
+
+        if (row.linkParent) {
+          await GuardianModel.link({
+            parentId: parent.id,
+            childId: row.studentId,
+            linkedVia: 'roster',
+            linkedBy: actor.id
+          });
+        }
+      }
+    });
+
+    return [...createdParents];
+  }
+
+  /**
+   * Send activation links to newly created parent accounts
+   * @param {Array<string>} parentIds - New parent user IDs
+   * @param {Object} actor - Request user
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  static async sendActivations(parentIds, actor, ip) {
+    const result = { sent: 0, failed: [] };
+
+    for (const parentId of parentIds) {
+      try {
+        await AccountService.sendActivation(await UserModel.findById(parentId), actor.id, ip);
+        result.sent++;
+      } catch (error) {
+        result.failed.push({ userId: parentId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = RosterImportService;
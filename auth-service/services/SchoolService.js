@@ -0,0 +1,266 @@
+const { isCrossTenant } = require('nutriconnect-shared/auth');
+const SchoolModel = require('../models/School');
+const AuditLogModel = require('../models/AuditLog');
+
+const SCHOOL_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,49}$/;
+const MEAL_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SCHOOL_STATUSES = ['active', 'suspended'];
+
+const schoolError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Apply a settings patch to a school's stored settings, validating every field.
+ * mealPrices entries are merged one by one; a null price removes the override.
+ * @param {Object} stored - Currently stored settings overrides
+ * @param {Object} patch - Settings to change
+ * @returns {Object} { settings, errors }
+ */
+const applySettingsPatch = (stored, patch) => {
+  const errors = [];
+  const settings = { ...stored };
+
+  if (typeof patch !== 'object' || patch === null || Array.isArray(patch)) {
+    return { settings, errors: ['settings must be an object'] };
+  }
+
+  for (const [key, value] of Object.entries(patch)) {
+    switch (key) {
+      case 'timezone':
+        if (typeof value !== 'string' || !isValidTimezone(value)) {
+          errors.push('timezone must be an IANA time zone such as Asia/Colombo');
+        } else {
+          settings.timezone = value;
+        }
+        break;
+
+      case 'currency':
+        if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) {
+          errors.push('currency must be a 3-letter ISO currency code');
+        } else {
+          settings.currency = value;
+        }
+        break;
+
+      case 'orderCutoffTime':
+        if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+          errors.push('orderCutoffTime must be a 24-hour time (HH:MM)');
+        } else {
+          settings.orderCutoffTime = value;
+        }
+        break;
+
+      case 'bookingHorizonDays':
+        if (!Number.isInteger(value) || value < 0 || value > 365) {
+          errors.push('bookingHorizonDays must be a whole number of days from 0 to 365');
+        } else {
+          settings.bookingHorizonDays = value;
+        }
+        break;
+
+      case 'cancellationCutoffTime':
+        if (value !== null && (typeof value !== 'string' || !TIME_PATTERN.test(value))) {
+          errors.push('cancellationCutoffTime must be a 24-hour time (HH:MM) or null');
+        } else {
+          settings.cancellationCutoffTime = value;
+        }
+        break;
+
+      case 'mealPrices': {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          errors.push('mealPrices must map meal IDs to prices');
+          break;
+        }
+        const mealPrices = { ...settings.mealPrices };
+        for (const [mealId, price] of Object.entries(value)) {
+          if (!MEAL_ID_PATTERN.test(mealId)) {
+            errors.push(`mealPrices: invalid meal ID ${mealId}`);
+          } else if (price === null) {
+            delete mealPrices[mealId];
+          } else if (!isAmount(price)) {
+            errors.push(`mealPrices.${mealId} must be a non-negative number`);
+          } else {
+            mealPrices[mealId] = price;
+          }
+        }
+        settings.mealPrices = mealPrices;
+        break;
+      }
+
+      case 'subsidyProgram': {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+          errors.push('subsidyProgram must be an object');
+          break;
+        }
+        const program = { ...settings.subsidyProgram };
+        for (const [field, fieldValue] of Object.entries(value)) {
+          if (field === 'id' || field === 'name') {
+            if (typeof fieldValue !== 'string' || !fieldValue.trim() || fieldValue.length > 100) {
+              errors.push(`subsidyProgram.${field} must be a non-empty string`);
+            } else {
+              program[field] = fieldValue.trim();
+            }
+          } else if (field === 'amountPerMeal' || field === 'maxPerOrder') {
+            if (fieldValue !== null && !isAmount(fieldValue)) {
+              errors.push(`subsidyProgram.${field} must be a non-negative number or null`);
+            } else {
+              program[field] = fieldValue;
+            }
+          } else {
+            errors.push(`subsidyProgram.${field} is not a known setting`);
+          }
+        }
+        settings.subsidyProgram = program;
+        break;
+      }
+
+      default:
+        errors.push(`${key} is not a known setting`);
+    }
+  }
+
+  return { settings, errors };
+};
+
+const throwIfInvalid = (errors) => {
+  if (errors.length > 0) {
+    throw schoolError(400, 'validation_error', errors.join('; '));
+  }
+};
+
+class SchoolService {
+
+  /**
+   * Register a school (tenant)
+   * @param {Object} schoolData - { id, name, settings }; id defaults to a slug of the name
+   * @param {Object} actor - Request user
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} School
+   */
+  static async createSchool(schoolData, actor, ip) {
+    const name = typeof schoolData.name === 'string' ? schoolData.name.trim() : '';
+    if (!name || name.length > 100) {
+      throw schoolError(400, 'validation_error', 'name is required (max 100 characters)');
+    }
+
+    const id = schoolData.id || slugify(name);
+    if (!SCHOOL_ID_PATTERN.test(id)) {
+      throw schoolError(400, 'validation_error', 'id may only contain lowercase letters, numbers and "-" (2-50)');
+    }
+
+    const { settings, errors } = applySettingsPatch({}, schoolData.settings || {});
+    throwIfInvalid(errors);
+
+    if (await SchoolModel.findById(id) || await SchoolModel.findByName(name)) {
+      throw schoolError(409, 'school_exists', 'A school with this ID or name already exists');
+    }
+
+    const school = await SchoolModel.create({ id, name, settings });
+
+    await AuditLogModel.record({
+      event: 'school.created',
+      actorId: actor.id,
+      subject: school.id,
+      ipAddress: ip,
+      details: { name, settings }
+    });
+
+    return school;
+  }
+
+  /**
+   * Rename, suspend/reactivate or reconfigure a school
+   * @param {string} schoolId - School ID
+   * @param {Object} changes - Any of { name, status, settings }; settings are a patch
+   * @param {Object} actor - Request user
+   * @param {string} ip - Client IP address
+   * @returns {Promise<Object>} Updated school
+   */
+  static async updateSchool(schoolId, changes, actor, ip) {
+    const stored = await SchoolModel.findStoredSettings(schoolId);
+    if (!stored) {
+      throw schoolError(404, 'school_not_found', 'School not found');
+    }
+
+    const fields = {};
+    const errors = [];
+
+    if (changes.name !== undefined) {
+      const name = typeof changes.name === 'string' ? changes.name.trim() : '';
+      if (!name || name.length > 100) {
+        errors.push('name must be a non-empty string (max 100 characters)');
+      } else {
+        const existing = await SchoolModel.findByName(name);
+        if (existing && existing.id !== schoolId) {
+          throw schoolError(409, 'school_exists', 'Another school already has this name');
+        }
+        fields.name = name;
+      }
+    }
+
+    if (changes.status !== undefined) {
+      if (!SCHOOL_STATUSES.includes(changes.status)) {
+        errors.push(`status must be one of ${SCHOOL_STATUSES.join(', ')}`);
+      } else {
+        fields.status = changes.status;
+      }
+    }
+
+    if (changes.settings !== undefined) {
+      const patched = applySettingsPatch(stored, changes.settings);
+      errors.push(...patched.errors);
+      fields.settings = patched.settings;
+    }
+
+    throwIfInvalid(errors);
+
+    const school = await SchoolModel.update(schoolId, fields);
+
+    await AuditLogModel.record({
+      event: 'school.updated',
+      actorId: actor.id,
+      subject: schoolId,
+      ipAddress: ip,
+      details: changes
+    });
+
+    return school;
+  }
+
+  /**
+   * Get a school the caller may see: admins see every school, everyone else only their own
+   * @param {string} schoolId - School ID
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} School
+   */
+  static async getSchoolForActor(schoolId, actor) {
+    const school = await SchoolModel.findById(schoolId);
+
+    // Other tenants' schools are reported as missing rather than forbidden
+    if (!school || (!isCrossTenant(actor) && actor.schoolId !== school.id)) {
+      throw schoolError(404, 'school_not_found', 'School not found');
+    }
+
+    return school;
+  }
+}
+
+module.exports = SchoolService;
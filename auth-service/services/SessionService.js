@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const RefreshTokenModel = require('../models/RefreshToken');
+const UserModel = require('../models/User');
+const tokenConfig = require('../config/tokens');
+
+/**
+ * Hash an opaque refresh token for storage and lookup
+ * @param {string} token - Opaque token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invalidGrant = (message) => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = 'invalid_grant';
+  return error;
+};
+
+class SessionService {
+
+  /**
+   * Issue a refresh token, starting a new session family unless one is given
+   * @param {string} userId - User ID
+   * @param {Object} device - { deviceId, userAgent }
+   * @param {string} familyId - Existing session family (on rotation)
+   * @returns {Promise<Object>} { refreshToken, record }
+   */
+  static async issueRefreshToken(userId, device = {}, familyId = uuidv4()) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + tokenConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+
+    const record = await RefreshTokenModel.create({
+      id: uuidv4(),
+      tokenHash: hashToken(refreshToken),
+      userId,
+      familyId,
+      deviceId: device.deviceId,
+      userAgent: device.userAgent,
+      expiresAt
+    });
+
+    return { refreshToken, record };
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   * Presenting an already-used token revokes the whole family.
+   * @param {string} refreshToken - Opaque refresh token
+   * @param {Object} device - { deviceId, userAgent }
+   * @returns {Promise<Object>} { user, refreshToken, sessionId }
+   */
+  static async rotateRefreshToken(refreshToken, device = {}) {
+    const record = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+
+    if (!record) {
+      throw invalidGrant('Invalid refresh token');
+    }
+
+    if (record.revokedAt) {
+      throw invalidGrant('Refresh token has been revoked');
+    }
+
+    if (record.usedAt) {
+      await RefreshTokenModel.revokeFamily(record.familyId, 'reuse_detected');
+      console.warn(`[AUTH] Refresh token reuse detected for user ${record.userId}; session ${record.familyId} revoked`);
+      throw invalidGrant('Refresh token has already been used; session revoked');
+    }
+
+    if (new Date(record.expiresAt) <= new Date()) {
+      throw invalidGrant('Refresh token has expired');
+    }
+
+    if (record.deviceId && record.deviceId !== device.deviceId) {
+      throw invalidGrant('Refresh token was issued to a different device');
+    }
+
+    const user = await UserModel.findById(record.userId);
+    if (!user) {
+      await RefreshTokenModel.revokeFamily(record.familyId, 'user_deleted');
+      throw invalidGrant('Refresh token not found or expired');
+    }
+
+    const next = await SessionService.issueRefreshToken(
+      user.id,
+      { deviceId: record.deviceId, userAgent: device.userAgent },
+      record.familyId
+    );
+
+    // A concurrent request may have consumed the token in the meantime: treat that as reuse too
+    const consumed = await RefreshTokenModel.markUsed(record.id, next.record.id);
+    if (!consumed) {
+      await RefreshTokenModel.revokeFamily(record.familyId, 'reuse_detected');
+      throw invalidGrant('Refresh token has already been used; session revoked');
+    }
+
+    return {
+      user,
+      refreshToken: next.refreshToken,
+      sessionId: record.familyId
+    };
+  }
+
+  /**
+   * Revoke a login session (refresh token family)
+   * @param {string} sessionId - Token family ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  static async revokeSession(sessionId, reason = 'logout') {
+    return RefreshTokenModel.revokeFamily(sessionId, reason);
+  }
+
+  /**
+   * Revoke every refresh token session of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  static async revokeAllForUser(userId, reason) {
+    return RefreshTokenModel.revokeAllForUser(userId, reason);
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   * @param {string} refreshToken - Opaque refresh token
+   * @param {string} userId - Owner of the token (tokens of other users are ignored)
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<number>} Number of tokens revoked
+   */
+  static async revokeByRefreshToken(refreshToken, userId, reason = 'logout') {
+    const record = await RefreshTokenModel.findByHash(hashToken(refreshToken));
+    if (!record || record.userId !== userId) return 0;
+    return RefreshTokenModel.revokeFamily(record.familyId, reason);
+  }
+}
+
+module.exports = SessionService;
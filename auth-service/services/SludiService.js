@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const sludiConfig = require('../config/sludi');
+const { requestJson } = require('../utils/http');
+
+const PENDING_LOGIN_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// In-flight authorization requests, keyed by OAuth state
+const pendingLogins = new Map();
+
+let discoveryCache = null;
+let jwksCache = new Map(); // kid -> public KeyObject
+
+const sludiError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Signs the state held in the browser's login cookie. Pending logins only live in this process's
+// memory, so a key per process is enough: a restart drops both.
+const bindingKey = crypto.randomBytes(32);
+const signState = (state) => crypto.createHmac('sha256', bindingKey).update(state).digest('base64url');
+
+/**
+ * Whether a browser binding was issued for this state
+ * @param {string} state - OAuth state from the callback
+ * @param {string} binding - Value of the browser's login cookie
+ * @returns {boolean}
+ */
+const isBoundTo = (state, binding) => {
+  if (typeof binding !== 'string') return false;
+  const expected = Buffer.from(`${state}.${signState(state)}`);
+  const actual = Buffer.from(binding);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+class SludiService {
+
+  /**
+   * Fetch (and cache) the provider's OpenID Connect discovery metadata
+   * @returns {Promise<Object>} Provider metadata
+   */
+  static async getDiscovery() {
+    if (!discoveryCache) {
+      const { status, body } = await requestJson(`${sludiConfig.baseUrl}/.well-known/openid-configuration`);
+      if (status !== 200) {
+        throw sludiError(502, 'sludi_unavailable', 'SLUDI discovery metadata could not be loaded');
+      }
+      discoveryCache = body;
+    }
+    return discoveryCache;
+  }
+
+  /**
+   * Resolve an id_token signing key, refetching the JWKS once for unknown key IDs
+   * @param {string} kid - Key ID from the id_token header
+   * @returns {Promise<KeyObject>} Public key
+   */
+  static async getSigningKey(kid) {
+    if (!jwksCache.has(kid)) {
+      const { jwks_uri } = await SludiService.getDiscovery();
+      const { status, body } = await requestJson(jwks_uri);
+      if (status !== 200) {
+        throw sludiError(502, 'sludi_unavailable', 'SLUDI signing keys could not be loaded');
+      }
+      jwksCache = new Map(body.keys
+        .filter(key => key.kty === 'RSA' && (!key.use || key.use === 'sig'))
+        .map(key => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+    }
+
+    const key = jwksCache.get(kid);
+    if (!key) {
+      throw sludiError(401, 'invalid_id_token', 'id_token is signed with an unknown key');
+    }
+    return key;
+  }
+
+  /**
+   * Start an authorization code + PKCE login. The browser starting it keeps browserBinding (in a
+   * short-lived cookie) and must present it on the callback, so a callback URL with someone else's
+   * state and code cannot sign it in to their account.
+   * @param {Object} options - { loginHint }
+   * @returns {Promise<Object>} { authorizationUrl, state, browserBinding, expiresIn }
+   */
+  static async createAuthorizationRequest(options = {}) {
+    const { authorization_endpoint } = await SludiService.getDiscovery();
+
+    const state = randomToken();
+    const nonce = randomToken();
+    const codeVerifier = randomToken();
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+    SludiService.prunePendingLogins();
+    pendingLogins.set(state, {
+      nonce,
+      codeVerifier,
+      expiresAt: Date.now() + PENDING_LOGIN_TTL_MS
+    });
+
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: sludiConfig.clientId,
+      redirect_uri: sludiConfig.redirectUri,
+      scope: sludiConfig.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      ...(options.loginHint && { login_hint: options.loginHint })
+    }).toString();
+
+    return {
+      authorizationUrl: url.toString(),
+      state,
+      browserBinding: `${state}.${signState(state)}`,
+      expiresIn: PENDING_LOGIN_TTL_MS / 1000
+    };
+  }
+
+  /**
+   * Complete a login: exchange the code and verify the id_token
+   * @param {string} state - OAuth state from the callback
+   * @param {string} code - Authorization code from the callback
+   * @param {string} binding - Browser binding issued with the login request, from the browser's cookie
+   * @returns {Promise<Object>} { claims, scope }
+   */
+  static async completeAuthorization(state, code, binding) {
+    const pending = pendingLogins.get(state);
+    // State values are single use
+    pendingLogins.delete(state);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      throw sludiError(400, 'invalid_state', 'Login request is unknown or has expired; start again');
+    }
+    if (!isBoundTo(state, binding)) {
+      throw sludiError(400, 'invalid_state', 'Login request was not started in this browser; start again');
+    }
+
+    const { token_endpoint } = await SludiService.getDiscovery();
+    const { status, body } = await requestJson(token_endpoint, {
+      method: 'POST',
+      form: {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: sludiConfig.redirectUri,
+        client_id: sludiConfig.clientId,
+        code_verifier: pending.codeVerifier,
+        ...(sludiConfig.clientSecret && { client_secret: sludiConfig.clientSecret })
+      }
+    });
+
+    if (status !== 200) {
+      console.warn(`[SLUDI] Token exchange failed: ${body && body.error_description}`);
+      throw sludiError(401, 'invalid_grant', 'SLUDI rejected the authorization code');
+    }
+
+    const claims = await SludiService.verifyIdToken(body.id_token, pending.nonce);
+
+    return { claims, scope: body.scope };
+  }
+
+  /**
+   * Verify an id_token's signature, issuer, audience, expiry and nonce
+   * @param {string} idToken - Compact JWS
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Verified claims
+   */
+  static async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken || '', { complete: true });
+    if (!decoded) {
+      throw sludiError(401, 'invalid_id_token', 'id_token is missing or malformed');
+    }
+
+    const { issuer } = await SludiService.getDiscovery();
+    const key = await SludiService.getSigningKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer,
+        audience: sludiConfig.clientId
+      });
+    } catch (error) {
+      throw sludiError(401, 'invalid_id_token', `id_token verification failed: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw sludiError(401, 'invalid_id_token', 'id_token nonce does not match the login request');
+    }
+
+    return claims;
+  }
+
+  static prunePendingLogins() {
+    const now = Date.now();
+    for (const [state, pending] of pendingLogins) {
+      if (pending.expiresAt < now) pendingLogins.delete(state);
+    }
+  }
+}
+
+module.exports = SludiService;
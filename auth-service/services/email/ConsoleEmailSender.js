@@ -0,0 +1,16 @@
+/**
+ * Development email sender that prints messages to the console
+ */
+class ConsoleEmailSender {
+  /**
+   * @param {Object} email - { to, subject, text }
+   * @returns {Promise<Object>} { provider, messageId }
+   */
+  async send({ to, subject, text }) {
+    const messageId = `console_${Date.now()}`;
+    console.log(`[EMAIL] To ${to}: ${subject}\n${text}`);
+    return { provider: 'console', messageId };
+  }
+}
+
+module.exports = ConsoleEmailSender;
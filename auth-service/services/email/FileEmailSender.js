@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Development email sender that appends messages to a local file (one JSON object per line)
+ */
+class FileEmailSender {
+  /**
+   * @param {string} filePath - Outbox file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {Object} email - { to, subject, text }
+   * @returns {Promise<Object>} { provider, messageId }
+   */
+  async send({ to, subject, text }) {
+    const messageId = `file_${Date.now()}`;
+    const entry = { messageId, to, subject, text, sentAt: new Date().toISOString() };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return { provider: 'file', messageId };
+  }
+}
+
+module.exports = FileEmailSender;
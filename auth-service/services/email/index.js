@@ -0,0 +1,44 @@
+const path = require('path');
+const ConsoleEmailSender = require('./ConsoleEmailSender');
+const FileEmailSender = require('./FileEmailSender');
+
+/**
+ * Email delivery is pluggable in the same way as SMS: any object with
+ * `send({ to, subject, text })` returning a promise of `{ provider, messageId }` can be
+ * installed with setEmailSender. EMAIL_PROVIDER picks one of the built-in development
+ * senders; the default writes to a local outbox file.
+ */
+let emailSender = null;
+
+const createDefaultSender = () => {
+  switch (process.env.EMAIL_PROVIDER || 'file') {
+    case 'file':
+      return new FileEmailSender(path.resolve(
+        __dirname,
+        '../..',
+        process.env.EMAIL_OUTBOX_PATH || './data/email-outbox.log'
+      ));
+    case 'console':
+      return new ConsoleEmailSender();
+    default:
+      throw new Error(`Unknown EMAIL_PROVIDER: ${process.env.EMAIL_PROVIDER}`);
+  }
+};
+
+function getEmailSender() {
+  if (!emailSender) {
+    emailSender = createDefaultSender();
+  }
+  return emailSender;
+}
+
+function setEmailSender(sender) {
+  emailSender = sender;
+}
+
+module.exports = {
+  getEmailSender,
+  setEmailSender,
+  ConsoleEmailSender,
+  FileEmailSender
+};
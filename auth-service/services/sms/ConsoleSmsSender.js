@@ -0,0 +1,16 @@
+/**
+ * Development SMS sender that prints messages to the console
+ */
+class ConsoleSmsSender {
+  /**
+   * @param {Object} sms - { to, message }
+   * @returns {Promise<Object>} { provider, messageId }
+   */
+  async send({ to, message }) {
+    const messageId = `console_${Date.now()}`;
+    console.log(`[SMS] To ${to}: ${message}`);
+    return { provider: 'console', messageId };
+  }
+}
+
+module.exports = ConsoleSmsSender;
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Development SMS sender that appends messages to a local file (one JSON object per line)
+ */
+class FileSmsSender {
+  /**
+   * @param {string} filePath - Outbox file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {Object} sms - { to, message }
+   * @returns {Promise<Object>} { provider, messageId }
+   */
+  async send({ to, message }) {
+    const messageId = `file_${Date.now()}`;
+    const entry = { messageId, to, message, sentAt: new Date().toISOString() };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+
+    return { provider: 'file', messageId };
+  }
+}
+
+module.exports = FileSmsSender;
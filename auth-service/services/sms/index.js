@@ -0,0 +1,43 @@
+const path = require('path');
+const ConsoleSmsSender = require('./ConsoleSmsSender');
+const FileSmsSender = require('./FileSmsSender');
+
+/**
+ * SMS delivery is pluggable: any object with `send({ to, message })` returning a
+ * promise of `{ provider, messageId }` can be installed with setSmsSender (e.g. an
+ * SMS gateway client). SMS_PROVIDER picks one of the built-in development senders.
+ */
+let smsSender = null;
+
+const createDefaultSender = () => {
+  switch (process.env.SMS_PROVIDER || 'console') {
+    case 'file':
+      return new FileSmsSender(path.resolve(
+        __dirname,
+        '../..',
+        process.env.SMS_OUTBOX_PATH || './data/sms-outbox.log'
+      ));
+    case 'console':
+      return new ConsoleSmsSender();
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${process.env.SMS_PROVIDER}`);
+  }
+};
+
+function getSmsSender() {
+  if (!smsSender) {
+    smsSender = createDefaultSender();
+  }
+  return smsSender;
+}
+
+function setSmsSender(sender) {
+  smsSender = sender;
+}
+
+module.exports = {
+  getSmsSender,
+  setSmsSender,
+  ConsoleSmsSender,
+  FileSmsSender
+};
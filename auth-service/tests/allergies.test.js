@@ -0,0 +1,18 @@
+const db = require('../db');
+const AllergyModel = require('../models/Allergy');
+const { prepare } = require('./helpers');
+
+describe('student allergies', () => {
+  beforeAll(() => prepare());
+  afterAll(() => db.close());
+
+  it('applies replacements made at the same time one after the other', async () => {
+    await Promise.all([
+      AllergyModel.replace('std_001', ['peanuts', 'milk'], 'par_001'),
+      AllergyModel.replace('std_001', ['peanuts'], 'par_001')
+    ]);
+
+    const allergies = await AllergyModel.findByStudent('std_001');
+    expect(allergies.map(({ allergen }) => allergen)).toEqual(['peanuts']);
+  });
+});
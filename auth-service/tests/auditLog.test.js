@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const { prepare, login, loginAsAdmin } = require('./helpers');
+
+describe('audit log', () => {
+  let admin;
+
+  const auditLog = (query = '') => request(app)
+    .get(`/api/admin/audit-log${query}`)
+    .set('Authorization', admin.authorization);
+
+  const verify = async () => (await request(app)
+    .get('/api/admin/audit-log/verify')
+    .set('Authorization', admin.authorization)).body;
+
+  const recordEvent = (body, serviceKey = 'test_service_key') => request(app)
+    .post('/api/admin/audit-log/events')
+    .set('X-Service-Key', serviceKey)
+    .send(body);
+
+  beforeAll(async () => {
+    await prepare();
+    await login(app, 'student123', 'password123');
+    admin = await loginAsAdmin(app);
+  });
+
+  afterAll(() => db.close());
+
+  it('records events from other services and filters them by actor, entity and date', async () => {
+    const recorded = await recordEvent({
+      event: 'order.status_changed',
+      service: 'order-service',
+      actorId: 'staff_001',
+      entityType: 'order',
+      entityId: 'ord_001',
+      before: { status: 'PENDING' },
+      after: { status: 'CONFIRMED' }
+    });
+    expect(recorded.status).toBe(201);
+    expect((await recordEvent({ event: 'order.cancelled', service: 'order-service' }, 'wrong_key')).status).toBe(401);
+
+    const byActor = await auditLog('?actorId=staff_001');
+    expect(byActor.status).toBe(200);
+    expect(byActor.body.entries).toHaveLength(1);
+    expect(byActor.body.entries[0]).toMatchObject({
+      event: 'order.status_changed',
+      service: 'order-service',
+      entityId: 'ord_001',
+      before: { status: 'PENDING' },
+      after: { status: 'CONFIRMED' }
+    });
+
+    const today = new Date().toISOString().slice(0, 10);
+    expect((await auditLog(`?entityType=order&entityId=ord_001&from=${today}&to=${today}`)).body.entries).toHaveLength(1);
+    expect((await auditLog('?entityId=ord_001&to=2000-01-01')).body.entries).toHaveLength(0);
+    expect((await auditLog('?subject=std_001&event=login.succeeded')).body.entries).toHaveLength(1);
+
+    const staff = await login(app, 'staff789', 'password789');
+    expect((await request(app).get('/api/admin/audit-log').set('Authorization', staff.authorization)).status).toBe(403);
+  });
+
+  it('refuses changes to recorded entries', async () => {
+    await expect(db.run("UPDATE audit_log SET actor_id = 'someone_else'")).rejects.toThrow('audit_log is append-only');
+    await expect(db.run('DELETE FROM audit_log')).rejects.toThrow('audit_log is append-only');
+  });
+
+  it('detects entries changed or removed behind its back', async () => {
+    const intact = await verify();
+    expect(intact).toMatchObject({ valid: true, brokenAt: null });
+
+    // Someone with direct access to the database file works around the triggers
+    await db.run('DROP TRIGGER audit_log_no_update');
+    await db.run('DROP TRIGGER audit_log_no_delete');
+
+    const { seq, actor_id: actorId } = await db.get("SELECT seq, actor_id FROM audit_log WHERE event = 'order.status_changed'");
+    await db.run("UPDATE audit_log SET actor_id = 'someone_else' WHERE seq = ?", [seq]);
+    expect((await verify()).brokenAt).toMatchObject({ seq, reason: 'entry contents do not match its hash' });
+
+    await db.run('UPDATE audit_log SET actor_id = ? WHERE seq = ?', [actorId, seq]);
+    expect((await verify()).valid).toBe(true);
+
+    await db.run('DELETE FROM audit_log WHERE seq = ?', [seq]);
+    const removed = await verify();
+    expect(removed.valid).toBe(false);
+    expect(removed.brokenAt.reason).toBe(`expected entry ${seq} but found ${seq + 1} (entries removed)`);
+  });
+});
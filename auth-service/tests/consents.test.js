@@ -0,0 +1,109 @@
+const http = require('http');
+const request = require('supertest');
+const UserModel = require('../models/User');
+const { DEMO_USERS } = require('../db/seed');
+const { prepare, login } = require('./helpers');
+
+const SERVICE_KEY = 'test_service_key';
+
+/**
+ * Health records come from the mock NDX mounted on auth-service itself, and its URL is read when
+ * the app loads, so the server listens (on a free port) before the app is required.
+ */
+describe('consent', () => {
+  const server = http.createServer();
+  let app;
+  let db;
+  let AuditLogModel;
+  let parent;
+  let staff;
+
+  const healthRecord = () => request(app)
+    .get('/api/v1/students/std_001/health-record')
+    .set('X-Service-Key', SERVICE_KEY)
+    .set('X-Service-Name', 'order-service');
+
+  const setConsent = (session, purpose, action, studentId = 'std_001') => request(app)
+    .post(`/api/consents/students/${studentId}/${purpose}/${action}`)
+    .set('Authorization', session.authorization);
+
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.NDX_BASE_URL = `http://127.0.0.1:${server.address().port}/mock/ndx`;
+
+    app = require('../server');
+    db = require('../db');
+    AuditLogModel = require('../models/AuditLog');
+    server.on('request', app);
+
+    await prepare();
+    parent = await login(app, 'parent456', 'password456');
+    staff = await login(app, 'staff789', 'password789');
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  it('shares NDX health records only while a guardian consents', async () => {
+    const refused = await healthRecord();
+    expect(refused.status).toBe(403);
+    expect(refused.body.error).toBe('consent_required');
+
+    expect((await setConsent(parent, 'ndx_health_records', 'grant')).status).toBe(200);
+    const shared = await healthRecord();
+    expect(shared.status).toBe(200);
+    expect(shared.body.studentId).toBe('std_001');
+
+    const [read] = await AuditLogModel.findAll({ event: 'student.health_record_read' });
+    expect(read).toMatchObject({ service: 'order-service', entityId: 'std_001' });
+
+    expect((await setConsent(parent, 'ndx_health_records', 'withdraw')).status).toBe(200);
+    expect((await healthRecord()).status).toBe(403);
+  });
+
+  it("leaves students out of analytics without their guardian's consent", async () => {
+    const analytics = () => request(app)
+      .get('/api/v1/nutrition/analytics?schoolId=royal-college')
+      .set('X-Service-Key', SERVICE_KEY);
+
+    expect((await analytics()).body).toMatchObject({ studentsIncluded: 0, studentsExcluded: 1 });
+
+    await setConsent(parent, 'analytics', 'grant');
+    expect((await analytics()).body).toMatchObject({ studentsIncluded: 1, studentsExcluded: 0 });
+  });
+
+  it('lets only verified guardians change consent', async () => {
+    const { passwordHash } = DEMO_USERS.find(user => user.id === 'par_001');
+    await UserModel.upsert({ id: 'par_002', username: 'parent222', passwordHash, role: 'PARENT', profile: { name: 'Ruwan Perera' } });
+    const stranger = await login(app, 'parent222', 'password456');
+
+    const response = await setConsent(stranger, 'analytics', 'withdraw');
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('forbidden');
+
+    // Staff may read consent but not give it
+    expect((await setConsent(staff, 'analytics', 'withdraw')).status).toBe(403);
+
+    const unknown = await setConsent(parent, 'marketing', 'grant');
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe('invalid_purpose');
+  });
+
+  it("exports the school's consent history", async () => {
+    const response = await request(app)
+      .get('/api/consents/export?purpose=ndx_health_records')
+      .set('Authorization', staff.authorization);
+
+    expect(response.status).toBe(200);
+    expect(response.body.records.map(record => record.action).sort()).toEqual(['granted', 'withdrawn']);
+    response.body.records.forEach(record => expect(record).toMatchObject({ studentId: 'std_001', actorId: 'par_001' }));
+
+    const csv = await request(app)
+      .get('/api/consents/export?format=csv')
+      .set('Authorization', staff.authorization);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.text.trim().split('\n')).toHaveLength(4);
+  });
+});
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { permissionsForRole } = require('nutriconnect-shared/auth');
+const app = require('../server');
+const db = require('../db');
+const UserModel = require('../models/User');
+const GuardianService = require('../services/GuardianService');
+const { DEMO_USERS } = require('../db/seed');
+const { prepare, login, startSubscriber } = require('./helpers');
+
+const studentActor = (extraPermissions = []) => ({
+  id: 'std_001',
+  role: 'STUDENT',
+  schoolId: 'royal-college',
+  permissions: [...permissionsForRole('STUDENT'), ...extraPermissions]
+});
+
+const refusal = (promise) => promise.then(() => null, error => ({ statusCode: error.statusCode, code: error.code }));
+
+describe('guardian links', () => {
+  const pushes = [];
+  let subscriber;
+
+  beforeAll(async () => {
+    await prepare();
+    subscriber = await startSubscriber(pushes);
+    process.env.REVOCATION_SUBSCRIBERS = `http://127.0.0.1:${subscriber.address().port}`;
+
+    // A second parent, not yet linked to anyone
+    const parent = DEMO_USERS.find(user => user.id === 'par_001');
+    await UserModel.upsert({ ...parent, id: 'par_002', username: 'parent222', sludiId: null, profile: { name: 'Ruwan Perera' } });
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => subscriber.close(resolve));
+    await db.close();
+  });
+
+  it('does not let students invite guardians for themselves', async () => {
+    const student = await login(app, 'student123', 'password123');
+
+    const response = await request(app)
+      .post('/api/guardians/invitations')
+      .set('Authorization', student.authorization)
+      .send({ studentId: 'std_001' });
+    expect(response.status).toBe(403);
+
+    // Nor with the permission granted some other way
+    expect(await refusal(GuardianService.createInvitation('std_001', studentActor(['create:guardian_invitation']))))
+      .toEqual({ statusCode: 403, code: 'forbidden' });
+  });
+
+  it('does not let students remove their guardians', async () => {
+    const student = await login(app, 'student123', 'password123');
+
+    const response = await request(app)
+      .delete('/api/guardians/links/par_001/std_001')
+      .set('Authorization', student.authorization);
+    expect(response.status).toBe(403);
+
+    expect(await refusal(GuardianService.unlink('par_001', 'std_001', studentActor(['delete:guardian_link']))))
+      .toEqual({ statusCode: 403, code: 'forbidden' });
+  });
+
+  it('links a parent with a code from school staff, and revokes their access as soon as they remove the link', async () => {
+    const staff = await login(app, 'staff789', 'password789');
+    const invitation = await request(app)
+      .post('/api/guardians/invitations')
+      .set('Authorization', staff.authorization)
+      .send({ studentId: 'std_001' });
+    expect(invitation.status).toBe(201);
+
+    const parent = await login(app, 'parent222', 'password456');
+    const linked = await request(app)
+      .post('/api/guardians/links')
+      .set('Authorization', parent.authorization)
+      .send({ code: invitation.body.code.toLowerCase(), relationship: 'father' });
+    expect(linked.status).toBe(201);
+    expect(linked.body.link).toMatchObject({ parentId: 'par_002', childId: 'std_001', childName: 'Kasun Perera' });
+
+    const unlinked = await request(app)
+      .delete('/api/guardians/links/par_002/std_001')
+      .set('Authorization', parent.authorization);
+    expect(unlinked.status).toBe(200);
+
+    // The parent's current token is refused here, and was pushed to the other services before the response
+    const stale = await request(app).get('/api/guardians/links').set('Authorization', parent.authorization);
+    expect(stale.status).toBe(401);
+    expect(pushes).toEqual([{
+      serviceKey: 'test_service_key',
+      users: [{ userId: 'par_002', notBeforeMs: expect.any(Number), exp: expect.any(Number) }]
+    }]);
+
+    // A token refreshed straight afterwards is not caught by the cutoff
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refresh_token: parent.refreshToken });
+    expect(refreshed.status).toBe(200);
+    const links = await request(app).get('/api/guardians/links').set('Authorization', `Bearer ${refreshed.body.token}`);
+    expect(links.status).toBe(200);
+    expect(links.body.links).toEqual([]);
+  });
+});
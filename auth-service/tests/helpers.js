@@ -0,0 +1,72 @@
+const express = require('express');
+const request = require('supertest');
+const db = require('../db');
+const { DEMO_USERS, seedDemoUsers } = require('../db/seed');
+const UserModel = require('../models/User');
+const KeyService = require('../services/KeyService');
+const RevocationService = require('../services/RevocationService');
+
+/**
+ * Migrate, seed the demo accounts and publish a signing key, as startServer does
+ * @returns {Promise<void>}
+ */
+const prepare = async () => {
+  await db.ready();
+  await seedDemoUsers();
+  await RevocationService.loadIntoMemory();
+  await KeyService.getActiveKey();
+  await KeyService.loadIntoMemory();
+};
+
+/**
+ * Sign in with a password
+ * @param {Object} app - Express app
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { token, refreshToken, authorization }
+ */
+const login = async (app, username, password) => {
+  const response = await request(app).post('/api/auth/login').send({ username, password });
+  expect(response.status).toBe(200);
+  return {
+    token: response.body.token,
+    refreshToken: response.body.refresh_token,
+    authorization: `Bearer ${response.body.token}`
+  };
+};
+
+/**
+ * Create a platform administrator (there is no demo one) and sign in as them
+ * @param {Object} app - Express app
+ * @returns {Promise<Object>} { token, refreshToken, authorization }
+ */
+const loginAsAdmin = async (app) => {
+  const { passwordHash } = DEMO_USERS.find(user => user.id === 'staff_001'); // password789
+  await UserModel.upsert({ id: 'adm_001', username: 'admin', passwordHash, role: 'ADMIN', profile: { name: 'Administrator' } });
+  return login(app, 'admin', 'password789');
+};
+
+/**
+ * Stand-in for a service receiving revocation pushes, recording what it receives
+ * @param {Array} pushes - Receives { serviceKey, ...body } for each push
+ * @returns {Promise<Object>} HTTP server; point REVOCATION_SUBSCRIBERS at it
+ */
+const startSubscriber = (pushes) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/revocations', (req, res) => {
+    pushes.push({ serviceKey: req.get('X-Service-Key'), ...req.body });
+    res.json({ success: true });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+};
+
+module.exports = {
+  prepare,
+  login,
+  loginAsAdmin,
+  startSubscriber
+};
@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const KeyService = require('../services/KeyService');
+const { prepare, login } = require('./helpers');
+
+const me = (authorization) => request(app).get('/api/auth/me').set('Authorization', authorization);
+const jwks = async () => (await request(app).get('/.well-known/jwks.json')).body.keys;
+const kidOf = (token) => jwt.decode(token, { complete: true }).header.kid;
+
+describe('signing keys', () => {
+  beforeAll(() => prepare());
+  afterAll(() => db.close());
+
+  it('signs access tokens with RS256 under a key published in the JWKS', async () => {
+    const { token } = await login(app, 'student123', 'password123');
+
+    const { header } = jwt.decode(token, { complete: true });
+    expect(header.alg).toBe('RS256');
+
+    const keys = await jwks();
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kid: header.kid, kty: 'RSA', use: 'sig', alg: 'RS256' });
+    // Only the public half is published
+    expect(keys[0].d).toBeUndefined();
+  });
+
+  it('keeps tokens signed with a retired key valid until it ages out', async () => {
+    const before = await login(app, 'student123', 'password123');
+    const { kid } = await KeyService.rotate();
+
+    const after = await login(app, 'student123', 'password123');
+    expect(kidOf(after.token)).toBe(kid);
+    expect((await jwks()).map(key => key.kid)).toEqual([kid, kidOf(before.token)]);
+    expect((await me(before.authorization)).status).toBe(200);
+
+    // Once every token the retired key signed has expired, it is no longer published or accepted
+    await db.run('UPDATE signing_keys SET retired_at = ? WHERE kid = ?', [
+      new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString(),
+      kidOf(before.token)
+    ]);
+    await KeyService.loadIntoMemory();
+
+    expect((await jwks()).map(key => key.kid)).toEqual([kid]);
+    expect((await me(before.authorization)).status).toBe(401);
+    expect((await me(after.authorization)).status).toBe(200);
+  });
+});
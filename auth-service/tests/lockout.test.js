@@ -0,0 +1,52 @@
+// Fewer failures before a lockout keep the progressive delays short
+process.env.LOGIN_MAX_FAILURES = '3';
+
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const AuditLogModel = require('../models/AuditLog');
+const { prepare, login, loginAsAdmin } = require('./helpers');
+
+const attempt = (password) => request(app).post('/api/auth/login').send({ username: 'parent456', password });
+const unlock = (authorization) => request(app).post('/api/admin/users/par_001/unlock').set('Authorization', authorization);
+
+describe('login lockout', () => {
+  beforeAll(() => prepare());
+  afterAll(() => db.close());
+
+  it('locks a username out after repeated failures, even for the right password', async () => {
+    expect((await attempt('wrong-1')).status).toBe(401);
+    expect((await attempt('wrong-2')).status).toBe(401);
+
+    const locking = await attempt('wrong-3');
+    expect(locking.status).toBe(429);
+    expect(locking.headers['retry-after']).toBe('900');
+    expect(locking.body).toEqual({
+      success: false,
+      error: 'invalid_credentials',
+      message: 'Too many failed login attempts. Try again in 15 minute(s).'
+    });
+
+    const correct = await attempt('password456');
+    expect(correct.status).toBe(429);
+    expect(correct.body.error).toBe('invalid_credentials');
+
+    const [locked] = await AuditLogModel.findAll({ event: 'login.account_locked' });
+    expect(locked).toMatchObject({ subject: 'par_001', details: { username: 'parent456', failures: 3 } });
+  });
+
+  it('lets an administrator lift the lockout', async () => {
+    const student = await login(app, 'student123', 'password123');
+    expect((await unlock(student.authorization)).status).toBe(403);
+
+    const admin = await loginAsAdmin(app);
+    const response = await unlock(admin.authorization);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, userId: 'par_001', wasLocked: true });
+
+    expect((await attempt('password456')).status).toBe(200);
+
+    const [unlocked] = await AuditLogModel.findAll({ event: 'login.account_unlocked' });
+    expect(unlocked).toMatchObject({ actorId: 'adm_001', subject: 'par_001' });
+  });
+});
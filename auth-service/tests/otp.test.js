@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const { setSmsSender } = require('../services/sms');
+const { prepare } = require('./helpers');
+
+const PHONE = '+94771234567';
+
+const requestCode = (phone = PHONE) => request(app).post('/api/auth/otp/request').send({ phone });
+const verify = (code, phone = PHONE) => request(app).post('/api/auth/otp/verify').send({ phone, code });
+
+// Move every challenge back in time, past the resend interval
+const backdateChallenges = (minutes) => db.run('UPDATE otp_challenges SET created_at = ?', [
+  new Date(Date.now() - minutes * 60 * 1000).toISOString()
+]);
+
+describe('OTP login', () => {
+  const sent = [];
+  const lastCode = () => sent[sent.length - 1].message.match(/code is (\d{6})/)[1];
+
+  beforeAll(async () => {
+    await prepare();
+    setSmsSender({
+      send: async (sms) => {
+        sent.push(sms);
+        return { provider: 'test', messageId: String(sent.length) };
+      }
+    });
+  });
+
+  afterAll(() => db.close());
+
+  beforeEach(async () => {
+    sent.length = 0;
+    await db.run('DELETE FROM otp_challenges');
+  });
+
+  it('signs a parent in with the code sent to their phone, once', async () => {
+    const response = await requestCode('0771234567');
+    expect(response.status).toBe(200);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe(PHONE);
+
+    const code = lastCode();
+    const login = await verify(code);
+    expect(login.status).toBe(200);
+    expect(login.body.user.id).toBe('par_001');
+
+    const replayed = await verify(code);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.error).toBe('invalid_otp');
+  });
+
+  it('answers unregistered numbers the same way without sending anything', async () => {
+    const response = await requestCode('+94770000000');
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('If this number is registered, a login code has been sent by SMS');
+    expect(sent).toHaveLength(0);
+  });
+
+  it('limits how often codes can be requested', async () => {
+    expect((await requestCode()).status).toBe(200);
+
+    const tooSoon = await requestCode();
+    expect(tooSoon.status).toBe(429);
+    expect(tooSoon.body.error).toBe('rate_limited');
+    expect(Number(tooSoon.headers['retry-after'])).toBeGreaterThan(0);
+
+    for (let requested = 1; requested < 5; requested++) {
+      await backdateChallenges(2);
+      expect((await requestCode()).status).toBe(200);
+    }
+
+    await backdateChallenges(2);
+    const tooMany = await requestCode();
+    expect(tooMany.status).toBe(429);
+    expect(tooMany.body.message).toBe('Too many code requests. Try again later');
+    expect(sent).toHaveLength(5);
+  });
+
+  it('refuses the right code after too many wrong ones', async () => {
+    await requestCode();
+    const code = lastCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await verify(wrong)).status).toBe(401);
+    }
+
+    const response = await verify(code);
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Too many incorrect attempts; request a new code');
+  });
+
+  it('refuses expired codes', async () => {
+    await requestCode();
+    await db.run('UPDATE otp_challenges SET expires_at = ?', [new Date(Date.now() - 1000).toISOString()]);
+
+    const response = await verify(lastCode());
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('invalid_otp');
+  });
+});
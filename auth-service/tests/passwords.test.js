@@ -0,0 +1,104 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const UserModel = require('../models/User');
+const { setEmailSender } = require('../services/email');
+const { DEMO_USERS } = require('../db/seed');
+const { prepare, login, loginAsAdmin } = require('./helpers');
+
+const forgot = (identifier) => request(app).post('/api/auth/password/forgot').send({ identifier });
+const reset = (token, password) => request(app).post('/api/auth/password/reset').send({ token, password });
+const attemptLogin = (username, password) => request(app).post('/api/auth/login').send({ username, password });
+
+describe('password reset and activation', () => {
+  const sent = [];
+  const linkToken = (to) => {
+    const email = sent.filter(message => message.to === to).pop();
+    return decodeURIComponent(email.text.match(/token=([^\s]+)/)[1]);
+  };
+
+  beforeAll(async () => {
+    await prepare();
+    setEmailSender({
+      send: async (email) => {
+        sent.push(email);
+        return { provider: 'test', messageId: String(sent.length) };
+      }
+    });
+  });
+
+  afterAll(() => db.close());
+
+  it('resets a password with a link that works only once', async () => {
+    const session = await login(app, 'student123', 'password123');
+
+    expect((await forgot('kasun.perera@student.royal.lk')).status).toBe(200);
+    const token = linkToken('kasun.perera@student.royal.lk');
+
+    const response = await reset(token, 'lunchbox2024');
+    expect(response.status).toBe(200);
+
+    expect((await attemptLogin('student123', 'password123')).status).toBe(401);
+    expect((await attemptLogin('student123', 'lunchbox2024')).status).toBe(200);
+    // Sessions from before the reset are ended
+    expect((await request(app).get('/api/auth/me').set('Authorization', session.authorization)).status).toBe(401);
+
+    const reused = await reset(token, 'another2024pass');
+    expect(reused.status).toBe(400);
+    expect(reused.body.error).toBe('invalid_token');
+  });
+
+  it('refuses weak passwords without using up the link', async () => {
+    await forgot('staff789');
+    const token = linkToken('sunil.fernando@staff.royal.lk');
+
+    const weak = await reset(token, 'staff789abc');
+    expect(weak.status).toBe(400);
+    expect(weak.body.error).toBe('weak_password');
+    expect(weak.body.details).toEqual(['Password must not contain your username']);
+
+    const common = await reset(token, 'password1234');
+    expect(common.body.details).toEqual(['Password is too common']);
+
+    expect((await reset(token, 'canteen2024menu')).status).toBe(200);
+  });
+
+  it('does not reveal whether an account exists', async () => {
+    sent.length = 0;
+    const response = await forgot('nobody@example.lk');
+
+    expect(response.status).toBe(200);
+    expect(response.body.message).toBe('If an account matches, a password reset link has been sent');
+    expect(sent).toHaveLength(0);
+  });
+
+  it('activates a new account once with the link an administrator sends', async () => {
+    const parent = DEMO_USERS.find(user => user.id === 'par_001');
+    await UserModel.upsert({
+      id: 'par_003',
+      username: 'parent333',
+      passwordHash: parent.passwordHash,
+      role: 'PARENT',
+      status: 'pending_activation',
+      profile: { name: 'Chamari Silva', email: 'chamari.silva@example.lk' }
+    });
+    // Accounts awaiting activation cannot sign in yet
+    const pending = await attemptLogin('parent333', 'password456');
+    expect(pending.status).toBe(403);
+    expect(pending.body.error).toBe('account_not_activated');
+
+    const admin = await loginAsAdmin(app);
+    const activation = await request(app)
+      .post('/api/admin/users/par_003/activation')
+      .set('Authorization', admin.authorization);
+    expect(activation.status).toBe(200);
+
+    const token = linkToken('chamari.silva@example.lk');
+    expect((await request(app).post('/api/auth/activate').send({ token, password: 'mealtime2024' })).status).toBe(200);
+    expect((await attemptLogin('parent333', 'mealtime2024')).status).toBe(200);
+
+    const again = await request(app).post('/api/auth/activate').send({ token, password: 'mealtime2025' });
+    expect(again.status).toBe(400);
+    expect(again.body.error).toBe('invalid_token');
+  });
+});
@@ -0,0 +1,106 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const UserModel = require('../models/User');
+const AuditLogModel = require('../models/AuditLog');
+const { prepare, login, loginAsAdmin } = require('./helpers');
+
+const ROSTER = [
+  'student_id,name,grade,parent_phone,parent_name,subsidy_eligible,dietary_restrictions',
+  'RC-10234,Kasun Perera,11A,+94771234567,,yes,vegetarian',
+  'RC-20001,Dilini Jayasuriya,6B,0712345678,Ruwani Jayasuriya,no,',
+  'RC-20002,Tharindu Jayasuriya,8C,0712345678,Ruwani Jayasuriya,yes,nut free; halal'
+].join('\n');
+
+describe('roster import', () => {
+  let admin;
+
+  const importRoster = (csv, query = '') => request(app)
+    .post(`/api/admin/roster/import?schoolId=royal-college${query}`)
+    .set('Authorization', admin.authorization)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  const userCount = async () => (await db.get('SELECT COUNT(*) AS count FROM users')).count;
+
+  beforeAll(async () => {
+    await prepare();
+    admin = await loginAsAdmin(app);
+  });
+
+  afterAll(() => db.close());
+
+  it('reports what an import would do on a dry run without writing anything', async () => {
+    const before = await userCount();
+
+    const response = await importRoster(ROSTER, '&dry_run=true');
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      success: true,
+      dryRun: true,
+      totalRows: 3,
+      errors: [],
+      summary: { studentsCreated: 2, studentsUpdated: 1, parentsCreated: 1, parentsLinked: 2 }
+    });
+
+    expect(await userCount()).toBe(before);
+    expect((await UserModel.findById('std_001')).profile.grade).toBe('10A');
+  });
+
+  it('reports every invalid row and imports none of the roster', async () => {
+    const before = await userCount();
+    const csv = [
+      ROSTER,
+      'RC-20003,,7A,,,maybe,',
+      'RC-20001,Dilini Jayasuriya,6B,12345,,no,'
+    ].join('\n');
+
+    const response = await importRoster(csv);
+    expect(response.status).toBe(422);
+    expect(response.body.error).toBe('validation_error');
+    expect(response.body.errors).toEqual([
+      { line: 5, studentId: 'RC-20003', errors: ['name is required', 'subsidy_eligible must be yes or no'] },
+      {
+        line: 6,
+        studentId: 'RC-20001',
+        errors: [
+          'parent_phone "12345" is not a valid Sri Lankan mobile number',
+          'student_id RC-20001 also appears on line 3'
+        ]
+      }
+    ]);
+
+    expect(await userCount()).toBe(before);
+  });
+
+  it('creates and updates accounts, with one parent account for siblings', async () => {
+    const response = await importRoster(ROSTER);
+    expect(response.status).toBe(200);
+    expect(response.body.summary).toEqual({ studentsCreated: 2, studentsUpdated: 1, parentsCreated: 1, parentsLinked: 2 });
+
+    expect((await UserModel.findById('std_001')).profile.grade).toBe('11A');
+
+    const dilini = await UserModel.findByStudentNumber('royal-college', 'RC-20001');
+    const tharindu = await UserModel.findByStudentNumber('royal-college', 'RC-20002');
+    expect(dilini).toMatchObject({ role: 'STUDENT', status: 'pending_activation', username: 'royal-college-rc-20001' });
+    expect(tharindu.profile.dietary_restrictions).toEqual(['nut_free', 'halal']);
+
+    const parent = await UserModel.findByPhone('+94712345678');
+    expect(parent).toMatchObject({ role: 'PARENT', status: 'pending_activation', profile: { name: 'Ruwani Jayasuriya' } });
+    expect(parent.profile.children.sort()).toEqual([dilini.id, tharindu.id].sort());
+
+    const [entry] = await AuditLogModel.findAll({ event: 'roster.imported' });
+    expect(entry).toMatchObject({ actorId: 'adm_001', subject: 'royal-college' });
+  });
+
+  it('is limited to administrators', async () => {
+    const staff = await login(app, 'staff789', 'password789');
+
+    const response = await request(app)
+      .post('/api/admin/roster/import?schoolId=royal-college&dry_run=true')
+      .set('Authorization', staff.authorization)
+      .set('Content-Type', 'text/csv')
+      .send(ROSTER);
+    expect(response.status).toBe(403);
+  });
+});
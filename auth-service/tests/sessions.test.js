@@ -0,0 +1,59 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const { prepare, login, startSubscriber } = require('./helpers');
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refresh_token: refreshToken });
+
+describe('sessions', () => {
+  const pushes = [];
+  let subscriber;
+
+  beforeAll(async () => {
+    await prepare();
+    subscriber = await startSubscriber(pushes);
+    process.env.REVOCATION_SUBSCRIBERS = `http://127.0.0.1:${subscriber.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => subscriber.close(resolve));
+    await db.close();
+  });
+
+  beforeEach(() => {
+    pushes.length = 0;
+  });
+
+  it('rotates refresh tokens and ends the session when a used one comes back', async () => {
+    const session = await login(app, 'student123', 'password123');
+
+    const first = await refresh(session.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refresh_token).not.toBe(session.refreshToken);
+
+    // Replaying the consumed token revokes the whole session, including its successor
+    const replayed = await refresh(session.refreshToken);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.error).toBe('invalid_grant');
+
+    const successor = await refresh(first.body.refresh_token);
+    expect(successor.status).toBe(401);
+    expect(successor.body.message).toBe('Refresh token has been revoked');
+  });
+
+  it('revokes the access token on logout and pushes it to the other services', async () => {
+    const session = await login(app, 'parent456', 'password456');
+
+    const loggedOut = await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', session.authorization)
+      .send({ refresh_token: session.refreshToken });
+    expect(loggedOut.status).toBe(200);
+
+    expect(pushes).toEqual([{ serviceKey: 'test_service_key', tokens: [{ jti: expect.any(String), exp: expect.any(Number) }] }]);
+
+    const reused = await request(app).get('/api/guardians/links').set('Authorization', session.authorization);
+    expect(reused.status).toBe(401);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+  });
+});
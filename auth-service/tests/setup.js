@@ -0,0 +1,4 @@
+// Each test file gets its own in-memory user database; revocations are pushed to a stub the test starts
+process.env.DB_PATH = ':memory:';
+process.env.SERVICE_API_KEY = 'test_service_key';
+process.env.REVOCATION_SUBSCRIBERS = 'http://127.0.0.1:1';
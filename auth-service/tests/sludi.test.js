@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+/**
+ * The mock SLUDI provider is mounted on auth-service itself, and its issuer and redirect URI are
+ * read when the app loads, so the server listens (on a free port) before the app is required.
+ */
+describe('SLUDI login', () => {
+  const server = http.createServer();
+  let app;
+  let db;
+  let sludiConfig;
+  let SludiService;
+  let baseUrl;
+
+  beforeAll(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+    process.env.SLUDI_BASE_URL = `${baseUrl}/mock/sludi`;
+    process.env.SLUDI_REDIRECT_URI = `${baseUrl}/api/auth/sludi/callback`;
+
+    app = require('../server');
+    db = require('../db');
+    sludiConfig = require('../config/sludi');
+    SludiService = require('../services/SludiService');
+    server.on('request', app);
+    await require('./helpers').prepare();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  /**
+   * Start a login in a browser and approve it at the mock provider
+   * @param {Object} browser - supertest agent, keeping its cookies
+   * @returns {Promise<URL>} Callback URL the provider redirected to
+   */
+  const approveLogin = async (browser) => {
+    const login = await browser.get('/api/auth/sludi/login?login_hint=LK200903140001');
+    expect(login.status).toBe(302);
+
+    const authorize = new URL(login.headers.location);
+    const approved = await request(baseUrl).get(`${authorize.pathname}${authorize.search}`);
+    expect(approved.status).toBe(302);
+    return new URL(approved.headers.location);
+  };
+
+  it('signs in the browser that started the login', async () => {
+    const browser = request.agent(baseUrl);
+    const callback = await approveLogin(browser);
+
+    const response = await browser.get(`${callback.pathname}${callback.search}`);
+    expect(response.status).toBe(200);
+    expect(response.body.user.username).toBe('student123');
+    expect(response.body.oauth_metadata).toMatchObject({ provider: 'sludi', subject: 'LK200903140001' });
+  });
+
+  it("refuses a callback carrying another browser's login", async () => {
+    const attacker = request.agent(baseUrl);
+    const callback = await approveLogin(attacker);
+
+    // The victim opens the attacker's callback URL without the attacker's login cookie
+    const response = await request(baseUrl).get(`${callback.pathname}${callback.search}`);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('invalid_state');
+  });
+
+  it('refuses a login cookie signed for another state', async () => {
+    const first = request.agent(baseUrl);
+    const second = request.agent(baseUrl);
+    await approveLogin(first);
+    const callback = await approveLogin(second);
+
+    const cookie = (await first.get('/api/auth/sludi/login?format=json')).headers['set-cookie'][0].split(';')[0];
+    const response = await request(baseUrl).get(`${callback.pathname}${callback.search}`).set('Cookie', cookie);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('invalid_state');
+  });
+
+  /**
+   * Run an authorization request at the mock provider directly, as a relying party would
+   * @param {Object} params - { codeChallenge, nonce }
+   * @returns {Promise<string>} Authorization code
+   */
+  const authorizeAtProvider = async ({ codeChallenge, nonce }) => {
+    const response = await request(baseUrl).get('/mock/sludi/authorize').query({
+      response_type: 'code',
+      client_id: sludiConfig.clientId,
+      redirect_uri: sludiConfig.redirectUri,
+      scope: sludiConfig.scope,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+      login_hint: 'LK200903140001'
+    });
+    expect(response.status).toBe(302);
+    return new URL(response.headers.location).searchParams.get('code');
+  };
+
+  const exchangeCode = (code, codeVerifier) => request(baseUrl)
+    .post('/mock/sludi/token')
+    .type('form')
+    .send({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: sludiConfig.redirectUri,
+      client_id: sludiConfig.clientId,
+      code_verifier: codeVerifier,
+      ...(sludiConfig.clientSecret && { client_secret: sludiConfig.clientSecret })
+    });
+
+  const challengeFor = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+  it('requires the PKCE verifier matching the challenge to redeem a code', async () => {
+    const withoutChallenge = await request(baseUrl).get('/mock/sludi/authorize').query({
+      response_type: 'code',
+      client_id: sludiConfig.clientId,
+      redirect_uri: sludiConfig.redirectUri,
+      scope: sludiConfig.scope,
+      login_hint: 'LK200903140001'
+    });
+    expect(withoutChallenge.status).toBe(400);
+
+    const code = await authorizeAtProvider({ codeChallenge: challengeFor('the-real-verifier'), nonce: 'n-1' });
+    const response = await exchangeCode(code, 'a-guessed-verifier');
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  });
+
+  it("checks the id_token's signature, signing key and nonce", async () => {
+    const code = await authorizeAtProvider({ codeChallenge: challengeFor('verifier-2'), nonce: 'n-2' });
+    const { body } = await exchangeCode(code, 'verifier-2');
+
+    await expect(SludiService.verifyIdToken(body.id_token, 'n-2')).resolves.toMatchObject({ sub: 'LK200903140001' });
+
+    await expect(SludiService.verifyIdToken(body.id_token, 'n-other'))
+      .rejects.toMatchObject({ code: 'invalid_id_token', message: 'id_token nonce does not match the login request' });
+
+    // Another citizen's subject in a token signed for this one
+    const [header, payload, signature] = body.id_token.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, sub: 'LK198507150002' })).toString('base64url');
+    await expect(SludiService.verifyIdToken(`${header}.${forged}.${signature}`, 'n-2'))
+      .rejects.toMatchObject({ code: 'invalid_id_token' });
+
+    // A token signed with a key the provider does not publish
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const unknownKey = jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: 'not-a-sludi-key' });
+    await expect(SludiService.verifyIdToken(unknownKey, 'n-2'))
+      .rejects.toMatchObject({ code: 'invalid_id_token', message: 'id_token is signed with an unknown key' });
+  });
+});
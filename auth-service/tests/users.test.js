@@ -0,0 +1,58 @@
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const UserModel = require('../models/User');
+const { seedDemoUsers } = require('../db/seed');
+const { prepare, login } = require('./helpers');
+
+const me = (authorization) => request(app).get('/api/auth/me').set('Authorization', authorization);
+
+describe('user store', () => {
+  beforeAll(() => prepare());
+  afterAll(() => db.close());
+
+  it('signs in the seeded demo accounts and returns their stored profile', async () => {
+    const parent = await login(app, 'parent456', 'password456');
+
+    const response = await me(parent.authorization);
+    expect(response.status).toBe(200);
+    expect(response.body.user).toEqual({
+      id: 'par_001',
+      username: 'parent456',
+      role: 'PARENT',
+      profile: {
+        name: 'Nimali Perera',
+        email: 'nimali.perera@parent.royal.lk',
+        phone: '+94771234567',
+        children: ['std_001']
+      }
+    });
+  });
+
+  it('reads profile changes from the store rather than the token', async () => {
+    const student = await login(app, 'student123', 'password123');
+    await UserModel.updateProfile('std_001', { grade: '11A' });
+
+    const response = await me(student.authorization);
+    expect(response.body.user.profile.grade).toBe('11A');
+  });
+
+  it('refuses unknown users and wrong passwords alike', async () => {
+    const unknown = await request(app).post('/api/auth/login').send({ username: 'nobody', password: 'password123' });
+    const wrong = await request(app).post('/api/auth/login').send({ username: 'staff789', password: 'password123' });
+
+    [unknown, wrong].forEach((response) => {
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('invalid_credentials');
+    });
+  });
+
+  it('seeds the demo accounts only once', async () => {
+    await seedDemoUsers();
+
+    const users = await db.all('SELECT id FROM users ORDER BY id');
+    expect(users.map(user => user.id)).toEqual(['par_001', 'staff_001', 'std_001']);
+    const links = await db.all('SELECT parent_id, child_id FROM parent_child_links');
+    expect(links).toEqual([{ parent_id: 'par_001', child_id: 'std_001' }]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line endings)
+ * into an array of records keyed by the header row. Header names are lower-cased and
+ * spaces/dashes become underscores, so "Parent Phone" and "parent_phone" are the same column.
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, records } - each record is { line, values }, line being 1-based
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push({ line: rowLine, cells: row });
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  if (rows.length === 0) {
+    return { headers: [], records: [] };
+  }
+
+  const headers = rows[0].cells.map(header => header.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+  const records = rows.slice(1).map(({ line: recordLine, cells }) => ({
+    line: recordLine,
+    values: Object.fromEntries(headers.map((header, index) => [header, (cells[index] || '').trim()]))
+  }));
+
+  return { headers, records };
+}
+
+/**
+ * Format rows as CSV, quoting fields that contain commas, quotes or line breaks
+ * @param {Array<string>} headers - Column names, also the keys read from each row
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} CSV text with CRLF line endings
+ */
+function formatCsv(headers, rows) {
+  const formatField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(fields => fields.map(formatField).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv
+};
@@ -0,0 +1,45 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Minimal JSON HTTP client for calls to external providers
+ * @param {string} url - Absolute URL
+ * @param {Object} options - { method, headers, form }; form is sent as application/x-www-form-urlencoded
+ * @returns {Promise<Object>} { status, body }
+ */
+function requestJson(url, options = {}) {
+  const { method = 'GET', headers = {}, form } = options;
+  const client = url.startsWith('https:') ? https : http;
+  const payload = form ? new URLSearchParams(form).toString() : null;
+
+  const requestHeaders = {
+    Accept: 'application/json',
+    ...(payload && {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      'Content-Length': Buffer.byteLength(payload)
+    }),
+    ...headers
+  };
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, { method, headers: requestHeaders, timeout: 10000 }, (response) => {
+      let raw = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { raw += chunk; });
+      response.on('end', () => {
+        try {
+          resolve({ status: response.statusCode, body: raw ? JSON.parse(raw) : null });
+        } catch (error) {
+          reject(new Error(`Invalid JSON from ${url}`));
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+    request.on('error', reject);
+    if (payload) request.write(payload);
+    request.end();
+  });
+}
+
+module.exports = { requestJson };
@@ -0,0 +1,46 @@
+const securityConfig = require('../config/security');
+
+const { password: passwordConfig } = securityConfig;
+
+// Passwords that meet the length/character rules but are still trivially guessed
+const COMMON_PASSWORDS = new Set([
+  'password123', 'password1234', 'qwerty12345', '1234567890a', 'a1234567890',
+  'letmein123', 'welcome123', 'iloveyou123', 'admin12345', 'nutriconnect1'
+]);
+
+/**
+ * Check a new password against the strength rules
+ * @param {string} password - Proposed password
+ * @param {Object} user - User it is for (the username may not appear in it)
+ * @returns {Array<string>} Problems; empty if the password is acceptable
+ */
+function checkPasswordStrength(password, user = {}) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const problems = [];
+  const lower = password.toLowerCase();
+
+  if (password.length < passwordConfig.minLength) {
+    problems.push(`Password must be at least ${passwordConfig.minLength} characters`);
+  }
+  if (Buffer.byteLength(password) > passwordConfig.maxLength) {
+    problems.push(`Password must be at most ${passwordConfig.maxLength} bytes`);
+  }
+  if (!/[a-z]/i.test(password) || !/[0-9]/.test(password)) {
+    problems.push('Password must contain both letters and numbers');
+  }
+  if (user.username && lower.includes(user.username.toLowerCase())) {
+    problems.push('Password must not contain your username');
+  }
+  if (COMMON_PASSWORDS.has(lower)) {
+    problems.push('Password is too common');
+  }
+
+  return problems;
+}
+
+module.exports = {
+  checkPasswordStrength
+};
@@ -0,0 +1,13 @@
+/**
+ * Normalize a Sri Lankan mobile number to E.164 (+94XXXXXXXXX).
+ * Accepts local (0771234567), national (94771234567) and E.164 forms, with spaces or dashes.
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Normalized number, or null if it is not a valid mobile number
+ */
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/[\s-]/g, '');
+  const match = digits.match(/^(?:\+94|94|0)(7\d{8})$/);
+  return match ? `+94${match[1]}` : null;
+}
+
+module.exports = { normalizePhone };
@@ -4,6 +4,7 @@ import { AuthProvider } from './contexts/AuthContext';
 import { PaymentProvider, usePayment } from './contexts/PaymentContext';
 import { Navbar } from './components/Navbar/Navbar';
 import { Login } from './pages/Login/Login';
+import { SetPassword } from './pages/SetPassword/SetPassword';
 import { StudentDashboard } from './pages/StudentDashboard/StudentDashboard';
 import { ParentDashboard } from './pages/ParentDashboard/ParentDashboard';
 import { StaffDashboard } from './pages/StaffDashboard/StaffDashboard';
@@ -23,6 +24,8 @@ const AppContent: React.FC = () => {
         <main className="main-content">
           <Routes>
             <Route path="/login" element={<Login />} />
+            <Route path="/reset-password" element={<SetPassword mode="reset" />} />
+            <Route path="/activate" element={<SetPassword mode="activate" />} />
             <Route 
               path="/student" 
               element={
@@ -26,9 +26,13 @@ interface Order {
     apiVersion?: string;
   };
   statusHistory?: Array<{
+    event: 'created' | 'status_changed' | 'cancelled' | 'payment_updated';
+    from?: string;
     status: string;
+    paymentStatus?: string;
     timestamp: string;
-    staffId?: string;
+    actorId?: string;
+    actorRole?: string;
     notes?: string;
   }>;
 }
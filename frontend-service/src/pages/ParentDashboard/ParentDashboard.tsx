@@ -1,8 +1,47 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
+import { apiClient } from '../../utils/apiClient';
+
+interface ChildNutrition {
+  studentId: string;
+  name: string;
+  weeklyScore: number | null;
+  mealsThisWeek: number;
+  consentRequired: boolean;
+}
 
 export const ParentDashboard: React.FC = () => {
   const { user } = useAuth();
+  const [children, setChildren] = useState<ChildNutrition[]>([]);
+
+  useEffect(() => {
+    loadChildren();
+  }, []);
+
+  const loadChildren = async () => {
+    try {
+      // Guardian links carry each child's name; fall back to the ID if they cannot be loaded
+      const links = await apiClient.get('/guardians/links').catch(() => null);
+      const names = new Map<string, string>(
+        (links?.success ? links.links : []).map((link: { childId: string; childName: string }) => [link.childId, link.childName])
+      );
+
+      const summaries = await Promise.all((user?.profile.children || []).map(async (studentId: string) => {
+        const summary = await apiClient.get(`/nutrition/students/${studentId}/summary?weeks=1`);
+        const thisWeek = summary.success ? summary.weeks[0] : null;
+        return {
+          studentId,
+          name: names.get(studentId) || studentId,
+          weeklyScore: thisWeek ? thisWeek.averageScore : null,
+          mealsThisWeek: thisWeek ? thisWeek.mealsEaten : 0,
+          consentRequired: summary.error === 'consent_required'
+        };
+      }));
+      setChildren(summaries);
+    } catch (error) {
+      console.error('Failed to load children\'s nutrition:', error);
+    }
+  };
 
   return (
     <div className="dashboard">
@@ -16,12 +55,19 @@ export const ParentDashboard: React.FC = () => {
           <h2>👶 Children's Nutrition</h2>
           <p>Monitor your children's meal participation and nutrition intake.</p>
           <div className="children-stats">
-            <div className="child-stat">
-              <h3>Kasun Perera</h3>
-              <p>Weekly Nutrition Score: 85/100</p>
-              <p>Meals this week: 12</p>
-              <p>Balance: Rs. 450</p>
-            </div>
+            {children.map((child) => (
+              <div key={child.studentId} className="child-stat">
+                <h3>{child.name}</h3>
+                {child.consentRequired ? (
+                  <p>Turn on nutrition tracking consent to see this child's nutrition.</p>
+                ) : (
+                  <>
+                    <p>Weekly Nutrition Score: {child.weeklyScore ?? '-'}/100</p>
+                    <p>Meals this week: {child.mealsThisWeek}</p>
+                  </>
+                )}
+              </div>
+            ))}
           </div>
         </div>
 
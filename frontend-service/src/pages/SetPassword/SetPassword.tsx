@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { apiClient } from '../../utils/apiClient';
+
+interface SetPasswordProps {
+  // 'reset' for password reset links, 'activate' for first-time activation links
+  mode: 'reset' | 'activate';
+}
+
+const PAGES = {
+  reset: {
+    title: '🔑 Reset Password',
+    subtitle: 'Choose a new password for your NutriConnect account',
+    endpoint: '/auth/password/reset',
+    submit: 'Set New Password'
+  },
+  activate: {
+    title: '🍎 Activate Account',
+    subtitle: 'Choose a password to start using NutriConnect',
+    endpoint: '/auth/activate',
+    submit: 'Activate Account'
+  }
+};
+
+// Landing page for the signed single-use links auth-service sends by email or SMS
+export const SetPassword: React.FC<SetPasswordProps> = ({ mode }) => {
+  const page = PAGES[mode];
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [error, setError] = useState('');
+  const [problems, setProblems] = useState<string[]>([]);
+  const [done, setDone] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setProblems([]);
+
+    if (password !== confirmation) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await apiClient.post(page.endpoint, { token, password });
+      if (result?.success) {
+        setDone(result.message);
+      } else {
+        setError(result?.message || 'Could not set the password');
+        setProblems(Array.isArray(result?.details) ? result.details : []);
+      }
+    } catch (err: any) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="login-container">
+      <div className="login-card">
+        <h1>{page.title}</h1>
+        <p className="login-subtitle">{page.subtitle}</p>
+
+        {!token ? (
+          <div className="error-message">
+            This link is incomplete. Open the link from your message again, or ask for a new one.
+          </div>
+        ) : done ? (
+          <>
+            <p>{done}</p>
+            <Link to="/login" className="login-btn">Go to Login</Link>
+          </>
+        ) : (
+          <form onSubmit={handleSubmit} className="login-form">
+            <div className="form-group">
+              <label htmlFor="password">New password:</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmation">Confirm password:</label>
+              <input
+                type="password"
+                id="confirmation"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                autoComplete="new-password"
+                required
+                disabled={loading}
+              />
+            </div>
+
+            <p className="login-subtitle">At least 10 characters, with letters and numbers, not containing your username.</p>
+
+            {error && (
+              <div className="error-message">
+                {error}
+                {problems.length > 0 && (
+                  <ul>
+                    {problems.map((problem) => <li key={problem}>{problem}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <button type="submit" className="login-btn" disabled={loading}>
+              {loading ? 'Saving...' : page.submit}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -4,13 +4,14 @@ import { apiClient } from '../../utils/apiClient';
 import { OrderManagement } from '../../components/OrderManagement/OrderManagement';
 
 interface NutritionData {
-  weeklyScore: number;
+  weeklyScore: number | null;
+  trend: 'improving' | 'steady' | 'declining' | null;
   mealsThisWeek: number;
-  subsidyBalance: number;
+  // This week's average school meal against the per-meal targets
   dailyGoals: {
     calories: { current: number; target: number };
     protein: { current: number; target: number };
-    vegetables: { current: number; target: number };
+    fibre: { current: number; target: number };
   };
 }
 
@@ -26,26 +27,30 @@ export const StudentDashboard: React.FC = () => {
 
   const loadDashboardData = async () => {
     try {
-      setTodaysMenu([
-        {
-          id: 'meal_001',
-          name: 'Rice and Curry',
-          description: 'Traditional Sri Lankan rice with mixed vegetables',
-          nutritionScore: 85,
-          price: 50.00,
-          subsidyAmount: 30.00,
-          finalPrice: 20.00
-        },
-        {
-          id: 'meal_002',
-          name: 'Chicken Sandwich',
-          description: 'Grilled chicken sandwich with fresh vegetables',
-          nutritionScore: 75,
-          price: 80.00,
-          subsidyAmount: 20.00,
-          finalPrice: 60.00
-        }
-      ]);
+      const response = await apiClient.get('/menus/today');
+      if (response.success) {
+        setTodaysMenu(response.menu.items.map((meal: any) => ({
+          ...meal,
+          finalPrice: Math.max(0, meal.price - meal.subsidyAmount)
+        })));
+      }
+
+      // Needs a guardian's nutrition tracking consent; the card is left out without it
+      const summary = await apiClient.get(`/nutrition/students/${user?.id}/summary?weeks=2`);
+      if (summary.success) {
+        const thisWeek = summary.weeks[summary.weeks.length - 1];
+        const average = thisWeek.averageIntake || { energyKcal: 0, proteinG: 0, fibreG: 0 };
+        setNutritionData({
+          weeklyScore: thisWeek.averageScore,
+          trend: summary.trends.direction,
+          mealsThisWeek: thisWeek.mealsEaten,
+          dailyGoals: {
+            calories: { current: average.energyKcal, target: summary.referenceIntake.energyKcal },
+            protein: { current: average.proteinG, target: summary.referenceIntake.proteinG },
+            fibre: { current: average.fibreG, target: summary.referenceIntake.fibreG }
+          }
+        });
+      }
       
       setLoading(false);
     } catch (error) {
@@ -54,16 +59,21 @@ export const StudentDashboard: React.FC = () => {
     }
   };
 
-  const orderMeal = async (mealId: string) => {
+  const orderMeal = async (mealId: string, acknowledgeDietaryWarnings = false) => {
     try {
       // Replace mock with actual API call
       const response = await apiClient.post('/orders', {
         mealId,
         scheduledDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0], // Tomorrow
-        quantity: 1
+        quantity: 1,
+        acknowledgeDietaryWarnings
       });
       
-      if (response.success) {
+      if (response.error === 'dietary_warning') {
+        if (window.confirm(`${response.message}\n\nOrder anyway?`)) {
+          await orderMeal(mealId, true);
+        }
+      } else if (response.success) {
         alert(`Order placed successfully! Order ID: ${response.order.id}`);
       } else {
         alert(`Failed to place order: ${response.message}`);
@@ -93,22 +103,42 @@ export const StudentDashboard: React.FC = () => {
                 <div className="meal-info">
                   <h3>{meal.name}</h3>
                   <p>{meal.description}</p>
+                  {meal.allergens?.length > 0 && (
+                    <p className="allergens">Contains: {meal.allergens.join(', ')}</p>
+                  )}
                   <div className="meal-details">
                     <span className="nutrition-score">Score: {meal.nutritionScore}/100</span>
+                    {meal.nutrition && (
+                      <span className="nutrition-facts">{meal.nutrition.energyKcal} kcal · {meal.nutrition.proteinG} g protein</span>
+                    )}
                     <span className="price">Rs. {meal.finalPrice} (was Rs. {meal.price})</span>
                   </div>
                 </div>
                 <button 
                   onClick={() => orderMeal(meal.id)}
                   className="order-btn"
+                  disabled={meal.soldOut}
                 >
-                  Order Now
+                  {meal.soldOut ? 'Sold Out' : 'Order Now'}
                 </button>
               </div>
             ))}
           </div>
         </div>
 
+        {nutritionData && (
+          <div className="card nutrition-card">
+            <h2>📊 My Nutrition</h2>
+            <p>Weekly Score: {nutritionData.weeklyScore ?? '-'}/100{nutritionData.trend && ` (${nutritionData.trend})`}</p>
+            <p>Meals this week: {nutritionData.mealsThisWeek}</p>
+            <ul className="daily-goals">
+              <li>Calories: {nutritionData.dailyGoals.calories.current} / {nutritionData.dailyGoals.calories.target} kcal</li>
+              <li>Protein: {nutritionData.dailyGoals.protein.current} / {nutritionData.dailyGoals.protein.target} g</li>
+              <li>Fibre: {nutritionData.dailyGoals.fibre.current} / {nutritionData.dailyGoals.fibre.target} g</li>
+            </ul>
+          </div>
+        )}
+
         {/* NEW: Add Order Management Card */}
         <div className="card order-card">
           <OrderManagement />
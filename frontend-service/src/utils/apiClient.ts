@@ -6,12 +6,13 @@ const PAYMENT_SERVICE_URL = process.env.REACT_APP_PAYMENT_SERVICE_URL || 'http:/
 const SERVICE_ENDPOINTS: Record<string, string> = {
   // Auth Service (port 3001)
   '/auth': AUTH_SERVICE_URL,
-  '/menus': AUTH_SERVICE_URL,
-  '/nutrition': AUTH_SERVICE_URL,
   '/v1': AUTH_SERVICE_URL,
+  '/guardians': AUTH_SERVICE_URL,
   
   // Order Service (port 3002)
   '/orders': ORDER_SERVICE_URL,
+  '/menus': ORDER_SERVICE_URL,
+  '/nutrition': ORDER_SERVICE_URL,
   
   // Payment Service (port 3003)
   '/payments': PAYMENT_SERVICE_URL
@@ -1,8 +1,9 @@
-// Database configuration for future implementation
+// Database configuration, selected by NODE_ENV (development when unset).
+// Development runs on SQLite (storage is relative to the service root); production on PostgreSQL.
 const config = {
   development: {
     dialect: 'sqlite',
-    storage: './database/nutriconnect.db',
+    storage: process.env.DB_PATH || './database/nutriconnect.db',
     logging: console.log
   },
   production: {
@@ -13,7 +14,8 @@ const config = {
     username: process.env.DB_USER,
     password: process.env.DB_PASSWORD,
     logging: false,
-    ssl: true
+    // DB_SSL=false for a database on the same host or private network
+    ssl: process.env.DB_SSL !== 'false'
   }
 };
 
@@ -0,0 +1,59 @@
+// Reference daily intakes for school-age children, by age band, used to score meals.
+// Energy and nutrient values follow the WHO/FAO and IOM dietary reference intakes
+// (averaged across sexes); limits are WHO guidance for children.
+const nutritionConfig = {
+  // Share of the day's intake a school lunch should provide
+  mealShare: 1 / 3,
+
+  // Band used when a caller's grade is unknown
+  defaultBand: 'age_9_13',
+
+  bands: {
+    age_5_8: {
+      label: 'Ages 5-8 (grades 1-3)',
+      grades: [1, 3],
+      energyKcal: 1400,
+      proteinG: 19,
+      fibreG: 25,
+      calciumMg: 1000,
+      ironMg: 10,
+      vitaminAMcg: 400,
+      vitaminCMg: 25,
+      sodiumMg: 1200
+    },
+    age_9_13: {
+      label: 'Ages 9-13 (grades 4-8)',
+      grades: [4, 8],
+      energyKcal: 2000,
+      proteinG: 34,
+      fibreG: 28,
+      calciumMg: 1300,
+      ironMg: 8,
+      vitaminAMcg: 600,
+      vitaminCMg: 45,
+      sodiumMg: 1500
+    },
+    age_14_18: {
+      label: 'Ages 14-18 (grades 9-13)',
+      grades: [9, 13],
+      energyKcal: 2400,
+      proteinG: 50,
+      fibreG: 32,
+      calciumMg: 1300,
+      ironMg: 13,
+      vitaminAMcg: 800,
+      vitaminCMg: 70,
+      sodiumMg: 1800
+    }
+  },
+
+  // Upper limits as a share of the meal's energy (4 kcal per gram of sugar, 9 per gram of fat)
+  limits: {
+    saturatedFatEnergyShare: 0.10,
+    sugarEnergyShare: 0.10
+  },
+
+  foodGroups: ['grains', 'vegetables', 'fruit', 'protein', 'dairy']
+};
+
+module.exports = nutritionConfig;
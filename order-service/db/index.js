@@ -0,0 +1,14 @@
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const pg = require('pg');
+const { Database } = require('nutriconnect-shared/db');
+const databaseConfig = require('../config/database');
+const migrations = require('./migrations');
+
+// Export singleton instance; settings come from config/database.js for the current NODE_ENV
+module.exports = new Database({
+  root: path.resolve(__dirname, '..'),
+  config: databaseConfig,
+  migrations,
+  drivers: { sqlite: sqlite3, postgresql: pg }
+});
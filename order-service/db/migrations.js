@@ -0,0 +1,466 @@
+/**
+ * Ordered schema migrations for the order-service database.
+ * Append new migrations to the end; never edit one that has shipped.
+ * up is SQL for both dialects, or { sqlite, postgresql } where they differ. PostgreSQL databases
+ * are created from scratch, so their versions skip backfilling rows that only SQLite databases had.
+ */
+module.exports = [
+  {
+    id: '001_create_orders',
+    up: {
+      sqlite: `
+        CREATE TABLE orders (
+          id TEXT PRIMARY KEY,
+          student_id TEXT NOT NULL,
+          meal_id TEXT NOT NULL,
+          school_id TEXT,
+          scheduled_date TEXT NOT NULL,
+          quantity INTEGER NOT NULL DEFAULT 1,
+          currency TEXT,
+          total_amount REAL NOT NULL,
+          subsidy_amount REAL NOT NULL DEFAULT 0,
+          final_amount REAL NOT NULL,
+          status TEXT NOT NULL,
+          payment_status TEXT NOT NULL,
+          payment_id TEXT,
+          dietary_restrictions TEXT,
+          special_instructions TEXT,
+          pickup_time TEXT,
+          placed_by TEXT,
+          -- JSON: who acted on the order and for whom
+          audit_trail TEXT NOT NULL DEFAULT '[]',
+          metadata TEXT NOT NULL DEFAULT '{}',
+          cancellation_reason TEXT,
+          cancelled_at TEXT,
+          updated_by TEXT,
+          staff_notes TEXT,
+          order_date TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_orders_student_date ON orders (student_id, scheduled_date);
+        -- A student has at most one live order per day
+        CREATE UNIQUE INDEX idx_orders_live_student_date ON orders (student_id, scheduled_date) WHERE status != 'CANCELLED';
+        CREATE INDEX idx_orders_scheduled_date ON orders (scheduled_date, status);
+        CREATE INDEX idx_orders_status ON orders (status, scheduled_date);
+        CREATE INDEX idx_orders_school_date ON orders (school_id, scheduled_date);
+
+        CREATE TABLE order_status_history (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          status TEXT NOT NULL,
+          staff_id TEXT,
+          notes TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_order_status_history_order ON order_status_history (order_id, id);
+      `,
+      postgresql: `
+        CREATE TABLE orders (
+          id TEXT PRIMARY KEY,
+          student_id TEXT NOT NULL,
+          meal_id TEXT NOT NULL,
+          school_id TEXT,
+          scheduled_date TEXT NOT NULL,
+          quantity INTEGER NOT NULL DEFAULT 1,
+          currency TEXT,
+          total_amount DOUBLE PRECISION NOT NULL,
+          subsidy_amount DOUBLE PRECISION NOT NULL DEFAULT 0,
+          final_amount DOUBLE PRECISION NOT NULL,
+          status TEXT NOT NULL,
+          payment_status TEXT NOT NULL,
+          payment_id TEXT,
+          dietary_restrictions TEXT,
+          special_instructions TEXT,
+          pickup_time TEXT,
+          placed_by TEXT,
+          -- JSON: who acted on the order and for whom
+          audit_trail TEXT NOT NULL DEFAULT '[]',
+          metadata TEXT NOT NULL DEFAULT '{}',
+          cancellation_reason TEXT,
+          cancelled_at TEXT,
+          updated_by TEXT,
+          staff_notes TEXT,
+          order_date TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_orders_student_date ON orders (student_id, scheduled_date);
+        -- A student has at most one live order per day
+        CREATE UNIQUE INDEX idx_orders_live_student_date ON orders (student_id, scheduled_date) WHERE status != 'CANCELLED';
+        CREATE INDEX idx_orders_scheduled_date ON orders (scheduled_date, status);
+        CREATE INDEX idx_orders_status ON orders (status, scheduled_date);
+        CREATE INDEX idx_orders_school_date ON orders (school_id, scheduled_date);
+
+        CREATE TABLE order_status_history (
+          id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+          order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          status TEXT NOT NULL,
+          staff_id TEXT,
+          notes TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_order_status_history_order ON order_status_history (order_id, id);
+      `
+    }
+  },
+  {
+    id: '002_order_history_events',
+    up: {
+      sqlite: `
+        -- History now records every lifecycle event (created, status_changed, cancelled, payment_updated)
+        ALTER TABLE order_status_history RENAME COLUMN staff_id TO actor_id;
+        ALTER TABLE order_status_history ADD COLUMN event TEXT NOT NULL DEFAULT 'status_changed';
+        ALTER TABLE order_status_history ADD COLUMN from_status TEXT;
+        ALTER TABLE order_status_history ADD COLUMN payment_status TEXT;
+        ALTER TABLE order_status_history ADD COLUMN actor_role TEXT;
+
+        -- Backfill creation and cancellation events for existing orders
+        INSERT INTO order_status_history (order_id, event, status, payment_status, actor_id, created_at)
+        SELECT id, 'created', 'PENDING', CASE WHEN final_amount > 0 THEN 'PENDING' ELSE 'PAID' END, placed_by, order_date
+        FROM orders;
+
+        INSERT INTO order_status_history (order_id, event, status, actor_id, notes, created_at)
+        SELECT id, 'cancelled', 'CANCELLED', json_extract(metadata, '$.cancelledBy'), cancellation_reason, cancelled_at
+        FROM orders
+        WHERE status = 'CANCELLED' AND cancelled_at IS NOT NULL;
+
+        CREATE INDEX idx_order_status_history_order_time ON order_status_history (order_id, created_at);
+      `,
+      postgresql: `
+        -- History now records every lifecycle event (created, status_changed, cancelled, payment_updated)
+        ALTER TABLE order_status_history RENAME COLUMN staff_id TO actor_id;
+        ALTER TABLE order_status_history ADD COLUMN event TEXT NOT NULL DEFAULT 'status_changed';
+        ALTER TABLE order_status_history ADD COLUMN from_status TEXT;
+        ALTER TABLE order_status_history ADD COLUMN payment_status TEXT;
+        ALTER TABLE order_status_history ADD COLUMN actor_role TEXT;
+
+        CREATE INDEX idx_order_status_history_order_time ON order_status_history (order_id, created_at);
+      `
+    }
+  },
+  {
+    id: '003_create_menus_and_order_items',
+    up: {
+      sqlite: `
+        -- Meal catalogue; school_id NULL marks a meal offered at every school
+        CREATE TABLE meals (
+          id TEXT PRIMARY KEY,
+          school_id TEXT,
+          name TEXT NOT NULL,
+          description TEXT,
+          category TEXT NOT NULL DEFAULT 'main',
+          price REAL NOT NULL,
+          subsidy_amount REAL NOT NULL DEFAULT 0,
+          nutrition_score INTEGER,
+          max_quantity_per_day INTEGER,
+          current_quantity INTEGER,
+          status TEXT NOT NULL DEFAULT 'active',
+          created_by TEXT,
+          retired_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_meals_school ON meals (school_id, status);
+
+        INSERT INTO meals (
+          id, school_id, name, description, category, price, subsidy_amount, nutrition_score,
+          max_quantity_per_day, current_quantity, created_at, updated_at
+        ) VALUES
+          ('meal_001', NULL, 'Rice and Curry', 'Traditional Sri Lankan rice with mixed vegetables and dhal curry',
+           'main', 50.00, 30.00, 85, 100, 95, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+          ('meal_002', NULL, 'Chicken Sandwich', 'Grilled chicken sandwich with fresh vegetables',
+           'main', 80.00, 20.00, 75, 50, 48, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'), strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+
+        -- A school's published menu for one service date
+        CREATE TABLE menus (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          school_id TEXT NOT NULL,
+          menu_date TEXT NOT NULL,
+          published_by TEXT,
+          published_at TEXT NOT NULL,
+          UNIQUE (school_id, menu_date)
+        );
+
+        CREATE TABLE menu_items (
+          menu_id INTEGER NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+          meal_id TEXT NOT NULL REFERENCES meals(id),
+          -- Meals that may be served that day; NULL for no limit
+          capacity INTEGER,
+          position INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (menu_id, meal_id)
+        );
+
+        -- Line items of an order. orders.meal_id and orders.quantity now hold the first line's meal
+        -- and the total quantity, for callers that still read a single meal.
+        CREATE TABLE order_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          meal_id TEXT NOT NULL,
+          meal_name TEXT,
+          quantity INTEGER NOT NULL,
+          unit_price REAL NOT NULL,
+          total_amount REAL NOT NULL,
+          subsidy_amount REAL NOT NULL DEFAULT 0,
+          final_amount REAL NOT NULL
+        );
+
+        CREATE INDEX idx_order_items_order ON order_items (order_id, id);
+        CREATE INDEX idx_order_items_meal ON order_items (meal_id);
+
+        INSERT INTO order_items (order_id, meal_id, meal_name, quantity, unit_price, total_amount, subsidy_amount, final_amount)
+        SELECT id, meal_id, json_extract(metadata, '$.mealName'), quantity, total_amount / quantity,
+               total_amount, subsidy_amount, final_amount
+        FROM orders;
+      `,
+      postgresql: `
+        -- Meal catalogue; school_id NULL marks a meal offered at every school
+        CREATE TABLE meals (
+          id TEXT PRIMARY KEY,
+          school_id TEXT,
+          name TEXT NOT NULL,
+          description TEXT,
+          category TEXT NOT NULL DEFAULT 'main',
+          price DOUBLE PRECISION NOT NULL,
+          subsidy_amount DOUBLE PRECISION NOT NULL DEFAULT 0,
+          nutrition_score INTEGER,
+          max_quantity_per_day INTEGER,
+          current_quantity INTEGER,
+          status TEXT NOT NULL DEFAULT 'active',
+          created_by TEXT,
+          retired_at TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_meals_school ON meals (school_id, status);
+
+        INSERT INTO meals (
+          id, school_id, name, description, category, price, subsidy_amount, nutrition_score,
+          max_quantity_per_day, current_quantity, created_at, updated_at
+        ) VALUES
+          ('meal_001', NULL, 'Rice and Curry', 'Traditional Sri Lankan rice with mixed vegetables and dhal curry',
+           'main', 50.00, 30.00, 85, 100, 95,
+           to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'), to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')),
+          ('meal_002', NULL, 'Chicken Sandwich', 'Grilled chicken sandwich with fresh vegetables',
+           'main', 80.00, 20.00, 75, 50, 48,
+           to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'), to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'));
+
+        -- A school's published menu for one service date
+        CREATE TABLE menus (
+          id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+          school_id TEXT NOT NULL,
+          menu_date TEXT NOT NULL,
+          published_by TEXT,
+          published_at TEXT NOT NULL,
+          UNIQUE (school_id, menu_date)
+        );
+
+        CREATE TABLE menu_items (
+          menu_id BIGINT NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+          meal_id TEXT NOT NULL REFERENCES meals(id),
+          -- Meals that may be served that day; NULL for no limit
+          capacity INTEGER,
+          position INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (menu_id, meal_id)
+        );
+
+        -- Line items of an order. orders.meal_id and orders.quantity hold the first line's meal
+        -- and the total quantity, for callers that still read a single meal.
+        CREATE TABLE order_items (
+          id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+          order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+          meal_id TEXT NOT NULL,
+          meal_name TEXT,
+          quantity INTEGER NOT NULL,
+          unit_price DOUBLE PRECISION NOT NULL,
+          total_amount DOUBLE PRECISION NOT NULL,
+          subsidy_amount DOUBLE PRECISION NOT NULL DEFAULT 0,
+          final_amount DOUBLE PRECISION NOT NULL
+        );
+
+        CREATE INDEX idx_order_items_order ON order_items (order_id, id);
+        CREATE INDEX idx_order_items_meal ON order_items (meal_id);
+      `
+    }
+  },
+  {
+    id: '004_create_meal_inventory',
+    up: {
+      sqlite: `
+        -- Meals reserved per service date; the day's capacity is the menu's capacity for the meal,
+        -- or else the meal's max_quantity_per_day (no limit when both are NULL)
+        CREATE TABLE meal_inventory (
+          meal_id TEXT NOT NULL REFERENCES meals(id),
+          service_date TEXT NOT NULL,
+          reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (meal_id, service_date)
+        );
+
+        INSERT INTO meal_inventory (meal_id, service_date, reserved, updated_at)
+        SELECT order_items.meal_id, orders.scheduled_date, SUM(order_items.quantity), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        FROM order_items JOIN orders ON orders.id = order_items.order_id
+        WHERE orders.status != 'CANCELLED' AND order_items.meal_id IN (SELECT id FROM meals)
+        GROUP BY order_items.meal_id, orders.scheduled_date;
+
+        -- Replaced by meal_inventory: one counter for every day never reset
+        ALTER TABLE meals DROP COLUMN current_quantity;
+      `,
+      postgresql: `
+        -- Meals reserved per service date; the day's capacity is the menu's capacity for the meal,
+        -- or else the meal's max_quantity_per_day (no limit when both are NULL)
+        CREATE TABLE meal_inventory (
+          meal_id TEXT NOT NULL REFERENCES meals(id),
+          service_date TEXT NOT NULL,
+          reserved INTEGER NOT NULL DEFAULT 0 CHECK (reserved >= 0),
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (meal_id, service_date)
+        );
+
+        -- Replaced by meal_inventory
+        ALTER TABLE meals DROP COLUMN current_quantity;
+      `
+    }
+  },
+  {
+    id: '005_create_meal_nutrition',
+    up: {
+      sqlite: `
+        -- Nutrient facts per serving; meals without a row keep their given nutrition_score
+        CREATE TABLE meal_nutrition (
+          meal_id TEXT PRIMARY KEY REFERENCES meals(id),
+          energy_kcal REAL NOT NULL,
+          protein_g REAL NOT NULL,
+          fat_g REAL NOT NULL,
+          saturated_fat_g REAL,
+          carbs_g REAL NOT NULL,
+          sugar_g REAL,
+          fibre_g REAL,
+          sodium_mg REAL,
+          calcium_mg REAL,
+          iron_mg REAL,
+          vitamin_a_mcg REAL,
+          vitamin_c_mg REAL,
+          -- JSON array of food groups: grains, vegetables, fruit, protein, dairy
+          food_groups TEXT NOT NULL DEFAULT '[]',
+          updated_at TEXT NOT NULL
+        );
+
+        INSERT INTO meal_nutrition (
+          meal_id, energy_kcal, protein_g, fat_g, saturated_fat_g, carbs_g, sugar_g, fibre_g,
+          sodium_mg, calcium_mg, iron_mg, vitamin_a_mcg, vitamin_c_mg, food_groups, updated_at
+        )
+        SELECT id, 650, 18, 14, 4, 110, 6, 9, 700, 90, 4, 250, 20, '["grains","vegetables","protein"]',
+               strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        FROM meals WHERE id = 'meal_001'
+        UNION ALL
+        SELECT id, 450, 25, 16, 4.5, 48, 6, 4, 850, 120, 2.5, 80, 8, '["grains","protein","vegetables"]',
+               strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+        FROM meals WHERE id = 'meal_002';
+      `,
+      postgresql: `
+        -- Nutrient facts per serving; meals without a row keep their given nutrition_score
+        CREATE TABLE meal_nutrition (
+          meal_id TEXT PRIMARY KEY REFERENCES meals(id),
+          energy_kcal DOUBLE PRECISION NOT NULL,
+          protein_g DOUBLE PRECISION NOT NULL,
+          fat_g DOUBLE PRECISION NOT NULL,
+          saturated_fat_g DOUBLE PRECISION,
+          carbs_g DOUBLE PRECISION NOT NULL,
+          sugar_g DOUBLE PRECISION,
+          fibre_g DOUBLE PRECISION,
+          sodium_mg DOUBLE PRECISION,
+          calcium_mg DOUBLE PRECISION,
+          iron_mg DOUBLE PRECISION,
+          vitamin_a_mcg DOUBLE PRECISION,
+          vitamin_c_mg DOUBLE PRECISION,
+          -- JSON array of food groups: grains, vegetables, fruit, protein, dairy
+          food_groups TEXT NOT NULL DEFAULT '[]',
+          updated_at TEXT NOT NULL
+        );
+
+        INSERT INTO meal_nutrition (
+          meal_id, energy_kcal, protein_g, fat_g, saturated_fat_g, carbs_g, sugar_g, fibre_g,
+          sodium_mg, calcium_mg, iron_mg, vitamin_a_mcg, vitamin_c_mg, food_groups, updated_at
+        ) VALUES
+          ('meal_001', 650, 18, 14, 4, 110, 6, 9, 700, 90, 4, 250, 20, '["grains","vegetables","protein"]',
+           to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"')),
+          ('meal_002', 450, 25, 16, 4.5, 48, 6, 4, 850, 120, 2.5, 80, 8, '["grains","protein","vegetables"]',
+           to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.MS"Z"'));
+      `
+    }
+  },
+  {
+    id: '006_add_meal_dietary_tags',
+    up: `
+      -- JSON arrays: allergens the meal contains, and dietary attributes it meets (shared dietary vocabulary)
+      ALTER TABLE meals ADD COLUMN allergens TEXT NOT NULL DEFAULT '[]';
+      ALTER TABLE meals ADD COLUMN dietary_tags TEXT NOT NULL DEFAULT '[]';
+
+      UPDATE meals SET dietary_tags = '["vegetarian","vegan","no_beef","no_pork","gluten_free","dairy_free"]'
+        WHERE id = 'meal_001';
+      UPDATE meals SET allergens = '["gluten","eggs","milk"]', dietary_tags = '["no_beef","no_pork"]'
+        WHERE id = 'meal_002';
+
+      -- Staff permission for one student to order one meal on one date despite a declared allergy
+      CREATE TABLE dietary_overrides (
+        id TEXT PRIMARY KEY,
+        student_id TEXT NOT NULL,
+        school_id TEXT NOT NULL,
+        meal_id TEXT NOT NULL REFERENCES meals(id),
+        service_date TEXT NOT NULL,
+        reason TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        -- Set once an order uses the override
+        order_id TEXT REFERENCES orders(id)
+      );
+
+      CREATE INDEX idx_dietary_overrides_student_date ON dietary_overrides (student_id, service_date);
+    `
+  },
+  {
+    id: '007_add_order_item_leftovers',
+    up: `
+      -- Share of a delivered line left uneaten, recorded by staff; NULL when not recorded (counted as eaten)
+      ALTER TABLE order_items ADD COLUMN leftover_fraction DOUBLE PRECISION CHECK (leftover_fraction BETWEEN 0 AND 1);
+    `
+  },
+  {
+    id: '008_add_order_review_flags',
+    up: `
+      -- Set when an order needs manual review, e.g. a cancelled order whose payment could not be refunded
+      ALTER TABLE orders ADD COLUMN flagged_at TEXT;
+      ALTER TABLE orders ADD COLUMN flag_reason TEXT;
+    `
+  },
+  {
+    id: '009_create_audit_outbox',
+    up: {
+      sqlite: `
+        -- Audit log entries recorded here and not yet delivered to auth-service, oldest first (shared audit client)
+        CREATE TABLE audit_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          -- JSON: the entry as sent to auth-service
+          entry TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+      `,
+      postgresql: `
+        -- Audit log entries recorded here and not yet delivered to auth-service, oldest first (shared audit client)
+        CREATE TABLE audit_outbox (
+          id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+          -- JSON: the entry as sent to auth-service
+          entry TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+      `
+    }
+  }
+];
@@ -1,3 +1,5 @@
+const { ALLERGENS, DIETARY_ATTRIBUTES, isAllergen, isDietaryAttribute } = require('nutriconnect-shared/dietary');
+
 /**
  * Validate order request middleware
  * @param {Object} req - Express request
@@ -5,24 +7,46 @@
  * @param {Function} next - Next middleware
  */
 function validateOrderRequest(req, res, next) {
-  const { mealId, scheduledDate, quantity } = req.body;
+  const { mealId, scheduledDate, quantity, items, acknowledgeDietaryWarnings } = req.body;
   const errors = [];
 
+  // A cart of line items, or a single mealId and quantity
+  const lines = items !== undefined ? items : [{ mealId, quantity }];
+
   // Required field validation
-  if (!mealId) errors.push('Meal ID is required');
   if (!scheduledDate) errors.push('Scheduled date is required');
-  if (!quantity || quantity < 1) errors.push('Valid quantity is required');
+  if (!Array.isArray(lines) || lines.length === 0) {
+    errors.push('At least one item is required');
+  } else {
+    lines.forEach((line, index) => {
+      const label = items !== undefined ? `Item ${index + 1}: ` : '';
+      if (!line || !line.mealId) errors.push(`${label}Meal ID is required`);
+      if (!line || !Number.isInteger(line.quantity) || line.quantity < 1) errors.push(`${label}Valid quantity is required`);
+    });
+
+    const mealIds = lines.map(line => line && line.mealId).filter(Boolean);
+    if (new Set(mealIds).size !== mealIds.length) {
+      errors.push('List each meal once, with its quantity');
+    }
+  }
 
-  // Date format validation
-  if (scheduledDate && isNaN(Date.parse(scheduledDate))) {
-    errors.push('Invalid date format');
+  // Date format validation; service dates are calendar dates in the school's time zone
+  if (scheduledDate && (typeof scheduledDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(scheduledDate) || isNaN(Date.parse(scheduledDate)))) {
+    errors.push('Scheduled date must be a date (YYYY-MM-DD)');
   }
 
-  // Quantity validation
-  if (quantity && (quantity > 10)) {
+  // Quantity validation, across the whole cart
+  const totalQuantity = Array.isArray(lines)
+    ? lines.reduce((total, line) => total + (line && Number.isInteger(line.quantity) ? line.quantity : 0), 0)
+    : 0;
+  if (totalQuantity > 10) {
     errors.push('Maximum 10 meals per order');
   }
 
+  if (acknowledgeDietaryWarnings !== undefined && typeof acknowledgeDietaryWarnings !== 'boolean') {
+    errors.push('acknowledgeDietaryWarnings must be true or false');
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -57,7 +81,263 @@ function validateStatusUpdate(req, res, next) {
   next();
 }
 
+/**
+ * Validate payment status update request middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validatePaymentUpdate(req, res, next) {
+  const { paymentStatus } = req.body;
+  const validPaymentStatuses = ['PENDING', 'PROCESSING', 'PAID', 'FAILED', 'REFUNDED'];
+
+  if (!paymentStatus || !validPaymentStatuses.includes(paymentStatus)) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Valid payment status is required',
+      validPaymentStatuses
+    });
+  }
+
+  next();
+}
+
+const MEAL_CATEGORIES = ['main', 'side', 'fruit', 'drink', 'snack', 'dessert'];
+
+const REQUIRED_NUTRIENTS = ['energyKcal', 'proteinG', 'fatG', 'carbsG'];
+const OPTIONAL_NUTRIENTS = ['saturatedFatG', 'sugarG', 'fibreG', 'sodiumMg', 'calciumMg', 'ironMg', 'vitaminAMcg', 'vitaminCMg'];
+const FOOD_GROUPS = ['grains', 'vegetables', 'fruit', 'protein', 'dairy'];
+
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isCapacity = (value) => value === null || (Number.isInteger(value) && value > 0);
+
+/**
+ * Check a meal's nutrient facts per serving
+ * @param {Object} nutrition - Nutrient facts
+ * @returns {Array<string>} Validation errors
+ */
+const nutritionErrors = (nutrition) => {
+  if (typeof nutrition !== 'object' || nutrition === null || Array.isArray(nutrition)) {
+    return ['Nutrition must be an object of nutrient facts'];
+  }
+
+  const errors = [];
+  for (const nutrient of REQUIRED_NUTRIENTS) {
+    if (!isAmount(nutrition[nutrient])) errors.push(`nutrition.${nutrient} must be a non-negative number`);
+  }
+  for (const nutrient of OPTIONAL_NUTRIENTS) {
+    if (nutrition[nutrient] !== undefined && nutrition[nutrient] !== null && !isAmount(nutrition[nutrient])) {
+      errors.push(`nutrition.${nutrient} must be a non-negative number`);
+    }
+  }
+  for (const key of Object.keys(nutrition)) {
+    if (![...REQUIRED_NUTRIENTS, ...OPTIONAL_NUTRIENTS, 'foodGroups'].includes(key)) {
+      errors.push(`nutrition.${key} is not a known nutrient`);
+    }
+  }
+  if (nutrition.foodGroups !== undefined &&
+      (!Array.isArray(nutrition.foodGroups) || nutrition.foodGroups.some(group => !FOOD_GROUPS.includes(group)))) {
+    errors.push(`nutrition.foodGroups must list food groups from ${FOOD_GROUPS.join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Validate meal create/update request middleware; on PATCH every field is optional
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateMealRequest(req, res, next) {
+  const { name, description, category, price, subsidyAmount, nutritionScore, maxQuantityPerDay, allergens, dietaryTags, nutrition } = req.body;
+  const partial = req.method === 'PATCH';
+  const errors = [];
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) errors.push('Name is required (max 100 characters)');
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 500)) {
+    errors.push('Description must be a string (max 500 characters)');
+  }
+  if (category !== undefined && !MEAL_CATEGORIES.includes(category)) {
+    errors.push(`Category must be one of ${MEAL_CATEGORIES.join(', ')}`);
+  }
+  if (price !== undefined || !partial) {
+    if (!isAmount(price)) errors.push('Price must be a non-negative number');
+  }
+  if (subsidyAmount !== undefined && !isAmount(subsidyAmount)) {
+    errors.push('Subsidy amount must be a non-negative number');
+  }
+  if (nutritionScore !== undefined && nutritionScore !== null &&
+      (!Number.isInteger(nutritionScore) || nutritionScore < 0 || nutritionScore > 100)) {
+    errors.push('Nutrition score must be an integer from 0 to 100');
+  }
+  if (maxQuantityPerDay !== undefined && !isCapacity(maxQuantityPerDay)) {
+    errors.push('Max quantity per day must be a positive integer or null');
+  }
+  if (allergens !== undefined && (!Array.isArray(allergens) || !allergens.every(isAllergen))) {
+    errors.push(`Allergens must list allergens from ${Object.keys(ALLERGENS).join(', ')}`);
+  }
+  if (dietaryTags !== undefined && (!Array.isArray(dietaryTags) || !dietaryTags.every(isDietaryAttribute))) {
+    errors.push(`Dietary tags must list attributes from ${Object.keys(DIETARY_ATTRIBUTES).join(', ')}`);
+  }
+  if (nutrition !== undefined) {
+    errors.push(...nutritionErrors(nutrition));
+  }
+  if (partial && Object.keys(req.body).length === 0) {
+    errors.push('Nothing to update');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validate menu publish request middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateMenuRequest(req, res, next) {
+  const { items } = req.body;
+  const errors = [];
+
+  if (!Array.isArray(items) || items.length === 0 || items.length > 50) {
+    errors.push('Items must list 1 to 50 meals');
+  } else {
+    items.forEach((item, index) => {
+      if (!item || typeof item.mealId !== 'string') errors.push(`Item ${index + 1}: Meal ID is required`);
+      if (item && item.capacity !== undefined && !isCapacity(item.capacity)) {
+        errors.push(`Item ${index + 1}: Capacity must be a positive integer or null`);
+      }
+    });
+
+    const mealIds = items.map(item => item && item.mealId).filter(Boolean);
+    if (new Set(mealIds).size !== mealIds.length) {
+      errors.push('List each meal once');
+    }
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validate menu capacity request middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateCapacityUpdate(req, res, next) {
+  const { capacity } = req.body;
+
+  if (capacity === undefined || !isCapacity(capacity)) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Capacity must be a positive integer, or null for the meal\'s max quantity per day'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validate dietary override request middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateDietaryOverride(req, res, next) {
+  const { studentId, mealId, scheduledDate, reason } = req.body;
+  const errors = [];
+
+  if (typeof studentId !== 'string' || !studentId) errors.push('Student ID is required');
+  if (typeof mealId !== 'string' || !mealId) errors.push('Meal ID is required');
+  if (typeof scheduledDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(scheduledDate) || isNaN(Date.parse(scheduledDate))) {
+    errors.push('Scheduled date must be a date (YYYY-MM-DD)');
+  }
+  if (typeof reason !== 'string' || reason.trim().length < 10 || reason.length > 500) {
+    errors.push('Reason is required (10 to 500 characters)');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
+/**
+ * Validate leftover recording request middleware
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function validateLeftovers(req, res, next) {
+  const { items, notes } = req.body;
+  const errors = [];
+
+  if (!Array.isArray(items) || items.length === 0) {
+    errors.push('Items must list at least one meal');
+  } else {
+    items.forEach((item, index) => {
+      if (!item || typeof item.mealId !== 'string') errors.push(`Item ${index + 1}: Meal ID is required`);
+      if (!item || typeof item.leftover !== 'number' || !(item.leftover >= 0 && item.leftover <= 1)) {
+        errors.push(`Item ${index + 1}: Leftover must be a share from 0 (all eaten) to 1 (none eaten)`);
+      }
+    });
+
+    const mealIds = items.map(item => item && item.mealId).filter(Boolean);
+    if (new Set(mealIds).size !== mealIds.length) {
+      errors.push('List each meal once');
+    }
+  }
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 500)) {
+    errors.push('Notes must be a string (max 500 characters)');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'validation_error',
+      message: 'Request validation failed',
+      details: errors
+    });
+  }
+
+  next();
+}
+
 module.exports = {
   validateOrderRequest,
-  validateStatusUpdate
+  validateStatusUpdate,
+  validatePaymentUpdate,
+  validateMealRequest,
+  validateMenuRequest,
+  validateCapacityUpdate,
+  validateDietaryOverride,
+  validateLeftovers
 };
\ No newline at end of file
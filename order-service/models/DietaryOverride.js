@@ -0,0 +1,90 @@
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+
+class DietaryOverride {
+
+  /**
+   * Map a dietary_overrides row to an override
+   * @param {Object} row - Database row
+   * @returns {Object|null} Override
+   */
+  toOverride(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      studentId: row.student_id,
+      schoolId: row.school_id,
+      mealId: row.meal_id,
+      scheduledDate: row.service_date,
+      reason: row.reason,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      orderId: row.order_id
+    };
+  }
+
+  /**
+   * Record an override
+   * @param {Object} overrideData - { studentId, schoolId, mealId, scheduledDate, reason, createdBy }
+   * @returns {Promise<Object>} Override
+   */
+  async create(overrideData) {
+    const id = uuidv4();
+
+    await db.run(
+      `INSERT INTO dietary_overrides (id, student_id, school_id, meal_id, service_date, reason, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        id,
+        overrideData.studentId,
+        overrideData.schoolId,
+        overrideData.mealId,
+        overrideData.scheduledDate,
+        overrideData.reason,
+        overrideData.createdBy,
+        new Date().toISOString()
+      ]
+    );
+
+    return this.toOverride(await db.get('SELECT * FROM dietary_overrides WHERE id = ?', [id]));
+  }
+
+  /**
+   * Overrides for a student and date that no order has used yet
+   * @param {string} studentId - Student ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @returns {Promise<Map>} Meal ID -> latest unused override
+   */
+  async findUnused(studentId, date) {
+    const rows = await db.all(
+      `SELECT * FROM dietary_overrides
+       WHERE student_id = ? AND service_date = ? AND order_id IS NULL
+       ORDER BY created_at, id`,
+      [studentId, date]
+    );
+    return new Map(rows.map(row => [row.meal_id, this.toOverride(row)]));
+  }
+
+  /**
+   * Mark overrides as used by an order
+   * @param {Array<string>} overrideIds - Override IDs
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async markUsed(overrideIds, orderId) {
+    for (const id of overrideIds) {
+      await db.run('UPDATE dietary_overrides SET order_id = ? WHERE id = ?', [orderId, id]);
+    }
+  }
+
+  /**
+   * Give overrides back to the student, e.g. when the order that used them is cancelled
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async release(orderId) {
+    await db.run('UPDATE dietary_overrides SET order_id = NULL WHERE order_id = ?', [orderId]);
+  }
+}
+
+module.exports = new DietaryOverride();
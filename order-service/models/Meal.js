@@ -0,0 +1,256 @@
+const db = require('../db');
+
+// Nutrient fact -> meal_nutrition column
+const NUTRIENT_COLUMNS = {
+  energyKcal: 'energy_kcal',
+  proteinG: 'protein_g',
+  fatG: 'fat_g',
+  saturatedFatG: 'saturated_fat_g',
+  carbsG: 'carbs_g',
+  sugarG: 'sugar_g',
+  fibreG: 'fibre_g',
+  sodiumMg: 'sodium_mg',
+  calciumMg: 'calcium_mg',
+  ironMg: 'iron_mg',
+  vitaminAMcg: 'vitamin_a_mcg',
+  vitaminCMg: 'vitamin_c_mg'
+};
+
+class Meal {
+  constructor() {
+    // Last meal number; picked up from the number of stored meals on first use (meals are never deleted)
+    this.counter = null;
+  }
+
+  /**
+   * Map a meals row to the meal shape used by the services
+   * @param {Object} row - Database row
+   * @returns {Object|null} Meal
+   */
+  toMeal(row) {
+    if (!row) return null;
+    return {
+      id: row.id,
+      schoolId: row.school_id,
+      name: row.name,
+      description: row.description,
+      category: row.category,
+      price: row.price,
+      subsidyAmount: row.subsidy_amount,
+      nutritionScore: row.nutrition_score,
+      status: row.status,
+      available: row.status === 'active',
+      maxQuantityPerDay: row.max_quantity_per_day,
+      allergens: JSON.parse(row.allergens),
+      dietaryTags: JSON.parse(row.dietary_tags),
+      nutrition: null,
+      createdBy: row.created_by,
+      retiredAt: row.retired_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Map a meal_nutrition row to nutrient facts
+   * @param {Object} row - Database row
+   * @returns {Object} Nutrient facts
+   */
+  toNutrition(row) {
+    const nutrition = Object.fromEntries(Object.entries(NUTRIENT_COLUMNS)
+      .map(([field, column]) => [field, row[column]]));
+    return { ...nutrition, foodGroups: JSON.parse(row.food_groups) };
+  }
+
+  /**
+   * Load the nutrient facts of a set of meals
+   * @param {Array} meals - Meals (or menu items)
+   * @returns {Promise<Array>} The same meals, with nutrition set where known
+   */
+  async withNutrition(meals) {
+    if (!meals.length) return meals;
+
+    const rows = await db.all(
+      `SELECT * FROM meal_nutrition WHERE meal_id IN (${meals.map(() => '?').join(', ')})`,
+      meals.map(meal => meal.id)
+    );
+    const facts = new Map(rows.map(row => [row.meal_id, this.toNutrition(row)]));
+
+    return meals.map(meal => ({ ...meal, nutrition: facts.get(meal.id) || null }));
+  }
+
+  /**
+   * Set a meal's nutrient facts, replacing any it had
+   * @param {string} mealId - Meal ID
+   * @param {Object} nutrition - Nutrient facts and foodGroups
+   * @returns {Promise<void>}
+   */
+  async setNutrition(mealId, nutrition) {
+    const fields = Object.keys(NUTRIENT_COLUMNS);
+    const columns = [...fields.map(field => NUTRIENT_COLUMNS[field]), 'food_groups', 'updated_at'];
+
+    await db.run(
+      `INSERT INTO meal_nutrition (meal_id, ${columns.join(', ')})
+       VALUES (?, ${columns.map(() => '?').join(', ')})
+       ON CONFLICT (meal_id) DO UPDATE SET ${columns.map(column => `${column} = excluded.${column}`).join(', ')}`,
+      [
+        mealId,
+        ...fields.map(field => (nutrition[field] === undefined ? null : nutrition[field])),
+        JSON.stringify(nutrition.foodGroups || []),
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  /**
+   * Add a meal to the catalogue
+   * @param {Object} mealData - Meal data, with optional allergens, dietaryTags and nutrition facts;
+   *   a null schoolId offers the meal at every school
+   * @returns {Promise<Object>} Created meal
+   */
+  async create(mealData) {
+    if (this.counter === null) {
+      const { count } = await db.get('SELECT COUNT(*) AS count FROM meals');
+      this.counter = count;
+    }
+    const mealId = `meal_${String(++this.counter).padStart(3, '0')}`;
+    const now = new Date().toISOString();
+
+    await db.transaction(async () => {
+      await db.run(
+        `INSERT INTO meals (
+           id, school_id, name, description, category, price, subsidy_amount, nutrition_score,
+           max_quantity_per_day, allergens, dietary_tags, created_by, created_at, updated_at
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          mealId,
+          mealData.schoolId || null,
+          mealData.name,
+          mealData.description || null,
+          mealData.category,
+          mealData.price,
+          mealData.subsidyAmount || 0,
+          mealData.nutritionScore === undefined ? null : mealData.nutritionScore,
+          mealData.maxQuantityPerDay === undefined ? null : mealData.maxQuantityPerDay,
+          JSON.stringify(mealData.allergens || []),
+          JSON.stringify(mealData.dietaryTags || []),
+          mealData.createdBy || null,
+          now,
+          now
+        ]
+      );
+
+      if (mealData.nutrition) {
+        await this.setNutrition(mealId, mealData.nutrition);
+      }
+    });
+
+    return this.findById(mealId);
+  }
+
+  /**
+   * Find meal by ID
+   * @param {string} mealId - Meal ID
+   * @returns {Promise<Object|null>} Meal or null
+   */
+  async findById(mealId) {
+    const row = await db.get('SELECT * FROM meals WHERE id = ?', [mealId]);
+    if (!row) return null;
+
+    const [meal] = await this.withNutrition([this.toMeal(row)]);
+    return meal;
+  }
+
+  /**
+   * Find meals by ID
+   * @param {Array<string>} mealIds - Meal IDs
+   * @returns {Promise<Map>} Meal ID -> meal, for the meals that exist
+   */
+  async findByIds(mealIds) {
+    if (!mealIds.length) return new Map();
+
+    const rows = await db.all(
+      `SELECT * FROM meals WHERE id IN (${mealIds.map(() => '?').join(', ')})`,
+      mealIds
+    );
+    const meals = await this.withNutrition(rows.map(row => this.toMeal(row)));
+    return new Map(meals.map(meal => [meal.id, meal]));
+  }
+
+  /**
+   * Meals offered at a school: its own and those offered at every school
+   * @param {string} schoolId - School ID
+   * @param {Object} options - { includeRetired, category }
+   * @returns {Promise<Array>} Meals, by category and name
+   */
+  async findForSchool(schoolId, options = {}) {
+    const params = [schoolId];
+    let sql = 'SELECT * FROM meals WHERE (school_id IS NULL OR school_id = ?)';
+
+    if (!options.includeRetired) {
+      sql += " AND status = 'active'";
+    }
+    if (options.category) {
+      sql += ' AND category = ?';
+      params.push(options.category);
+    }
+    sql += ' ORDER BY category, name';
+
+    const rows = await db.all(sql, params);
+    return this.withNutrition(rows.map(row => this.toMeal(row)));
+  }
+
+  /**
+   * Update a meal's details
+   * @param {string} mealId - Meal ID
+   * @param {Object} changes - Any of name, description, category, price, subsidyAmount, nutritionScore,
+   *   maxQuantityPerDay, allergens, dietaryTags and nutrition (replacing the meal's nutrient facts)
+   * @returns {Promise<Object|null>} Updated meal
+   */
+  async update(mealId, changes) {
+    const columns = {
+      name: 'name',
+      description: 'description',
+      category: 'category',
+      price: 'price',
+      subsidyAmount: 'subsidy_amount',
+      nutritionScore: 'nutrition_score',
+      maxQuantityPerDay: 'max_quantity_per_day',
+      allergens: 'allergens',
+      dietaryTags: 'dietary_tags'
+    };
+    const fields = Object.keys(columns).filter(field => changes[field] !== undefined);
+    const value = (field) => (Array.isArray(changes[field]) ? JSON.stringify(changes[field]) : changes[field]);
+
+    const updated = await db.transaction(async () => {
+      const { changes: count } = await db.run(
+        `UPDATE meals SET ${fields.map(field => `${columns[field]} = ?, `).join('')}updated_at = ? WHERE id = ?`,
+        [...fields.map(value), new Date().toISOString(), mealId]
+      );
+      if (count && changes.nutrition) {
+        await this.setNutrition(mealId, changes.nutrition);
+      }
+      return count;
+    });
+
+    return updated ? this.findById(mealId) : null;
+  }
+
+  /**
+   * Retire a meal: it stays on past orders but can no longer be put on a menu or ordered
+   * @param {string} mealId - Meal ID
+   * @returns {Promise<Object|null>} Retired meal
+   */
+  async retire(mealId) {
+    const now = new Date().toISOString();
+    const { changes } = await db.run(
+      "UPDATE meals SET status = 'retired', retired_at = ?, updated_at = ? WHERE id = ? AND status = 'active'",
+      [now, now, mealId]
+    );
+
+    return changes ? this.findById(mealId) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new Meal();
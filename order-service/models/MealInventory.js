@@ -0,0 +1,65 @@
+const db = require('../db');
+
+class MealInventory {
+
+  /**
+   * Reserve meals for a service date, unless that would exceed the day's capacity.
+   * The check and the reservation are one statement, so concurrent orders cannot oversell.
+   * @param {string} mealId - Meal ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {number} quantity - Meals to reserve
+   * @param {number|null} capacity - The day's capacity; null for no limit
+   * @returns {Promise<boolean>} True if reserved, false if not enough are left
+   */
+  async reserve(mealId, date, quantity, capacity) {
+    const now = new Date().toISOString();
+
+    await db.run(
+      `INSERT INTO meal_inventory (meal_id, service_date, reserved, updated_at) VALUES (?, ?, 0, ?)
+       ON CONFLICT (meal_id, service_date) DO NOTHING`,
+      [mealId, date, now]
+    );
+    const { changes } = await db.run(
+      `UPDATE meal_inventory SET reserved = reserved + ?, updated_at = ?
+       WHERE meal_id = ? AND service_date = ? AND (CAST(? AS INTEGER) IS NULL OR reserved + ? <= ?)`,
+      [quantity, now, mealId, date, capacity, quantity, capacity]
+    );
+
+    return changes > 0;
+  }
+
+  /**
+   * Give back reserved meals for a service date
+   * @param {string} mealId - Meal ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {number} quantity - Meals to give back
+   * @returns {Promise<void>}
+   */
+  async release(mealId, date, quantity) {
+    await db.run(
+      `UPDATE meal_inventory SET reserved = CASE WHEN reserved > ? THEN reserved - ? ELSE 0 END, updated_at = ?
+       WHERE meal_id = ? AND service_date = ?`,
+      [quantity, quantity, new Date().toISOString(), mealId, date]
+    );
+  }
+
+  /**
+   * Meals reserved for a service date
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {Array<string>} mealIds - Meal IDs
+   * @returns {Promise<Map>} Meal ID -> reserved, for meals with reservations
+   */
+  async findReserved(date, mealIds) {
+    if (!mealIds.length) return new Map();
+
+    const rows = await db.all(
+      `SELECT meal_id, reserved FROM meal_inventory
+       WHERE service_date = ? AND meal_id IN (${mealIds.map(() => '?').join(', ')})`,
+      [date, ...mealIds]
+    );
+    return new Map(rows.map(row => [row.meal_id, row.reserved]));
+  }
+}
+
+// Export singleton instance
+module.exports = new MealInventory();
@@ -0,0 +1,128 @@
+const db = require('../db');
+const MealModel = require('./Meal');
+
+class Menu {
+
+  /**
+   * Map a menus row and its item rows (joined with meals) to a menu
+   * @param {Object} row - menus row
+   * @param {Array} items - menu_items rows joined with their meals, in menu order
+   * @returns {Object} Menu
+   */
+  toMenu(row, items) {
+    return {
+      schoolId: row.school_id,
+      date: row.menu_date,
+      published: true,
+      publishedBy: row.published_by,
+      publishedAt: row.published_at,
+      items: items.map(item => ({
+        ...MealModel.toMeal(item),
+        capacity: item.capacity
+      }))
+    };
+  }
+
+  /**
+   * Load the items of a set of menus
+   * @param {Array} rows - menus rows
+   * @returns {Promise<Array>} Menus, in the order of rows
+   */
+  async hydrate(rows) {
+    if (!rows.length) return [];
+
+    const items = await db.all(
+      `SELECT meals.*, menu_items.menu_id, menu_items.capacity
+       FROM menu_items JOIN meals ON meals.id = menu_items.meal_id
+       WHERE menu_items.menu_id IN (${rows.map(() => '?').join(', ')})
+       ORDER BY menu_items.position`,
+      rows.map(row => row.id)
+    );
+
+    const menus = rows.map(row => this.toMenu(row, items.filter(item => item.menu_id === row.id)));
+    return Promise.all(menus.map(async menu => ({ ...menu, items: await MealModel.withNutrition(menu.items) })));
+  }
+
+  /**
+   * Find a school's published menu for a date
+   * @param {string} schoolId - School ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} Menu or null
+   */
+  async findByDate(schoolId, date) {
+    const row = await db.get('SELECT * FROM menus WHERE school_id = ? AND menu_date = ?', [schoolId, date]);
+    if (!row) return null;
+
+    const [menu] = await this.hydrate([row]);
+    return menu;
+  }
+
+  /**
+   * Find a school's published menus in a date range
+   * @param {string} schoolId - School ID
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Menus, by date
+   */
+  async findRange(schoolId, from, to) {
+    const rows = await db.all(
+      'SELECT * FROM menus WHERE school_id = ? AND menu_date BETWEEN ? AND ? ORDER BY menu_date',
+      [schoolId, from, to]
+    );
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Publish a school's menu for one or more dates, replacing whatever was published for them
+   * @param {string} schoolId - School ID
+   * @param {Array<string>} dates - Service dates (YYYY-MM-DD)
+   * @param {Array} items - [{ mealId, capacity }], in menu order
+   * @param {string} publishedBy - User publishing the menu
+   * @returns {Promise<Array>} Published menus, by date
+   */
+  async publish(schoolId, dates, items, publishedBy) {
+    const now = new Date().toISOString();
+
+    await db.transaction(async () => {
+      for (const date of dates) {
+        await db.run(
+          `INSERT INTO menus (school_id, menu_date, published_by, published_at) VALUES (?, ?, ?, ?)
+           ON CONFLICT (school_id, menu_date) DO UPDATE SET published_by = excluded.published_by, published_at = excluded.published_at`,
+          [schoolId, date, publishedBy, now]
+        );
+        const { id } = await db.get('SELECT id FROM menus WHERE school_id = ? AND menu_date = ?', [schoolId, date]);
+
+        await db.run('DELETE FROM menu_items WHERE menu_id = ?', [id]);
+        for (const [position, item] of items.entries()) {
+          await db.run(
+            'INSERT INTO menu_items (menu_id, meal_id, capacity, position) VALUES (?, ?, ?, ?)',
+            [id, item.mealId, item.capacity === undefined ? null : item.capacity, position]
+          );
+        }
+      }
+    });
+
+    return this.findRange(schoolId, dates[0], dates[dates.length - 1]);
+  }
+
+  /**
+   * Set how many of a meal may be served on a date
+   * @param {string} schoolId - School ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {string} mealId - Meal ID
+   * @param {number|null} capacity - Capacity; null for the meal's maxQuantityPerDay
+   * @returns {Promise<Object|null>} Updated menu, or null when the meal is not on that menu
+   */
+  async setCapacity(schoolId, date, mealId, capacity) {
+    const { changes } = await db.run(
+      `UPDATE menu_items SET capacity = ?
+       WHERE meal_id = ? AND menu_id = (SELECT id FROM menus WHERE school_id = ? AND menu_date = ?)`,
+      [capacity, mealId, schoolId, date]
+    );
+
+    return changes ? this.findByDate(schoolId, date) : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new Menu();
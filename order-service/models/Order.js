@@ -1,40 +1,247 @@
+const db = require('../db');
+
+const ACTIVE_STATUSES = ['PENDING', 'CONFIRMED'];
+
+/**
+ * SQL condition (and its parameters) limiting a query to a tenant scope
+ * @param {Object} tenant - Optional { schoolId }; a null schoolId means every school
+ * @returns {Object} { sql, params }
+ */
+const tenantCondition = (tenant) => (tenant && tenant.schoolId
+  ? { sql: ' AND school_id = ?', params: [tenant.schoolId] }
+  : { sql: '', params: [] });
+
 class Order {
   constructor() {
-    // In-memory storage for demo (replace with actual database)
-    this.orders = [];
-    this.counter = 1000;
+    // Next order number; picked up from the number of stored orders on first use
+    this.counter = null;
   }
 
   /**
-   * Create a new order
-   * @param {Object} orderData - Order data
-   * @returns {Promise<Object>} Created order
+   * Map an orders row, its line items and its history to the order shape used by the services
+   * @param {Object} row - Database row
+   * @param {Array} history - order_status_history rows, oldest first
+   * @param {Array} items - order_items rows, in cart order
+   * @returns {Object} Order
    */
-  async create(orderData) {
-    const orderId = `ORD${this.counter++}${Date.now().toString().slice(-4)}`;
-    
-    const newOrder = {
-      id: orderId,
-      ...orderData,
-      orderDate: new Date().toISOString(),
-      status: 'PENDING',
-      paymentStatus: orderData.finalAmount > 0 ? 'PENDING' : 'PAID',
-      paymentId: null,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
+  toOrder(row, history = [], items = []) {
+    return {
+      id: row.id,
+      studentId: row.student_id,
+      mealId: row.meal_id,
+      items: items.map(item => ({
+        mealId: item.meal_id,
+        mealName: item.meal_name,
+        quantity: item.quantity,
+        unitPrice: item.unit_price,
+        totalAmount: item.total_amount,
+        subsidyAmount: item.subsidy_amount,
+        finalAmount: item.final_amount,
+        leftover: item.leftover_fraction
+      })),
+      schoolId: row.school_id,
+      scheduledDate: row.scheduled_date,
+      quantity: row.quantity,
+      currency: row.currency,
+      totalAmount: row.total_amount,
+      subsidyAmount: row.subsidy_amount,
+      finalAmount: row.final_amount,
+      dietaryRestrictions: row.dietary_restrictions ? JSON.parse(row.dietary_restrictions) : [],
+      specialInstructions: row.special_instructions,
+      pickupTime: row.pickup_time,
+      placedBy: row.placed_by,
+      auditTrail: JSON.parse(row.audit_trail),
+      metadata: JSON.parse(row.metadata),
+      orderDate: row.order_date,
+      status: row.status,
+      paymentStatus: row.payment_status,
+      paymentId: row.payment_id,
+      cancelledAt: row.cancelled_at,
+      cancellationReason: row.cancellation_reason,
+      flaggedAt: row.flagged_at,
+      flagReason: row.flag_reason,
+      updatedBy: row.updated_by,
+      staffNotes: row.staff_notes,
+      statusHistory: history.map(entry => ({
+        event: entry.event,
+        from: entry.from_status,
+        status: entry.status,
+        paymentStatus: entry.payment_status,
+        actorId: entry.actor_id,
+        actorRole: entry.actor_role,
+        notes: entry.notes,
+        timestamp: entry.created_at
+      })),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
     };
+  }
+
+  /**
+   * Load the line items and status history for a set of order rows and map them to orders
+   * @param {Array} rows - orders rows
+   * @returns {Promise<Array>} Orders, in the order of rows
+   */
+  async hydrate(rows) {
+    if (!rows.length) return [];
+
+    const placeholders = rows.map(() => '?').join(', ');
+    const orderIds = rows.map(row => row.id);
+    const history = await db.all(
+      `SELECT * FROM order_status_history
+       WHERE order_id IN (${placeholders})
+       ORDER BY created_at, id`,
+      orderIds
+    );
+    const items = await db.all(
+      `SELECT * FROM order_items WHERE order_id IN (${placeholders}) ORDER BY id`,
+      orderIds
+    );
+
+    return rows.map(row => this.toOrder(
+      row,
+      history.filter(entry => entry.order_id === row.id),
+      items.filter(item => item.order_id === row.id)
+    ));
+  }
+
+  /**
+   * Append an event to an order's history
+   * @param {string} orderId - Order ID
+   * @param {Object} entry - { event, from, status, paymentStatus, actorId, actorRole, notes, at }
+   * @returns {Promise<void>}
+   */
+  async addHistory(orderId, entry) {
+    await db.run(
+      `INSERT INTO order_status_history (
+         order_id, event, from_status, status, payment_status, actor_id, actor_role, notes, created_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        orderId,
+        entry.event,
+        entry.from || null,
+        entry.status,
+        entry.paymentStatus || null,
+        entry.actorId || null,
+        entry.actorRole || null,
+        entry.notes || null,
+        entry.at || new Date().toISOString()
+      ]
+    );
+  }
+
+  /**
+   * Create a new order, unless the student already has a live order for its date.
+   * The check, the insert and the reservation of its meals are one transaction, and a unique
+   * index backs the check up, so concurrent requests cannot place two orders for one day.
+   * @param {Object} orderData - Order data; items are the priced line items, in cart order
+   * @param {Function} reserve - Optional async function reserving the order's meals; it runs in the
+   *   transaction, and the order is not placed if it throws
+   * @returns {Promise<Object|null>} Created order, or null if the student already has an order for the date
+   */
+  async create(orderData, reserve) {
+    if (this.counter === null) {
+      const { count } = await db.get('SELECT COUNT(*) AS count FROM orders');
+      this.counter = 1000 + count;
+    }
+    const orderId = `ORD${this.counter++}${Date.now().toString().slice(-4)}`;
+    const now = new Date().toISOString();
+    const paymentStatus = orderData.finalAmount > 0 ? 'PENDING' : 'PAID';
+    const [creation = {}] = orderData.auditTrail || [];
+
+    const created = await db.transaction(async () => {
+      const existing = await db.get(
+        `SELECT id FROM orders WHERE student_id = ? AND scheduled_date = ? AND status != 'CANCELLED' LIMIT 1`,
+        [orderData.studentId, orderData.scheduledDate]
+      );
+      if (existing) return false;
 
-    this.orders.push(newOrder);
-    return newOrder;
+      try {
+        await db.run(
+          `INSERT INTO orders (
+             id, student_id, meal_id, school_id, scheduled_date, quantity, currency,
+             total_amount, subsidy_amount, final_amount, status, payment_status, payment_id,
+             dietary_restrictions, special_instructions, pickup_time, placed_by, audit_trail, metadata,
+             order_date, created_at, updated_at
+           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            orderId,
+            orderData.studentId,
+            orderData.mealId,
+            orderData.schoolId || null,
+            orderData.scheduledDate,
+            orderData.quantity,
+            orderData.currency || null,
+            orderData.totalAmount,
+            orderData.subsidyAmount || 0,
+            orderData.finalAmount,
+            'PENDING',
+            paymentStatus,
+            null,
+            orderData.dietaryRestrictions ? JSON.stringify(orderData.dietaryRestrictions) : null,
+            orderData.specialInstructions || null,
+            orderData.pickupTime || null,
+            orderData.placedBy || null,
+            JSON.stringify(orderData.auditTrail || []),
+            JSON.stringify(orderData.metadata || {}),
+            now,
+            now,
+            now
+          ]
+        );
+      } catch (error) {
+        // idx_orders_live_student_date: the student already has a live order for the date
+        if (db.isUniqueViolation(error, 'orders', ['student_id', 'scheduled_date'])) return false;
+        throw error;
+      }
+
+      for (const item of orderData.items || []) {
+        await db.run(
+          `INSERT INTO order_items (
+             order_id, meal_id, meal_name, quantity, unit_price, total_amount, subsidy_amount, final_amount
+           ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            orderId,
+            item.mealId,
+            item.mealName || null,
+            item.quantity,
+            item.unitPrice,
+            item.totalAmount,
+            item.subsidyAmount || 0,
+            item.finalAmount
+          ]
+        );
+      }
+
+      await this.addHistory(orderId, {
+        event: 'created',
+        status: 'PENDING',
+        paymentStatus,
+        actorId: orderData.placedBy,
+        actorRole: creation.actorRole,
+        at: now
+      });
+
+      if (reserve) await reserve();
+      return true;
+    });
+
+    return created ? this.findById(orderId) : null;
   }
 
   /**
    * Find order by ID
    * @param {string} orderId - Order ID
+   * @param {Object} tenant - Optional { schoolId } scope; orders of other schools are not found
    * @returns {Promise<Object|null>} Order or null
    */
-  async findById(orderId) {
-    return this.orders.find(order => order.id === orderId) || null;
+  async findById(orderId, tenant) {
+    const scope = tenantCondition(tenant);
+    const row = await db.get(`SELECT * FROM orders WHERE id = ?${scope.sql}`, [orderId, ...scope.params]);
+    if (!row) return null;
+
+    const [order] = await this.hydrate([row]);
+    return order;
   }
 
   /**
@@ -45,18 +252,36 @@ class Order {
    */
   async findByStudent(studentId, options = {}) {
     const { status, limit = 20, offset = 0 } = options;
-    
-    let studentOrders = this.orders.filter(order => order.studentId === studentId);
-    
+    const params = [studentId];
+    let sql = 'SELECT * FROM orders WHERE student_id = ?';
+
     if (status) {
-      studentOrders = studentOrders.filter(order => order.status === status);
+      sql += ' AND status = ?';
+      params.push(status);
     }
 
-    // Sort by order date (newest first)
-    studentOrders.sort((a, b) => new Date(b.orderDate) - new Date(a.orderDate));
+    // Newest first, paginated
+    sql += ' ORDER BY order_date DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(parseInt(limit), parseInt(offset));
+
+    return this.hydrate(await db.all(sql, params));
+  }
 
-    // Pagination
-    return studentOrders.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+  /**
+   * Find a student's delivered orders for a range of service dates
+   * @param {string} studentId - Student ID
+   * @param {string} from - First date (YYYY-MM-DD)
+   * @param {string} to - Last date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Orders, by service date
+   */
+  async findDelivered(studentId, from, to) {
+    const rows = await db.all(
+      `SELECT * FROM orders
+       WHERE student_id = ? AND status = 'DELIVERED' AND scheduled_date BETWEEN ? AND ?
+       ORDER BY scheduled_date, created_at, id`,
+      [studentId, from, to]
+    );
+    return this.hydrate(rows);
   }
 
   /**
@@ -67,14 +292,11 @@ class Order {
    */
   async countByStudent(studentId, options = {}) {
     const { status } = options;
-    
-    let studentOrders = this.orders.filter(order => order.studentId === studentId);
-    
-    if (status) {
-      studentOrders = studentOrders.filter(order => order.status === status);
-    }
+    const row = status
+      ? await db.get('SELECT COUNT(*) AS count FROM orders WHERE student_id = ? AND status = ?', [studentId, status])
+      : await db.get('SELECT COUNT(*) AS count FROM orders WHERE student_id = ?', [studentId]);
 
-    return studentOrders.length;
+    return row.count;
   }
 
   /**
@@ -84,61 +306,115 @@ class Order {
    * @returns {Promise<Object|null>} Existing order or null
    */
   async findExistingOrder(studentId, scheduledDate) {
-    return this.orders.find(order => 
-      order.studentId === studentId && 
-      order.scheduledDate === scheduledDate && 
-      order.status !== 'CANCELLED'
-    ) || null;
+    const row = await db.get(
+      `SELECT * FROM orders
+       WHERE student_id = ? AND scheduled_date = ? AND status != 'CANCELLED'
+       LIMIT 1`,
+      [studentId, scheduledDate]
+    );
+    if (!row) return null;
+
+    const [order] = await this.hydrate([row]);
+    return order;
   }
 
   /**
    * Cancel an order
    * @param {string} orderId - Order ID
    * @param {string} reason - Cancellation reason
-   * @returns {Promise<Object>} Updated order
+   * @param {Object} auditEntry - Audit trail entry for the cancellation
+   * @returns {Promise<Object|null>} Updated order, or null if it was not found or changed status meanwhile
    */
-  async cancel(orderId, reason) {
-    const orderIndex = this.orders.findIndex(order => order.id === orderId);
-    
-    if (orderIndex === -1) return null;
-
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
-      status: 'CANCELLED',
-      cancelledAt: new Date().toISOString(),
-      cancellationReason: reason,
-      updatedAt: new Date().toISOString(),
-      metadata: {
-        ...this.orders[orderIndex].metadata,
-        cancelledBy: 'student'
-      }
-    };
+  async cancel(orderId, reason, auditEntry) {
+    const order = await this.findById(orderId);
+    if (!order) return null;
 
-    return this.orders[orderIndex];
+    const now = new Date().toISOString();
+    const cancelled = await db.transaction(async () => {
+      const { changes } = await db.run(
+        `UPDATE orders
+         SET status = 'CANCELLED', cancelled_at = ?, cancellation_reason = ?, audit_trail = ?, metadata = ?, updated_at = ?
+         WHERE id = ? AND status = ?`,
+        [
+          now,
+          reason || null,
+          JSON.stringify([...order.auditTrail, auditEntry]),
+          JSON.stringify({ ...order.metadata, cancelledBy: auditEntry.actorId }),
+          now,
+          orderId,
+          order.status
+        ]
+      );
+      if (!changes) return false;
+
+      await this.addHistory(orderId, {
+        event: 'cancelled',
+        from: order.status,
+        status: 'CANCELLED',
+        actorId: auditEntry.actorId,
+        actorRole: auditEntry.actorRole,
+        notes: reason,
+        at: now
+      });
+      return true;
+    });
+
+    return cancelled ? this.findById(orderId) : null;
+  }
+
+  /**
+   * Flag an order for manual review
+   * @param {string} orderId - Order ID
+   * @param {string} reason - Why the order needs review
+   * @param {Object} change - { actorId, actorRole } recorded in the order history
+   * @returns {Promise<Object|null>} Updated order, or null if it was not found
+   */
+  async flag(orderId, reason, change = {}) {
+    const now = new Date().toISOString();
+
+    const flagged = await db.transaction(async () => {
+      const current = await db.get('SELECT status, payment_status FROM orders WHERE id = ?', [orderId]);
+      if (!current) return false;
+
+      await db.run(
+        'UPDATE orders SET flagged_at = ?, flag_reason = ?, updated_at = ? WHERE id = ?',
+        [now, reason, now, orderId]
+      );
+      await this.addHistory(orderId, {
+        event: 'flagged',
+        status: current.status,
+        paymentStatus: current.payment_status,
+        actorId: change.actorId,
+        actorRole: change.actorRole,
+        notes: reason,
+        at: now
+      });
+      return true;
+    });
+
+    return flagged ? this.findById(orderId) : null;
   }
 
   /**
    * Find pending orders for staff
    * @param {string} date - Optional date filter
+   * @param {Object} tenant - Optional { schoolId } scope
    * @returns {Promise<Array>} Pending orders
    */
-  async findPendingOrders(date) {
-    let pendingOrders = this.orders.filter(order => 
-      ['PENDING', 'CONFIRMED'].includes(order.status)
-    );
+  async findPendingOrders(date, tenant) {
+    const scope = tenantCondition(tenant);
+    const params = [...ACTIVE_STATUSES, ...scope.params];
+    let sql = `SELECT * FROM orders WHERE status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})${scope.sql}`;
 
     if (date) {
-      pendingOrders = pendingOrders.filter(order => order.scheduledDate === date);
+      sql += ' AND scheduled_date = ?';
+      params.push(date);
     }
 
     // Sort by scheduled date and order time
-    pendingOrders.sort((a, b) => {
-      const dateCompare = new Date(a.scheduledDate) - new Date(b.scheduledDate);
-      if (dateCompare !== 0) return dateCompare;
-      return new Date(a.orderDate) - new Date(b.orderDate);
-    });
+    sql += ' ORDER BY scheduled_date, order_date';
 
-    return pendingOrders;
+    return this.hydrate(await db.all(sql, params));
   }
 
   /**
@@ -147,74 +423,111 @@ class Order {
    * @param {string} status - New status
    * @param {string} staffId - Staff ID
    * @param {string} notes - Staff notes
-   * @returns {Promise<Object>} Updated order
+   * @param {Object} change - { from, actorRole }; with from, the update only applies while the order is still in that status
+   * @returns {Promise<Object|null>} Updated order, or null if it was not found or changed status meanwhile
    */
-  async updateStatus(orderId, status, staffId, notes) {
-    const orderIndex = this.orders.findIndex(order => order.id === orderId);
-    
-    if (orderIndex === -1) return null;
-
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
-      status,
-      updatedAt: new Date().toISOString(),
-      updatedBy: staffId,
-      staffNotes: notes,
-      statusHistory: [
-        ...(this.orders[orderIndex].statusHistory || []),
-        {
-          status,
-          timestamp: new Date().toISOString(),
-          staffId,
-          notes
-        }
-      ]
-    };
+  async updateStatus(orderId, status, staffId, notes, change = {}) {
+    const now = new Date().toISOString();
+
+    const updated = await db.transaction(async () => {
+      const current = await db.get('SELECT status FROM orders WHERE id = ?', [orderId]);
+      if (!current || (change.from && current.status !== change.from)) return false;
+
+      await db.run(
+        'UPDATE orders SET status = ?, updated_by = ?, staff_notes = ?, updated_at = ? WHERE id = ?',
+        [status, staffId, notes || null, now, orderId]
+      );
+      await this.addHistory(orderId, {
+        event: 'status_changed',
+        from: current.status,
+        status,
+        actorId: staffId,
+        actorRole: change.actorRole,
+        notes,
+        at: now
+      });
+      return true;
+    });
+
+    return updated ? this.findById(orderId) : null;
+  }
+
+  /**
+   * Record how much of each line of a delivered order was left uneaten
+   * @param {string} orderId - Order ID
+   * @param {Array} leftovers - [{ mealId, leftover }], leftover a share from 0 (all eaten) to 1
+   * @param {Object} change - { actorId, actorRole, notes } recorded in the order history
+   * @returns {Promise<Object|null>} Updated order, or null if it was not found or is no longer delivered
+   */
+  async recordLeftovers(orderId, leftovers, change = {}) {
+    const updated = await db.transaction(async () => {
+      const current = await db.get('SELECT status FROM orders WHERE id = ?', [orderId]);
+      if (!current || current.status !== 'DELIVERED') return false;
 
-    return this.orders[orderIndex];
+      for (const { mealId, leftover } of leftovers) {
+        await db.run(
+          'UPDATE order_items SET leftover_fraction = ? WHERE order_id = ? AND meal_id = ?',
+          [leftover, orderId, mealId]
+        );
+      }
+      await this.addHistory(orderId, {
+        event: 'leftovers_recorded',
+        status: current.status,
+        actorId: change.actorId,
+        actorRole: change.actorRole,
+        notes: change.notes,
+        at: new Date().toISOString()
+      });
+      return true;
+    });
+
+    return updated ? this.findById(orderId) : null;
   }
 
   /**
    * Update payment status
    * @param {string} orderId - Order ID
    * @param {string} paymentStatus - New payment status
+   * @param {Object} change - { actorId, actorRole, notes } recorded in the order history
    * @returns {Promise<Object>} Updated order
    */
-  async updatePaymentStatus(orderId, paymentStatus) {
-    const orderIndex = this.orders.findIndex(order => order.id === orderId);
-    
-    if (orderIndex === -1) return null;
-
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
-      paymentStatus,
-      updatedAt: new Date().toISOString()
-    };
-
-    return this.orders[orderIndex];
+  async updatePaymentStatus(orderId, paymentStatus, change = {}) {
+    return this.updatePaymentInfo(orderId, { status: paymentStatus }, change);
   }
 
   /**
    * Update payment info
    * @param {string} orderId - Order ID
-   * @param {Object} paymentInfo - Payment information
+   * @param {Object} paymentInfo - { paymentId, status }; a missing paymentId keeps the current one
+   * @param {Object} change - { actorId, actorRole, notes } recorded in the order history
    * @returns {Promise<Object>} Updated order
    */
-  async updatePaymentInfo(orderId, paymentInfo) {
-    const orderIndex = this.orders.findIndex(order => order.id === orderId);
-    
-    if (orderIndex === -1) return null;
+  async updatePaymentInfo(orderId, paymentInfo, change = {}) {
+    const now = new Date().toISOString();
 
-    this.orders[orderIndex] = {
-      ...this.orders[orderIndex],
-      paymentId: paymentInfo.paymentId,
-      paymentStatus: paymentInfo.status,
-      updatedAt: new Date().toISOString()
-    };
+    const updated = await db.transaction(async () => {
+      const current = await db.get('SELECT status FROM orders WHERE id = ?', [orderId]);
+      if (!current) return false;
+
+      await db.run(
+        'UPDATE orders SET payment_id = COALESCE(?, payment_id), payment_status = ?, updated_at = ? WHERE id = ?',
+        [paymentInfo.paymentId || null, paymentInfo.status, now, orderId]
+      );
+      await this.addHistory(orderId, {
+        event: 'payment_updated',
+        status: current.status,
+        paymentStatus: paymentInfo.status,
+        actorId: change.actorId,
+        actorRole: change.actorRole,
+        notes: change.notes,
+        at: now
+      });
+      return true;
+    });
 
-    return this.orders[orderIndex];
+    return updated ? this.findById(orderId) : null;
   }
 }
 
 // Export singleton instance
-module.exports = new Order();
\ No newline at end of file
+module.exports = new Order();
@@ -0,0 +1,693 @@
+const express = require('express');
+const router = express.Router();
+const { isCrossTenant } = require('nutriconnect-shared/auth');
+const MenuService = require('../services/MenuService');
+const { authenticateToken, requirePermission, requireTenant } = require('../middleware/auth');
+const { validateMealRequest, validateMenuRequest, validateCapacityUpdate } = require('../middleware/validation');
+
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.code,
+      message: error.message
+    });
+  }
+
+  console.error(`[MENU_ROUTE] ${message}:`, error);
+  res.status(500).json({
+    success: false,
+    error: 'server_error',
+    message
+  });
+};
+
+/**
+ * School whose menu is read: the caller's own school, or the `schoolId` query parameter for
+ * callers without one (parents) and administrators
+ */
+const resolveMenuSchool = (req, res, next) => {
+  const requested = req.query.schoolId;
+
+  if (requested && req.user.schoolId && requested !== req.user.schoolId && !isCrossTenant(req.user)) {
+    return res.status(403).json({
+      success: false,
+      error: 'forbidden',
+      message: 'You can only access data for your own school'
+    });
+  }
+
+  req.menuSchoolId = requested || req.user.schoolId || null;
+  next();
+};
+
+/**
+ * Grade nutrition scores are calculated for: the `grade` query parameter, otherwise the caller's own
+ */
+const menuGrade = (req) => req.query.grade || (req.user.profile && req.user.profile.grade) || null;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Meal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         schoolId:
+ *           type: string
+ *           nullable: true
+ *           description: School offering the meal; null for a meal offered at every school
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         category:
+ *           type: string
+ *           enum: [main, side, fruit, drink, snack, dessert]
+ *         price:
+ *           type: number
+ *           description: Price at the school, after its mealPrices override
+ *         subsidyAmount:
+ *           type: number
+ *           description: Subsidy per meal for eligible students under the school's subsidy program
+ *         nutritionScore:
+ *           type: integer
+ *           description: Calculated from the meal's nutrient facts for the grade when it has them
+ *         nutrition:
+ *           $ref: '#/components/schemas/NutritionFacts'
+ *         scoreBreakdown:
+ *           $ref: '#/components/schemas/ScoreBreakdown'
+ *         status:
+ *           type: string
+ *           enum: [active, retired]
+ *         available:
+ *           type: boolean
+ *         maxQuantityPerDay:
+ *           type: integer
+ *           nullable: true
+ *         allergens:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Allergens the meal contains (see GET /api/allergies/allergens in auth-service)
+ *         dietaryTags:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [vegetarian, vegan, halal, no_beef, no_pork, gluten_free, dairy_free]
+ *           description: Dietary attributes the meal meets
+ *         capacity:
+ *           type: integer
+ *           nullable: true
+ *           description: On a published menu, how many may be served that day; null for the meal's maxQuantityPerDay
+ *         dailyCapacity:
+ *           type: integer
+ *           nullable: true
+ *           description: On a menu for a date, how many may be served that day; null for no limit
+ *         remaining:
+ *           type: integer
+ *           nullable: true
+ *           description: On a menu for a date, how many are left to order; null for no limit
+ *         soldOut:
+ *           type: boolean
+ *     NutritionFacts:
+ *       type: object
+ *       nullable: true
+ *       description: Nutrient facts per serving; null when the meal has none
+ *       required: [energyKcal, proteinG, fatG, carbsG]
+ *       properties:
+ *         energyKcal:
+ *           type: number
+ *         proteinG:
+ *           type: number
+ *         fatG:
+ *           type: number
+ *         saturatedFatG:
+ *           type: number
+ *         carbsG:
+ *           type: number
+ *         sugarG:
+ *           type: number
+ *         fibreG:
+ *           type: number
+ *         sodiumMg:
+ *           type: number
+ *         calciumMg:
+ *           type: number
+ *         ironMg:
+ *           type: number
+ *         vitaminAMcg:
+ *           type: number
+ *         vitaminCMg:
+ *           type: number
+ *         foodGroups:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [grains, vegetables, fruit, protein, dairy]
+ *     ScoreBreakdown:
+ *       type: object
+ *       nullable: true
+ *       description: How the nutrition score was reached (see services/NutritionScoring.js); null for meals without nutrient facts
+ *       properties:
+ *         score:
+ *           type: integer
+ *         band:
+ *           type: string
+ *           description: Age band whose reference intakes were used
+ *         components:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               key:
+ *                 type: string
+ *                 enum: [adequacy, energy, moderation, variety]
+ *               points:
+ *                 type: number
+ *               maxPoints:
+ *                 type: number
+ *               detail:
+ *                 type: object
+ *         nutrients:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               nutrient:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *               target:
+ *                 type: number
+ *               percentOfTarget:
+ *                 type: integer
+ *     Menu:
+ *       type: object
+ *       properties:
+ *         schoolId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         published:
+ *           type: boolean
+ *           description: False when no menu is published for the date and every active meal is listed
+ *         publishedBy:
+ *           type: string
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Meal'
+ *     MenuItems:
+ *       type: object
+ *       required: [items]
+ *       properties:
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required: [mealId]
+ *             properties:
+ *               mealId:
+ *                 type: string
+ *               capacity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: How many may be served that day; omit or null for the meal's maxQuantityPerDay
+ */
+
+/**
+ * @swagger
+ * /api/menus/meals:
+ *   get:
+ *     summary: List the meals offered at a school
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *         description: School to list (defaults to the caller's school)
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Grade to score meals for, e.g. 10A (defaults to the caller's grade)
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeRetired
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Meals retrieved
+ */
+router.get('/meals', authenticateToken, requirePermission('read:menu'), resolveMenuSchool, async (req, res) => {
+  try {
+    const result = await MenuService.listMeals(req.menuSchoolId, req.query, menuGrade(req));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch meals');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/meals:
+ *   post:
+ *     summary: Add a meal (School staff)
+ *     description: Staff add meals for their own school; administrators without a schoolId add a meal offered at every school.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *         description: School to add the meal for (administrators)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, price]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [main, side, fruit, drink, snack, dessert]
+ *                 default: main
+ *               price:
+ *                 type: number
+ *               subsidyAmount:
+ *                 type: number
+ *               nutritionScore:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 100
+ *               maxQuantityPerDay:
+ *                 type: integer
+ *                 nullable: true
+ *               allergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               dietaryTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               nutrition:
+ *                 $ref: '#/components/schemas/NutritionFacts'
+ *     responses:
+ *       201:
+ *         description: Meal created
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Forbidden - requires manage:menu permission and a school assignment
+ */
+router.post('/meals', authenticateToken, requirePermission('manage:menu'), requireTenant('query'), validateMealRequest, async (req, res) => {
+  try {
+    const result = await MenuService.createMeal(req.tenant, req.body, req.user);
+    res.status(201).json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to create meal');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/meals/{mealId}:
+ *   patch:
+ *     summary: Change a meal (School staff)
+ *     description: Staff change their own school's meals; meals offered at every school are changed by administrators.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mealId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               subsidyAmount:
+ *                 type: number
+ *               nutritionScore:
+ *                 type: integer
+ *               maxQuantityPerDay:
+ *                 type: integer
+ *                 nullable: true
+ *               allergens:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               dietaryTags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               nutrition:
+ *                 $ref: '#/components/schemas/NutritionFacts'
+ *     responses:
+ *       200:
+ *         description: Meal updated
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Meal not found at the staff member's school
+ *       409:
+ *         description: meal_retired - retired meals cannot be changed
+ */
+router.patch('/meals/:mealId', authenticateToken, requirePermission('manage:menu'), requireTenant('query'), validateMealRequest, async (req, res) => {
+  try {
+    const result = await MenuService.updateMeal(req.params.mealId, req.tenant, req.body, req.user);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to update meal');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/meals/{mealId}:
+ *   delete:
+ *     summary: Retire a meal (School staff)
+ *     description: The meal stays on past orders and published menus but can no longer be ordered or put on a new menu.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: mealId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Meal retired
+ *       404:
+ *         description: Meal not found at the staff member's school
+ *       409:
+ *         description: meal_retired - the meal is already retired
+ */
+router.delete('/meals/:mealId', authenticateToken, requirePermission('manage:menu'), requireTenant('query'), async (req, res) => {
+  try {
+    const result = await MenuService.retireMeal(req.params.mealId, req.tenant, req.user);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to retire meal');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/today:
+ *   get:
+ *     summary: Get today's menu
+ *     description: Today is taken in the school's time zone.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Grade to score meals for, e.g. 10A (defaults to the caller's grade)
+ *     responses:
+ *       200:
+ *         description: Menu retrieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 currency:
+ *                   type: string
+ *                 referenceIntake:
+ *                   type: object
+ *                   description: Per-meal reference intakes of the grade's age band
+ *                 menu:
+ *                   $ref: '#/components/schemas/Menu'
+ */
+router.get('/today', authenticateToken, requirePermission('read:menu'), resolveMenuSchool, async (req, res) => {
+  try {
+    const result = await MenuService.getTodaysMenu(req.menuSchoolId, menuGrade(req));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch today\'s menu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus:
+ *   get:
+ *     summary: Get published menus for a date range
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Grade to score meals for, e.g. 10A (defaults to the caller's grade)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First date (defaults to today)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last date (defaults to six days after from; at most 31 days in all)
+ *     responses:
+ *       200:
+ *         description: Menus retrieved
+ */
+router.get('/', authenticateToken, requirePermission('read:menu'), resolveMenuSchool, async (req, res) => {
+  try {
+    const result = await MenuService.getMenus(req.menuSchoolId, req.query, menuGrade(req));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch menus');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/week/{weekStart}:
+ *   put:
+ *     summary: Publish a weekly menu (School staff)
+ *     description: Publishes the same items for Monday to Friday, replacing menus already published for those days.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: weekStart
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Monday of the week
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *         description: School to publish for (administrators)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MenuItems'
+ *     responses:
+ *       200:
+ *         description: Menus published
+ *       400:
+ *         description: Validation error, past week, or meals not available at the school
+ */
+router.put('/week/:weekStart', authenticateToken, requirePermission('manage:menu'), requireTenant('query'), validateMenuRequest, async (req, res) => {
+  try {
+    const result = await MenuService.publishWeek(req.tenant, req.params.weekStart, req.body.items, req.user);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to publish weekly menu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/{date}:
+ *   get:
+ *     summary: Get the menu for a date
+ *     description: Until a menu is published for the date, every active meal offered at the school is listed.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: grade
+ *         schema:
+ *           type: string
+ *         description: Grade to score meals for, e.g. 10A (defaults to the caller's grade)
+ *     responses:
+ *       200:
+ *         description: Menu retrieved
+ */
+router.get('/:date', authenticateToken, requirePermission('read:menu'), resolveMenuSchool, async (req, res) => {
+  try {
+    const result = await MenuService.getMenu(req.menuSchoolId, req.params.date, menuGrade(req));
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to fetch menu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/{date}:
+ *   put:
+ *     summary: Publish the menu for a date (School staff)
+ *     description: Replaces the menu already published for the date. Once published, only its meals can be ordered for that date.
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *         description: School to publish for (administrators)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MenuItems'
+ *     responses:
+ *       200:
+ *         description: Menu published
+ *       400:
+ *         description: Validation error, past date, or meals not available at the school
+ */
+router.put('/:date', authenticateToken, requirePermission('manage:menu'), requireTenant('query'), validateMenuRequest, async (req, res) => {
+  try {
+    const result = await MenuService.publishMenu(req.tenant, req.params.date, req.body.items, req.user);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to publish menu');
+  }
+});
+
+/**
+ * @swagger
+ * /api/menus/{date}/items/{mealId}:
+ *   patch:
+ *     summary: Set a meal's capacity on a published menu (School staff)
+ *     tags: [Menus]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: path
+ *         name: mealId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [capacity]
+ *             properties:
+ *               capacity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null for the meal's maxQuantityPerDay
+ *     responses:
+ *       200:
+ *         description: Capacity updated
+ *       404:
+ *         description: menu_item_not_found - the meal is not on the published menu for that date
+ */
+router.patch('/:date/items/:mealId', authenticateToken, requirePermission('manage:menu'), requireTenant('query'), validateCapacityUpdate, async (req, res) => {
+  try {
+    const result = await MenuService.setCapacity(req.tenant, req.params.date, req.params.mealId, req.body.capacity, req.user);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Failed to update capacity');
+  }
+});
+
+module.exports = router;
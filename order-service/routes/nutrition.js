@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const NutritionService = require('../services/NutritionService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * /api/nutrition/students/{studentId}/summary:
+ *   get:
+ *     summary: A student's nutrition intake from school meals
+ *     description: |
+ *       Adds up the student's delivered orders, less any leftovers staff recorded, into daily and
+ *       weekly intake against the per-meal reference intakes of the student's age band, with each
+ *       day scored as in the menu's score breakdown. Needs a guardian's nutrition_tracking consent.
+ *       Visible to the student, their guardians, staff at their school and administrators.
+ *     tags: [Nutrition]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: weeks
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *           default: 4
+ *         description: Weeks to cover, ending with the current week
+ *     responses:
+ *       200:
+ *         description: Summary with days (one per delivered order), weeks (daily averages) and trends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 studentId:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date
+ *                 to:
+ *                   type: string
+ *                   format: date
+ *                 referenceIntake:
+ *                   type: object
+ *                   description: Per-meal reference intakes of the student's age band
+ *                 days:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       orderId:
+ *                         type: string
+ *                       mealsEaten:
+ *                         type: number
+ *                       mealsWithoutFacts:
+ *                         type: integer
+ *                         description: Meals eaten that have no nutrient facts, so are not in intake
+ *                       intake:
+ *                         $ref: '#/components/schemas/NutritionFacts'
+ *                       percentOfTarget:
+ *                         type: object
+ *                       score:
+ *                         type: integer
+ *                 weeks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       weekStart:
+ *                         type: string
+ *                         format: date
+ *                       daysTracked:
+ *                         type: integer
+ *                       mealsEaten:
+ *                         type: number
+ *                       averageIntake:
+ *                         type: object
+ *                         nullable: true
+ *                       percentOfTarget:
+ *                         type: object
+ *                         nullable: true
+ *                       averageScore:
+ *                         type: integer
+ *                         nullable: true
+ *                 trends:
+ *                   type: object
+ *                   properties:
+ *                     weeklyScores:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     scoreChange:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Latest tracked week's average score less the one before
+ *                     direction:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [improving, steady, declining]
+ *       400:
+ *         description: Invalid weeks
+ *       403:
+ *         description: consent_required - no guardian consent to nutrition tracking
+ *       404:
+ *         description: Student not found
+ */
+router.get('/students/:studentId/summary', authenticateToken, requirePermission('read:nutrition'), async (req, res) => {
+  try {
+    const result = await NutritionService.getStudentSummary(req.params.studentId, req.user, req.query);
+    res.json(result);
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('[NUTRITION_ROUTE] Error fetching nutrition summary:', error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.code || 'server_error',
+      message: error.message || 'Failed to fetch nutrition summary'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const OrderService = require('../services/OrderService');
-const { authenticateToken, requireRole } = require('../middleware/auth');
-const { validateOrderRequest, validateStatusUpdate } = require('../middleware/validation');
+const DietaryService = require('../services/DietaryService');
+const { authenticateToken, requirePermission, resolveStudent, requireTenant, requireServiceKey } = require('../middleware/auth');
+const { validateOrderRequest, validateStatusUpdate, validatePaymentUpdate, validateDietaryOverride, validateLeftovers } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -27,10 +28,18 @@ const { validateOrderRequest, validateStatusUpdate } = require('../middleware/va
  *           description: Student's unique ID from SLUDI
  *         mealId:
  *           type: string
- *           description: Meal item identifier
+ *           description: Meal of the first line item
+ *         items:
+ *           type: array
+ *           description: Line items, each priced and subsidised on its own
+ *           items:
+ *             $ref: '#/components/schemas/OrderItem'
  *         schoolId:
  *           type: string
- *           description: School identifier
+ *           description: School (tenant) ID from the auth-service schools registry
+ *         currency:
+ *           type: string
+ *           description: The school's currency
  *         orderDate:
  *           type: string
  *           format: date-time
@@ -49,10 +58,10 @@ const { validateOrderRequest, validateStatusUpdate } = require('../middleware/va
  *           description: Current order status
  *         totalAmount:
  *           type: number
- *           description: Total cost before subsidies
+ *           description: Total cost before subsidies, at the school's meal price
  *         subsidyAmount:
  *           type: number
- *           description: Government subsidy applied
+ *           description: Subsidy applied under the school's subsidy program
  *         finalAmount:
  *           type: number
  *           description: Amount to be paid after subsidies
@@ -74,9 +83,79 @@ const { validateOrderRequest, validateStatusUpdate } = require('../middleware/va
  *         pickupTime:
  *           type: string
  *           description: Preferred pickup time slot
+ *         placedBy:
+ *           type: string
+ *           description: User who placed the order (the student or a guardian)
+ *         auditTrail:
+ *           type: array
+ *           description: Who did what to the order, and on whose behalf
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *               actorId:
+ *                 type: string
+ *               actorRole:
+ *                 type: string
+ *               onBehalfOf:
+ *                 type: string
+ *                 description: Student acted for, when the actor is a guardian
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *         statusHistory:
+ *           type: array
+ *           description: Every lifecycle event of the order, oldest first
+ *           items:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 enum: [created, status_changed, cancelled, payment_updated, leftovers_recorded, flagged]
+ *               from:
+ *                 type: string
+ *                 description: Previous order status, for status changes and cancellations
+ *               status:
+ *                 type: string
+ *               paymentStatus:
+ *                 type: string
+ *                 description: Payment status set by the event, for creation and payment updates
+ *               actorId:
+ *                 type: string
+ *               actorRole:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
  *         metadata:
  *           type: object
  *           description: Additional order metadata
+ *     OrderItem:
+ *       type: object
+ *       properties:
+ *         mealId:
+ *           type: string
+ *         mealName:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         unitPrice:
+ *           type: number
+ *           description: Price of one meal at the student's school
+ *         totalAmount:
+ *           type: number
+ *         subsidyAmount:
+ *           type: number
+ *           description: Subsidy applied to this line, after the school's per-order subsidy cap
+ *         finalAmount:
+ *           type: number
+ *         leftover:
+ *           type: number
+ *           nullable: true
+ *           description: Share left uneaten, once staff record it for a delivered order
  */
 
 /**
@@ -84,7 +163,15 @@ const { validateOrderRequest, validateStatusUpdate } = require('../middleware/va
  * /api/orders:
  *   post:
  *     summary: Place a new meal order
- *     description: Creates a new meal order for a student with SLUDI/NDX/PayDPI integration
+ *     description: |
+ *       Creates a meal order for a student with one or more line items (e.g. a main, a fruit and a drink).
+ *       Totals are computed across the cart, and the school's subsidyProgram.maxPerOrder caps the subsidy
+ *       for the whole order. A single mealId and quantity are still accepted as a one-item order.
+ *
+ *       Meals containing an allergen the student's guardians declared are refused unless school staff
+ *       have recorded an override for the student, meal and date. Meals that do not meet the student's
+ *       dietary restrictions are refused until the order is sent again with acknowledgeDietaryWarnings;
+ *       the warnings and any overrides are kept in the order's metadata.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -94,40 +181,68 @@ const { validateOrderRequest, validateStatusUpdate } = require('../middleware/va
  *         application/json:
  *           schema:
  *             type: object
- *             required: [mealId, scheduledDate, quantity]
+ *             required: [scheduledDate]
  *             properties:
+ *               studentId:
+ *                 type: string
+ *                 description: Student to order for. Parents must be a verified guardian; defaults to the caller (or a parent's only child)
+ *               items:
+ *                 type: array
+ *                 description: Line items; each meal at most once, at most 10 meals in all
+ *                 items:
+ *                   type: object
+ *                   required: [mealId, quantity]
+ *                   properties:
+ *                     mealId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
  *               mealId:
  *                 type: string
+ *                 description: Single-meal order, instead of items
  *               scheduledDate:
  *                 type: string
  *                 format: date
  *               quantity:
  *                 type: integer
  *                 minimum: 1
+ *                 description: Quantity of mealId, instead of items
  *               pickupTime:
  *                 type: string
  *               specialInstructions:
  *                 type: string
+ *               acknowledgeDietaryWarnings:
+ *                 type: boolean
+ *                 description: Go ahead with meals that do not meet the student's dietary restrictions
  *     responses:
  *       201:
  *         description: Order created successfully
  *       400:
- *         description: Bad request
+ *         description: validation_error, or invalid_date - the date is past (details.nextWindow is the next ordering window)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Not a verified guardian, or the student's school is suspended
  *       409:
- *         description: Order conflict
+ *         description: |
+ *           duplicate_order - the student already has an order for the date; sold_out - not enough of a meal left that day;
+ *           allergen_conflict - a meal contains a declared allergen; dietary_warning - a meal does not meet the student's
+ *           dietary restrictions. Dietary errors list the meals in details.
+ *           order_cutoff_passed - ordering for today closed at the school's orderCutoffTime; beyond_booking_horizon - the
+ *           date is more than the school's bookingHorizonDays ahead. Both give the next ordering window in details.nextWindow.
  */
-router.post('/', authenticateToken, validateOrderRequest, async (req, res) => {
+router.post('/', authenticateToken, requirePermission('create:order'), resolveStudent('body'), validateOrderRequest, async (req, res) => {
   try {
-    const result = await OrderService.createOrder(req.user.id, req.body);
+    const result = await OrderService.createOrder(req.student.studentId, req.body, req.student);
     res.status(201).json(result);
   } catch (error) {
     console.error('[ORDER_ROUTE] Error creating order:', error);
     res.status(error.statusCode || 500).json({
       success: false,
       error: error.code || 'server_error',
-      message: error.message || 'Failed to create order'
+      message: error.message || 'Failed to create order',
+      ...(error.details && { details: error.details })
     });
   }
 });
@@ -142,6 +257,11 @@ router.post('/', authenticateToken, validateOrderRequest, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *         description: Student whose orders to list (verified guardians only; defaults as for placing orders)
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -160,10 +280,9 @@ router.post('/', authenticateToken, validateOrderRequest, async (req, res) => {
  *       200:
  *         description: Orders retrieved successfully
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('read:orders'), resolveStudent('query'), async (req, res) => {
   try {
-    console.log("HI");
-    const result = await OrderService.getOrdersByStudent(req.user.id, req.query);
+    const result = await OrderService.getOrdersByStudent(req.student.studentId, req.query);
     res.json(result);
   } catch (error) {
     console.error('[ORDER_ROUTE] Error fetching orders:', error);
@@ -195,9 +314,9 @@ router.get('/', authenticateToken, async (req, res) => {
  *       404:
  *         description: Order not found
  */
-router.get('/:orderId', authenticateToken, async (req, res) => {
+router.get('/:orderId', authenticateToken, requirePermission('read:orders'), async (req, res) => {
   try {
-    const result = await OrderService.getOrderById(req.params.orderId, req.user.id);
+    const result = await OrderService.getOrderById(req.params.orderId, req.user);
     res.json(result);
   } catch (error) {
     console.error('[ORDER_ROUTE] Error fetching order:', error);
@@ -214,6 +333,7 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
  * /api/orders/{orderId}/cancel:
  *   patch:
  *     summary: Cancel an order
+ *     description: A paid order is refunded through payment-service and marked REFUNDED. If the refund fails the order stays PAID and is flagged for review (flaggedAt, flagReason).
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -234,21 +354,26 @@ router.get('/:orderId', authenticateToken, async (req, res) => {
  *     responses:
  *       200:
  *         description: Order cancelled successfully
- *       400:
- *         description: Order cannot be cancelled
+ *       403:
+ *         description: invalid_transition - the caller's role may not cancel an order in its current status
+ *       409:
+ *         description: |
+ *           invalid_transition - the order can no longer be cancelled; cancellation_cutoff_passed - past the school's
+ *           cancellation cutoff on the order's day (details.cancellationWindow). Administrators are not held to the cutoff.
  *       404:
  *         description: Order not found
  */
-router.patch('/:orderId/cancel', authenticateToken, async (req, res) => {
+router.patch('/:orderId/cancel', authenticateToken, requirePermission('cancel:order'), async (req, res) => {
   try {
-    const result = await OrderService.cancelOrder(req.params.orderId, req.user.id, req.body.reason);
+    const result = await OrderService.cancelOrder(req.params.orderId, req.user, req.body.reason);
     res.json(result);
   } catch (error) {
     console.error('[ORDER_ROUTE] Error cancelling order:', error);
     res.status(error.statusCode || 500).json({
       success: false,
       error: error.code || 'server_error',
-      message: error.message || 'Failed to cancel order'
+      message: error.message || 'Failed to cancel order',
+      ...(error.details && { details: error.details })
     });
   }
 });
@@ -258,6 +383,7 @@ router.patch('/:orderId/cancel', authenticateToken, async (req, res) => {
  * /api/orders/staff/pending:
  *   get:
  *     summary: Get pending orders for staff
+ *     description: Staff see their own school's orders; administrators see every school unless they pass schoolId.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -267,15 +393,20 @@ router.patch('/:orderId/cancel', authenticateToken, async (req, res) => {
  *         schema:
  *           type: string
  *           format: date
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *         description: Limit to one school (administrators; staff may only name their own)
  *     responses:
  *       200:
  *         description: Pending orders retrieved
  *       403:
- *         description: Forbidden - Staff access required
+ *         description: Forbidden - requires update:orders permission and a school assignment
  */
-router.get('/staff/pending', authenticateToken, requireRole(['SCHOOL_STAFF', 'ADMIN']), async (req, res) => {
+router.get('/staff/pending', authenticateToken, requirePermission('update:orders'), requireTenant('query'), async (req, res) => {
   try {
-    const result = await OrderService.getPendingOrdersForStaff(req.query);
+    const result = await OrderService.getPendingOrdersForStaff(req.query, req.tenant);
     res.json(result);
   } catch (error) {
     console.error('[ORDER_ROUTE] Error fetching pending orders:', error);
@@ -287,11 +418,70 @@ router.get('/staff/pending', authenticateToken, requireRole(['SCHOOL_STAFF', 'AD
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/dietary-overrides:
+ *   post:
+ *     summary: Override a declared allergy for one meal on one date (Staff only)
+ *     description: |
+ *       Lets the student be ordered a meal containing an allergen their guardians declared, on one date,
+ *       e.g. when the kitchen prepares an allergen-free portion. Used by the next order for that date;
+ *       the reason is kept on the order and in the audit log.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [studentId, mealId, scheduledDate, reason]
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               mealId:
+ *                 type: string
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *                 minLength: 10
+ *     responses:
+ *       201:
+ *         description: Override recorded
+ *       400:
+ *         description: Validation error, or override_not_needed - the meal contains none of the student's declared allergens
+ *       404:
+ *         description: Student not found at the staff member's school, or meal not found
+ */
+router.post('/dietary-overrides', authenticateToken, requirePermission('update:orders'), validateDietaryOverride, async (req, res) => {
+  try {
+    const override = await DietaryService.createOverride(req.body, req.user);
+    res.status(201).json({
+      success: true,
+      override,
+      message: 'Dietary override recorded'
+    });
+  } catch (error) {
+    console.error('[ORDER_ROUTE] Error recording dietary override:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.code || 'server_error',
+      message: error.message || 'Failed to record dietary override'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/orders/{orderId}/status:
  *   patch:
  *     summary: Update order status (Staff only)
+ *     description: |
+ *       Orders move PENDING -> CONFIRMED -> PREPARING -> READY -> DELIVERED, one step at a time.
+ *       An order must be PAID before it moves to PREPARING.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -319,10 +509,14 @@ router.get('/staff/pending', authenticateToken, requireRole(['SCHOOL_STAFF', 'AD
  *         description: Order status updated
  *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Order not found at the staff member's school
+ *       409:
+ *         description: invalid_transition - the order cannot move to that status from its current one
  */
-router.patch('/:orderId/status', authenticateToken, requireRole(['SCHOOL_STAFF', 'ADMIN']), validateStatusUpdate, async (req, res) => {
+router.patch('/:orderId/status', authenticateToken, requirePermission('update:orders'), requireTenant('query'), validateStatusUpdate, async (req, res) => {
   try {
-    const result = await OrderService.updateOrderStatus(req.params.orderId, req.user.id, req.body);
+    const result = await OrderService.updateOrderStatus(req.params.orderId, req.user, req.body, req.tenant);
     res.json(result);
   } catch (error) {
     console.error('[ORDER_ROUTE] Error updating order status:', error);
@@ -334,4 +528,165 @@ router.patch('/:orderId/status', authenticateToken, requireRole(['SCHOOL_STAFF',
   }
 });
 
+/**
+ * @swagger
+ * /api/orders/{orderId}/leftovers:
+ *   patch:
+ *     summary: Record leftovers of a delivered order (Staff only)
+ *     description: |
+ *       Records the share of each meal the student left uneaten, so nutrition intake counts only
+ *       what was eaten. Meals without a recorded leftover count as fully eaten.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [mealId, leftover]
+ *                   properties:
+ *                     mealId:
+ *                       type: string
+ *                     leftover:
+ *                       type: number
+ *                       minimum: 0
+ *                       maximum: 1
+ *                       description: Share left uneaten, from 0 (all eaten) to 1 (none eaten)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Leftovers recorded
+ *       400:
+ *         description: Validation error, or a meal that is not on the order
+ *       404:
+ *         description: Order not found at the staff member's school
+ *       409:
+ *         description: order_not_delivered - leftovers are only recorded for delivered orders
+ */
+router.patch('/:orderId/leftovers', authenticateToken, requirePermission('update:orders'), requireTenant('query'), validateLeftovers, async (req, res) => {
+  try {
+    const result = await OrderService.recordLeftovers(req.params.orderId, req.user, req.body, req.tenant);
+    res.json(result);
+  } catch (error) {
+    console.error('[ORDER_ROUTE] Error recording leftovers:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.code || 'server_error',
+      message: error.message || 'Failed to record leftovers'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/payment:
+ *   get:
+ *     summary: Get what an order costs (service-to-service)
+ *     description: Called by payment-service before it charges an order, so the amount comes from the order rather than the client.
+ *     tags: [Orders]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Order payment details - studentId, schoolId, status, paymentStatus, totalAmount, subsidyAmount, finalAmount and currency
+ *       401:
+ *         description: Missing or invalid service key
+ *       404:
+ *         description: Order not found
+ *   patch:
+ *     summary: Record an order's payment status (service-to-service)
+ *     description: Called by payment-service; the change is added to the order's statusHistory.
+ *     tags: [Orders]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Service-Name
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paymentStatus]
+ *             properties:
+ *               paymentStatus:
+ *                 type: string
+ *                 enum: [PENDING, PROCESSING, PAID, FAILED, REFUNDED]
+ *               paymentId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment status recorded
+ *       401:
+ *         description: Missing or invalid service key
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: order_not_payable - the order is cancelled, so it cannot be marked PAID
+ */
+router.get('/:orderId/payment', requireServiceKey, async (req, res) => {
+  try {
+    const result = await OrderService.getOrderPayment(req.params.orderId);
+    res.json(result);
+  } catch (error) {
+    console.error('[ORDER_ROUTE] Error fetching order payment details:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.code || 'server_error',
+      message: error.message || 'Failed to fetch order payment details'
+    });
+  }
+});
+
+router.patch('/:orderId/payment', requireServiceKey, validatePaymentUpdate, async (req, res) => {
+  try {
+    const result = await OrderService.recordPayment(req.params.orderId, req.body, req.get('X-Service-Name') || 'payment-service');
+    res.json(result);
+  } catch (error) {
+    console.error('[ORDER_ROUTE] Error recording payment status:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.code || 'server_error',
+      message: error.message || 'Failed to record payment status'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
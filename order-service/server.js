@@ -6,8 +6,11 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
 
+const { revocationList, jwksKeySet, requireServiceKey, receiveRevocations, getServiceApiKey } = require('nutriconnect-shared/auth');
 const logger = require('./utils/logger');
 const dpiConfig = require('./config/dpi');
+const db = require('./db');
+const AuditService = require('./services/AuditService');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -34,9 +37,11 @@ app.use((req, res, next) => {
 // API Routes
 // app.use('/api/auth', require('./routes/auth')); // Your existing auth routes
 app.use('/api/orders', require('./routes/orders')); // New order service routes
-// app.use('/api/menus', require('./routes/menus')); // Your existing menu routes
+app.use('/api/menus', require('./routes/menus')); // Meals and daily/weekly menus
 // app.use('/api/payments', require('./routes/payments')); // Your existing payment routes
-// app.use('/api/nutrition', require('./routes/nutrition')); // Your existing nutrition routes
+app.use('/api/nutrition', require('./routes/nutrition')); // Student nutrition intake
+// Revocations pushed by auth-service as they happen
+app.post('/api/revocations', requireServiceKey, receiveRevocations);
 // app.use('/api/v1', require('./routes/downstream')); // Your existing downstream routes
 
 // Mock DPI Services (for development/testing)
@@ -100,7 +105,7 @@ app.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     version: process.env.npm_package_version || '1.0.0',
     services: {
-      database: 'connected', // Update based on actual DB connection
+      database: db.connection ? 'connected' : 'disconnected',
       sludi: 'mock', // Will be 'connected' in production
       ndx: 'mock',   // Will be 'connected' in production
       paydpi: 'mock' // Will be 'connected' in production
@@ -119,6 +124,7 @@ app.get('/api/status', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       orders: '/api/orders',
+      menus: '/api/menus',
       documentation: '/api-docs',
       health: '/health'
     }
@@ -134,6 +140,7 @@ app.use('/api/*', (req, res) => {
     availableEndpoints: [
       'GET /api/orders - Get order history',
       'POST /api/orders - Create new order',
+      'GET /api/menus/today - Get today\'s menu',
       'GET /api-docs - API documentation'
     ]
   });
@@ -160,36 +167,56 @@ app.use((err, req, res, next) => {
   });
 });
 
+let server;
+
 // Graceful shutdown handling
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
+const shutdown = (signal) => {
+  logger.info(`${signal} received, shutting down gracefully`);
+  if (!server) process.exit(0);
+  server.close(async () => {
+    await db.close();
     logger.info('Process terminated');
     process.exit(0);
   });
-});
+};
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
-    process.exit(0);
-  });
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Apply order database migrations before serving
+const startServer = async () => {
+  // Refuse to start without SERVICE_API_KEY outside development
+  getServiceApiKey();
+  await db.ready();
 
-// Start server
-const server = app.listen(PORT, () => {
-  logger.info(`🚀 NutriConnect Order Service running on port ${PORT}`);
-  logger.info(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-  logger.info(`🏥 Health Check: http://localhost:${PORT}/health`);
-  logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+  server = app.listen(PORT, () => {
+    logger.info(`🚀 NutriConnect Order Service running on port ${PORT}`);
+    logger.info(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
+    logger.info(`🏥 Health Check: http://localhost:${PORT}/health`);
+    logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
   
-  // Log DPI integration status
-  logger.info('DPI Integration Status:', {
-    sludi: dpiConfig.sludi.baseUrl,
-    ndx: dpiConfig.ndx.baseUrl,
-    paydpi: dpiConfig.paydpi.baseUrl
+    // Keep token verification keys and the access token denylist in sync with auth-service
+    jwksKeySet.startSync();
+    revocationList.startSync();
+    // Deliver audit entries still in the outbox, e.g. from before a restart
+    AuditService.start();
+
+    // Log DPI integration status
+    logger.info('DPI Integration Status:', {
+      sludi: dpiConfig.sludi.baseUrl,
+      ndx: dpiConfig.ndx.baseUrl,
+      paydpi: dpiConfig.paydpi.baseUrl
+    });
   });
-});
+};
+
+// Tests require the app without starting the server
+if (require.main === module) {
+  startServer().catch((error) => {
+    // Written to the console directly: the process exits before winston has flushed its files
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
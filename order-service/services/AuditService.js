@@ -0,0 +1,6 @@
+const { createAuditClient } = require('nutriconnect-shared/audit');
+const db = require('../db');
+
+// Order status changes, cancellations, refunds and menu changes go to the central audit log in auth-service,
+// by way of the audit_outbox table
+module.exports = createAuditClient('order-service', db);
@@ -0,0 +1,164 @@
+const { isCrossTenant } = require('nutriconnect-shared/auth');
+const { isDietaryAttribute } = require('nutriconnect-shared/dietary');
+const DietaryOverrideModel = require('../models/DietaryOverride');
+const MealService = require('./MealService');
+const StudentService = require('./StudentService');
+const AuditService = require('./AuditService');
+
+const dietaryError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Allergens in a meal the student is declared allergic to
+ * @param {Object} student - Student with allergies
+ * @param {Object} meal - Meal with allergens
+ * @returns {Array<string>} Allergens
+ */
+const conflictingAllergens = (student, meal) => (student.allergies || [])
+  .filter(allergen => meal.allergens.includes(allergen));
+
+class DietaryService {
+
+  /**
+   * Check a cart against a student's declared allergies (hard blocks) and dietary restrictions
+   * (soft warnings). Restrictions outside the shared dietary vocabulary are not checked.
+   * @param {Object} student - Student with allergies and dietaryRestrictions
+   * @param {Array} lines - [{ meal, quantity }]
+   * @returns {Object} { blocked: [{ mealId, mealName, allergens }], warnings: [{ mealId, mealName, restrictions }] }
+   */
+  static check(student, lines) {
+    const restrictions = (student.dietaryRestrictions || []).filter(isDietaryAttribute);
+    const blocked = [];
+    const warnings = [];
+
+    for (const { meal } of lines) {
+      const allergens = conflictingAllergens(student, meal);
+      if (allergens.length > 0) {
+        blocked.push({ mealId: meal.id, mealName: meal.name, allergens });
+      }
+
+      const unmet = restrictions.filter(restriction => !meal.dietaryTags.includes(restriction));
+      if (unmet.length > 0) {
+        warnings.push({ mealId: meal.id, mealName: meal.name, restrictions: unmet });
+      }
+    }
+
+    return { blocked, warnings };
+  }
+
+  /**
+   * Check an order before it is placed. Meals with a declared allergen are refused unless staff
+   * have overridden them for the student and date; unmet dietary restrictions are refused until
+   * the person ordering acknowledges them.
+   * @param {Object} student - Student with allergies and dietaryRestrictions
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {Array} lines - [{ meal, quantity }]
+   * @param {boolean} acknowledged - Whether the person ordering acknowledged the warnings
+   * @returns {Promise<Object>} { warnings, overrides: [{ id, mealId, allergens, reason, createdBy }] } to record on the order
+   */
+  static async checkOrder(student, date, lines, acknowledged) {
+    const { blocked, warnings } = this.check(student, lines);
+
+    const overrides = blocked.length > 0 ? await DietaryOverrideModel.findUnused(student.id, date) : new Map();
+    const refused = blocked.filter(conflict => !overrides.has(conflict.mealId));
+    if (refused.length > 0) {
+      throw dietaryError(
+        409,
+        'allergen_conflict',
+        `Declared allergies rule out: ${refused.map(conflict => `${conflict.mealName} (${conflict.allergens.join(', ')})`).join('; ')}`,
+        refused
+      );
+    }
+
+    if (warnings.length > 0 && !acknowledged) {
+      throw dietaryError(
+        409,
+        'dietary_warning',
+        `Does not meet dietary restrictions: ${warnings.map(warning => `${warning.mealName} (${warning.restrictions.join(', ')})`).join('; ')}. ` +
+          'Order again with acknowledgeDietaryWarnings to go ahead.',
+        warnings
+      );
+    }
+
+    return {
+      warnings,
+      overrides: blocked.map(conflict => {
+        const { id, reason, createdBy } = overrides.get(conflict.mealId);
+        return { id, mealId: conflict.mealId, allergens: conflict.allergens, reason, createdBy };
+      })
+    };
+  }
+
+  /**
+   * Mark the overrides an order relied on as used, so they cannot be used for another order
+   * @param {Array} overrides - Overrides from checkOrder
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  static async useOverrides(overrides, orderId) {
+    await DietaryOverrideModel.markUsed(overrides.map(override => override.id), orderId);
+  }
+
+  /**
+   * Give back the overrides a cancelled order used, for the student to order again that day
+   * @param {string} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  static async releaseOverrides(orderId) {
+    await DietaryOverrideModel.release(orderId);
+  }
+
+  /**
+   * Let a student be served a meal containing an allergen they are declared allergic to, on one date.
+   * Staff may override for students at their own school; the reason is kept with the override,
+   * on the order that uses it and in the audit log.
+   * @param {Object} overrideData - { studentId, mealId, scheduledDate, reason }
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Override
+   */
+  static async createOverride(overrideData, actor) {
+    const student = await StudentService.getStudentById(overrideData.studentId, actor.id);
+    if (!student || (!isCrossTenant(actor) && student.schoolId !== actor.schoolId)) {
+      throw dietaryError(404, 'student_not_found', 'Student not found');
+    }
+
+    const meal = await MealService.getMealById(overrideData.mealId);
+    if (!meal) {
+      throw dietaryError(404, 'meal_not_found', 'Meal not found');
+    }
+
+    const allergens = conflictingAllergens(student, meal);
+    if (allergens.length === 0) {
+      throw dietaryError(400, 'override_not_needed', 'The meal contains none of the student\'s declared allergens');
+    }
+
+    const override = await DietaryOverrideModel.create({
+      studentId: student.id,
+      schoolId: student.schoolId,
+      mealId: meal.id,
+      scheduledDate: overrideData.scheduledDate,
+      reason: overrideData.reason.trim(),
+      createdBy: actor.id
+    });
+
+    await AuditService.record({
+      event: 'dietary_override.created',
+      actorId: actor.id,
+      entityType: 'student',
+      entityId: student.id,
+      after: override,
+      details: { schoolId: student.schoolId, allergens }
+    });
+
+    console.log(`[DIETARY_SERVICE] Override for ${student.id}, meal ${meal.id} on ${override.scheduledDate} by ${actor.id}`);
+
+    return { ...override, allergens };
+  }
+}
+
+module.exports = DietaryService;
@@ -1,31 +1,19 @@
+const MealModel = require('../models/Meal');
+const MenuModel = require('../models/Menu');
+const MealInventoryModel = require('../models/MealInventory');
+
+/**
+ * How many of a meal may be served on a day: the menu's capacity for it if set,
+ * otherwise the meal's maxQuantityPerDay
+ * @param {Object} meal - Meal
+ * @param {Object} menuItem - The meal's item on the day's published menu, if any
+ * @returns {number|null} Capacity; null for no limit
+ */
+const dailyCapacity = (meal, menuItem) => (menuItem && menuItem.capacity !== null
+  ? menuItem.capacity
+  : meal.maxQuantityPerDay);
+
 class MealService {
-  constructor() {
-    // Mock meal data - in production this would integrate with NDX
-    this.meals = {
-      'meal_001': {
-        id: 'meal_001',
-        name: 'Rice and Curry',
-        description: 'Traditional Sri Lankan rice with mixed vegetables and dhal curry',
-        price: 50.00,
-        subsidyAmount: 30.00,
-        nutritionScore: 85,
-        available: true,
-        maxQuantityPerDay: 100,
-        currentQuantity: 95
-      },
-      'meal_002': {
-        id: 'meal_002', 
-        name: 'Chicken Sandwich',
-        description: 'Grilled chicken sandwich with fresh vegetables',
-        price: 80.00,
-        subsidyAmount: 20.00,
-        nutritionScore: 75,
-        available: true,
-        maxQuantityPerDay: 50,
-        currentQuantity: 48
-      }
-    };
-  }
 
   /**
    * Get meal by ID
@@ -35,23 +23,95 @@ class MealService {
   async getMealById(mealId) {
     // [NDX INTEGRATION POINT]
     // In production: const meal = await ndxClient.getMeal(mealId);
-    return this.meals[mealId] || null;
+    return MealModel.findById(mealId);
+  }
+
+  /**
+   * Get the meals a student of a school may order for a date: active meals offered at the school
+   * and, once the school has published a menu for the date, on that menu
+   * @param {string} schoolId - School ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {Array<string>} mealIds - Meals asked for
+   * @returns {Promise<Map>} Meal ID -> meal with its dailyCapacity, for the orderable meals only
+   */
+  async getOrderableMeals(schoolId, date, mealIds) {
+    const meals = await MealModel.findByIds(mealIds);
+    const menu = await MenuModel.findByDate(schoolId, date);
+    const menuItems = menu ? new Map(menu.items.map(item => [item.id, item])) : null;
+
+    for (const [mealId, meal] of meals) {
+      const offered = meal.available && (meal.schoolId === null || meal.schoolId === schoolId);
+      if (!offered || (menuItems && !menuItems.has(mealId))) {
+        meals.delete(mealId);
+      } else {
+        meal.dailyCapacity = dailyCapacity(meal, menuItems && menuItems.get(mealId));
+      }
+    }
+
+    return meals;
+  }
+
+  /**
+   * Add what is left of each meal on a date
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {Array} meals - Meals, or items of the day's published menu (with their capacity)
+   * @returns {Promise<Array>} Meals with dailyCapacity, remaining (null for no limit) and soldOut
+   */
+  async getAvailability(date, meals) {
+    const reserved = await MealInventoryModel.findReserved(date, meals.map(meal => meal.id));
+
+    return meals.map(meal => {
+      const capacity = dailyCapacity(meal, meal.capacity !== undefined ? meal : null);
+      const remaining = capacity === null ? null : Math.max(0, capacity - (reserved.get(meal.id) || 0));
+      return { ...meal, dailyCapacity: capacity, remaining, soldOut: remaining === 0 };
+    });
+  }
+
+  /**
+   * Reserve every line of an order for its date, or none of them
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {Array} lines - [{ meal, quantity }], meals from getOrderableMeals
+   * @returns {Promise<void>}
+   */
+  async reserveItems(date, lines) {
+    const reserved = [];
+
+    try {
+      for (const { meal, quantity } of lines) {
+        await this.updateAvailability(meal.id, date, quantity, meal.dailyCapacity);
+        reserved.push({ meal, quantity });
+      }
+    } catch (error) {
+      for (const { meal, quantity } of reserved) {
+        await this.restoreAvailability(meal.id, date, quantity);
+      }
+      throw error;
+    }
   }
 
   /**
-   * Update meal availability
+   * Update meal availability: reserve meals for a date
    * @param {string} mealId - Meal ID
    * @param {string} date - Date
    * @param {number} quantity - Quantity ordered
+   * @param {number|null} capacity - The day's capacity; null for no limit
    * @returns {Promise<void>}
    */
-  async updateAvailability(mealId, date, quantity) {
+  async updateAvailability(mealId, date, quantity, capacity) {
     // [NDX INTEGRATION POINT]
     // In production: await ndxClient.updateMealAvailability(mealId, date, quantity);
-    if (this.meals[mealId]) {
-      this.meals[mealId].currentQuantity -= quantity;
-      console.log(`[MEAL_SERVICE] Updated availability for ${mealId}: -${quantity}`);
+    const reserved = await MealInventoryModel.reserve(mealId, date, quantity, capacity);
+    if (!reserved) {
+      const [{ remaining }] = await this.getAvailability(date, [{ id: mealId, maxQuantityPerDay: capacity }]);
+      const error = new Error(remaining > 0
+        ? `Only ${remaining} of meal ${mealId} left for ${date}`
+        : `Meal ${mealId} is sold out for ${date}`);
+      error.statusCode = 409;
+      error.code = 'sold_out';
+      throw error;
     }
+
+    console.log(`[MEAL_SERVICE] Updated availability for ${mealId} on ${date}: -${quantity}`);
   }
 
   /**
@@ -63,11 +123,9 @@ class MealService {
    */
   async restoreAvailability(mealId, date, quantity) {
     // [NDX INTEGRATION POINT]
-    if (this.meals[mealId]) {
-      this.meals[mealId].currentQuantity += quantity;
-      console.log(`[MEAL_SERVICE] Restored availability for ${mealId}: +${quantity}`);
-    }
+    await MealInventoryModel.release(mealId, date, quantity);
+    console.log(`[MEAL_SERVICE] Restored availability for ${mealId} on ${date}: +${quantity}`);
   }
 }
 
-module.exports = new MealService();
\ No newline at end of file
+module.exports = new MealService();
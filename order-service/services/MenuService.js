@@ -0,0 +1,419 @@
+const { isCrossTenant } = require('nutriconnect-shared/auth');
+const MealModel = require('../models/Meal');
+const MenuModel = require('../models/Menu');
+const SchoolService = require('./SchoolService');
+const MealService = require('./MealService');
+const NutritionScoring = require('./NutritionScoring');
+const AuditService = require('./AuditService');
+const { todayIn, addDays } = require('../utils/dates');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RANGE_DAYS = 31;
+
+const menuError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const assertDate = (date, field = 'date') => {
+  if (!DATE_PATTERN.test(date) || addDays(date, 0) !== date) {
+    throw menuError(400, 'validation_error', `${field} must be a date (YYYY-MM-DD)`);
+  }
+};
+
+/**
+ * Load a school the menu is for
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object>} School
+ */
+const findSchool = async (schoolId) => {
+  if (!schoolId) {
+    throw menuError(400, 'school_required', 'schoolId is required');
+  }
+
+  const school = await SchoolService.getSchoolById(schoolId);
+  if (!school) {
+    throw menuError(404, 'school_not_found', 'School not found');
+  }
+  return school;
+};
+
+/**
+ * Load a meal the actor may change: staff change their own school's meals,
+ * administrators any meal, including those offered at every school
+ * @param {string} mealId - Meal ID
+ * @param {Object} tenant - { schoolId } the caller is scoped to
+ * @param {Object} actor - Request user
+ * @returns {Promise<Object>} Meal
+ */
+const findMealForActor = async (mealId, tenant, actor) => {
+  const meal = await MealModel.findById(mealId);
+
+  // Meals of other schools are reported as missing rather than forbidden
+  if (!meal || (meal.schoolId && tenant.schoolId && meal.schoolId !== tenant.schoolId)) {
+    throw menuError(404, 'meal_not_found', 'Meal not found');
+  }
+  if (!meal.schoolId && !isCrossTenant(actor)) {
+    throw menuError(403, 'forbidden', 'Meals offered at every school can only be changed by an administrator');
+  }
+
+  return meal;
+};
+
+/**
+ * Price a menu item as students of the school see it, before any per-student subsidy eligibility,
+ * and score it for a grade
+ * @param {Object} school - School with settings
+ * @param {Object} meal - Meal
+ * @param {string|number} grade - Grade the nutrition score is for
+ * @returns {Object} Menu item
+ */
+const toMenuItem = (school, meal, grade) => {
+  const pricing = SchoolService.getMealPricing(school, meal, true);
+  return NutritionScoring.scoreMeal({ ...meal, price: pricing.price, subsidyAmount: pricing.subsidyAmount }, grade);
+};
+
+/**
+ * Price and score a day's menu and add what is left of each meal that day
+ * @param {Object} school - School with settings
+ * @param {Object} menu - Menu
+ * @param {string|number} grade - Grade the nutrition scores are for
+ * @returns {Promise<Object>} Menu
+ */
+const presentMenu = async (school, menu, grade) => {
+  const items = await MealService.getAvailability(menu.date, menu.items);
+  return { ...menu, items: items.map(item => toMenuItem(school, item, grade)) };
+};
+
+class MenuService {
+
+  /**
+   * List the meals offered at a school
+   * @param {string} schoolId - School ID
+   * @param {Object} filters - { category, includeRetired }
+   * @param {string|number} grade - Grade the nutrition scores are for
+   * @returns {Promise<Object>} Meals
+   */
+  static async listMeals(schoolId, filters = {}, grade) {
+    const school = await findSchool(schoolId);
+    const meals = await MealModel.findForSchool(school.id, {
+      category: filters.category,
+      includeRetired: filters.includeRetired === 'true'
+    });
+
+    return {
+      success: true,
+      schoolId: school.id,
+      currency: school.settings.currency,
+      referenceIntake: NutritionScoring.mealReference(grade),
+      meals: meals.map(meal => toMenuItem(school, meal, grade))
+    };
+  }
+
+  /**
+   * Add a meal to a school's catalogue; administrators without a school scope add it for every school
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {Object} mealData - Meal details
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Created meal
+   */
+  static async createMeal(tenant, mealData, actor) {
+    const meal = await MealModel.create({
+      schoolId: tenant.schoolId,
+      name: mealData.name.trim(),
+      description: mealData.description,
+      category: mealData.category || 'main',
+      price: mealData.price,
+      subsidyAmount: mealData.subsidyAmount,
+      nutritionScore: mealData.nutritionScore,
+      maxQuantityPerDay: mealData.maxQuantityPerDay,
+      allergens: mealData.allergens,
+      dietaryTags: mealData.dietaryTags,
+      nutrition: mealData.nutrition,
+      createdBy: actor.id
+    });
+
+    await AuditService.record({
+      event: 'meal.created',
+      actorId: actor.id,
+      entityType: 'meal',
+      entityId: meal.id,
+      after: meal,
+      details: { schoolId: meal.schoolId }
+    });
+
+    console.log(`[MENU_SERVICE] Meal ${meal.id} created by ${actor.id}`);
+
+    return {
+      success: true,
+      meal,
+      message: 'Meal created successfully'
+    };
+  }
+
+  /**
+   * Change a meal's details
+   * @param {string} mealId - Meal ID
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {Object} changes - Meal fields to change
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Updated meal
+   */
+  static async updateMeal(mealId, tenant, changes, actor) {
+    const meal = await findMealForActor(mealId, tenant, actor);
+    if (meal.status !== 'active') {
+      throw menuError(409, 'meal_retired', 'Retired meals cannot be changed');
+    }
+
+    const updatedMeal = await MealModel.update(mealId, {
+      ...changes,
+      name: typeof changes.name === 'string' ? changes.name.trim() : undefined
+    });
+
+    await AuditService.record({
+      event: 'meal.updated',
+      actorId: actor.id,
+      entityType: 'meal',
+      entityId: mealId,
+      before: meal,
+      after: updatedMeal,
+      details: { schoolId: meal.schoolId }
+    });
+
+    return {
+      success: true,
+      meal: updatedMeal,
+      message: 'Meal updated successfully'
+    };
+  }
+
+  /**
+   * Retire a meal: it stays on past orders and published menus, but can no longer be ordered
+   * or put on a new menu
+   * @param {string} mealId - Meal ID
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Retired meal
+   */
+  static async retireMeal(mealId, tenant, actor) {
+    const meal = await findMealForActor(mealId, tenant, actor);
+
+    const retiredMeal = await MealModel.retire(mealId);
+    if (!retiredMeal) {
+      throw menuError(409, 'meal_retired', 'Meal is already retired');
+    }
+
+    await AuditService.record({
+      event: 'meal.retired',
+      actorId: actor.id,
+      entityType: 'meal',
+      entityId: mealId,
+      before: { status: meal.status },
+      after: { status: retiredMeal.status },
+      details: { schoolId: meal.schoolId }
+    });
+
+    console.log(`[MENU_SERVICE] Meal ${mealId} retired by ${actor.id}`);
+
+    return {
+      success: true,
+      meal: retiredMeal,
+      message: 'Meal retired successfully'
+    };
+  }
+
+  /**
+   * Get a school's menu for a date. Until a menu is published for the date,
+   * every active meal offered at the school is on it.
+   * @param {string} schoolId - School ID
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {string|number} grade - Grade the nutrition scores are for
+   * @returns {Promise<Object>} Menu
+   */
+  static async getMenu(schoolId, date, grade) {
+    assertDate(date);
+    const school = await findSchool(schoolId);
+
+    const menu = await MenuModel.findByDate(school.id, date) || {
+      schoolId: school.id,
+      date,
+      published: false,
+      items: await MealModel.findForSchool(school.id)
+    };
+
+    return {
+      success: true,
+      currency: school.settings.currency,
+      referenceIntake: NutritionScoring.mealReference(grade),
+      menu: await presentMenu(school, menu, grade)
+    };
+  }
+
+  /**
+   * Get a school's menu for today, in the school's time zone
+   * @param {string} schoolId - School ID
+   * @param {string|number} grade - Grade the nutrition scores are for
+   * @returns {Promise<Object>} Menu
+   */
+  static async getTodaysMenu(schoolId, grade) {
+    const school = await findSchool(schoolId);
+    return this.getMenu(school.id, todayIn(school.settings.timezone), grade);
+  }
+
+  /**
+   * Get a school's published menus for a date range (default: the coming week)
+   * @param {string} schoolId - School ID
+   * @param {Object} range - { from, to }
+   * @param {string|number} grade - Grade the nutrition scores are for
+   * @returns {Promise<Object>} Menus
+   */
+  static async getMenus(schoolId, range = {}, grade) {
+    const school = await findSchool(schoolId);
+    const from = range.from || todayIn(school.settings.timezone);
+    const to = range.to || addDays(from, 6);
+
+    assertDate(from, 'from');
+    assertDate(to, 'to');
+    if (to < from || addDays(from, MAX_RANGE_DAYS - 1) < to) {
+      throw menuError(400, 'validation_error', `to must be on or after from, at most ${MAX_RANGE_DAYS} days apart`);
+    }
+
+    const menus = await MenuModel.findRange(school.id, from, to);
+
+    return {
+      success: true,
+      schoolId: school.id,
+      currency: school.settings.currency,
+      from,
+      to,
+      referenceIntake: NutritionScoring.mealReference(grade),
+      menus: await Promise.all(menus.map(menu => presentMenu(school, menu, grade)))
+    };
+  }
+
+  /**
+   * Publish a school's menu for a date, replacing the one published before
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {Array} items - [{ mealId, capacity }], in menu order
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Published menu
+   */
+  static async publishMenu(tenant, date, items, actor) {
+    assertDate(date);
+    const { menus } = await this.publish(tenant, [date], items, actor);
+
+    return {
+      success: true,
+      menu: menus[0],
+      message: 'Menu published successfully'
+    };
+  }
+
+  /**
+   * Publish the same menu for a school week, Monday to Friday
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {string} weekStart - Monday of the week (YYYY-MM-DD)
+   * @param {Array} items - [{ mealId, capacity }], in menu order
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Published menus
+   */
+  static async publishWeek(tenant, weekStart, items, actor) {
+    assertDate(weekStart, 'weekStart');
+    if (new Date(`${weekStart}T00:00:00Z`).getUTCDay() !== 1) {
+      throw menuError(400, 'validation_error', 'weekStart must be a Monday');
+    }
+
+    const dates = [0, 1, 2, 3, 4].map(days => addDays(weekStart, days));
+    const { menus } = await this.publish(tenant, dates, items, actor);
+
+    return {
+      success: true,
+      menus,
+      message: 'Weekly menu published successfully'
+    };
+  }
+
+  /**
+   * Publish a menu for one or more dates
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {Array<string>} dates - Service dates (YYYY-MM-DD)
+   * @param {Array} items - [{ mealId, capacity }], in menu order
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} { menus }
+   */
+  static async publish(tenant, dates, items, actor) {
+    const school = await findSchool(tenant.schoolId);
+
+    if (dates[0] < todayIn(school.settings.timezone)) {
+      throw menuError(400, 'invalid_date', 'Cannot publish menus for past dates');
+    }
+
+    const meals = await MealModel.findByIds(items.map(item => item.mealId));
+    const unavailable = items
+      .map(item => item.mealId)
+      .filter(mealId => {
+        const meal = meals.get(mealId);
+        return !meal || !meal.available || (meal.schoolId && meal.schoolId !== school.id);
+      });
+    if (unavailable.length > 0) {
+      throw menuError(400, 'meal_not_available', `Meals not available at this school: ${unavailable.join(', ')}`);
+    }
+
+    const menus = await MenuModel.publish(school.id, dates, items, actor.id);
+
+    await AuditService.record({
+      event: 'menu.published',
+      actorId: actor.id,
+      entityType: 'menu',
+      entityId: `${school.id}:${dates[0]}`,
+      after: { dates, items },
+      details: { schoolId: school.id }
+    });
+
+    console.log(`[MENU_SERVICE] Menu for ${school.id} published for ${dates.join(', ')} by ${actor.id}`);
+
+    return {
+      menus: await Promise.all(menus.map(menu => presentMenu(school, menu)))
+    };
+  }
+
+  /**
+   * Set how many of a meal on a published menu may be served that day. Lowering it below what
+   * is already ordered keeps those orders and refuses new ones.
+   * @param {Object} tenant - { schoolId } the caller is scoped to
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @param {string} mealId - Meal ID
+   * @param {number|null} capacity - Capacity; null for the meal's maxQuantityPerDay
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Updated menu
+   */
+  static async setCapacity(tenant, date, mealId, capacity, actor) {
+    assertDate(date);
+    const school = await findSchool(tenant.schoolId);
+
+    const menu = await MenuModel.setCapacity(school.id, date, mealId, capacity);
+    if (!menu) {
+      throw menuError(404, 'menu_item_not_found', 'This meal is not on the published menu for that date');
+    }
+
+    await AuditService.record({
+      event: 'menu.capacity_changed',
+      actorId: actor.id,
+      entityType: 'menu',
+      entityId: `${school.id}:${date}`,
+      after: { mealId, capacity },
+      details: { schoolId: school.id }
+    });
+
+    return {
+      success: true,
+      menu: await presentMenu(school, menu),
+      message: 'Capacity updated successfully'
+    };
+  }
+}
+
+module.exports = MenuService;
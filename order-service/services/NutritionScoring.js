@@ -0,0 +1,137 @@
+const nutritionConfig = require('../config/nutrition');
+
+/**
+ * Meal nutrition scoring.
+ *
+ * A meal with nutrient facts is scored out of 100 against the reference intakes in
+ * config/nutrition.js for the student's age band, scaled to one meal (mealShare of the day):
+ *
+ *   adequacy    50  protein, fibre, calcium, iron, vitamin A and vitamin C, each as a share of
+ *                   its meal target (capped at 100%), averaged
+ *   energy      15  full marks within 80-120% of the meal's energy target, falling to 0 at 50% and 150%
+ *   moderation  15  saturated fat and sugar (as a share of the meal's energy) and sodium (against the
+ *                   meal's share of the daily limit): 5 each within the limit, falling to 0 at twice it
+ *   variety     20  4 for each food group present: grains, vegetables, fruit, protein, dairy
+ *
+ * Nutrients missing from a meal's facts count as zero. Meals without facts keep the
+ * nutritionScore they were given and have no breakdown.
+ */
+const ADEQUACY_NUTRIENTS = ['proteinG', 'fibreG', 'calciumMg', 'ironMg', 'vitaminAMcg', 'vitaminCMg'];
+
+const POINTS = { adequacy: 50, energy: 15, moderation: 15, variety: 20 };
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Linear scale from 1 (within [low, high]) down to 0 (at or beyond [zeroLow, zeroHigh])
+ */
+const plateau = (value, zeroLow, low, high, zeroHigh) => {
+  if (value >= low && value <= high) return 1;
+  if (value <= zeroLow || value >= zeroHigh) return 0;
+  return value < low ? (value - zeroLow) / (low - zeroLow) : (zeroHigh - value) / (zeroHigh - high);
+};
+
+/**
+ * Share of full marks for a nutrient that should stay under a limit: 1 within it, 0 at twice it
+ */
+const withinLimit = (amount, limit) => plateau(amount, -1, 0, limit, 2 * limit);
+
+class NutritionScoring {
+
+  /**
+   * Age band for a school grade, e.g. '10A' or 4
+   * @param {string|number} grade - Grade; unknown grades get the default band
+   * @returns {string} Band ID
+   */
+  static bandForGrade(grade) {
+    const number = parseInt(grade, 10);
+    const match = Object.entries(nutritionConfig.bands)
+      .find(([, reference]) => number >= reference.grades[0] && number <= reference.grades[1]);
+
+    return match ? match[0] : nutritionConfig.defaultBand;
+  }
+
+  /**
+   * Reference intakes for one meal of a grade
+   * @param {string|number} grade - Grade
+   * @returns {Object} { band, label, energyKcal, proteinG, ... } scaled to one meal
+   */
+  static mealReference(grade) {
+    const bandId = this.bandForGrade(grade);
+    const { label, grades, ...daily } = nutritionConfig.bands[bandId];
+
+    const perMeal = Object.fromEntries(Object.entries(daily)
+      .map(([nutrient, amount]) => [nutrient, round1(amount * nutritionConfig.mealShare)]));
+
+    return { band: bandId, label, ...perMeal };
+  }
+
+  /**
+   * Score nutrient facts for a grade
+   * @param {Object} nutrition - Nutrient facts of a meal or a day's meals
+   * @param {string|number} grade - Grade
+   * @returns {Object} { score, band, components, nutrients }
+   */
+  static score(nutrition, grade) {
+    const reference = this.mealReference(grade);
+    const amount = (nutrient) => nutrition[nutrient] || 0;
+
+    const nutrients = ADEQUACY_NUTRIENTS.map(nutrient => ({
+      nutrient,
+      amount: amount(nutrient),
+      target: reference[nutrient],
+      percentOfTarget: Math.round(amount(nutrient) / reference[nutrient] * 100)
+    }));
+    const adequacy = nutrients.reduce((total, n) => total + Math.min(1, n.amount / n.target), 0) / nutrients.length;
+
+    const energyRatio = amount('energyKcal') / reference.energyKcal;
+    const energy = plateau(energyRatio, 0.5, 0.8, 1.2, 1.5);
+
+    const energyKcal = amount('energyKcal');
+    const { saturatedFatEnergyShare, sugarEnergyShare } = nutritionConfig.limits;
+    const moderation = (
+      withinLimit(amount('saturatedFatG') * 9, energyKcal * saturatedFatEnergyShare) +
+      withinLimit(amount('sugarG') * 4, energyKcal * sugarEnergyShare) +
+      withinLimit(amount('sodiumMg'), reference.sodiumMg)
+    ) / 3;
+
+    const groups = nutritionConfig.foodGroups.filter(group => (nutrition.foodGroups || []).includes(group));
+    const variety = groups.length / nutritionConfig.foodGroups.length;
+
+    const components = [
+      { key: 'adequacy', points: round1(adequacy * POINTS.adequacy), maxPoints: POINTS.adequacy },
+      {
+        key: 'energy',
+        points: round1(energy * POINTS.energy),
+        maxPoints: POINTS.energy,
+        detail: { energyKcal, target: reference.energyKcal, percentOfTarget: Math.round(energyRatio * 100) }
+      },
+      { key: 'moderation', points: round1(moderation * POINTS.moderation), maxPoints: POINTS.moderation },
+      { key: 'variety', points: round1(variety * POINTS.variety), maxPoints: POINTS.variety, detail: { foodGroups: groups } }
+    ];
+
+    return {
+      score: Math.round(components.reduce((total, component) => total + component.points, 0)),
+      band: reference.band,
+      components,
+      nutrients
+    };
+  }
+
+  /**
+   * Score a meal for a grade
+   * @param {Object} meal - Meal, with its nutrition facts if known
+   * @param {string|number} grade - Grade
+   * @returns {Object} Meal with nutritionScore and scoreBreakdown (null without facts)
+   */
+  static scoreMeal(meal, grade) {
+    if (!meal.nutrition) {
+      return { ...meal, scoreBreakdown: null };
+    }
+
+    const breakdown = this.score(meal.nutrition, grade);
+    return { ...meal, nutritionScore: breakdown.score, scoreBreakdown: breakdown };
+  }
+}
+
+module.exports = NutritionScoring;
@@ -0,0 +1,210 @@
+const { canActForStudent, isCrossTenant } = require('nutriconnect-shared/auth');
+const OrderModel = require('../models/Order');
+const MealModel = require('../models/Meal');
+const StudentService = require('./StudentService');
+const SchoolService = require('./SchoolService');
+const NutritionScoring = require('./NutritionScoring');
+const { todayIn, addDays, weekStartOf } = require('../utils/dates');
+
+const NUTRIENTS = [
+  'energyKcal', 'proteinG', 'fatG', 'saturatedFatG', 'carbsG', 'sugarG', 'fibreG',
+  'sodiumMg', 'calciumMg', 'ironMg', 'vitaminAMcg', 'vitaminCMg'
+];
+
+const MAX_WEEKS = 12;
+
+// A change in weekly average score smaller than this is reported as steady
+const STEADY_SCORE_CHANGE = 2;
+
+const nutritionError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const emptyIntake = () => ({ ...Object.fromEntries(NUTRIENTS.map(nutrient => [nutrient, 0])), foodGroups: [] });
+
+/**
+ * Intake as a share of the per-meal reference intakes
+ * @param {Object} intake - Nutrient amounts
+ * @param {Object} reference - NutritionScoring.mealReference
+ * @returns {Object} Nutrient -> percent of target
+ */
+const percentOfTarget = (intake, reference) => Object.fromEntries(
+  NUTRIENTS.filter(nutrient => reference[nutrient] !== undefined)
+    .map(nutrient => [nutrient, Math.round(intake[nutrient] / reference[nutrient] * 100)])
+);
+
+class NutritionService {
+
+  /**
+   * Check the caller may see a student's nutrition and that a guardian consented to tracking it:
+   * the student, their guardians, staff at the student's school, or an administrator
+   * @param {string} studentId - Student ID
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Student
+   */
+  static async findTrackedStudent(studentId, actor) {
+    const student = await StudentService.getStudentById(studentId, actor.id);
+
+    const allowed = student && (
+      canActForStudent(actor, student.id) ||
+      isCrossTenant(actor) ||
+      (actor.role === 'SCHOOL_STAFF' && actor.schoolId && actor.schoolId === student.schoolId)
+    );
+
+    // Students the caller has no relationship with are reported as missing
+    if (!allowed) {
+      throw nutritionError(404, 'student_not_found', 'Student not found');
+    }
+
+    if (!student.consents.nutrition_tracking) {
+      throw nutritionError(403, 'consent_required', 'A guardian has not consented to nutrition tracking for this student');
+    }
+
+    return student;
+  }
+
+  /**
+   * What a student ate from delivered school meals, per day and per week, against the reference
+   * intakes of their age band for one meal. Leftovers recorded by staff are taken off; meals
+   * without nutrient facts count towards meals eaten but not intake.
+   * @param {string} studentId - Student ID
+   * @param {Object} actor - Request user
+   * @param {Object} options - { weeks } to cover, ending with the current week (default 4)
+   * @returns {Promise<Object>} Summary
+   */
+  static async getStudentSummary(studentId, actor, options = {}) {
+    const weeks = options.weeks === undefined ? 4 : Number(options.weeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+      throw nutritionError(400, 'validation_error', `weeks must be a whole number from 1 to ${MAX_WEEKS}`);
+    }
+
+    const student = await this.findTrackedStudent(studentId, actor);
+    const school = student.schoolId ? await SchoolService.getSchoolById(student.schoolId) : null;
+
+    const today = todayIn(school ? school.settings.timezone : 'UTC');
+    const to = addDays(weekStartOf(today), 6);
+    const from = addDays(weekStartOf(today), -7 * (weeks - 1));
+
+    const orders = await OrderModel.findDelivered(student.id, from, to);
+    const meals = await MealModel.findByIds([...new Set(orders.flatMap(order => order.items.map(item => item.mealId)))]);
+    const reference = NutritionScoring.mealReference(student.grade);
+
+    const days = orders.map(order => this.dayIntake(order, meals, student.grade, reference));
+    const weekly = Array.from({ length: weeks }, (_, index) => addDays(from, 7 * index))
+      .map(weekStart => this.weekIntake(weekStart, days.filter(day => weekStartOf(day.date) === weekStart), student.grade, reference));
+
+    return {
+      success: true,
+      studentId: student.id,
+      from,
+      to,
+      referenceIntake: reference,
+      days,
+      weeks: weekly,
+      trends: this.trends(weekly)
+    };
+  }
+
+  /**
+   * Intake from one delivered order
+   * @param {Object} order - Delivered order
+   * @param {Map} meals - Meal ID -> meal with nutrition
+   * @param {string} grade - Student's grade
+   * @param {Object} reference - Per-meal reference intakes
+   * @returns {Object} { date, orderId, mealsEaten, mealsWithoutFacts, intake, percentOfTarget, score }
+   */
+  static dayIntake(order, meals, grade, reference) {
+    const intake = emptyIntake();
+    let mealsEaten = 0;
+    let mealsWithoutFacts = 0;
+
+    for (const item of order.items) {
+      const eaten = item.quantity * (1 - (item.leftover || 0));
+      const meal = meals.get(item.mealId);
+      mealsEaten += eaten;
+
+      if (!meal || !meal.nutrition) {
+        mealsWithoutFacts += item.quantity;
+        continue;
+      }
+      for (const nutrient of NUTRIENTS) {
+        intake[nutrient] += (meal.nutrition[nutrient] || 0) * eaten;
+      }
+      if (eaten > 0) {
+        intake.foodGroups = [...new Set([...intake.foodGroups, ...meal.nutrition.foodGroups])];
+      }
+    }
+
+    for (const nutrient of NUTRIENTS) {
+      intake[nutrient] = round1(intake[nutrient]);
+    }
+
+    return {
+      date: order.scheduledDate,
+      orderId: order.id,
+      mealsEaten: round1(mealsEaten),
+      mealsWithoutFacts,
+      intake,
+      percentOfTarget: percentOfTarget(intake, reference),
+      score: NutritionScoring.score(intake, grade).score
+    };
+  }
+
+  /**
+   * Average daily intake over the days of a week with a delivered meal
+   * @param {string} weekStart - Monday (YYYY-MM-DD)
+   * @param {Array} days - Day intakes in the week
+   * @param {string} grade - Student's grade
+   * @param {Object} reference - Per-meal reference intakes
+   * @returns {Object} { weekStart, daysTracked, mealsEaten, averageIntake, percentOfTarget, averageScore }
+   */
+  static weekIntake(weekStart, days, grade, reference) {
+    if (days.length === 0) {
+      return { weekStart, daysTracked: 0, mealsEaten: 0, averageIntake: null, percentOfTarget: null, averageScore: null };
+    }
+
+    const averageIntake = Object.fromEntries(NUTRIENTS.map(nutrient => [
+      nutrient,
+      round1(days.reduce((total, day) => total + day.intake[nutrient], 0) / days.length)
+    ]));
+
+    return {
+      weekStart,
+      daysTracked: days.length,
+      mealsEaten: round1(days.reduce((total, day) => total + day.mealsEaten, 0)),
+      averageIntake,
+      percentOfTarget: percentOfTarget(averageIntake, reference),
+      averageScore: Math.round(days.reduce((total, day) => total + day.score, 0) / days.length)
+    };
+  }
+
+  /**
+   * Direction of the weekly average score, comparing the latest two weeks with meals tracked
+   * @param {Array} weeks - Week intakes, oldest first
+   * @returns {Object} { weeklyScores, scoreChange, direction } (null change and direction with fewer than two such weeks)
+   */
+  static trends(weeks) {
+    const tracked = weeks.filter(week => week.daysTracked > 0);
+    const [previous, latest] = tracked.slice(-2);
+    const scoreChange = latest ? latest.averageScore - previous.averageScore : null;
+
+    let direction = null;
+    if (scoreChange !== null) {
+      if (Math.abs(scoreChange) < STEADY_SCORE_CHANGE) direction = 'steady';
+      else direction = scoreChange > 0 ? 'improving' : 'declining';
+    }
+
+    return {
+      weeklyScores: weeks.map(week => ({ weekStart: week.weekStart, averageScore: week.averageScore })),
+      scoreChange,
+      direction
+    };
+  }
+}
+
+module.exports = NutritionService;
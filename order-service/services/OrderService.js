@@ -1,45 +1,107 @@
+const { canActForStudent, actingContext, hasPermission } = require('nutriconnect-shared/auth');
 const OrderModel = require('../models/Order');
 const MealService = require('./MealService');
 const StudentService = require('./StudentService');
+const SchoolService = require('./SchoolService');
 const PaymentService = require('./PaymentService');
 const NotificationService = require('./NotificationService');
+const AuditService = require('./AuditService');
+const OrderStateMachine = require('./OrderStateMachine');
+const NutritionScoring = require('./NutritionScoring');
+const DietaryService = require('./DietaryService');
+
+/**
+ * Build an audit trail entry recording who acted on an order and for whom
+ * @param {string} action - e.g. 'created', 'cancelled'
+ * @param {Object} acting - Acting context from the shared auth library
+ * @returns {Object} Audit trail entry
+ */
+const auditEntry = (action, acting) => ({
+  action,
+  actorId: acting.actorId,
+  actorRole: acting.actorRole,
+  onBehalfOf: acting.onBehalfOf,
+  at: new Date().toISOString()
+});
+
+/**
+ * Load an order the actor may act on (their own or a linked child's; administrators may act on any)
+ * @param {string} orderId - Order ID
+ * @param {Object} actor - Request user
+ * @returns {Promise<Object>} Order
+ */
+const findOrderForActor = async (orderId, actor) => {
+  const order = await OrderModel.findById(orderId);
+
+  // Orders of other students are reported as missing rather than forbidden; administrators see every order
+  if (!order || !(canActForStudent(actor, order.studentId) || hasPermission(actor.permissions, 'manage:orders'))) {
+    const error = new Error('Order not found');
+    error.statusCode = 404;
+    error.code = 'order_not_found';
+    throw error;
+  }
+
+  return order;
+};
+
+/**
+ * Error for an order that changed status while a transition was being applied
+ * @param {string} orderId - Order ID
+ * @returns {Error} invalid_transition error
+ */
+const statusChanged = (orderId) => {
+  const error = new Error(`Order ${orderId} changed status while it was being updated; reload it and try again`);
+  error.statusCode = 409;
+  error.code = 'invalid_transition';
+  return error;
+};
+
+/**
+ * Error for a student who already has a live order for the date
+ * @returns {Error} duplicate_order error
+ */
+const duplicateOrder = () => {
+  const error = new Error('You already have an order for this date');
+  error.statusCode = 409;
+  error.code = 'duplicate_order';
+  return error;
+};
+
+/**
+ * Nutrition score of a cart: the scores of its meals for the student's grade, weighted by quantity
+ * @param {Array} lines - [{ meal, quantity }]
+ * @param {string} grade - Student's grade
+ * @returns {number|null} Score, or null when no meal has one
+ */
+const averageNutritionScore = (lines, grade) => {
+  const scored = lines
+    .map(line => ({ score: NutritionScoring.scoreMeal(line.meal, grade).nutritionScore, quantity: line.quantity }))
+    .filter(line => line.score !== null && line.score !== undefined);
+  const quantity = scored.reduce((total, line) => total + line.quantity, 0);
+  if (quantity === 0) return null;
+
+  return Math.round(scored.reduce((total, line) => total + line.score * line.quantity, 0) / quantity);
+};
 
 class OrderService {
   
   /**
    * Create a new meal order
    * @param {string} studentId - Student ID from SLUDI
-   * @param {Object} orderData - Order details
+   * @param {Object} orderData - Order details; items ([{ mealId, quantity }]) or a single mealId and quantity,
+   *   and acknowledgeDietaryWarnings
+   * @param {Object} acting - Who is placing the order ({ actorId, actorRole, onBehalfOf })
    * @returns {Promise<Object>} Created order
    */
-  static async createOrder(studentId, orderData) {
-    const { mealId, scheduledDate, quantity = 1, pickupTime, specialInstructions } = orderData;
+  static async createOrder(studentId, orderData, acting) {
+    const { scheduledDate, pickupTime, specialInstructions } = orderData;
+    const items = orderData.items || [{ mealId: orderData.mealId, quantity: orderData.quantity || 1 }];
+    const mealIds = items.map(item => item.mealId);
     
-    console.log(`[ORDER_SERVICE] Creating order for student ${studentId}, meal ${mealId}`);
-
-    // Validate scheduled date
-    const orderDate = new Date(scheduledDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    if (orderDate < today) {
-      const error = new Error('Cannot order meals for past dates');
-      error.statusCode = 400;
-      error.code = 'invalid_date';
-      throw error;
-    }
-
-    // Get meal info from NDX/Menu Service
-    const meal = await MealService.getMealById(mealId);
-    if (!meal || !meal.available) {
-      const error = new Error('Selected meal is not available');
-      error.statusCode = 404;
-      error.code = 'meal_not_available';
-      throw error;
-    }
+    console.log(`[ORDER_SERVICE] Creating order for student ${studentId}, meals ${mealIds.join(', ')}, placed by ${acting.actorId}`);
 
     // Get student info from SLUDI
-    const student = await StudentService.getStudentById(studentId);
+    const student = await StudentService.getStudentById(studentId, acting.actorId);
     if (!student) {
       const error = new Error('Student not found in system');
       error.statusCode = 401;
@@ -47,42 +109,90 @@ class OrderService {
       throw error;
     }
 
-    // Check for existing order on the same date
-    const existingOrder = await OrderModel.findExistingOrder(studentId, scheduledDate);
-    if (existingOrder) {
-      const error = new Error('You already have an order for this date');
-      error.statusCode = 409;
-      error.code = 'duplicate_order';
+    // Prices and subsidies come from the student's school
+    const school = student.schoolId ? await SchoolService.getSchoolById(student.schoolId) : null;
+    if (!school || school.status !== 'active') {
+      const error = new Error('Meal ordering is not available for this student\'s school');
+      error.statusCode = 403;
+      error.code = 'school_unavailable';
       throw error;
     }
 
-    // Calculate pricing with subsidies
-    const totalAmount = meal.price * quantity;
-    const subsidyAmount = student.subsidyEligible ? (meal.subsidyAmount * quantity) : 0;
-    const finalAmount = Math.max(0, totalAmount - subsidyAmount);
+    // The date must be within the school's ordering window: not past its cutoff, nor beyond its booking horizon
+    SchoolService.assertCanOrder(school, scheduledDate);
+
+    // Every meal must be offered at the school, and on its menu for the date once one is published
+    const meals = await MealService.getOrderableMeals(school.id, scheduledDate, mealIds);
+    const unavailable = mealIds.filter(mealId => !meals.has(mealId));
+    if (unavailable.length > 0) {
+      const error = new Error(`Selected meal is not available: ${unavailable.join(', ')}`);
+      error.statusCode = 404;
+      error.code = 'meal_not_available';
+      throw error;
+    }
+
+    // Check for existing order on the same date; OrderModel.create checks again as it places the order
+    if (await OrderModel.findExistingOrder(studentId, scheduledDate)) {
+      throw duplicateOrder();
+    }
+
+    const lines = items.map(item => ({ meal: meals.get(item.mealId), quantity: item.quantity }));
+
+    // Declared allergies block a meal unless staff overrode them; unmet dietary restrictions need acknowledging
+    const dietary = await DietaryService.checkOrder(student, scheduledDate, lines, orderData.acknowledgeDietaryWarnings);
+
+    // Calculate pricing with subsidies, across the whole cart
+    const pricing = SchoolService.getOrderPricing(school, lines, student.subsidyEligible);
+    const { totalAmount, subsidyAmount, finalAmount } = pricing;
+    const quantity = items.reduce((total, item) => total + item.quantity, 0);
 
     // Create order
     const orderData_processed = {
       studentId,
-      mealId,
-      schoolId: student.school,
+      mealId: mealIds[0],
+      items: pricing.lines,
+      schoolId: school.id,
       scheduledDate,
       quantity,
+      currency: school.settings.currency,
       totalAmount,
       subsidyAmount,
       finalAmount,
       dietaryRestrictions: student.dietaryRestrictions,
       specialInstructions,
       pickupTime,
+      placedBy: acting.actorId,
+      auditTrail: [auditEntry('created', acting)],
       metadata: {
-        mealName: meal.name,
-        nutritionScore: meal.nutritionScore,
+        mealName: lines.map(line => line.meal.name).join(', '),
+        schoolName: school.name,
+        subsidyProgram: pricing.subsidyProgram && pricing.subsidyProgram.id,
+        subsidyCapped: pricing.subsidyCapped,
+        nutritionScore: averageNutritionScore(lines, student.grade),
+        dietaryWarnings: dietary.warnings,
+        dietaryOverrides: dietary.overrides,
         orderSource: 'web_app',
         apiVersion: 'v1'
       }
     };
 
-    const newOrder = await OrderModel.create(orderData_processed);
+    // Reserve every line for the day as the order is placed, so a sold-out meal refuses it
+    const newOrder = await OrderModel.create(orderData_processed, () => MealService.reserveItems(scheduledDate, lines));
+    if (!newOrder) {
+      throw duplicateOrder();
+    }
+
+    if (dietary.overrides.length > 0) {
+      await DietaryService.useOverrides(dietary.overrides, newOrder.id);
+      await AuditService.record({
+        event: 'order.dietary_override_used',
+        actorId: acting.actorId,
+        entityType: 'order',
+        entityId: newOrder.id,
+        after: { overrides: dietary.overrides },
+        details: { studentId, onBehalfOf: acting.onBehalfOf }
+      });
+    }
 
     // [FUTURE INTEGRATION POINT: PayDPI]
     // If payment required, initiate payment process
@@ -105,9 +215,6 @@ class OrderService {
       }
     }
 
-    // Update meal availability (NDX integration)
-    await MealService.updateAvailability(mealId, scheduledDate, quantity);
-
     // Send notification
     await NotificationService.sendOrderConfirmation(studentId, newOrder);
 
@@ -151,77 +258,103 @@ class OrderService {
   /**
    * Get order by ID
    * @param {string} orderId - Order ID
-   * @param {string} studentId - Student ID for authorization
-   * @returns {Promise<Object>} Order details
+   * @param {Object} actor - Request user (the student or a verified guardian)
+   * @returns {Promise<Object>} Order details, with the statuses the actor may move it to
    */
-  static async getOrderById(orderId, studentId) {
-    const order = await OrderModel.findById(orderId);
-    
-    if (!order || order.studentId !== studentId) {
-      const error = new Error('Order not found');
-      error.statusCode = 404;
-      error.code = 'order_not_found';
-      throw error;
-    }
+  static async getOrderById(orderId, actor) {
+    const order = await findOrderForActor(orderId, actor);
 
     return {
       success: true,
-      order
+      order,
+      allowedTransitions: OrderStateMachine.allowedTransitions(order, actor.role)
     };
   }
 
   /**
    * Cancel an order
    * @param {string} orderId - Order ID
-   * @param {string} studentId - Student ID
+   * @param {Object} actor - Request user (the student or a verified guardian)
    * @param {string} reason - Cancellation reason
    * @returns {Promise<Object>} Updated order
    */
-  static async cancelOrder(orderId, studentId, reason) {
-    const order = await OrderModel.findById(orderId);
-    
-    if (!order || order.studentId !== studentId) {
-      const error = new Error('Order not found');
-      error.statusCode = 404;
-      error.code = 'order_not_found';
-      throw error;
-    }
+  static async cancelOrder(orderId, actor, reason) {
+    const order = await findOrderForActor(orderId, actor);
+    const acting = actingContext(actor, order.studentId);
 
-    // Check if order can be cancelled
-    if (!['PENDING', 'CONFIRMED'].includes(order.status)) {
-      const error = new Error('Order cannot be cancelled at this stage');
-      error.statusCode = 400;
-      error.code = 'cannot_cancel';
-      throw error;
+    OrderStateMachine.assertTransition(order, 'CANCELLED', actor.role);
+
+    // Students and parents cancel before the school's cancellation cutoff (the default cutoff if the
+    // school cannot be found); administrators may cancel later
+    if (actor.role !== 'ADMIN') {
+      const school = order.schoolId ? await SchoolService.getSchoolById(order.schoolId) : null;
+      SchoolService.assertCanCancel(school, order.scheduledDate);
     }
 
     // Update order status
-    const updatedOrder = await OrderModel.cancel(orderId, reason);
+    let updatedOrder = await OrderModel.cancel(orderId, reason, auditEntry('cancelled', acting));
+    if (!updatedOrder) {
+      throw statusChanged(orderId);
+    }
 
-    // [FUTURE INTEGRATION POINT: PayDPI]
-    // If payment was made, initiate refund
+    // A paid order is refunded through payment-service. If the refund cannot be made, the order
+    // stays PAID and is flagged for manual review rather than reported as refunded.
     if (order.paymentStatus === 'PAID' && order.finalAmount > 0) {
       try {
-        // TODO: Uncomment when PayDPI is integrated
-        // await PaymentService.initiateRefund({
-        //   orderId: order.id,
-        //   paymentId: order.paymentId,
-        //   amount: order.finalAmount
-        // });
-        await OrderModel.updatePaymentStatus(orderId, 'REFUNDED');
+        const refund = await PaymentService.initiateRefund({
+          orderId,
+          reason: reason || 'Order cancelled',
+          requestedBy: acting.actorId
+        });
+        updatedOrder = await OrderModel.updatePaymentStatus(orderId, 'REFUNDED', {
+          actorId: acting.actorId,
+          actorRole: acting.actorRole,
+          notes: refund.refundId
+            ? `Refund ${refund.refundId} of payment ${refund.paymentId} on cancellation`
+            : `Payment ${refund.paymentId} had already been refunded`
+        });
         console.log(`[ORDER_SERVICE] Refund initiated for order ${orderId}`);
       } catch (refundError) {
         console.error('[ORDER_SERVICE] Refund failed:', refundError);
+        updatedOrder = await OrderModel.flag(orderId, `Cancelled while paid; refund failed: ${refundError.message}`, {
+          actorId: acting.actorId,
+          actorRole: acting.actorRole
+        });
       }
     }
 
-    // Restore meal availability
-    await MealService.restoreAvailability(order.mealId, order.scheduledDate, order.quantity);
+    await AuditService.record({
+      event: 'order.cancelled',
+      actorId: acting.actorId,
+      entityType: 'order',
+      entityId: orderId,
+      before: { status: order.status, paymentStatus: order.paymentStatus },
+      after: { status: updatedOrder.status, paymentStatus: updatedOrder.paymentStatus },
+      details: { reason, studentId: order.studentId, onBehalfOf: acting.onBehalfOf }
+    });
+
+    if (updatedOrder.paymentStatus === 'REFUNDED' && order.paymentStatus !== 'REFUNDED') {
+      await AuditService.record({
+        event: 'order.refunded',
+        actorId: acting.actorId,
+        entityType: 'order',
+        entityId: orderId,
+        before: { paymentStatus: order.paymentStatus },
+        after: { paymentStatus: updatedOrder.paymentStatus },
+        details: { amount: order.finalAmount, currency: order.currency, paymentId: order.paymentId }
+      });
+    }
+
+    // Restore meal availability for the order's day, line by line, and any dietary overrides it used
+    for (const item of order.items) {
+      await MealService.restoreAvailability(item.mealId, order.scheduledDate, item.quantity);
+    }
+    await DietaryService.releaseOverrides(orderId);
 
     // Send notification
-    await NotificationService.sendOrderCancellation(studentId, updatedOrder);
+    await NotificationService.sendOrderCancellation(order.studentId, updatedOrder);
 
-    console.log(`[ORDER_SERVICE] Order cancelled: ${orderId}`);
+    console.log(`[ORDER_SERVICE] Order cancelled: ${orderId} by ${actor.id}`);
 
     return {
       success: true,
@@ -233,15 +366,17 @@ class OrderService {
   /**
    * Get pending orders for staff
    * @param {Object} filters - Query filters
+   * @param {Object} tenant - { schoolId } the caller is scoped to (null schoolId for every school)
    * @returns {Promise<Object>} Pending orders
    */
-  static async getPendingOrdersForStaff(filters = {}) {
+  static async getPendingOrdersForStaff(filters = {}, tenant) {
     const { date } = filters;
     
-    const orders = await OrderModel.findPendingOrders(date);
+    const orders = await OrderModel.findPendingOrders(date, tenant);
     
     return {
       success: true,
+      schoolId: tenant.schoolId,
       orders,
       summary: {
         total: orders.length,
@@ -254,16 +389,18 @@ class OrderService {
   }
 
   /**
-   * Update order status (staff only)
+   * Update order status (staff only); the move must be allowed by the order state machine
    * @param {string} orderId - Order ID
-   * @param {string} staffId - Staff ID
+   * @param {Object} staff - Request user making the change
    * @param {Object} updateData - Status update data
+   * @param {Object} tenant - { schoolId } the staff member is scoped to
    * @returns {Promise<Object>} Updated order
    */
-  static async updateOrderStatus(orderId, staffId, updateData) {
+  static async updateOrderStatus(orderId, staff, updateData, tenant) {
     const { status, notes } = updateData;
+    const staffId = staff.id;
 
-    const order = await OrderModel.findById(orderId);
+    const order = await OrderModel.findById(orderId, tenant);
     if (!order) {
       const error = new Error('Order not found');
       error.statusCode = 404;
@@ -271,7 +408,25 @@ class OrderService {
       throw error;
     }
 
-    const updatedOrder = await OrderModel.updateStatus(orderId, status, staffId, notes);
+    OrderStateMachine.assertTransition(order, status, staff.role);
+
+    const updatedOrder = await OrderModel.updateStatus(orderId, status, staffId, notes, {
+      from: order.status,
+      actorRole: staff.role
+    });
+    if (!updatedOrder) {
+      throw statusChanged(orderId);
+    }
+
+    await AuditService.record({
+      event: 'order.status_changed',
+      actorId: staffId,
+      entityType: 'order',
+      entityId: orderId,
+      before: { status: order.status },
+      after: { status: updatedOrder.status },
+      details: { notes, schoolId: order.schoolId }
+    });
 
     // Send status update notification
     await NotificationService.sendStatusUpdate(order.studentId, updatedOrder);
@@ -284,6 +439,150 @@ class OrderService {
       message: 'Order status updated successfully'
     };
   }
+
+  /**
+   * Record how much of each meal of a delivered order the student left (staff only), so nutrition
+   * intake counts what was eaten. Recording again replaces the earlier leftovers of those meals.
+   * @param {string} orderId - Order ID
+   * @param {Object} staff - Request user
+   * @param {Object} leftoverData - { items: [{ mealId, leftover }], notes }
+   * @param {Object} tenant - { schoolId } the staff member is scoped to
+   * @returns {Promise<Object>} Updated order
+   */
+  static async recordLeftovers(orderId, staff, leftoverData, tenant) {
+    const { items, notes } = leftoverData;
+
+    const order = await OrderModel.findById(orderId, tenant);
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      error.code = 'order_not_found';
+      throw error;
+    }
+
+    if (order.status !== 'DELIVERED') {
+      const error = new Error('Leftovers can only be recorded for delivered orders');
+      error.statusCode = 409;
+      error.code = 'order_not_delivered';
+      throw error;
+    }
+
+    const unknown = items.filter(item => !order.items.some(line => line.mealId === item.mealId));
+    if (unknown.length > 0) {
+      const error = new Error(`Not on this order: ${unknown.map(item => item.mealId).join(', ')}`);
+      error.statusCode = 400;
+      error.code = 'validation_error';
+      throw error;
+    }
+
+    const updatedOrder = await OrderModel.recordLeftovers(orderId, items, {
+      actorId: staff.id,
+      actorRole: staff.role,
+      notes
+    });
+    if (!updatedOrder) {
+      throw statusChanged(orderId);
+    }
+
+    await AuditService.record({
+      event: 'order.leftovers_recorded',
+      actorId: staff.id,
+      entityType: 'order',
+      entityId: orderId,
+      before: { items: order.items.map(({ mealId, leftover }) => ({ mealId, leftover })) },
+      after: { items: updatedOrder.items.map(({ mealId, leftover }) => ({ mealId, leftover })) },
+      details: { notes, schoolId: order.schoolId }
+    });
+
+    console.log(`[ORDER_SERVICE] Leftovers recorded for order ${orderId} by ${staff.id}`);
+
+    return {
+      success: true,
+      order: updatedOrder,
+      message: 'Leftovers recorded successfully'
+    };
+  }
+
+  /**
+   * What an order costs and who it is for, for another service (payment-service) to charge it
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Order payment details
+   */
+  static async getOrderPayment(orderId) {
+    const order = await OrderModel.findById(orderId);
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      error.code = 'order_not_found';
+      throw error;
+    }
+
+    return {
+      success: true,
+      order: {
+        id: order.id,
+        studentId: order.studentId,
+        schoolId: order.schoolId,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        paymentId: order.paymentId,
+        totalAmount: order.totalAmount,
+        subsidyAmount: order.subsidyAmount,
+        finalAmount: order.finalAmount,
+        currency: order.currency
+      }
+    };
+  }
+
+  /**
+   * Record a payment status reported by another service (payment-service)
+   * @param {string} orderId - Order ID
+   * @param {Object} paymentInfo - { paymentId, paymentStatus }
+   * @param {string} service - Reporting service, recorded as the actor
+   * @returns {Promise<Object>} Updated order
+   */
+  static async recordPayment(orderId, paymentInfo, service) {
+    const { paymentId, paymentStatus } = paymentInfo;
+
+    const order = await OrderModel.findById(orderId);
+    if (!order) {
+      const error = new Error('Order not found');
+      error.statusCode = 404;
+      error.code = 'order_not_found';
+      throw error;
+    }
+
+    // A payment that completes after its order was cancelled is refused; payment-service flags it for review
+    if (order.status === 'CANCELLED' && paymentStatus === 'PAID') {
+      const error = new Error(`Order ${orderId} is cancelled`);
+      error.statusCode = 409;
+      error.code = 'order_not_payable';
+      throw error;
+    }
+
+    const updatedOrder = await OrderModel.updatePaymentInfo(orderId, { paymentId, status: paymentStatus }, {
+      actorId: service,
+      notes: paymentId ? `Payment ${paymentId}` : undefined
+    });
+
+    await AuditService.record({
+      event: 'order.payment_updated',
+      actorId: service,
+      entityType: 'order',
+      entityId: orderId,
+      before: { paymentStatus: order.paymentStatus, paymentId: order.paymentId },
+      after: { paymentStatus: updatedOrder.paymentStatus, paymentId: updatedOrder.paymentId },
+      details: { schoolId: order.schoolId }
+    });
+
+    console.log(`[ORDER_SERVICE] Order ${orderId} payment status updated to ${paymentStatus} by ${service}`);
+
+    return {
+      success: true,
+      order: updatedOrder,
+      message: 'Order payment status updated successfully'
+    };
+  }
 }
 
 module.exports = OrderService;
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * Order lifecycle: the legal status transitions, which roles may make each one,
+ * and any condition the order has to meet first.
+ *
+ *   PENDING -> CONFIRMED -> PREPARING -> READY -> DELIVERED
+ *   PENDING | CONFIRMED -> CANCELLED
+ *
+ * DELIVERED and CANCELLED are final.
+ */
+const ORDER_STATUSES = ['PENDING', 'CONFIRMED', 'PREPARING', 'READY', 'DELIVERED', 'CANCELLED'];
+
+const KITCHEN_ROLES = ['SCHOOL_STAFF', 'ADMIN'];
+const CUSTOMER_ROLES = ['STUDENT', 'PARENT', 'ADMIN'];
+
+const TRANSITIONS = [
+  { from: 'PENDING', to: 'CONFIRMED', roles: KITCHEN_ROLES },
+  { from: 'PENDING', to: 'CANCELLED', roles: CUSTOMER_ROLES },
+  {
+    from: 'CONFIRMED',
+    to: 'PREPARING',
+    roles: KITCHEN_ROLES,
+    guard: order => order.paymentStatus === 'PAID',
+    guardMessage: 'Order must be paid before it is prepared'
+  },
+  { from: 'CONFIRMED', to: 'CANCELLED', roles: CUSTOMER_ROLES },
+  { from: 'PREPARING', to: 'READY', roles: KITCHEN_ROLES },
+  { from: 'READY', to: 'DELIVERED', roles: KITCHEN_ROLES }
+];
+
+const invalidTransition = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = 'invalid_transition';
+  return error;
+};
+
+class OrderStateMachine {
+
+  /**
+   * Check that a role may move an order to a status, throwing invalid_transition if not
+   * @param {Object} order - Order in its current state
+   * @param {string} status - Target status
+   * @param {string} role - Role of the user making the change
+   */
+  static assertTransition(order, status, role) {
+    const transition = TRANSITIONS.find(t => t.from === order.status && t.to === status);
+    if (!transition) {
+      throw invalidTransition(409, `Order cannot move from ${order.status} to ${status}`);
+    }
+
+    if (!transition.roles.includes(role)) {
+      throw invalidTransition(403, `${role} cannot move an order from ${order.status} to ${status}`);
+    }
+
+    if (transition.guard && !transition.guard(order)) {
+      throw invalidTransition(409, transition.guardMessage);
+    }
+  }
+
+  /**
+   * Statuses a role may move an order to right now
+   * @param {Object} order - Order in its current state
+   * @param {string} role - Role of the user
+   * @returns {Array<string>} Target statuses
+   */
+  static allowedTransitions(order, role) {
+    return TRANSITIONS
+      .filter(t => t.from === order.status && t.roles.includes(role) && (!t.guard || t.guard(order)))
+      .map(t => t.to);
+  }
+}
+
+OrderStateMachine.ORDER_STATUSES = ORDER_STATUSES;
+OrderStateMachine.TRANSITIONS = TRANSITIONS;
+
+module.exports = OrderStateMachine;
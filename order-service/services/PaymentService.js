@@ -1,3 +1,5 @@
+const { refundOrderPayment } = require('nutriconnect-shared/orders');
+
 class PaymentService {
   constructor() {
     // Mock payment data for future PayDPI integration
@@ -26,20 +28,14 @@ class PaymentService {
   }
 
   /**
-   * Initiate refund (Future PayDPI integration)
-   * @param {Object} refundData - Refund details
-   * @returns {Promise<Object>} Refund result
+   * Refund what was paid for an order, through payment-service (which refunds with PayDPI)
+   * @param {Object} refundData - { orderId, reason, requestedBy }
+   * @returns {Promise<Object>} Refund result - { paymentId, refundId, amount, refundedAmount, status };
+   *   rejects if payment-service refunded nothing
    */
   async initiateRefund(refundData) {
-    // [PAYDPI INTEGRATION POINT]
-    console.log('[PAYMENT_SERVICE] PayDPI integration pending - refund initiation stubbed');
-    
-    return {
-      refundId: `REF${this.paymentCounter++}`,
-      status: 'PROCESSING',
-      amount: refundData.amount,
-      estimatedCompletion: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-    };
+    const { orderId, reason, requestedBy } = refundData;
+    return refundOrderPayment(orderId, { reason, requestedBy });
   }
 
   /**
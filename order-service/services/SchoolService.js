@@ -0,0 +1,172 @@
+const { fetchSchool } = require('nutriconnect-shared/directory');
+const { clockIn, addDays } = require('../utils/dates');
+
+const windowError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+// Ordering window applied when a school, or one of its settings, cannot be found; the defaults auth-service gives new schools
+const DEFAULT_WINDOW_SETTINGS = {
+  timezone: 'Asia/Colombo',
+  orderCutoffTime: '09:00',
+  bookingHorizonDays: 14,
+  cancellationCutoffTime: null
+};
+
+const windowSettings = (school) => {
+  const settings = (school && school.settings) || {};
+  return Object.fromEntries(Object.entries(DEFAULT_WINDOW_SETTINGS).map(([key, fallback]) =>
+    [key, settings[key] !== undefined && settings[key] !== null ? settings[key] : fallback]));
+};
+
+class SchoolService {
+
+  /**
+   * Get a school (tenant) and its effective settings from auth-service
+   * @param {string} schoolId - School ID
+   * @returns {Promise<Object|null>} School or null
+   */
+  async getSchoolById(schoolId) {
+    return fetchSchool(schoolId);
+  }
+
+  /**
+   * Price a meal at a school: the school's price override, if any, and its subsidy program.
+   * The subsidy never exceeds the price.
+   * @param {Object} school - School with settings
+   * @param {Object} meal - Meal
+   * @param {boolean} subsidyEligible - Whether the student is eligible for the school's subsidy
+   * @returns {Object} { price, subsidyAmount, subsidyProgram } - per meal; subsidyProgram is null when no subsidy applies
+   */
+  getMealPricing(school, meal, subsidyEligible) {
+    const { mealPrices, subsidyProgram } = school.settings;
+
+    const price = mealPrices[meal.id] !== undefined ? mealPrices[meal.id] : meal.price;
+    if (!subsidyEligible) {
+      return { price, subsidyAmount: 0, subsidyProgram: null };
+    }
+
+    const subsidy = subsidyProgram.amountPerMeal !== null ? subsidyProgram.amountPerMeal : meal.subsidyAmount;
+
+    return {
+      price,
+      subsidyAmount: Math.min(subsidy, price),
+      subsidyProgram: { id: subsidyProgram.id, name: subsidyProgram.name }
+    };
+  }
+
+  /**
+   * Price a cart at a school. Each line is priced with getMealPricing; the school's
+   * subsidyProgram.maxPerOrder then caps the subsidy of the whole order, used up by the lines in cart order.
+   * @param {Object} school - School with settings
+   * @param {Array} lines - [{ meal, quantity }]
+   * @param {boolean} subsidyEligible - Whether the student is eligible for the school's subsidy
+   * @returns {Object} { lines, totalAmount, subsidyAmount, finalAmount, subsidyProgram, subsidyCapped }
+   */
+  getOrderPricing(school, lines, subsidyEligible) {
+    const round = (amount) => Math.round(amount * 100) / 100;
+    const cap = subsidyEligible ? school.settings.subsidyProgram.maxPerOrder : null;
+
+    let subsidyLeft = cap === null || cap === undefined ? Infinity : cap;
+    let subsidyProgram = null;
+
+    const priced = lines.map(({ meal, quantity }) => {
+      const pricing = this.getMealPricing(school, meal, subsidyEligible);
+      subsidyProgram = subsidyProgram || pricing.subsidyProgram;
+
+      const totalAmount = round(pricing.price * quantity);
+      const subsidyAmount = round(Math.min(pricing.subsidyAmount * quantity, subsidyLeft));
+      subsidyLeft -= subsidyAmount;
+
+      return {
+        mealId: meal.id,
+        mealName: meal.name,
+        quantity,
+        unitPrice: pricing.price,
+        totalAmount,
+        subsidyAmount,
+        finalAmount: round(Math.max(0, totalAmount - subsidyAmount))
+      };
+    });
+
+    const sum = (field) => round(priced.reduce((total, line) => total + line[field], 0));
+    const uncapped = subsidyEligible
+      ? lines.reduce((total, { meal, quantity }) => total + this.getMealPricing(school, meal, true).subsidyAmount * quantity, 0)
+      : 0;
+
+    return {
+      lines: priced,
+      totalAmount: sum('totalAmount'),
+      subsidyAmount: sum('subsidyAmount'),
+      finalAmount: sum('finalAmount'),
+      subsidyProgram,
+      subsidyCapped: round(uncapped) > sum('subsidyAmount')
+    };
+  }
+
+  /**
+   * Ordering window for a service date at a school: ordering opens bookingHorizonDays before
+   * the date and closes at the school's orderCutoffTime on the day itself, in school local time
+   * @param {Object|null} school - School with settings; the default window applies without one
+   * @param {string} date - Service date (YYYY-MM-DD)
+   * @returns {Object} { date, opensOn, closesAt, timezone }
+   */
+  getOrderingWindow(school, date) {
+    const { timezone, orderCutoffTime, bookingHorizonDays } = windowSettings(school);
+    return { date, opensOn: addDays(date, -bookingHorizonDays), closesAt: orderCutoffTime, timezone };
+  }
+
+  /**
+   * Check that meals can be ordered for a date at a school right now. Errors carry the
+   * next ordering window in details.nextWindow.
+   * @param {Object|null} school - School with settings; the default window applies without one
+   * @param {string} date - Service date (YYYY-MM-DD)
+   */
+  assertCanOrder(school, date) {
+    const { timezone, orderCutoffTime, bookingHorizonDays } = windowSettings(school);
+    const now = clockIn(timezone);
+
+    if (date < now.date || (date === now.date && now.time >= orderCutoffTime)) {
+      const next = this.getOrderingWindow(school, now.time < orderCutoffTime ? now.date : addDays(now.date, 1));
+      const whatsNext = `The next meals you can order are for ${next.date}, until ${next.closesAt} that day (${timezone})`;
+
+      if (date < now.date) {
+        throw windowError(400, 'invalid_date', `Cannot order meals for past dates. ${whatsNext}`, { nextWindow: next });
+      }
+      throw windowError(409, 'order_cutoff_passed',
+        `Orders for today closed at ${orderCutoffTime} (${timezone}). ${whatsNext}`, { nextWindow: next });
+    }
+
+    const latestDate = addDays(now.date, bookingHorizonDays);
+    if (date > latestDate) {
+      const window = this.getOrderingWindow(school, date);
+      throw windowError(409, 'beyond_booking_horizon',
+        `Meals can be ordered at most ${bookingHorizonDays} days ahead, up to ${latestDate}. ` +
+        `Ordering for ${date} opens on ${window.opensOn}`, { nextWindow: window });
+    }
+  }
+
+  /**
+   * Check that an order for a date can still be cancelled at a school: until the school's
+   * cancellationCutoffTime (or orderCutoffTime) on the day itself, in school local time
+   * @param {Object|null} school - School with settings; the default window applies without one
+   * @param {string} date - The order's service date (YYYY-MM-DD)
+   */
+  assertCanCancel(school, date) {
+    const { timezone, orderCutoffTime, cancellationCutoffTime } = windowSettings(school);
+    const cutoff = cancellationCutoffTime || orderCutoffTime;
+    const now = clockIn(timezone);
+
+    if (date < now.date || (date === now.date && now.time >= cutoff)) {
+      throw windowError(409, 'cancellation_cutoff_passed',
+        `Orders for ${date} could be cancelled until ${cutoff} that day (${timezone})`,
+        { cancellationWindow: { date, closesAt: cutoff, timezone } });
+    }
+  }
+}
+
+module.exports = new SchoolService();
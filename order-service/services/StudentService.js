@@ -1,53 +1,56 @@
+const { fetchStudent } = require('nutriconnect-shared/directory');
+const SchoolService = require('./SchoolService');
+
 class StudentService {
-  constructor() {
-    // Mock student data - in production this would integrate with SLUDI/NDX
-    this.students = {
-      'student123': {
-        id: 'student123',
-        name: 'Kamal Perera',
-        school: 'Royal College',
-        grade: '10A',
-        subsidyEligible: true,
-        dietaryRestrictions: ['vegetarian'],
-        parentId: 'parent456'
-      },
-      'student124': {
-        id: 'student124',
-        name: 'Nimal Silva',
-        school: 'Royal College',
-        grade: '9B',
-        subsidyEligible: true,
-        dietaryRestrictions: [],
-        parentId: 'parent457'
-      }
-    };
-  }
 
   /**
    * Get student by ID
-   * @param {string} studentId - Student ID from SLUDI
+   * Student records (profiles, subsidy eligibility, guardians) live in auth-service,
+   * populated by the seed data and school roster imports
+   * @param {string} studentId - Student user ID (the JWT `sub` claim)
+   * @param {string} actorId - User whose request needs the record, for the audit log
    * @returns {Promise<Object|null>} Student data
    */
-  async getStudentById(studentId) {
+  async getStudentById(studentId, actorId) {
     // [SLUDI INTEGRATION POINT]
     // In production: const student = await sludiClient.getStudent(studentId);
-    return this.students[studentId] || null;
+    const student = await fetchStudent(studentId, { service: 'order-service', actorId });
+    if (!student) return null;
+
+    return {
+      id: student.id,
+      name: student.name,
+      school: student.school,
+      schoolId: student.schoolId,
+      grade: student.grade,
+      subsidyEligible: student.subsidyEligible,
+      dietaryRestrictions: student.dietaryRestrictions,
+      allergies: student.allergies || [],
+      parentId: student.guardianIds[0] || null,
+      guardianIds: student.guardianIds,
+      consents: student.consents || {}
+    };
   }
 
   /**
-   * Get student subsidy eligibility
+   * Get student subsidy eligibility under their school's subsidy program
    * @param {string} studentId - Student ID
    * @returns {Promise<Object>} Subsidy information
    */
   async getSubsidyEligibility(studentId) {
     // [NDX INTEGRATION POINT]
     // In production: const subsidyInfo = await ndxClient.getSubsidyInfo(studentId);
-    const student = this.students[studentId];
-    return student ? {
-      eligible: student.subsidyEligible,
-      amount: student.subsidyEligible ? 30.00 : 0,
-      program: 'Government School Meal Program'
-    } : null;
+    const student = await this.getStudentById(studentId);
+    if (!student) return null;
+
+    const school = student.schoolId ? await SchoolService.getSchoolById(student.schoolId) : null;
+    const program = school ? school.settings.subsidyProgram : null;
+
+    return {
+      eligible: Boolean(student.subsidyEligible && program),
+      amountPerMeal: program ? program.amountPerMeal : null,
+      program: program ? program.name : null
+    };
   }
 }
 
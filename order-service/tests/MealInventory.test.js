@@ -0,0 +1,42 @@
+const db = require('../db');
+const MealInventoryModel = require('../models/MealInventory');
+const { serviceDate } = require('./helpers');
+
+describe('MealInventory', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  it('keeps meals given back while another order is rolled back', async () => {
+    const date = serviceDate(2);
+    expect(await MealInventoryModel.reserve('meal_001', date, 5, 10)).toBe(true);
+
+    // A cart that reserves one meal and then finds the next sold out, slowly
+    let cartReserved;
+    const reservedInCart = new Promise(resolve => { cartReserved = resolve; });
+    const cart = db.transaction(async () => {
+      await MealInventoryModel.reserve('meal_002', date, 1, 10);
+      cartReserved();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw Object.assign(new Error('Meal meal_001 is sold out'), { code: 'sold_out' });
+    });
+
+    // Meanwhile the first order is cancelled
+    await reservedInCart;
+    const released = MealInventoryModel.release('meal_001', date, 5);
+
+    await expect(cart).rejects.toMatchObject({ code: 'sold_out' });
+    await released;
+
+    const reserved = await MealInventoryModel.findReserved(date, ['meal_001', 'meal_002']);
+    expect(reserved.get('meal_001')).toBe(0);
+    expect(reserved.get('meal_002') || 0).toBe(0);
+  });
+
+  it('never oversells a day when orders reserve at the same time', async () => {
+    const date = serviceDate(3);
+    const results = await Promise.all(Array.from({ length: 6 }, () => MealInventoryModel.reserve('meal_001', date, 2, 10)));
+
+    expect(results.filter(Boolean)).toHaveLength(5);
+    expect((await MealInventoryModel.findReserved(date, ['meal_001'])).get('meal_001')).toBe(10);
+  });
+});
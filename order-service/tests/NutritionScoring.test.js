@@ -0,0 +1,71 @@
+const NutritionScoring = require('../services/NutritionScoring');
+
+// One meal's share (a third) of the daily reference intakes for ages 14-18
+const balancedMeal = {
+  energyKcal: 800,
+  proteinG: 17,
+  fibreG: 11,
+  calciumMg: 434,
+  ironMg: 4.4,
+  vitaminAMcg: 267,
+  vitaminCMg: 24,
+  saturatedFatG: 5,
+  sugarG: 10,
+  sodiumMg: 500,
+  foodGroups: ['grains', 'vegetables', 'fruit', 'protein', 'dairy']
+};
+
+const points = (result, key) => result.components.find(component => component.key === key).points;
+
+describe('NutritionScoring', () => {
+  it('picks the age band from the grade', () => {
+    expect(NutritionScoring.bandForGrade('10A')).toBe('age_14_18');
+    expect(NutritionScoring.bandForGrade(2)).toBe('age_5_8');
+    expect(NutritionScoring.bandForGrade('6')).toBe('age_9_13');
+    expect(NutritionScoring.bandForGrade('Kindergarten')).toBe('age_9_13');
+  });
+
+  it('gives full marks to a meal that meets every target', () => {
+    const result = NutritionScoring.score(balancedMeal, '10A');
+
+    expect(result.score).toBe(100);
+    expect(result.band).toBe('age_14_18');
+    result.nutrients.forEach(nutrient => expect(nutrient.percentOfTarget).toBeGreaterThanOrEqual(100));
+  });
+
+  it('scores each component on its own scale', () => {
+    const result = NutritionScoring.score({
+      ...balancedMeal,
+      proteinG: 8.5,          // about half the protein target (16.7 g)
+      energyKcal: 1080,       // 135% of the energy target
+      sodiumMg: 900,          // one and a half times the meal's sodium limit
+      foodGroups: ['grains', 'protein']
+    }, '10A');
+
+    // Adequacy: five nutrients met and protein at 51% of its target
+    expect(points(result, 'adequacy')).toBe(45.9);
+    // Energy: halfway between 120% (full marks) and 150% (none)
+    expect(points(result, 'energy')).toBe(7.5);
+    // Moderation: sodium earns half its 5 points
+    expect(points(result, 'moderation')).toBe(12.5);
+    // Variety: two of five food groups
+    expect(points(result, 'variety')).toBe(8);
+    expect(result.score).toBe(74);
+  });
+
+  it('scores a meal against the reference for the student\'s grade', () => {
+    const younger = NutritionScoring.score(balancedMeal, 2);
+    const older = NutritionScoring.score(balancedMeal, 12);
+
+    // 800 kcal is over 170% of a 5-8 year old's meal target
+    expect(points(younger, 'energy')).toBe(0);
+    expect(points(older, 'energy')).toBe(15);
+  });
+
+  it('leaves meals without nutrition facts with the score they were given', () => {
+    const meal = { id: 'meal_003', nutritionScore: 70, nutrition: null };
+
+    expect(NutritionScoring.scoreMeal(meal, '10A')).toEqual({ ...meal, scoreBreakdown: null });
+    expect(NutritionScoring.scoreMeal({ id: 'meal_004', nutrition: balancedMeal }, '10A').nutritionScore).toBe(100);
+  });
+});
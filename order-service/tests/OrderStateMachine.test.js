@@ -0,0 +1,52 @@
+const OrderStateMachine = require('../services/OrderStateMachine');
+
+const order = (status, paymentStatus = 'PENDING') => ({ id: 'ORD0001', status, paymentStatus });
+
+const refusal = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return { statusCode: error.statusCode, code: error.code, message: error.message };
+  }
+  return null;
+};
+
+describe('OrderStateMachine', () => {
+  it('lets the kitchen take a paid order through to delivery', () => {
+    const path = [['PENDING', 'CONFIRMED'], ['CONFIRMED', 'PREPARING'], ['PREPARING', 'READY'], ['READY', 'DELIVERED']];
+
+    path.forEach(([from, to]) => {
+      expect(refusal(() => OrderStateMachine.assertTransition(order(from, 'PAID'), to, 'SCHOOL_STAFF'))).toBeNull();
+    });
+  });
+
+  it('keeps an unpaid order from being prepared', () => {
+    ['PENDING', 'FAILED', 'REFUNDED'].forEach(paymentStatus => {
+      expect(refusal(() => OrderStateMachine.assertTransition(order('CONFIRMED', paymentStatus), 'PREPARING', 'SCHOOL_STAFF')))
+        .toEqual({ statusCode: 409, code: 'invalid_transition', message: 'Order must be paid before it is prepared' });
+    });
+    expect(OrderStateMachine.allowedTransitions(order('CONFIRMED'), 'SCHOOL_STAFF')).toEqual([]);
+    expect(OrderStateMachine.allowedTransitions(order('CONFIRMED', 'PAID'), 'SCHOOL_STAFF')).toEqual(['PREPARING']);
+  });
+
+  it('refuses transitions that skip a step or leave a final status', () => {
+    expect(refusal(() => OrderStateMachine.assertTransition(order('PENDING', 'PAID'), 'READY', 'SCHOOL_STAFF')))
+      .toMatchObject({ statusCode: 409, message: 'Order cannot move from PENDING to READY' });
+    expect(refusal(() => OrderStateMachine.assertTransition(order('DELIVERED', 'PAID'), 'CANCELLED', 'ADMIN')))
+      .toMatchObject({ statusCode: 409 });
+    expect(refusal(() => OrderStateMachine.assertTransition(order('CANCELLED'), 'PENDING', 'ADMIN')))
+      .toMatchObject({ statusCode: 409 });
+  });
+
+  it('only lets the kitchen move orders forward and customers cancel them', () => {
+    expect(refusal(() => OrderStateMachine.assertTransition(order('PENDING'), 'CONFIRMED', 'STUDENT')))
+      .toMatchObject({ statusCode: 403, message: 'STUDENT cannot move an order from PENDING to CONFIRMED' });
+    expect(refusal(() => OrderStateMachine.assertTransition(order('CONFIRMED'), 'CANCELLED', 'SCHOOL_STAFF')))
+      .toMatchObject({ statusCode: 403 });
+
+    ['STUDENT', 'PARENT', 'ADMIN'].forEach(role => {
+      expect(OrderStateMachine.allowedTransitions(order('CONFIRMED'), role)).toContain('CANCELLED');
+    });
+    expect(OrderStateMachine.allowedTransitions(order('PREPARING', 'PAID'), 'PARENT')).toEqual([]);
+  });
+});
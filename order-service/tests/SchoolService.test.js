@@ -0,0 +1,110 @@
+const SchoolService = require('../services/SchoolService');
+const { school } = require('./helpers');
+
+// 08:00 on Tuesday 10 March 2026 in Colombo (UTC+05:30)
+const BEFORE_CUTOFF = new Date('2026-03-10T02:30:00Z');
+// 10:00 the same day
+const AFTER_CUTOFF = new Date('2026-03-10T04:30:00Z');
+
+const refusal = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    return { statusCode: error.statusCode, code: error.code, details: error.details };
+  }
+  return null;
+};
+
+describe('SchoolService ordering window', () => {
+  afterEach(() => jest.useRealTimers());
+
+  const at = (now) => jest.useFakeTimers({ now });
+
+  describe('assertCanOrder', () => {
+    it('takes orders for today until the cutoff, and up to the booking horizon', () => {
+      at(BEFORE_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanOrder(school(), '2026-03-10'))).toBeNull();
+      expect(refusal(() => SchoolService.assertCanOrder(school(), '2026-03-24'))).toBeNull();
+    });
+
+    it('refuses today once the cutoff has passed, giving the next window', () => {
+      at(AFTER_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanOrder(school(), '2026-03-10'))).toEqual({
+        statusCode: 409,
+        code: 'order_cutoff_passed',
+        details: { nextWindow: { date: '2026-03-11', opensOn: '2026-02-25', closesAt: '09:00', timezone: 'Asia/Colombo' } }
+      });
+      expect(refusal(() => SchoolService.assertCanOrder(school(), '2026-03-11'))).toBeNull();
+    });
+
+    it('refuses past dates', () => {
+      at(BEFORE_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanOrder(school(), '2026-03-09'))).toMatchObject({
+        statusCode: 400,
+        code: 'invalid_date',
+        details: { nextWindow: { date: '2026-03-10' } }
+      });
+    });
+
+    it('refuses dates beyond the booking horizon, saying when ordering opens', () => {
+      at(BEFORE_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanOrder(school({ bookingHorizonDays: 7 }), '2026-03-20'))).toEqual({
+        statusCode: 409,
+        code: 'beyond_booking_horizon',
+        details: { nextWindow: { date: '2026-03-20', opensOn: '2026-03-13', closesAt: '09:00', timezone: 'Asia/Colombo' } }
+      });
+    });
+
+    it("uses the school's own time zone and cutoff", () => {
+      at(BEFORE_CUTOFF);
+
+      // 11:30 in Tokyo
+      expect(refusal(() => SchoolService.assertCanOrder(school({ timezone: 'Asia/Tokyo' }), '2026-03-10')))
+        .toMatchObject({ code: 'order_cutoff_passed' });
+      expect(refusal(() => SchoolService.assertCanOrder(school({ orderCutoffTime: '07:30' }), '2026-03-10')))
+        .toMatchObject({ code: 'order_cutoff_passed' });
+    });
+
+    it('applies the default window without a school', () => {
+      at(AFTER_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanOrder(null, '2026-03-10'))).toMatchObject({ code: 'order_cutoff_passed' });
+      expect(refusal(() => SchoolService.assertCanOrder(null, '2026-03-25'))).toMatchObject({ code: 'beyond_booking_horizon' });
+      expect(refusal(() => SchoolService.assertCanOrder(null, '2026-03-24'))).toBeNull();
+    });
+  });
+
+  describe('assertCanCancel', () => {
+    it('allows cancelling until the order cutoff when the school sets no cancellation cutoff', () => {
+      at(BEFORE_CUTOFF);
+      expect(refusal(() => SchoolService.assertCanCancel(school(), '2026-03-10'))).toBeNull();
+
+      at(AFTER_CUTOFF);
+      expect(refusal(() => SchoolService.assertCanCancel(school(), '2026-03-10'))).toEqual({
+        statusCode: 409,
+        code: 'cancellation_cutoff_passed',
+        details: { cancellationWindow: { date: '2026-03-10', closesAt: '09:00', timezone: 'Asia/Colombo' } }
+      });
+      expect(refusal(() => SchoolService.assertCanCancel(school(), '2026-03-11'))).toBeNull();
+    });
+
+    it("uses the school's cancellation cutoff", () => {
+      at(BEFORE_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanCancel(school({ cancellationCutoffTime: '07:00' }), '2026-03-10')))
+        .toMatchObject({ code: 'cancellation_cutoff_passed', details: { cancellationWindow: { closesAt: '07:00' } } });
+    });
+
+    it('refuses orders for past dates, with or without a school', () => {
+      at(BEFORE_CUTOFF);
+
+      expect(refusal(() => SchoolService.assertCanCancel(school(), '2026-03-09'))).toMatchObject({ code: 'cancellation_cutoff_passed' });
+      expect(refusal(() => SchoolService.assertCanCancel(null, '2026-03-09'))).toMatchObject({ code: 'cancellation_cutoff_passed' });
+      expect(refusal(() => SchoolService.assertCanCancel(null, '2026-03-10'))).toBeNull();
+    });
+  });
+});
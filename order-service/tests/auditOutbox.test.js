@@ -0,0 +1,82 @@
+const express = require('express');
+const db = require('../db');
+const AuditService = require('../services/AuditService');
+
+/**
+ * Stand-in for auth-service's audit log endpoint. It answers with status() and records the
+ * entries it accepts.
+ */
+const startAuditLog = (received, status) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/admin/audit-log/events', (req, res) => {
+    const code = status();
+    if (code === 201) received.push(req.body);
+    res.status(code).json({ success: code === 201 });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+};
+
+const waiting = async () => (await db.get('SELECT COUNT(*) AS count FROM audit_outbox')).count;
+
+describe('audit outbox', () => {
+  const received = [];
+  let status = () => 201;
+  let auditLog;
+
+  beforeAll(async () => {
+    await db.ready();
+    auditLog = await startAuditLog(received, () => status());
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => auditLog.close(resolve));
+    await db.close();
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    status = () => 201;
+  });
+
+  it('keeps entries until auth-service takes them, in order', async () => {
+    process.env.AUTH_SERVICE_URL = 'http://127.0.0.1:1';
+    await AuditService.record({ event: 'order.cancelled', actorId: 'std_001', entityType: 'order', entityId: 'ORD_A' });
+    await AuditService.record({ event: 'order.refunded', actorId: 'std_001', entityType: 'order', entityId: 'ORD_A' });
+    await AuditService.flush();
+    expect(await waiting()).toBe(2);
+
+    process.env.AUTH_SERVICE_URL = `http://127.0.0.1:${auditLog.address().port}`;
+    await AuditService.flush();
+
+    expect(await waiting()).toBe(0);
+    expect(received.map(entry => entry.event)).toEqual(['order.cancelled', 'order.refunded']);
+    expect(received[0]).toMatchObject({ service: 'order-service', entityId: 'ORD_A', occurredAt: expect.any(String) });
+  });
+
+  it('drops entries auth-service rejects without holding up the rest', async () => {
+    const responses = [400, 201];
+    status = () => responses.shift();
+
+    await AuditService.record({ event: 'order.bad', actorId: 'std_001', entityType: 'order', entityId: 'ORD_B' });
+    await AuditService.record({ event: 'order.good', actorId: 'std_001', entityType: 'order', entityId: 'ORD_B' });
+    await AuditService.flush();
+
+    expect(await waiting()).toBe(0);
+    expect(received.map(entry => entry.event)).toEqual(['order.good']);
+  });
+
+  it('records nothing for a transaction that rolls back', async () => {
+    await expect(db.transaction(async () => {
+      await AuditService.record({ event: 'order.cancelled', actorId: 'std_001', entityType: 'order', entityId: 'ORD_C' });
+      throw new Error('Cancellation failed');
+    })).rejects.toThrow('Cancellation failed');
+    await AuditService.flush();
+
+    expect(received).toEqual([]);
+    expect(await waiting()).toBe(0);
+  });
+});
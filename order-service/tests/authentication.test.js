@@ -0,0 +1,60 @@
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../server');
+const db = require('../db');
+const { users, signToken, bearer } = require('./helpers');
+
+const listOrders = (authorization) => request(app)
+  .get('/api/orders')
+  .set('Authorization', authorization);
+
+describe('access token verification', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  it('accepts tokens signed with a published auth-service key', async () => {
+    const response = await listOrders(bearer(users.student));
+
+    expect(response.status).toBe(200);
+    expect(response.body.orders).toEqual([]);
+  });
+
+  it('rejects expired tokens', async () => {
+    const response = await listOrders(bearer(users.student, { expiresIn: -10 }));
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'invalid_token',
+      message: 'Access token has expired'
+    });
+  });
+
+  it('rejects tokens whose claims were changed after signing', async () => {
+    const [header, payload, signature] = bearer(users.student).substring(7).split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    const forged = Buffer.from(JSON.stringify({ ...claims, role: 'ADMIN', permissions: ['read:*'] })).toString('base64url');
+
+    const response = await listOrders(`Bearer ${header}.${forged}.${signature}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('invalid_token');
+  });
+
+  it('rejects tokens not signed by auth-service', async () => {
+    const claims = { sub: users.student.id, role: 'STUDENT', permissions: ['read:orders'] };
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    const otherKey = await listOrders(`Bearer ${jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: 'test-signing-key' })}`);
+    const unknownKid = await listOrders(`Bearer ${signToken(claims, { keyid: 'unknown-key' })}`);
+    const sharedSecret = await listOrders(`Bearer ${jwt.sign(claims, 'secret', { algorithm: 'HS256', keyid: 'test-signing-key' })}`);
+
+    [otherKey, unknownKid, sharedSecret].forEach((response) => {
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('invalid_token');
+    });
+  });
+});
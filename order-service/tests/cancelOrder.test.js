@@ -0,0 +1,75 @@
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const MealInventoryModel = require('../models/MealInventory');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+const placeOrder = async (date) => {
+  const response = await request(app)
+    .post('/api/orders')
+    .set('Authorization', bearer(users.student))
+    .send({ mealId: 'meal_001', quantity: 2, scheduledDate: date });
+  expect(response.status).toBe(201);
+  return response.body.order;
+};
+
+const cancel = (orderId, user = users.student) => request(app)
+  .patch(`/api/orders/${orderId}/cancel`)
+  .set('Authorization', bearer(user))
+  .send({ reason: 'Student is absent' });
+
+describe('cancelling orders', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  beforeEach(() => {
+    fetchStudent.mockResolvedValue(student());
+    fetchSchool.mockResolvedValue(school());
+  });
+
+  it('gives the meals back when an order is cancelled', async () => {
+    const date = serviceDate(5);
+    const order = await placeOrder(date);
+    expect((await MealInventoryModel.findReserved(date, ['meal_001'])).get('meal_001')).toBe(2);
+
+    const cancelled = await cancel(order.id);
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.order.status).toBe('CANCELLED');
+    expect((await MealInventoryModel.findReserved(date, ['meal_001'])).get('meal_001') || 0).toBe(0);
+
+    // A second cancellation is refused and gives nothing back
+    expect((await cancel(order.id)).status).toBe(409);
+    expect((await MealInventoryModel.findReserved(date, ['meal_001'])).get('meal_001') || 0).toBe(0);
+  });
+
+  it('applies the default cancellation cutoff when the school cannot be found', async () => {
+    const late = await placeOrder(serviceDate(1));
+    const early = await placeOrder(serviceDate(2));
+    // The first order's day has passed by the time it is cancelled
+    await db.run('UPDATE orders SET scheduled_date = ? WHERE id = ?', [serviceDate(-1), late.id]);
+    fetchSchool.mockResolvedValue(null);
+
+    const refused = await cancel(late.id);
+    expect(refused.status).toBe(409);
+    expect(refused.body.error).toBe('cancellation_cutoff_passed');
+    expect(refused.body.details.cancellationWindow).toEqual({ date: serviceDate(-1), closesAt: '09:00', timezone: 'Asia/Colombo' });
+
+    expect((await cancel(early.id)).status).toBe(200);
+  });
+
+  it('lets administrators cancel after the cutoff', async () => {
+    const order = await placeOrder(serviceDate(3));
+    await db.run('UPDATE orders SET scheduled_date = ? WHERE id = ?', [serviceDate(-2), order.id]);
+
+    expect((await cancel(order.id)).status).toBe(409);
+    expect((await cancel(order.id, users.admin)).status).toBe(200);
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const MealInventoryModel = require('../models/MealInventory');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+const order = (body) => request(app)
+  .post('/api/orders')
+  .set('Authorization', bearer(users.student))
+  .send(body);
+
+describe('placing orders', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  beforeEach(() => {
+    fetchStudent.mockResolvedValue(student());
+    fetchSchool.mockResolvedValue(school());
+  });
+
+  it('places one order when the same day is ordered concurrently', async () => {
+    const date = serviceDate(2);
+    const responses = await Promise.all(Array.from({ length: 14 }, () =>
+      order({ mealId: 'meal_001', quantity: 9, scheduledDate: date })));
+
+    const statuses = responses.map(response => response.status);
+    expect(statuses.filter(status => status === 201)).toHaveLength(1);
+    expect(statuses.filter(status => status === 409)).toHaveLength(13);
+    responses.filter(response => response.status === 409)
+      .forEach(response => expect(response.body.error).toBe('duplicate_order'));
+
+    // Only the placed order holds meals
+    const reserved = await MealInventoryModel.findReserved(date, ['meal_001']);
+    expect(reserved.get('meal_001')).toBe(9);
+  });
+
+  it('places no order, and reserves nothing, when a meal is sold out', async () => {
+    const date = serviceDate(3);
+    await db.run("UPDATE meals SET max_quantity_per_day = 10 WHERE id = 'meal_001'");
+
+    const response = await order({
+      items: [{ mealId: 'meal_002', quantity: 1 }, { mealId: 'meal_001', quantity: 9 }],
+      scheduledDate: date
+    });
+    expect(response.status).toBe(201);
+
+    // Another student's cart with a meal beyond what is left
+    fetchStudent.mockResolvedValue(student({ id: 'std_002' }));
+    const soldOut = await request(app)
+      .post('/api/orders')
+      .set('Authorization', bearer({ ...users.student, id: 'std_002' }))
+      .send({ items: [{ mealId: 'meal_002', quantity: 1 }, { mealId: 'meal_001', quantity: 2 }], scheduledDate: date });
+    expect(soldOut.status).toBe(409);
+    expect(soldOut.body.error).toBe('sold_out');
+
+    const reserved = await MealInventoryModel.findReserved(date, ['meal_001', 'meal_002']);
+    expect(reserved.get('meal_001')).toBe(9);
+    expect(reserved.get('meal_002')).toBe(1);
+    await db.run("UPDATE meals SET max_quantity_per_day = 100 WHERE id = 'meal_001'");
+    const placed = await db.get('SELECT COUNT(*) AS count FROM orders WHERE student_id = ?', ['std_002']);
+    expect(placed.count).toBe(0);
+  });
+
+  it('lets a student order again once their order for the day is cancelled', async () => {
+    const date = serviceDate(4);
+    const first = await order({ mealId: 'meal_001', quantity: 1, scheduledDate: date });
+    expect(first.status).toBe(201);
+
+    const cancelled = await request(app)
+      .patch(`/api/orders/${first.body.order.id}/cancel`)
+      .set('Authorization', bearer(users.student))
+      .send({ reason: 'Changed my mind' });
+    expect(cancelled.status).toBe(200);
+
+    const second = await order({ mealId: 'meal_001', quantity: 1, scheduledDate: date });
+    expect(second.status).toBe(201);
+    const reserved = await MealInventoryModel.findReserved(date, ['meal_001']);
+    expect(reserved.get('meal_001')).toBe(1);
+  });
+});
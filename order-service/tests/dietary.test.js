@@ -0,0 +1,91 @@
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const AuditService = require('../services/AuditService');
+const MealInventoryModel = require('../models/MealInventory');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+// meal_001 (Rice and Curry) is vegetarian and allergen free; meal_002 (Chicken Sandwich) contains gluten, eggs and milk
+const order = (body) => request(app)
+  .post('/api/orders')
+  .set('Authorization', bearer(users.student))
+  .send(body);
+
+const override = (user, body) => request(app)
+  .post('/api/orders/dietary-overrides')
+  .set('Authorization', bearer(user))
+  .send(body);
+
+describe('dietary checks', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  beforeEach(() => {
+    fetchSchool.mockResolvedValue(school());
+  });
+
+  it('refuses meals containing a declared allergen', async () => {
+    fetchStudent.mockResolvedValue(student({ allergies: ['milk', 'peanuts'] }));
+    const date = serviceDate(2);
+
+    const response = await order({ items: [{ mealId: 'meal_001', quantity: 1 }, { mealId: 'meal_002', quantity: 1 }], scheduledDate: date });
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('allergen_conflict');
+    expect(response.body.details).toEqual([{ mealId: 'meal_002', mealName: 'Chicken Sandwich', allergens: ['milk'] }]);
+
+    // Not even the allergen-free meal is reserved
+    expect((await MealInventoryModel.findReserved(date, ['meal_001'])).get('meal_001') || 0).toBe(0);
+  });
+
+  it('warns about unmet dietary restrictions until the warning is acknowledged', async () => {
+    fetchStudent.mockResolvedValue(student({ dietaryRestrictions: ['vegetarian'] }));
+    const date = serviceDate(3);
+
+    const warned = await order({ mealId: 'meal_002', quantity: 1, scheduledDate: date });
+    expect(warned.status).toBe(409);
+    expect(warned.body.error).toBe('dietary_warning');
+    expect(warned.body.details).toEqual([{ mealId: 'meal_002', mealName: 'Chicken Sandwich', restrictions: ['vegetarian'] }]);
+
+    const acknowledged = await order({ mealId: 'meal_002', quantity: 1, scheduledDate: date, acknowledgeDietaryWarnings: true });
+    expect(acknowledged.status).toBe(201);
+    expect(acknowledged.body.order.metadata.dietaryWarnings).toEqual(warned.body.details);
+  });
+
+  it('lets school staff allow an allergen meal once, with a recorded reason', async () => {
+    fetchStudent.mockResolvedValue(student({ allergies: ['eggs'] }));
+    const date = serviceDate(4);
+    const body = { studentId: 'std_001', mealId: 'meal_002', scheduledDate: date, reason: 'Egg-free bread prepared for this student' };
+
+    expect((await override(users.student, body)).status).toBe(403);
+    expect((await override(users.staff, { ...body, reason: 'ok' })).status).toBe(400);
+    expect((await override({ ...users.staff, id: 'staff_101', schoolId: 'ananda-college' }, body)).status).toBe(404);
+    expect((await override(users.staff, { ...body, mealId: 'meal_001' })).body.error).toBe('override_not_needed');
+
+    const created = await override(users.staff, body);
+    expect(created.status).toBe(201);
+    expect(created.body.override).toMatchObject({ studentId: 'std_001', mealId: 'meal_002', createdBy: 'staff_001', allergens: ['eggs'] });
+
+    const placed = await order({ mealId: 'meal_002', quantity: 1, scheduledDate: date });
+    expect(placed.status).toBe(201);
+    expect(placed.body.order.metadata.dietaryOverrides).toEqual([
+      expect.objectContaining({ mealId: 'meal_002', allergens: ['eggs'], reason: body.reason, createdBy: 'staff_001' })
+    ]);
+    expect(AuditService.record).toHaveBeenCalledWith(expect.objectContaining({
+      event: 'order.dietary_override_used',
+      entityId: placed.body.order.id
+    }));
+
+    // The override covered that one day only
+    const nextDay = await order({ mealId: 'meal_002', quantity: 1, scheduledDate: serviceDate(5) });
+    expect(nextDay.status).toBe(409);
+    expect(nextDay.body.error).toBe('allergen_conflict');
+  });
+});
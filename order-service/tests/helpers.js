@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { jwksKeySet, permissionsForRole } = require('nutriconnect-shared/auth');
+const { todayIn, addDays } = require('../utils/dates');
+
+// Access tokens are signed with a key generated for the test run, published to the shared key set
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = 'test-signing-key';
+jwksKeySet.load({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig' }] });
+
+const users = {
+  student: { id: 'std_001', username: 'student123', role: 'STUDENT', schoolId: 'royal-college', profile: { name: 'Kasun Perera', grade: '10A' } },
+  parent: { id: 'par_001', username: 'parent456', role: 'PARENT', schoolId: null, profile: { name: 'Sunil Perera', children: ['std_001'] } },
+  staff: { id: 'staff_001', username: 'staff789', role: 'SCHOOL_STAFF', schoolId: 'royal-college', profile: { name: 'Nimal Silva' } },
+  admin: { id: 'admin_001', username: 'admin', role: 'ADMIN', schoolId: null, profile: { name: 'Administrator' } }
+};
+
+/**
+ * Sign access token claims with the published test key
+ * @param {Object} claims - Token claims
+ * @param {Object} options - jsonwebtoken sign options
+ * @returns {string} Encoded JWT
+ */
+const signToken = (claims, options = {}) =>
+  jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: KEY_ID, expiresIn: '5m', ...options });
+
+/**
+ * Sign an access token the way auth-service does
+ * @param {Object} user - One of users
+ * @param {Object} options - jsonwebtoken sign options
+ * @returns {string} Authorization header value
+ */
+const bearer = (user, options) => `Bearer ${signToken({
+  sub: user.id,
+  username: user.username,
+  role: user.role,
+  tid: user.schoolId || undefined,
+  profile: user.profile,
+  permissions: permissionsForRole(user.role)
+}, options)}`;
+
+/**
+ * A school with auth-service's default settings
+ * @param {Object} settings - Settings overrides
+ * @returns {Object} School
+ */
+const school = (settings = {}) => ({
+  id: 'royal-college',
+  name: 'Royal College',
+  status: 'active',
+  settings: {
+    timezone: 'Asia/Colombo',
+    currency: 'LKR',
+    orderCutoffTime: '09:00',
+    bookingHorizonDays: 14,
+    cancellationCutoffTime: null,
+    mealPrices: {},
+    subsidyProgram: { id: 'gsmp', name: 'Government School Meal Program', amountPerMeal: null, maxPerOrder: null },
+    ...settings
+  }
+});
+
+/**
+ * The student record auth-service returns for std_001
+ * @param {Object} overrides - Field overrides
+ * @returns {Object} Student
+ */
+const student = (overrides = {}) => ({
+  id: 'std_001',
+  name: 'Kasun Perera',
+  school: 'Royal College',
+  schoolId: 'royal-college',
+  grade: '10A',
+  subsidyEligible: false,
+  dietaryRestrictions: [],
+  allergies: [],
+  guardianIds: ['par_001'],
+  consents: {},
+  ...overrides
+});
+
+/**
+ * A service date the given number of days after today at the school
+ * @param {number} days - Days from today
+ * @returns {string} YYYY-MM-DD
+ */
+const serviceDate = (days = 1) => addDays(todayIn('Asia/Colombo'), days);
+
+module.exports = {
+  users,
+  signToken,
+  bearer,
+  school,
+  student,
+  serviceDate
+};
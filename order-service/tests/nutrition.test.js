@@ -0,0 +1,104 @@
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const { addDays } = require('../utils/dates');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+// meal_001 (Rice and Curry) has 650 kcal, meal_002 (Chicken Sandwich) 450 kcal
+const placeOrder = async (items, days) => {
+  const response = await request(app)
+    .post('/api/orders')
+    .set('Authorization', bearer(users.student))
+    .send({ items, scheduledDate: serviceDate(days), acknowledgeDietaryWarnings: true });
+  expect(response.status).toBe(201);
+  return response.body.order;
+};
+
+// Orders can only be placed ahead, so the kitchen's work is replayed directly: served on date
+const deliver = (orderId, date) => db.run(
+  "UPDATE orders SET status = 'DELIVERED', payment_status = 'PAID', scheduled_date = ? WHERE id = ?",
+  [date, orderId]
+);
+
+const recordLeftovers = (orderId, items) => request(app)
+  .patch(`/api/orders/${orderId}/leftovers`)
+  .set('Authorization', bearer(users.staff))
+  .send({ items });
+
+const summary = (user = users.student, query = '?weeks=2') => request(app)
+  .get(`/api/nutrition/students/std_001/summary${query}`)
+  .set('Authorization', bearer(user));
+
+describe('nutrition summary', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  beforeEach(() => {
+    fetchStudent.mockResolvedValue(student({ consents: { nutrition_tracking: true } }));
+    fetchSchool.mockResolvedValue(school());
+  });
+
+  it('needs a guardian to consent to nutrition tracking', async () => {
+    fetchStudent.mockResolvedValue(student());
+
+    const response = await summary();
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('consent_required');
+  });
+
+  it('counts what was eaten, net of the leftovers staff recorded', async () => {
+    const today = serviceDate(0);
+    const thisWeek = await placeOrder([{ mealId: 'meal_001', quantity: 1 }, { mealId: 'meal_002', quantity: 1 }], 1);
+    const lastWeek = await placeOrder([{ mealId: 'meal_001', quantity: 1 }], 2);
+
+    // Leftovers are recorded once an order has been delivered
+    const early = await recordLeftovers(thisWeek.id, [{ mealId: 'meal_002', leftover: 0.5 }]);
+    expect(early.status).toBe(409);
+    expect(early.body.error).toBe('order_not_delivered');
+
+    await deliver(thisWeek.id, today);
+    await deliver(lastWeek.id, addDays(today, -7));
+
+    expect((await recordLeftovers(thisWeek.id, [{ mealId: 'meal_002', leftover: 1.5 }])).status).toBe(400);
+    expect((await recordLeftovers(thisWeek.id, [{ mealId: 'meal_003', leftover: 0.5 }])).status).toBe(400);
+    expect((await recordLeftovers(thisWeek.id, [{ mealId: 'meal_002', leftover: 0.5 }])).status).toBe(200);
+
+    const response = await summary();
+    expect(response.status).toBe(200);
+
+    const days = Object.fromEntries(response.body.days.map(day => [day.date, day]));
+    expect(days[today]).toMatchObject({ orderId: thisWeek.id, mealsEaten: 1.5, intake: { energyKcal: 875 } });
+    expect(days[addDays(today, -7)]).toMatchObject({ orderId: lastWeek.id, mealsEaten: 1, intake: { energyKcal: 650 } });
+
+    const [previous, current] = response.body.weeks;
+    expect(previous).toMatchObject({ daysTracked: 1, mealsEaten: 1 });
+    expect(current).toMatchObject({ daysTracked: 1, mealsEaten: 1.5, averageIntake: expect.objectContaining({ energyKcal: 875 }) });
+    expect(response.body.trends.weeklyScores).toHaveLength(2);
+    expect(response.body.trends.scoreChange).toBe(current.averageScore - previous.averageScore);
+  });
+
+  it("shows the summary only to the student's guardians and school", async () => {
+    expect((await summary(users.parent)).status).toBe(200);
+    expect((await summary(users.staff)).status).toBe(200);
+
+    const strangers = [
+      { ...users.parent, id: 'par_101', profile: { name: 'Ruwan Perera', children: [] } },
+      { ...users.staff, id: 'staff_101', schoolId: 'ananda-college' }
+    ];
+    for (const user of strangers) {
+      const response = await summary(user);
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('student_not_found');
+    }
+
+    expect((await summary(users.student, '?weeks=13')).status).toBe(400);
+  });
+});
@@ -0,0 +1,154 @@
+jest.mock('nutriconnect-shared/orders', () => ({
+  ...jest.requireActual('nutriconnect-shared/orders'),
+  refundOrderPayment: jest.fn()
+}));
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { refundOrderPayment } = require('nutriconnect-shared/orders');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+const placeOrder = () => request(app)
+  .post('/api/orders')
+  .set('Authorization', bearer(users.student))
+  .send({ mealId: 'meal_001', quantity: 1, scheduledDate: serviceDate(1) });
+
+const recordPayment = (orderId, paymentStatus) => request(app)
+  .patch(`/api/orders/${orderId}/payment`)
+  .set('X-Service-Key', process.env.SERVICE_API_KEY)
+  .set('X-Service-Name', 'payment-service')
+  .send({ paymentStatus, paymentId: 'PAY_5001' });
+
+const moveTo = (orderId, status) => request(app)
+  .patch(`/api/orders/${orderId}/status`)
+  .set('Authorization', bearer(users.staff))
+  .send({ status });
+
+describe('order payment', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  beforeEach(() => {
+    fetchStudent.mockResolvedValue(student());
+    fetchSchool.mockResolvedValue(school());
+  });
+
+  it('takes an order through payment to PREPARING', async () => {
+    const created = await placeOrder();
+    expect(created.status).toBe(201);
+    const { id, finalAmount } = created.body.order;
+    expect(finalAmount).toBe(50);
+    expect(created.body.order.paymentStatus).toBe('PENDING');
+
+    // payment-service reads what to charge, then reports the completed payment
+    const charge = await request(app)
+      .get(`/api/orders/${id}/payment`)
+      .set('X-Service-Key', process.env.SERVICE_API_KEY);
+    expect(charge.status).toBe(200);
+    expect(charge.body.order).toMatchObject({ studentId: 'std_001', finalAmount: 50, paymentStatus: 'PENDING' });
+
+    expect((await moveTo(id, 'CONFIRMED')).status).toBe(200);
+
+    const paid = await request(app)
+      .patch(`/api/orders/${id}/payment`)
+      .set('X-Service-Key', process.env.SERVICE_API_KEY)
+      .set('X-Service-Name', 'payment-service')
+      .send({ paymentStatus: 'PAID', paymentId: 'PAY_5001' });
+    expect(paid.status).toBe(200);
+    expect(paid.body.order.paymentStatus).toBe('PAID');
+
+    const preparing = await moveTo(id, 'PREPARING');
+    expect(preparing.status).toBe(200);
+    expect(preparing.body.order.status).toBe('PREPARING');
+  });
+
+  it('keeps an unpaid order from being prepared', async () => {
+    fetchStudent.mockResolvedValue(student({ id: 'std_002' }));
+    const created = await request(app)
+      .post('/api/orders')
+      .set('Authorization', bearer({ ...users.student, id: 'std_002' }))
+      .send({ mealId: 'meal_001', quantity: 1, scheduledDate: serviceDate(1) });
+    const { id } = created.body.order;
+
+    expect((await moveTo(id, 'CONFIRMED')).status).toBe(200);
+
+    const preparing = await moveTo(id, 'PREPARING');
+    expect(preparing.status).toBe(409);
+    expect(preparing.body).toMatchObject({ error: 'invalid_transition', message: 'Order must be paid before it is prepared' });
+  });
+
+  it('refuses payment updates without the service key', async () => {
+    const response = await request(app)
+      .patch('/api/orders/ORD0001/payment')
+      .send({ paymentStatus: 'PAID' });
+
+    expect(response.status).toBe(401);
+  });
+
+  describe('cancelled orders', () => {
+    let studentNumber = 10;
+
+    // Each test orders for a student of its own, as a student has one live order per day
+    const placeOrderAsNewStudent = async () => {
+      const user = { ...users.student, id: `std_0${studentNumber++}` };
+      fetchStudent.mockResolvedValue(student({ id: user.id }));
+      const created = await request(app)
+        .post('/api/orders')
+        .set('Authorization', bearer(user))
+        .send({ mealId: 'meal_001', quantity: 1, scheduledDate: serviceDate(1) });
+      expect(created.status).toBe(201);
+      return { order: created.body.order, user };
+    };
+
+    const cancelAs = (orderId, user) => request(app)
+      .patch(`/api/orders/${orderId}/cancel`)
+      .set('Authorization', bearer(user))
+      .send({ reason: 'Student is absent' });
+
+    beforeEach(() => refundOrderPayment.mockReset());
+
+    it('refunds a paid order through payment-service', async () => {
+      refundOrderPayment.mockResolvedValue({ paymentId: 'PAY_5001', refundId: 'REF_1', amount: 50, refundedAmount: 50, status: 'INITIATED' });
+      const { order, user } = await placeOrderAsNewStudent();
+      expect((await recordPayment(order.id, 'PAID')).status).toBe(200);
+
+      const cancelled = await cancelAs(order.id, user);
+      expect(cancelled.status).toBe(200);
+      expect(refundOrderPayment).toHaveBeenCalledWith(order.id, { reason: 'Student is absent', requestedBy: user.id });
+      expect(cancelled.body.order).toMatchObject({ status: 'CANCELLED', paymentStatus: 'REFUNDED', flaggedAt: null });
+    });
+
+    it('leaves a paid order PAID and flags it when the refund fails', async () => {
+      refundOrderPayment.mockRejectedValue(new Error('Unexpected status 502'));
+      const { order, user } = await placeOrderAsNewStudent();
+      expect((await recordPayment(order.id, 'PAID')).status).toBe(200);
+
+      const cancelled = await cancelAs(order.id, user);
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.order).toMatchObject({
+        status: 'CANCELLED',
+        paymentStatus: 'PAID',
+        flagReason: 'Cancelled while paid; refund failed: Unexpected status 502'
+      });
+      expect(cancelled.body.order.flaggedAt).toEqual(expect.any(String));
+    });
+
+    it('refuses to mark a cancelled order PAID', async () => {
+      const { order, user } = await placeOrderAsNewStudent();
+      expect((await cancelAs(order.id, user)).status).toBe(200);
+      expect(refundOrderPayment).not.toHaveBeenCalled();
+
+      const paid = await recordPayment(order.id, 'PAID');
+      expect(paid.status).toBe(409);
+      expect(paid.body.error).toBe('order_not_payable');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { hasPermission } = require('nutriconnect-shared/auth');
+const app = require('../server');
+const db = require('../db');
+const { users, signToken } = require('./helpers');
+
+// A canteen assistant: may move orders along, nothing else
+const assistant = (permissions) => `Bearer ${signToken({
+  sub: 'staff_002',
+  role: 'SCHOOL_STAFF',
+  tid: 'royal-college',
+  permissions
+})}`;
+
+describe('permission checks', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  it('matches wildcard and manage permissions', () => {
+    expect(hasPermission(['manage:menu'], 'update:menu')).toBe(true);
+    expect(hasPermission(['manage:menu'], 'update:orders')).toBe(false);
+    expect(hasPermission(['read:*'], 'read:reports')).toBe(true);
+    expect(hasPermission(['read:*'], 'update:orders')).toBe(false);
+    expect(hasPermission(['manage:*'], 'delete:guardian_link')).toBe(true);
+    expect(hasPermission([], 'read:menu')).toBe(false);
+  });
+
+  it('checks the permissions embedded in the token rather than the role', async () => {
+    const pending = await request(app)
+      .get('/api/orders/staff/pending')
+      .set('Authorization', assistant(['update:orders']));
+    expect(pending.status).toBe(200);
+
+    const menu = await request(app)
+      .post('/api/menus/meals')
+      .set('Authorization', assistant(['update:orders']))
+      .send({ name: 'Rice and curry' });
+    expect(menu.status).toBe(403);
+    expect(menu.body.message).toBe('Missing required permission: manage:menu');
+  });
+
+  it('falls back to the role defaults for tokens without permissions', async () => {
+    const response = await request(app)
+      .get('/api/orders')
+      .set('Authorization', `Bearer ${signToken({ sub: users.student.id, role: 'STUDENT' })}`);
+
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A database file instead of the in-memory one, so it can be closed and opened again like on a restart
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'order-service-'));
+process.env.DB_PATH = path.join(directory, 'orders.db');
+
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+const getOrder = (orderId) => request(app)
+  .get(`/api/orders/${orderId}`)
+  .set('Authorization', bearer(users.student));
+
+describe('order persistence', () => {
+  beforeAll(async () => {
+    await db.ready();
+    fetchStudent.mockResolvedValue(student());
+    fetchSchool.mockResolvedValue(school());
+  });
+
+  afterAll(async () => {
+    await db.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps orders and their status history across a restart', async () => {
+    const placed = await request(app)
+      .post('/api/orders')
+      .set('Authorization', bearer(users.student))
+      .send({ items: [{ mealId: 'meal_001', quantity: 2 }, { mealId: 'meal_002', quantity: 1 }], scheduledDate: serviceDate(2) });
+    expect(placed.status).toBe(201);
+    const orderId = placed.body.order.id;
+
+    const confirmed = await request(app)
+      .patch(`/api/orders/${orderId}/status`)
+      .set('Authorization', bearer(users.staff))
+      .send({ status: 'CONFIRMED', notes: 'Kitchen has it' });
+    expect(confirmed.status).toBe(200);
+    const before = (await getOrder(orderId)).body.order;
+
+    const { count: migrations } = await db.get('SELECT COUNT(*) AS count FROM schema_migrations');
+    await db.close();
+
+    const after = await getOrder(orderId);
+    expect(after.status).toBe(200);
+    expect(after.body.order).toEqual(before);
+    expect(after.body.order.status).toBe('CONFIRMED');
+    expect(after.body.order.items.map(item => [item.mealId, item.quantity])).toEqual([['meal_001', 2], ['meal_002', 1]]);
+    expect(after.body.order.statusHistory.pop()).toMatchObject({
+      from: 'PENDING',
+      status: 'CONFIRMED',
+      actorId: users.staff.id,
+      notes: 'Kitchen has it'
+    });
+
+    // Reopening applies no migration twice
+    expect((await db.get('SELECT COUNT(*) AS count FROM schema_migrations')).count).toBe(migrations);
+
+    const listed = await request(app).get('/api/orders').set('Authorization', bearer(users.student));
+    expect(listed.body.orders.map(order => order.id)).toEqual([orderId]);
+  });
+
+  it('indexes orders by student, service date and status', async () => {
+    const indexes = await db.all("SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'orders'");
+    expect(indexes.map(index => index.name)).toEqual(expect.arrayContaining([
+      'idx_orders_student_date',
+      'idx_orders_scheduled_date',
+      'idx_orders_status'
+    ]));
+  });
+});
@@ -0,0 +1,3 @@
+// Each test file gets its own in-memory order database and never calls auth-service for keys
+process.env.DB_PATH = ':memory:';
+process.env.SERVICE_API_KEY = 'test_service_key';
@@ -0,0 +1,81 @@
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const request = require('supertest');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const app = require('../server');
+const db = require('../db');
+const { users, bearer, school, student, serviceDate } = require('./helpers');
+
+// Staff of another school
+const otherStaff = { ...users.staff, id: 'staff_101', schoolId: 'ananda-college' };
+
+const pending = (user, query = '') => request(app)
+  .get(`/api/orders/staff/pending${query}`)
+  .set('Authorization', bearer(user));
+
+const updateStatus = (user, orderId, status) => request(app)
+  .patch(`/api/orders/${orderId}/status`)
+  .set('Authorization', bearer(user))
+  .send({ status });
+
+describe('school tenancy', () => {
+  let order;
+
+  beforeAll(async () => {
+    await db.ready();
+    fetchStudent.mockResolvedValue(student());
+    fetchSchool.mockResolvedValue(school());
+
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', bearer(users.student))
+      .send({ mealId: 'meal_001', quantity: 1, scheduledDate: serviceDate(2) });
+    expect(response.status).toBe(201);
+    order = response.body.order;
+  });
+
+  afterAll(() => db.close());
+
+  it("lists only the staff member's own school's pending orders", async () => {
+    const own = await pending(users.staff);
+    expect(own.status).toBe(200);
+    expect(own.body.schoolId).toBe('royal-college');
+    expect(own.body.orders.map(o => o.id)).toEqual([order.id]);
+
+    const other = await pending(otherStaff);
+    expect(other.status).toBe(200);
+    expect(other.body.orders).toEqual([]);
+
+    const asked = await pending(otherStaff, '?schoolId=royal-college');
+    expect(asked.status).toBe(403);
+    expect(asked.body.message).toBe('You can only access data for your own school');
+
+    const unassigned = await pending({ ...users.staff, id: 'staff_102', schoolId: null });
+    expect(unassigned.status).toBe(403);
+    expect(unassigned.body.message).toBe('Your account is not assigned to a school');
+  });
+
+  it("does not let staff update another school's orders", async () => {
+    const other = await updateStatus(otherStaff, order.id, 'CONFIRMED');
+    expect(other.status).toBe(404);
+    expect(other.body.error).toBe('order_not_found');
+
+    const own = await updateStatus(users.staff, order.id, 'CONFIRMED');
+    expect(own.status).toBe(200);
+    expect(own.body.order.status).toBe('CONFIRMED');
+  });
+
+  it('lets administrators work across schools', async () => {
+    const all = await pending(users.admin);
+    expect(all.body.orders.map(o => o.id)).toEqual([order.id]);
+
+    const filtered = await pending(users.admin, '?schoolId=ananda-college');
+    expect(filtered.status).toBe(200);
+    expect(filtered.body.orders).toEqual([]);
+  });
+});
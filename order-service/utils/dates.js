@@ -0,0 +1,54 @@
+// Calendar dates are handled as YYYY-MM-DD strings; arithmetic is done in UTC so it never
+// shifts with the server's time zone.
+
+/**
+ * Today's date in a time zone
+ * @param {string} timezone - IANA time zone
+ * @returns {string} YYYY-MM-DD
+ */
+const todayIn = (timezone) => new Intl.DateTimeFormat('en-CA', { timeZone: timezone }).format(new Date());
+
+/**
+ * Today's date and the wall-clock time in a time zone
+ * @param {string} timezone - IANA time zone
+ * @returns {Object} { date: YYYY-MM-DD, time: HH:MM }
+ */
+const clockIn = (timezone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date()).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+/**
+ * Add days to a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+const weekStartOf = (date) => addDays(date, -((new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7));
+
+module.exports = {
+  todayIn,
+  clockIn,
+  addDays,
+  weekStartOf
+};
@@ -8,6 +8,8 @@ const logger = winston.createLogger({
     winston.format.json()
   ),
   defaultMeta: { service: 'nutriconnect-order-service' },
+  // Test runs stay out of the log files
+  silent: process.env.NODE_ENV === 'test',
   transports: [
     new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
     new winston.transports.File({ filename: 'logs/combined.log' })
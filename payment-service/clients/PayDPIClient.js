@@ -13,13 +13,52 @@ class PayDPIClient {
       webhookSecret: config.webhookSecret || process.env.PAYDPI_WEBHOOK_SECRET || 'whsec_mock_secret_789'
     };
 
-    // In-memory storage for mock data
+    // Mock data, kept in memory and written through to config.store when one is given
+    this.store = config.store || null;
     this.payments = new Map();
     this.refunds = new Map();
     this.paymentCounter = 5000;
     this.refundCounter = 1000;
   }
 
+  /**
+   * Reload stored payments and refunds, and continue the ID counters after them
+   */
+  async restore() {
+    if (!this.store) return;
+
+    const [payments, refunds] = await Promise.all([
+      this.store.loadAll('payment'),
+      this.store.loadAll('refund')
+    ]);
+    const counterOf = (id) => parseInt(id.split('_').pop(), 10) || 0;
+
+    payments.forEach(payment => {
+      this.payments.set(payment.paymentId, payment);
+      this.paymentCounter = Math.max(this.paymentCounter, counterOf(payment.paymentId));
+    });
+    refunds.forEach(refund => {
+      this.refunds.set(refund.refundId, refund);
+      this.refundCounter = Math.max(this.refundCounter, counterOf(refund.refundId));
+    });
+
+    console.log(`[PAYDPI_MOCK] Restored ${payments.length} payments and ${refunds.length} refunds`);
+  }
+
+  /**
+   * Write a payment record through to the store
+   */
+  async savePayment(payment) {
+    if (this.store) await this.store.save('payment', payment.paymentId, payment);
+  }
+
+  /**
+   * Write a refund record through to the store
+   */
+  async saveRefund(refund) {
+    if (this.store) await this.store.save('refund', refund.refundId, refund);
+  }
+
   /**
    * Generate mock payment ID
    */
@@ -136,6 +175,7 @@ class PayDPIClient {
     };
 
     this.payments.set(paymentId, payment);
+    await this.savePayment(payment);
 
     // Mock successful response following OpenAPI spec
     const response = {
@@ -198,6 +238,7 @@ class PayDPIClient {
     if (new Date() > new Date(payment.expiresAt) && payment.status === 'INITIATED') {
       payment.status = 'EXPIRED';
     }
+    await this.savePayment(payment);
 
     const response = {
       success: true,
@@ -267,6 +308,7 @@ class PayDPIClient {
     payment.status = 'CANCELLED';
     payment.cancelledAt = new Date().toISOString();
     payment.cancellationReason = reason;
+    await this.savePayment(payment);
 
     const response = {
       success: true,
@@ -356,6 +398,7 @@ class PayDPIClient {
     };
 
     this.refunds.set(refundId, refund);
+    await this.saveRefund(refund);
 
     const response = {
       success: true,
@@ -402,6 +445,7 @@ class PayDPIClient {
       refund.status = 'COMPLETED';
       refund.completedAt = new Date().toISOString();
     }
+    await this.saveRefund(refund);
 
     const response = {
       success: true,
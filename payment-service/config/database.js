@@ -0,0 +1,22 @@
+// Database configuration, selected by NODE_ENV (development when unset).
+// Development runs on SQLite (storage is relative to the service root); production on PostgreSQL.
+const config = {
+  development: {
+    dialect: 'sqlite',
+    storage: process.env.DB_PATH || './database/payments.db',
+    logging: console.log
+  },
+  production: {
+    dialect: 'postgresql',
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    database: process.env.DB_NAME,
+    username: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    logging: false,
+    // DB_SSL=false for a database on the same host or private network
+    ssl: process.env.DB_SSL !== 'false'
+  }
+};
+
+module.exports = config;
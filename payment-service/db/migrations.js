@@ -0,0 +1,176 @@
+/**
+ * Ordered schema migrations for the payment-service database.
+ * Append new migrations to the end; never edit one that has shipped.
+ * up is SQL for both dialects, or { sqlite, postgresql } where they differ.
+ */
+module.exports = [
+  {
+    id: '001_create_payment_ledger',
+    up: {
+      sqlite: `
+        CREATE TABLE payments (
+          id TEXT PRIMARY KEY,
+          order_id TEXT NOT NULL,
+          student_id TEXT NOT NULL,
+          school_id TEXT,
+          initiated_by TEXT,
+          on_behalf_of TEXT,
+          amount REAL NOT NULL,
+          currency TEXT NOT NULL,
+          status TEXT NOT NULL,
+          transaction_id TEXT,
+          payment_method TEXT,
+          completed_at TEXT,
+          -- Set by the startup consistency check; cleared once the payment settles
+          flagged_at TEXT,
+          flag_reason TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_payments_student_created ON payments (student_id, created_at);
+        CREATE INDEX idx_payments_school_created ON payments (school_id, created_at);
+        CREATE INDEX idx_payments_status ON payments (status);
+        CREATE INDEX idx_payments_order ON payments (order_id);
+
+        CREATE TABLE payment_refunds (
+          id TEXT PRIMARY KEY,
+          payment_id TEXT NOT NULL REFERENCES payments(id),
+          amount REAL NOT NULL,
+          reason TEXT,
+          status TEXT NOT NULL,
+          requested_by TEXT,
+          requested_at TEXT NOT NULL,
+          completed_at TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_payment_refunds_payment ON payment_refunds (payment_id);
+
+        -- Every status a payment or refund has moved through; refund rows carry refund_id
+        CREATE TABLE payment_transitions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          payment_id TEXT NOT NULL REFERENCES payments(id),
+          refund_id TEXT REFERENCES payment_refunds(id),
+          from_status TEXT,
+          to_status TEXT NOT NULL,
+          source TEXT NOT NULL,
+          notes TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_payment_transitions_payment ON payment_transitions (payment_id, id);
+
+        CREATE TRIGGER payment_transitions_no_update BEFORE UPDATE ON payment_transitions
+        BEGIN
+          SELECT RAISE(ABORT, 'payment_transitions is append-only');
+        END;
+
+        CREATE TRIGGER payment_transitions_no_delete BEFORE DELETE ON payment_transitions
+        BEGIN
+          SELECT RAISE(ABORT, 'payment_transitions is append-only');
+        END;
+      `,
+      postgresql: `
+        CREATE TABLE payments (
+          id TEXT PRIMARY KEY,
+          order_id TEXT NOT NULL,
+          student_id TEXT NOT NULL,
+          school_id TEXT,
+          initiated_by TEXT,
+          on_behalf_of TEXT,
+          amount DOUBLE PRECISION NOT NULL,
+          currency TEXT NOT NULL,
+          status TEXT NOT NULL,
+          transaction_id TEXT,
+          payment_method TEXT,
+          completed_at TEXT,
+          -- Set by the startup consistency check; cleared once the payment settles
+          flagged_at TEXT,
+          flag_reason TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_payments_student_created ON payments (student_id, created_at);
+        CREATE INDEX idx_payments_school_created ON payments (school_id, created_at);
+        CREATE INDEX idx_payments_status ON payments (status);
+        CREATE INDEX idx_payments_order ON payments (order_id);
+
+        CREATE TABLE payment_refunds (
+          id TEXT PRIMARY KEY,
+          payment_id TEXT NOT NULL REFERENCES payments(id),
+          amount DOUBLE PRECISION NOT NULL,
+          reason TEXT,
+          status TEXT NOT NULL,
+          requested_by TEXT,
+          requested_at TEXT NOT NULL,
+          completed_at TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_payment_refunds_payment ON payment_refunds (payment_id);
+
+        -- Every status a payment or refund has moved through; refund rows carry refund_id
+        CREATE TABLE payment_transitions (
+          id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+          payment_id TEXT NOT NULL REFERENCES payments(id),
+          refund_id TEXT REFERENCES payment_refunds(id),
+          from_status TEXT,
+          to_status TEXT NOT NULL,
+          source TEXT NOT NULL,
+          notes TEXT,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE INDEX idx_payment_transitions_payment ON payment_transitions (payment_id, id);
+
+        CREATE FUNCTION payment_transitions_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'payment_transitions is append-only';
+        END;
+        $$ LANGUAGE plpgsql;
+
+        CREATE TRIGGER payment_transitions_no_update_or_delete BEFORE UPDATE OR DELETE ON payment_transitions
+        FOR EACH ROW EXECUTE FUNCTION payment_transitions_append_only();
+      `
+    }
+  },
+  {
+    id: '002_create_paydpi_mock_store',
+    up: `
+      -- State of the in-process PayDPI mock, so it keeps its payments and refunds across restarts.
+      -- Each row is the mock's own record, stored as JSON.
+      CREATE TABLE paydpi_mock_records (
+        kind TEXT NOT NULL CHECK (kind IN ('payment', 'refund')),
+        id TEXT NOT NULL,
+        data TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        PRIMARY KEY (kind, id)
+      );
+    `
+  },
+  {
+    id: '003_create_audit_outbox',
+    up: {
+      sqlite: `
+        -- Audit log entries recorded here and not yet delivered to auth-service, oldest first (shared audit client)
+        CREATE TABLE audit_outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          -- JSON: the entry as sent to auth-service
+          entry TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+      `,
+      postgresql: `
+        -- Audit log entries recorded here and not yet delivered to auth-service, oldest first (shared audit client)
+        CREATE TABLE audit_outbox (
+          id BIGINT GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+          -- JSON: the entry as sent to auth-service
+          entry TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+      `
+    }
+  }
+];
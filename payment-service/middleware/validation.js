@@ -3,8 +3,7 @@ function validatePaymentRequest(req, res, next) {
   const errors = [];
 
   if (!orderId) errors.push('Order ID is required');
-  if (!amount || amount <= 0) errors.push('Valid amount is required');
-  if (amount && amount > 10000) errors.push('Amount exceeds maximum limit');
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) errors.push('Amount must be a positive number');
 
   if (errors.length > 0) {
     return res.status(400).json({
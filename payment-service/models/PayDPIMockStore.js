@@ -0,0 +1,36 @@
+const db = require('../db');
+
+/**
+ * Durable storage for the PayDPI mock client's own payment and refund records.
+ * The real PayDPI keeps these on its side; the mock keeps them here so a restart
+ * does not forget transactions the ledger still refers to.
+ */
+class PayDPIMockStore {
+
+  /**
+   * Load every stored record of a kind
+   * @param {string} kind - 'payment' or 'refund'
+   * @returns {Promise<Array>} Records, as the mock client stored them
+   */
+  async loadAll(kind) {
+    const rows = await db.all('SELECT data FROM paydpi_mock_records WHERE kind = ? ORDER BY updated_at, id', [kind]);
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  /**
+   * Insert or replace a record
+   * @param {string} kind - 'payment' or 'refund'
+   * @param {string} id - Payment or refund ID
+   * @param {Object} record - Record to store
+   * @returns {Promise<void>}
+   */
+  async save(kind, id, record) {
+    await db.run(
+      `INSERT INTO paydpi_mock_records (kind, id, data, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT (kind, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [kind, id, JSON.stringify(record), new Date().toISOString()]
+    );
+  }
+}
+
+module.exports = new PayDPIMockStore();
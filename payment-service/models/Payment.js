@@ -1,77 +1,387 @@
+const db = require('../db');
+
+/**
+ * SQL condition (and its parameters) for the tenant and list filters on payments
+ * @param {Object} tenant - { schoolId }; a null schoolId means every school
+ * @param {Object} options - { status, from, to, flagged }; from/to are ISO dates on createdAt
+ * @returns {Object} { sql, params }
+ */
+const listCondition = (tenant, options = {}) => {
+  const { status, from, to, flagged } = options;
+  const clauses = [];
+  const params = [];
+
+  if (tenant && tenant.schoolId) {
+    clauses.push('school_id = ?');
+    params.push(tenant.schoolId);
+  }
+  if (status) {
+    clauses.push('status = ?');
+    params.push(status);
+  }
+  if (from) {
+    clauses.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    clauses.push('substr(created_at, 1, 10) <= ?');
+    params.push(to);
+  }
+  if (flagged === true || flagged === 'true') {
+    clauses.push('flagged_at IS NOT NULL');
+  }
+
+  return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
 class Payment {
-  constructor() {
-    this.payments = [];
-    this.counter = 1000;
+
+  /**
+   * Map a payments row, its refunds and its transitions to the payment shape used by the services
+   * @param {Object} row - Database row
+   * @param {Array} refunds - payment_refunds rows, oldest first
+   * @param {Array} transitions - payment_transitions rows, oldest first
+   * @returns {Object} Payment
+   */
+  toPayment(row, refunds = [], transitions = []) {
+    return {
+      id: row.id,
+      orderId: row.order_id,
+      studentId: row.student_id,
+      schoolId: row.school_id,
+      initiatedBy: row.initiated_by,
+      onBehalfOf: row.on_behalf_of,
+      amount: row.amount,
+      currency: row.currency,
+      status: row.status,
+      transactionId: row.transaction_id,
+      paymentMethod: row.payment_method,
+      completedAt: row.completed_at,
+      flaggedAt: row.flagged_at,
+      flagReason: row.flag_reason,
+      refunds: refunds.map(refund => ({
+        refundId: refund.id,
+        amount: refund.amount,
+        reason: refund.reason,
+        status: refund.status,
+        requestedBy: refund.requested_by,
+        requestedAt: refund.requested_at,
+        completedAt: refund.completed_at
+      })),
+      statusHistory: transitions.map(transition => ({
+        refundId: transition.refund_id,
+        from: transition.from_status,
+        status: transition.to_status,
+        source: transition.source,
+        notes: transition.notes,
+        timestamp: transition.created_at
+      })),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Load refunds and transitions for a set of payment rows and map them to payments
+   * @param {Array} rows - payments rows
+   * @returns {Promise<Array>} Payments, in the order of rows
+   */
+  async hydrate(rows) {
+    if (!rows.length) return [];
+
+    const ids = rows.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    const [refunds, transitions] = await Promise.all([
+      db.all(`SELECT * FROM payment_refunds WHERE payment_id IN (${placeholders}) ORDER BY requested_at, id`, ids),
+      db.all(`SELECT * FROM payment_transitions WHERE payment_id IN (${placeholders}) ORDER BY id`, ids)
+    ]);
+
+    return rows.map(row => this.toPayment(
+      row,
+      refunds.filter(refund => refund.payment_id === row.id),
+      transitions.filter(transition => transition.payment_id === row.id)
+    ));
   }
 
+  /**
+   * Append a status transition for a payment, or for one of its refunds
+   * @param {Object} transition - { paymentId, refundId, from, to, source, notes }
+   * @returns {Promise<void>}
+   */
+  async recordTransition({ paymentId, refundId, from, to, source, notes }) {
+    await db.run(
+      `INSERT INTO payment_transitions (payment_id, refund_id, from_status, to_status, source, notes, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [paymentId, refundId || null, from || null, to, source, notes || null, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Record a new payment and its initial status
+   * @param {Object} paymentData - Payment data; id is the PayDPI payment ID
+   * @returns {Promise<Object>} Created payment
+   */
   async create(paymentData) {
-    const payment = {
-      ...paymentData,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      refunds: []
-    };
+    const now = new Date().toISOString();
 
-    this.payments.push(payment);
-    return payment;
+    await db.transaction(async () => {
+      await db.run(
+        `INSERT INTO payments (
+           id, order_id, student_id, school_id, initiated_by, on_behalf_of, amount, currency, status,
+           created_at, updated_at
+         ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          paymentData.id,
+          paymentData.orderId,
+          paymentData.studentId,
+          paymentData.schoolId || null,
+          paymentData.initiatedBy || null,
+          paymentData.onBehalfOf || null,
+          paymentData.amount,
+          paymentData.currency,
+          paymentData.status,
+          now,
+          now
+        ]
+      );
+
+      await this.recordTransition({ paymentId: paymentData.id, to: paymentData.status, source: 'initiated' });
+    });
+
+    return this.findById(paymentData.id);
   }
 
+  /**
+   * Find payment by ID
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<Object|null>} Payment or null
+   */
   async findById(paymentId) {
-    return this.payments.find(payment => payment.id === paymentId) || null;
+    const row = await db.get('SELECT * FROM payments WHERE id = ?', [paymentId]);
+    if (!row) return null;
+
+    const [payment] = await this.hydrate([row]);
+    return payment;
   }
 
+  /**
+   * Find the payments made for an order, oldest first
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Payments
+   */
+  async findByOrder(orderId) {
+    const rows = await db.all('SELECT * FROM payments WHERE order_id = ? ORDER BY created_at, id', [orderId]);
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Find payments for a student, newest first
+   * @param {string} userId - Student ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Array>} Payments
+   */
   async findByUser(userId, options = {}) {
     const { limit = 20, offset = 0 } = options;
-    
-    let userPayments = this.payments.filter(payment => payment.studentId === userId);
-    userPayments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    
-    return userPayments.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+    const rows = await db.all(
+      'SELECT * FROM payments WHERE student_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?',
+      [userId, parseInt(limit), parseInt(offset)]
+    );
+    return this.hydrate(rows);
   }
 
+  /**
+   * Count payments for a student
+   * @param {string} userId - Student ID
+   * @returns {Promise<number>} Count of payments
+   */
   async countByUser(userId) {
-    return this.payments.filter(payment => payment.studentId === userId).length;
+    const row = await db.get('SELECT COUNT(*) AS count FROM payments WHERE student_id = ?', [userId]);
+    return row.count;
+  }
+
+  /**
+   * Find payments within a tenant scope, newest first
+   * @param {Object} tenant - { schoolId }; a null schoolId means every school
+   * @param {Object} options - { status, from, to, flagged, limit, offset }; from/to are ISO dates on createdAt
+   * @returns {Promise<Array>} Payments
+   */
+  async findByTenant(tenant, options = {}) {
+    const { limit = 20, offset = 0 } = options;
+    const condition = listCondition(tenant, options);
+
+    const rows = await db.all(
+      `SELECT * FROM payments${condition.sql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...condition.params, parseInt(limit), parseInt(offset)]
+    );
+    return this.hydrate(rows);
   }
 
-  async updateStatus(paymentId, status) {
-    const paymentIndex = this.payments.findIndex(payment => payment.id === paymentId);
-    if (paymentIndex !== -1) {
-      this.payments[paymentIndex].status = status;
-      this.payments[paymentIndex].updatedAt = new Date().toISOString();
-      return this.payments[paymentIndex];
-    }
-    return null;
+  /**
+   * Count payments within a tenant scope
+   * @param {Object} tenant - { schoolId }
+   * @param {Object} options - { status, from, to, flagged }
+   * @returns {Promise<number>} Count of payments
+   */
+  async countByTenant(tenant, options = {}) {
+    const condition = listCondition(tenant, options);
+    const row = await db.get(`SELECT COUNT(*) AS count FROM payments${condition.sql}`, condition.params);
+    return row.count;
+  }
+
+  /**
+   * Find every payment in a status, oldest first
+   * @param {string} status - Payment status
+   * @returns {Promise<Array>} Payments
+   */
+  async findByStatus(status) {
+    const rows = await db.all('SELECT * FROM payments WHERE status = ? ORDER BY created_at, id', [status]);
+    return this.hydrate(rows);
+  }
+
+  /**
+   * Move a payment to a new status and record the transition.
+   * A status change also clears any consistency-check flag.
+   * @param {string} paymentId - Payment ID
+   * @param {string} status - New status
+   * @param {Object} transition - { source, notes } recorded with the transition
+   * @returns {Promise<Object|null>} Updated payment, or null when not found
+   */
+  async updateStatus(paymentId, status, transition = {}) {
+    const updated = await db.transaction(async () => {
+      const row = await db.get('SELECT status FROM payments WHERE id = ?', [paymentId]);
+      if (!row) return false;
+      if (row.status === status) return true;
+
+      await db.run(
+        'UPDATE payments SET status = ?, flagged_at = NULL, flag_reason = NULL, updated_at = ? WHERE id = ?',
+        [status, new Date().toISOString(), paymentId]
+      );
+      await this.recordTransition({
+        paymentId,
+        from: row.status,
+        to: status,
+        source: transition.source || 'payment-service',
+        notes: transition.notes
+      });
+      return true;
+    });
+
+    return updated ? this.findById(paymentId) : null;
   }
 
+  /**
+   * Store the settlement details PayDPI reported for a payment
+   * @param {string} paymentId - Payment ID
+   * @param {Object} transactionData - { transactionId, paymentMethod }
+   * @returns {Promise<Object|null>} Updated payment
+   */
   async updateTransaction(paymentId, transactionData) {
-    const paymentIndex = this.payments.findIndex(payment => payment.id === paymentId);
-    if (paymentIndex !== -1) {
-      Object.assign(this.payments[paymentIndex], transactionData);
-      this.payments[paymentIndex].updatedAt = new Date().toISOString();
-      return this.payments[paymentIndex];
-    }
-    return null;
+    const { changes } = await db.run(
+      `UPDATE payments
+       SET transaction_id = COALESCE(?, transaction_id), payment_method = COALESCE(?, payment_method), updated_at = ?
+       WHERE id = ?`,
+      [transactionData.transactionId || null, transactionData.paymentMethod || null, new Date().toISOString(), paymentId]
+    );
+
+    return changes ? this.findById(paymentId) : null;
   }
 
   async setCompletedAt(paymentId, completedAt) {
-    const paymentIndex = this.payments.findIndex(payment => payment.id === paymentId);
-    if (paymentIndex !== -1) {
-      this.payments[paymentIndex].completedAt = completedAt;
-      this.payments[paymentIndex].updatedAt = new Date().toISOString();
-      return this.payments[paymentIndex];
-    }
-    return null;
+    const { changes } = await db.run(
+      'UPDATE payments SET completed_at = ?, updated_at = ? WHERE id = ?',
+      [completedAt, new Date().toISOString(), paymentId]
+    );
+
+    return changes ? this.findById(paymentId) : null;
+  }
+
+  /**
+   * Flag a payment for manual review
+   * @param {string} paymentId - Payment ID
+   * @param {string} reason - Why the payment needs review
+   * @returns {Promise<Object|null>} Updated payment
+   */
+  async flag(paymentId, reason) {
+    const now = new Date().toISOString();
+    const { changes } = await db.run(
+      'UPDATE payments SET flagged_at = ?, flag_reason = ?, updated_at = ? WHERE id = ?',
+      [now, reason, now, paymentId]
+    );
+
+    return changes ? this.findById(paymentId) : null;
   }
 
+  /**
+   * Record a refund against a payment, with its initial status
+   * @param {string} paymentId - Payment ID
+   * @param {Object} refundData - { refundId, amount, reason, status, requestedBy, requestedAt }
+   * @returns {Promise<Object|null>} Updated payment
+   */
   async addRefund(paymentId, refundData) {
-    const paymentIndex = this.payments.findIndex(payment => payment.id === paymentId);
-    if (paymentIndex !== -1) {
-      this.payments[paymentIndex].refunds.push(refundData);
-      this.payments[paymentIndex].updatedAt = new Date().toISOString();
-      return this.payments[paymentIndex];
-    }
-    return null;
+    const added = await db.transaction(async () => {
+      const row = await db.get('SELECT id FROM payments WHERE id = ?', [paymentId]);
+      if (!row) return false;
+
+      const now = new Date().toISOString();
+      await db.run(
+        `INSERT INTO payment_refunds (id, payment_id, amount, reason, status, requested_by, requested_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          refundData.refundId,
+          paymentId,
+          refundData.amount,
+          refundData.reason || null,
+          refundData.status,
+          refundData.requestedBy || null,
+          refundData.requestedAt || now,
+          now
+        ]
+      );
+      await db.run('UPDATE payments SET updated_at = ? WHERE id = ?', [now, paymentId]);
+      await this.recordTransition({
+        paymentId,
+        refundId: refundData.refundId,
+        to: refundData.status,
+        source: 'refund_requested',
+        notes: refundData.reason
+      });
+      return true;
+    });
+
+    return added ? this.findById(paymentId) : null;
+  }
+
+  /**
+   * Move a refund to a new status and record the transition
+   * @param {string} refundId - Refund ID
+   * @param {string} status - New status
+   * @param {Object} transition - { source, notes, completedAt }
+   * @returns {Promise<Object|null>} Updated payment, or null when the refund is not found
+   */
+  async updateRefundStatus(refundId, status, transition = {}) {
+    const paymentId = await db.transaction(async () => {
+      const refund = await db.get('SELECT payment_id, status FROM payment_refunds WHERE id = ?', [refundId]);
+      if (!refund) return null;
+      if (refund.status === status) return refund.payment_id;
+
+      await db.run(
+        'UPDATE payment_refunds SET status = ?, completed_at = COALESCE(?, completed_at), updated_at = ? WHERE id = ?',
+        [status, transition.completedAt || null, new Date().toISOString(), refundId]
+      );
+      await this.recordTransition({
+        paymentId: refund.payment_id,
+        refundId,
+        from: refund.status,
+        to: status,
+        source: transition.source || 'payment-service',
+        notes: transition.notes
+      });
+      return refund.payment_id;
+    });
+
+    return paymentId ? this.findById(paymentId) : null;
   }
 }
 
-module.exports = new Payment();
\ No newline at end of file
+module.exports = new Payment();
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const PaymentService = require('../services/PaymentService');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requirePermission, resolveStudent, requireTenant, requireServiceKey } = require('../middleware/auth');
 const { validatePaymentRequest } = require('../middleware/validation');
 
 /**
@@ -9,7 +9,7 @@ const { validatePaymentRequest } = require('../middleware/validation');
  * /api/payments/process:
  *   post:
  *     summary: Process a payment for an order
- *     description: Initiates payment processing with government subsidy calculation and PayDPI integration
+ *     description: Initiates a PayDPI payment for the order's final amount (its total less the government subsidy), as recorded by order-service
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
@@ -19,17 +19,17 @@ const { validatePaymentRequest } = require('../middleware/validation');
  *         application/json:
  *           schema:
  *             type: object
- *             required: [orderId, amount]
+ *             required: [orderId]
  *             properties:
+ *               studentId:
+ *                 type: string
+ *                 description: Student the payment is for. Parents must be a verified guardian; defaults to the caller (or a parent's only child)
  *               orderId:
  *                 type: string
  *                 description: Order ID to process payment for
  *               amount:
  *                 type: number
- *                 description: Total order amount
- *               subsidyAmount:
- *                 type: number
- *                 description: Government subsidy amount
+ *                 description: Amount the client expects to pay (optional). Refused unless it matches the order's final amount
  *               paymentMethod:
  *                 type: string
  *                 enum: [CARD, MOBILE_WALLET, BANK_TRANSFER]
@@ -53,13 +53,22 @@ const { validatePaymentRequest } = require('../middleware/validation');
  *                   type: string
  *                   description: PayDPI payment URL
  *       400:
- *         description: Invalid payment request
+ *         description: Invalid payment request, or an amount that does not match the order (amount_mismatch)
  *       401:
  *         description: Authentication required
+ *       404:
+ *         description: No such order for the student
+ *       409:
+ *         description: Order is cancelled, already paid or fully subsidised
  */
-router.post('/process', authenticateToken, validatePaymentRequest, async (req, res) => {
+router.post('/process', authenticateToken, requirePermission('create:payment'), resolveStudent('body'), validatePaymentRequest, async (req, res) => {
   try {
-    const result = await PaymentService.processPayment(req.user.id, req.body);
+    const result = await PaymentService.processPayment({
+      ...req.body,
+      studentId: req.student.studentId,
+      initiatedBy: req.student.actorId,
+      onBehalfOf: req.student.onBehalfOf
+    });
     res.status(201).json(result);
   } catch (error) {
     console.error('[PAYMENT_ROUTE] Error processing payment:', error);
@@ -71,6 +80,72 @@ router.post('/process', authenticateToken, validatePaymentRequest, async (req, r
   }
 });
 
+/**
+ * @swagger
+ * /api/payments:
+ *   get:
+ *     summary: List payments for a school
+ *     description: |
+ *       Payments of the caller's school, for staff reporting. Administrators see every
+ *       school unless they pass schoolId.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: schoolId
+ *         schema:
+ *           type: string
+ *         description: Limit to one school (administrators; staff may only name their own)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: flagged
+ *         schema:
+ *           type: boolean
+ *         description: Only payments flagged for review by the startup consistency check
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Payments retrieved
+ *       403:
+ *         description: Forbidden - requires read:reports permission and a school assignment
+ */
+router.get('/', authenticateToken, requirePermission('read:reports'), requireTenant('query'), async (req, res) => {
+  try {
+    const result = await PaymentService.getSchoolPayments(req.tenant, req.query);
+    res.json(result);
+  } catch (error) {
+    console.error('[PAYMENT_ROUTE] Error listing payments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'Failed to fetch payments'
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/payments/status/{paymentId}:
@@ -90,9 +165,9 @@ router.post('/process', authenticateToken, validatePaymentRequest, async (req, r
  *       200:
  *         description: Payment status retrieved
  */
-router.get('/status/:paymentId', authenticateToken, async (req, res) => {
+router.get('/status/:paymentId', authenticateToken, requirePermission('read:payments'), async (req, res) => {
   try {
-    const result = await PaymentService.getPaymentStatus(req.params.paymentId, req.user.id);
+    const result = await PaymentService.getPaymentStatus(req.params.paymentId, req.user);
     res.json(result);
   } catch (error) {
     res.status(error.statusCode || 500).json({
@@ -108,12 +183,16 @@ router.get('/status/:paymentId', authenticateToken, async (req, res) => {
  * /api/payments/history:
  *   get:
  *     summary: Get user payment history
- *     description: Retrieve payment history for the authenticated user
+ *     description: Retrieve payment history for the authenticated user, or for a child they are a verified guardian of
  *     tags: [Payments]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -127,9 +206,9 @@ router.get('/status/:paymentId', authenticateToken, async (req, res) => {
  *       200:
  *         description: Payment history retrieved
  */
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, requirePermission('read:payments'), resolveStudent('query'), async (req, res) => {
   try {
-    const result = await PaymentService.getPaymentHistory(req.user.id, req.query);
+    const result = await PaymentService.getPaymentHistory(req.student.studentId, req.query);
     res.json(result);
   } catch (error) {
     res.status(500).json({
@@ -171,9 +250,9 @@ router.get('/history', authenticateToken, async (req, res) => {
  *       200:
  *         description: Refund initiated successfully
  */
-router.post('/refund/:paymentId', authenticateToken, async (req, res) => {
+router.post('/refund/:paymentId', authenticateToken, requirePermission('create:refund'), async (req, res) => {
   try {
-    const result = await PaymentService.initiateRefund(req.params.paymentId, req.user.id, req.body);
+    const result = await PaymentService.requestRefund(req.params.paymentId, req.user, req.body);
     res.json(result);
   } catch (error) {
     res.status(error.statusCode || 500).json({
@@ -184,6 +263,60 @@ router.post('/refund/:paymentId', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/payments/orders/{orderId}/refund:
+ *   post:
+ *     summary: Refund an order's payment (service-to-service)
+ *     description: Called by order-service when it cancels a paid order. Refunds whatever of the order's completed payment has not been refunded yet.
+ *     tags: [Payments]
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Key
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               requestedBy:
+ *                 type: string
+ *                 description: User who cancelled the order
+ *     responses:
+ *       200:
+ *         description: Refund initiated, or the payment had already been refunded in full (refundId null)
+ *       401:
+ *         description: Missing or invalid service key
+ *       404:
+ *         description: The order has no completed payment
+ *       502:
+ *         description: PayDPI did not accept the refund
+ */
+router.post('/orders/:orderId/refund', requireServiceKey, async (req, res) => {
+  try {
+    const refund = await PaymentService.refundOrder(req.params.orderId, req.body);
+    res.json({ success: true, refund });
+  } catch (error) {
+    console.error('[PAYMENT_ROUTE] Error refunding order payment:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.code || 'refund_error',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/payments/webhook/paydpi:
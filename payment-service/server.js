@@ -6,7 +6,11 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 require('dotenv').config();
 
+const { revocationList, jwksKeySet, requireServiceKey, receiveRevocations, getServiceApiKey } = require('nutriconnect-shared/auth');
 const logger = require('./utils/logger');
+const db = require('./db');
+const PaymentService = require('./services/PaymentService');
+const AuditService = require('./services/AuditService');
 const paymentRoutes = require('./routes/payments');
 const mockPayDPIRoutes = require('./routes/mock-paydpi');
 
@@ -39,6 +43,8 @@ app.use((req, res, next) => {
 // API Routes
 app.use('/api/payments', paymentRoutes);
 app.use('/mock/paydpi', mockPayDPIRoutes);
+// Revocations pushed by auth-service as they happen
+app.post('/api/revocations', requireServiceKey, receiveRevocations);
 
 // Swagger Documentation
 const swaggerOptions = {
@@ -75,6 +81,7 @@ const swaggerOptions = {
             id: { type: 'string', description: 'Payment ID' },
             orderId: { type: 'string', description: 'Order ID' },
             studentId: { type: 'string', description: 'Student ID' },
+            schoolId: { type: 'string', description: 'School (tenant) ID of the student' },
             amount: { type: 'number', description: 'Payment amount' },
             subsidyAmount: { type: 'number', description: 'Government subsidy amount' },
             finalAmount: { type: 'number', description: 'Final amount to pay' },
@@ -85,6 +92,10 @@ const swaggerOptions = {
             },
             paymentMethod: { type: 'string', description: 'Payment method used' },
             transactionId: { type: 'string', description: 'PayDPI transaction ID' },
+            flaggedAt: { type: 'string', format: 'date-time', description: 'Set when the startup consistency check found the payment stuck in PROCESSING' },
+            flagReason: { type: 'string' },
+            refunds: { type: 'array', items: { type: 'object' } },
+            statusHistory: { type: 'array', items: { type: 'object' }, description: 'Ledger of payment and refund status transitions' },
             createdAt: { type: 'string', format: 'date-time' },
             completedAt: { type: 'string', format: 'date-time' }
           }
@@ -113,7 +124,7 @@ app.get('/health', (req, res) => {
     environment: process.env.NODE_ENV || 'development',
     integrations: {
       payDPI: 'mock', // Will be 'connected' in production
-      database: 'memory' // Will be 'connected' in production
+      database: db.connection ? 'connected' : 'disconnected'
     },
     uptime: process.uptime()
   });
@@ -170,10 +181,14 @@ app.use('*', (req, res) => {
   });
 });
 
+let server;
+
 // Graceful shutdown
 const gracefulShutdown = () => {
   logger.info('Payment Service shutting down gracefully...');
-  server.close(() => {
+  if (!server) process.exit(0);
+  server.close(async () => {
+    await db.close();
     logger.info('Payment Service closed');
     process.exit(0);
   });
@@ -182,11 +197,38 @@ const gracefulShutdown = () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
-// Start server
-const server = app.listen(PORT, () => {
-  logger.info(`💳 NutriConnect Payment Service started on port ${PORT}`);
-  logger.info(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-  logger.info(`🏥 Health Check: http://localhost:${PORT}/health`);
-});
+// Open the payment ledger, restore the PayDPI mock and check for interrupted payments before serving
+const startServer = async () => {
+  // Refuse to start without SERVICE_API_KEY outside development
+  getServiceApiKey();
+  await db.ready();
+  await PaymentService.paydpiClient.restore();
+
+  const consistency = await PaymentService.checkLedgerConsistency();
+  if (consistency.checked) {
+    logger.warn('Payments found in PROCESSING at startup', consistency);
+  }
+
+  server = app.listen(PORT, () => {
+    logger.info(`💳 NutriConnect Payment Service started on port ${PORT}`);
+    logger.info(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
+    logger.info(`🏥 Health Check: http://localhost:${PORT}/health`);
+
+    // Keep token verification keys and the access token denylist in sync with auth-service
+    jwksKeySet.startSync();
+    revocationList.startSync();
+    // Deliver audit entries still in the outbox, e.g. from before a restart
+    AuditService.start();
+  });
+};
+
+// Tests require the app without starting the server
+if (require.main === module) {
+  startServer().catch((error) => {
+    // Written to the console directly: the process exits before winston has flushed its files
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
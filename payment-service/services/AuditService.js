@@ -0,0 +1,5 @@
+const { createAuditClient } = require('nutriconnect-shared/audit');
+const db = require('../db');
+
+// Refunds go to the central audit log in auth-service, by way of the audit_outbox table
+module.exports = createAuditClient('payment-service', db);
@@ -1,4 +1,21 @@
+const { canActForStudent } = require('nutriconnect-shared/auth');
+const { fetchOrderPayment, recordOrderPayment } = require('nutriconnect-shared/orders');
+const { fetchSchool } = require('nutriconnect-shared/directory');
 const PayDPIClient = require('../clients/PayDPIClient'); // Adjust path as needed
+const PaymentModel = require('../models/Payment');
+const PayDPIMockStore = require('../models/PayDPIMockStore');
+const AuditService = require('./AuditService');
+
+const paymentError = (statusCode, code, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  return error;
+};
+
+const paymentNotFound = () => paymentError(404, 'payment_not_found', 'Payment not found');
+
+const refundedAmount = (payment) => payment.refunds.reduce((total, refund) => total + refund.amount, 0);
 
 class PaymentService {
   constructor() {
@@ -6,24 +23,331 @@ class PaymentService {
     this.paydpiClient = new PayDPIClient({
       merchantId: process.env.PAYDPI_MERCHANT_ID || 'MERCHANT_001',
       apiKey: process.env.PAYDPI_API_KEY || 'sk_test_paydpi_mock_key_123456',
-      webhookSecret: process.env.PAYDPI_WEBHOOK_SECRET || 'whsec_mock_secret_789'
+      webhookSecret: process.env.PAYDPI_WEBHOOK_SECRET || 'whsec_mock_secret_789',
+      store: PayDPIMockStore
     });
 
     console.log('[PAYMENT_SERVICE] PayDPI mock client initialized (no external connections)');
   }
 
   /**
-   * Process payment (alias for initiatePayment to match existing routes)
-   * This method exists for backward compatibility with existing route handlers
+   * Process payment for a student's order and record who initiated it, and for which school.
+   * The amount charged is the order's finalAmount (its total less the subsidy) as order-service
+   * reports it; a client amount that differs is refused.
    * 
-   * @param {Object} paymentData - Payment details
+   * @param {Object} paymentData - Payment details, plus studentId, initiatedBy and onBehalfOf
    * @returns {Promise<Object>} Payment result following OpenAPI spec
    */
   async processPayment(paymentData) {
     console.log('[PAYMENT_SERVICE] Processing payment (calling initiatePayment):', paymentData);
+
+    // Orders of other students are reported as missing rather than forbidden
+    const order = await fetchOrderPayment(paymentData.orderId);
+    if (!order || order.studentId !== paymentData.studentId) {
+      throw paymentError(404, 'order_not_found', 'Order not found');
+    }
+    if (order.status === 'CANCELLED') {
+      throw paymentError(409, 'order_not_payable', `Order ${order.id} is cancelled`);
+    }
+    if (['PAID', 'REFUNDED'].includes(order.paymentStatus)) {
+      throw paymentError(409, 'order_already_paid', `Order ${order.id} is already paid`);
+    }
+    if (!(order.finalAmount > 0)) {
+      throw paymentError(409, 'nothing_to_pay', `Order ${order.id} is fully subsidised`);
+    }
+    if (paymentData.amount !== undefined && Math.round(paymentData.amount * 100) !== Math.round(order.finalAmount * 100)) {
+      throw paymentError(400, 'amount_mismatch', `Order ${order.id} costs ${order.finalAmount} after subsidy, not ${paymentData.amount}`);
+    }
+
+    const school = !order.currency && order.schoolId ? await fetchSchool(order.schoolId) : null;
     
-    // Simply call initiatePayment - this is an alias for backward compatibility
-    return await this.initiatePayment(paymentData);
+    const result = await this.initiatePayment({
+      ...paymentData,
+      amount: order.finalAmount,
+      currency: order.currency || (school ? school.settings.currency : undefined),
+      description: paymentData.description || `School meal order ${order.id}`
+    });
+
+    if (result.success) {
+      await PaymentModel.create({
+        id: result.paymentId,
+        orderId: order.id,
+        studentId: order.studentId,
+        schoolId: order.schoolId,
+        initiatedBy: paymentData.initiatedBy,
+        onBehalfOf: paymentData.onBehalfOf,
+        amount: result.amount,
+        currency: result.currency,
+        status: result.status
+      });
+
+      console.log(`[PAYMENT_SERVICE] Payment ${result.paymentId} for student ${paymentData.studentId} initiated by ${paymentData.initiatedBy}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a payment the actor may see (their own, or a linked child's), with its live PayDPI status
+   * 
+   * @param {string} paymentId - Payment ID
+   * @param {Object} actor - Request user
+   * @returns {Promise<Object>} Payment status
+   */
+  async getPaymentStatus(paymentId, actor) {
+    const payment = await PaymentModel.findById(paymentId);
+    if (!payment || !canActForStudent(actor, payment.studentId)) {
+      throw paymentNotFound();
+    }
+
+    const status = await this.checkPaymentStatus(paymentId);
+    if (status.success) {
+      await this.recordPaydpiStatus(status, 'status_check');
+    }
+
+    return {
+      ...status,
+      studentId: payment.studentId,
+      initiatedBy: payment.initiatedBy
+    };
+  }
+
+  /**
+   * Get recorded payments for a student
+   * 
+   * @param {string} studentId - Student ID
+   * @param {Object} filters - { limit, offset }
+   * @returns {Promise<Object>} Payments with pagination
+   */
+  async getPaymentHistory(studentId, filters = {}) {
+    const { limit = 20, offset = 0 } = filters;
+
+    const payments = await PaymentModel.findByUser(studentId, { limit, offset });
+    const total = await PaymentModel.countByUser(studentId);
+
+    return {
+      success: true,
+      payments,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    };
+  }
+
+  /**
+   * List payments for the schools a staff member or administrator is scoped to
+   * 
+   * @param {Object} tenant - { schoolId }; a null schoolId means every school
+   * @param {Object} filters - { status, from, to, flagged, limit, offset }
+   * @returns {Promise<Object>} Payments with pagination and totals
+   */
+  async getSchoolPayments(tenant, filters = {}) {
+    const { status, from, to, flagged, limit = 20, offset = 0 } = filters;
+
+    const payments = await PaymentModel.findByTenant(tenant, { status, from, to, flagged, limit, offset });
+    const total = await PaymentModel.countByTenant(tenant, { status, from, to, flagged });
+
+    return {
+      success: true,
+      schoolId: tenant.schoolId,
+      payments,
+      pagination: {
+        total,
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }
+    };
+  }
+
+  /**
+   * Refund a payment on behalf of the student or a verified guardian
+   * 
+   * @param {string} paymentId - Payment ID
+   * @param {Object} actor - Request user
+   * @param {Object} refundRequest - { reason, amount }
+   * @returns {Promise<Object>} Refund result
+   */
+  async requestRefund(paymentId, actor, refundRequest = {}) {
+    const payment = await PaymentModel.findById(paymentId);
+    if (!payment || !canActForStudent(actor, payment.studentId)) {
+      throw paymentNotFound();
+    }
+
+    return this.refund(payment, {
+      amount: refundRequest.amount || payment.amount,
+      reason: refundRequest.reason || 'Customer requested refund',
+      requestedBy: actor.id
+    });
+  }
+
+  /**
+   * Refund what was paid for an order, for order-service when it cancels a paid order.
+   * Only what has not been refunded yet is refunded, so asking twice for one order refunds it once.
+   * 
+   * @param {string} orderId - Order ID
+   * @param {Object} refundRequest - { reason, requestedBy }
+   * @returns {Promise<Object>} { paymentId, refundId, amount, refundedAmount, status }; refundId is null
+   *   when the payment had already been refunded in full
+   */
+  async refundOrder(orderId, refundRequest = {}) {
+    const payments = await PaymentModel.findByOrder(orderId);
+    const payment = payments.find(candidate => candidate.status === 'COMPLETED');
+    if (!payment) {
+      throw paymentError(404, 'payment_not_found', `Order ${orderId} has no completed payment`);
+    }
+
+    const refundedBefore = refundedAmount(payment);
+    const outstanding = Math.round((payment.amount - refundedBefore) * 100) / 100;
+    if (outstanding <= 0) {
+      return { paymentId: payment.id, refundId: null, amount: 0, refundedAmount: refundedBefore, status: null };
+    }
+
+    const result = await this.refund(payment, {
+      amount: outstanding,
+      reason: refundRequest.reason || 'Order cancelled',
+      requestedBy: refundRequest.requestedBy
+    });
+    if (!result.success) {
+      throw paymentError(502, 'refund_failed', result.error.message);
+    }
+
+    return {
+      paymentId: payment.id,
+      refundId: result.refundId,
+      amount: result.amount,
+      refundedAmount: refundedBefore + result.amount,
+      status: result.status
+    };
+  }
+
+  /**
+   * Initiate a refund with PayDPI and record it against the payment
+   * 
+   * @param {Object} payment - Ledger payment
+   * @param {Object} refundData - { amount, reason, requestedBy }
+   * @returns {Promise<Object>} Refund result following OpenAPI spec
+   */
+  async refund(payment, { amount, reason, requestedBy }) {
+    const result = await this.initiateRefund({
+      paymentId: payment.id,
+      amount,
+      reason,
+      metadata: { requestedBy }
+    });
+
+    if (result.success) {
+      const refundedBefore = refundedAmount(payment);
+
+      await PaymentModel.addRefund(payment.id, {
+        refundId: result.refundId,
+        amount: result.amount,
+        reason,
+        status: result.status,
+        requestedBy,
+        requestedAt: new Date().toISOString()
+      });
+
+      await AuditService.record({
+        event: 'payment.refunded',
+        actorId: requestedBy,
+        entityType: 'payment',
+        entityId: payment.id,
+        before: { status: payment.status, refundedAmount: refundedBefore },
+        after: { status: payment.status, refundedAmount: refundedBefore + result.amount },
+        details: {
+          refundId: result.refundId,
+          amount: result.amount,
+          reason,
+          studentId: payment.studentId,
+          orderId: payment.orderId
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Bring the ledger in line with a status PayDPI reported for a payment,
+   * storing the settlement details once it has completed
+   * 
+   * @param {Object} paydpiStatus - Successful checkPaymentStatus result
+   * @param {string} source - What reported the status, recorded with the transition
+   * @returns {Promise<Object|null>} Ledger payment, or null when it is not in the ledger
+   */
+  async recordPaydpiStatus(paydpiStatus, source) {
+    const before = await PaymentModel.findById(paydpiStatus.paymentId);
+    const payment = await PaymentModel.updateStatus(paydpiStatus.paymentId, paydpiStatus.status, { source });
+    if (!payment) {
+      return payment;
+    }
+
+    if (paydpiStatus.status === 'FAILED' && before.status !== 'FAILED') {
+      await this.syncOrderPayment(payment, 'FAILED');
+    }
+    if (paydpiStatus.status !== 'COMPLETED' || payment.completedAt) {
+      return payment;
+    }
+
+    await PaymentModel.updateTransaction(payment.id, {
+      transactionId: paydpiStatus.transactionId,
+      paymentMethod: paydpiStatus.paymentMethod
+    });
+    const completed = await PaymentModel.setCompletedAt(payment.id, paydpiStatus.completedAt);
+    await this.syncOrderPayment(completed, 'PAID');
+    return completed;
+  }
+
+  /**
+   * Report a payment's outcome to order-service, which only lets a paid order be prepared.
+   * A payment whose order could not be updated is flagged for manual review.
+   * 
+   * @param {Object} payment - Ledger payment
+   * @param {string} paymentStatus - Order payment status: PAID, FAILED or REFUNDED
+   * @returns {Promise<void>}
+   */
+  async syncOrderPayment(payment, paymentStatus) {
+    try {
+      await recordOrderPayment(payment.orderId, { paymentStatus, paymentId: payment.id }, 'payment-service');
+      console.log(`[PAYMENT_SERVICE] Order ${payment.orderId} marked ${paymentStatus} for payment ${payment.id}`);
+    } catch (error) {
+      const reason = `Order ${payment.orderId} could not be marked ${paymentStatus}: ${error.message}`;
+      await PaymentModel.flag(payment.id, reason);
+      console.error(`[PAYMENT_SERVICE] Payment ${payment.id} flagged for review: ${reason}`);
+    }
+  }
+
+  /**
+   * Startup consistency check for payments left in PROCESSING, e.g. by a crash mid-payment.
+   * Each one is checked with PayDPI: settled payments get their final status recorded,
+   * and those PayDPI still reports as PROCESSING (or cannot find) are flagged for manual review.
+   * 
+   * @returns {Promise<Object>} { checked, resolved, flagged } payment IDs
+   */
+  async checkLedgerConsistency() {
+    const processing = await PaymentModel.findByStatus('PROCESSING');
+    const report = { checked: processing.length, resolved: [], flagged: [] };
+
+    for (const payment of processing) {
+      const status = await this.checkPaymentStatus(payment.id);
+
+      if (status.success && status.status !== 'PROCESSING') {
+        await this.recordPaydpiStatus(status, 'startup_consistency_check');
+        report.resolved.push(payment.id);
+        continue;
+      }
+
+      const reason = status.success
+        ? 'Left in PROCESSING at startup; PayDPI still reports it as processing'
+        : `Left in PROCESSING at startup; PayDPI status unavailable: ${status.error.message}`;
+      await PaymentModel.flag(payment.id, reason);
+      report.flagged.push(payment.id);
+      console.warn(`[PAYMENT_SERVICE] Payment ${payment.id} flagged for review: ${reason}`);
+    }
+
+    return report;
   }
 
   /**
@@ -171,6 +495,7 @@ class PaymentService {
 
       // Call PayDPI mock client (no HTTP call)
       const paydpiResponse = await this.paydpiClient.cancelPayment(paymentId, reason);
+      await PaymentModel.updateStatus(paymentId, paydpiResponse.status, { source: 'cancelled', notes: reason });
 
       console.log('[PAYMENT_SERVICE] PayDPI payment cancelled successfully (mock):', paydpiResponse);
 
@@ -268,6 +593,22 @@ class PaymentService {
 
       // Call PayDPI mock client (no HTTP call)
       const paydpiResponse = await this.paydpiClient.getRefundStatus(refundId);
+      const before = await PaymentModel.findById(paydpiResponse.paymentId);
+      const payment = await PaymentModel.updateRefundStatus(refundId, paydpiResponse.status, {
+        source: 'status_check',
+        completedAt: paydpiResponse.completedAt
+      });
+
+      // Once refunds have returned the whole payment, the order is refunded
+      const wasCompleted = before && before.refunds.some(refund => refund.refundId === refundId && refund.status === 'COMPLETED');
+      if (payment && paydpiResponse.status === 'COMPLETED' && !wasCompleted) {
+        const refunded = payment.refunds
+          .filter(refund => refund.status === 'COMPLETED')
+          .reduce((total, refund) => total + refund.amount, 0);
+        if (refunded >= payment.amount) {
+          await this.syncOrderPayment(payment, 'REFUNDED');
+        }
+      }
 
       console.log('[PAYMENT_SERVICE] PayDPI refund status retrieved (mock):', paydpiResponse);
 
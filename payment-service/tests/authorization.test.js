@@ -0,0 +1,86 @@
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { jwksKeySet, permissionsForRole } = require('nutriconnect-shared/auth');
+const app = require('../server');
+const db = require('../db');
+
+// Access tokens are signed with a key generated for the test run, published to the shared key set
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+jwksKeySet.load({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-signing-key', use: 'sig' }] });
+
+const bearer = (sub, role) => `Bearer ${jwt.sign(
+  { sub, role, permissions: permissionsForRole(role) },
+  privateKey,
+  { algorithm: 'RS256', keyid: 'test-signing-key', expiresIn: '5m' }
+)}`;
+
+describe('authentication and authorization errors', () => {
+  let server;
+  let baseUrl;
+
+  const call = async (method, path, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, { method, headers });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    await db.ready();
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await db.close();
+  });
+
+  it('answers requests without an access token with 401 unauthorized', async () => {
+    const response = await call('GET', '/api/payments/history');
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'unauthorized',
+      message: 'Access token required'
+    });
+  });
+
+  it('answers requests with an invalid access token with 401 invalid_token', async () => {
+    const response = await call('GET', '/api/payments/history', { Authorization: 'Bearer not-a-token' });
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'invalid_token',
+      message: 'Invalid access token'
+    });
+  });
+
+  it('answers callers without the required permission with 403 forbidden', async () => {
+    const response = await call('GET', '/api/payments?schoolId=royal-college', {
+      Authorization: bearer('std_001', 'STUDENT')
+    });
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'forbidden',
+      message: 'Missing required permission: read:reports'
+    });
+  });
+
+  it('answers internal calls without the service key with 401 unauthorized', async () => {
+    const response = await call('POST', '/api/payments/orders/ord_001/refund', { 'X-Service-Key': 'wrong_key' });
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'unauthorized',
+      message: 'Valid service key required'
+    });
+  });
+});
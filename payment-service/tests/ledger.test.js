@@ -0,0 +1,32 @@
+const db = require('../db');
+const PaymentModel = require('../models/Payment');
+
+const payment = (id) => ({
+  id,
+  orderId: `ORD_${id}`,
+  studentId: 'std_001',
+  schoolId: 'royal-college',
+  amount: 50,
+  currency: 'LKR',
+  status: 'PROCESSING'
+});
+
+describe('payment ledger', () => {
+  beforeAll(() => db.ready());
+  afterAll(() => db.close());
+
+  it('records payments and status changes made at the same time', async () => {
+    await Promise.all(['PAY_1', 'PAY_2', 'PAY_3'].map(id => PaymentModel.create(payment(id))));
+
+    const updated = await Promise.all([
+      PaymentModel.updateStatus('PAY_1', 'COMPLETED', { source: 'paydpi' }),
+      PaymentModel.updateStatus('PAY_2', 'FAILED', { source: 'paydpi' }),
+      PaymentModel.updateStatus('PAY_3', 'COMPLETED', { source: 'paydpi' })
+    ]);
+
+    expect(updated.map(({ status }) => status)).toEqual(['COMPLETED', 'FAILED', 'COMPLETED']);
+    updated.forEach(({ statusHistory }) => {
+      expect(statusHistory.map(({ status }) => status)).toEqual(['PROCESSING', expect.any(String)]);
+    });
+  });
+});
@@ -0,0 +1,198 @@
+jest.mock('nutriconnect-shared/directory', () => ({
+  ...jest.requireActual('nutriconnect-shared/directory'),
+  fetchStudent: jest.fn(),
+  fetchSchool: jest.fn()
+}));
+jest.mock('../services/AuditService', () => ({ record: jest.fn() }));
+
+const express = require('express');
+const { fetchStudent, fetchSchool } = require('nutriconnect-shared/directory');
+const db = require('../db');
+const PaymentModel = require('../models/Payment');
+const PaymentService = require('../services/PaymentService');
+
+const student = { id: 'std_001', name: 'Kasun Perera', schoolId: 'royal-college', guardianIds: ['par_001'] };
+const actor = { id: 'std_001', role: 'STUDENT' };
+
+/**
+ * Stand-in for order-service's payment endpoints, recording the updates it receives
+ */
+const startOrderService = (orders, updates) => {
+  const app = express();
+  app.use(express.json());
+  app.get('/api/orders/:orderId/payment', (req, res) => {
+    const order = orders[req.params.orderId];
+    if (!order) return res.status(404).json({ success: false, error: 'order_not_found' });
+    res.json({ success: true, order });
+  });
+  app.patch('/api/orders/:orderId/payment', (req, res) => {
+    updates.push({ orderId: req.params.orderId, serviceKey: req.get('X-Service-Key'), ...req.body });
+    res.json({ success: true, order: { ...orders[req.params.orderId], ...req.body } });
+  });
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+};
+
+// The PayDPI mock settles a payment a minute after it was initiated, and a refund after 30 seconds
+const backdate = (record) => {
+  record.initiatedAt = new Date(Date.now() - 2 * 60 * 1000).toISOString();
+};
+
+describe('order payments', () => {
+  const orders = {};
+  const updates = [];
+  let orderService;
+
+  beforeAll(async () => {
+    await db.ready();
+    orderService = await startOrderService(orders, updates);
+    process.env.ORDER_SERVICE_URL = `http://127.0.0.1:${orderService.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => orderService.close(resolve));
+    await db.close();
+  });
+
+  beforeEach(() => {
+    updates.length = 0;
+    fetchStudent.mockResolvedValue(student);
+    fetchSchool.mockResolvedValue({ id: 'royal-college', settings: { currency: 'LKR' } });
+  });
+
+  const placeOrder = (orderId, overrides = {}) => {
+    orders[orderId] = {
+      id: orderId,
+      studentId: 'std_001',
+      schoolId: 'royal-college',
+      status: 'CONFIRMED',
+      paymentStatus: 'PENDING',
+      totalAmount: 50,
+      subsidyAmount: 0,
+      finalAmount: 50,
+      currency: 'LKR',
+      ...overrides
+    };
+  };
+
+  const pay = async (orderId) => {
+    placeOrder(orderId);
+    const result = await PaymentService.processPayment({ orderId, amount: 50, studentId: 'std_001', initiatedBy: 'std_001' });
+    expect(result.success).toBe(true);
+    return result.paymentId;
+  };
+
+  it('marks the order PAID once the payment completes', async () => {
+    const paymentId = await pay('ORD_PAID');
+
+    backdate(PaymentService.paydpiClient.payments.get(paymentId));
+    const status = await PaymentService.getPaymentStatus(paymentId, actor);
+
+    expect(status.status).toBe('COMPLETED');
+    expect(updates).toEqual([
+      { orderId: 'ORD_PAID', serviceKey: process.env.SERVICE_API_KEY, paymentStatus: 'PAID', paymentId }
+    ]);
+
+    // Later status checks do not report the payment again
+    await PaymentService.getPaymentStatus(paymentId, actor);
+    expect(updates).toHaveLength(1);
+  });
+
+  it('marks the order FAILED when the payment fails', async () => {
+    const paymentId = await pay('ORD_FAILED');
+
+    await PaymentService.recordPaydpiStatus({ success: true, paymentId, status: 'FAILED' }, 'webhook');
+
+    expect(updates).toEqual([expect.objectContaining({ orderId: 'ORD_FAILED', paymentStatus: 'FAILED', paymentId })]);
+  });
+
+  it('marks the order REFUNDED once the whole payment is refunded', async () => {
+    const paymentId = await pay('ORD_REFUNDED');
+    backdate(PaymentService.paydpiClient.payments.get(paymentId));
+    await PaymentService.getPaymentStatus(paymentId, actor);
+    updates.length = 0;
+
+    const refund = await PaymentService.requestRefund(paymentId, actor, { reason: 'Student was absent' });
+    backdate(PaymentService.paydpiClient.refunds.get(refund.refundId));
+    const refundStatus = await PaymentService.checkRefundStatus(refund.refundId);
+
+    expect(refundStatus.status).toBe('COMPLETED');
+    expect(updates).toEqual([expect.objectContaining({ orderId: 'ORD_REFUNDED', paymentStatus: 'REFUNDED', paymentId })]);
+  });
+
+  it('refunds a cancelled order once, for order-service', async () => {
+    const paymentId = await pay('ORD_CANCELLED_PAID');
+    await expect(PaymentService.refundOrder('ORD_CANCELLED_PAID', { reason: 'Order cancelled', requestedBy: 'std_001' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'payment_not_found' });
+
+    backdate(PaymentService.paydpiClient.payments.get(paymentId));
+    await PaymentService.getPaymentStatus(paymentId, actor);
+
+    const refund = await PaymentService.refundOrder('ORD_CANCELLED_PAID', { reason: 'Order cancelled', requestedBy: 'std_001' });
+    expect(refund).toMatchObject({ paymentId, amount: 50, refundedAmount: 50, refundId: expect.any(String) });
+    expect((await PaymentModel.findById(paymentId)).refunds).toEqual([
+      expect.objectContaining({ refundId: refund.refundId, amount: 50, reason: 'Order cancelled', requestedBy: 'std_001' })
+    ]);
+
+    // Asking again refunds nothing more
+    const again = await PaymentService.refundOrder('ORD_CANCELLED_PAID', { reason: 'Order cancelled', requestedBy: 'std_001' });
+    expect(again).toMatchObject({ paymentId, refundId: null, amount: 0, refundedAmount: 50 });
+    expect((await PaymentModel.findById(paymentId)).refunds).toHaveLength(1);
+  });
+
+  it('charges the amount order-service holds for the order', async () => {
+    placeOrder('ORD_SUBSIDISED', { totalAmount: 80, subsidyAmount: 20, finalAmount: 60 });
+
+    const result = await PaymentService.processPayment({ orderId: 'ORD_SUBSIDISED', studentId: 'std_001', initiatedBy: 'std_001' });
+
+    expect(result.success).toBe(true);
+    expect(result.amount).toBe(60);
+    expect((await PaymentModel.findById(result.paymentId)).amount).toBe(60);
+  });
+
+  it('refuses an amount that differs from the order', async () => {
+    placeOrder('ORD_MISMATCH');
+
+    await expect(PaymentService.processPayment({ orderId: 'ORD_MISMATCH', amount: 1, studentId: 'std_001', initiatedBy: 'std_001' }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'amount_mismatch' });
+  });
+
+  it("refuses to charge another student's order", async () => {
+    placeOrder('ORD_OTHER', { studentId: 'std_002' });
+
+    await expect(PaymentService.processPayment({ orderId: 'ORD_OTHER', studentId: 'std_001', initiatedBy: 'std_001' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'order_not_found' });
+    await expect(PaymentService.processPayment({ orderId: 'ORD_MISSING', studentId: 'std_001', initiatedBy: 'std_001' }))
+      .rejects.toMatchObject({ statusCode: 404, code: 'order_not_found' });
+  });
+
+  it('refuses orders that are paid, cancelled or fully subsidised', async () => {
+    placeOrder('ORD_ALREADY_PAID', { paymentStatus: 'PAID' });
+    placeOrder('ORD_CANCELLED', { status: 'CANCELLED' });
+    placeOrder('ORD_FREE', { subsidyAmount: 50, finalAmount: 0 });
+    const charge = (orderId) => PaymentService.processPayment({ orderId, studentId: 'std_001', initiatedBy: 'std_001' });
+
+    await expect(charge('ORD_ALREADY_PAID')).rejects.toMatchObject({ statusCode: 409, code: 'order_already_paid' });
+    await expect(charge('ORD_CANCELLED')).rejects.toMatchObject({ statusCode: 409, code: 'order_not_payable' });
+    await expect(charge('ORD_FREE')).rejects.toMatchObject({ statusCode: 409, code: 'nothing_to_pay' });
+  });
+
+  it('flags the payment for review when order-service cannot be updated', async () => {
+    const paymentId = await pay('ORD_UNREACHABLE');
+    const url = process.env.ORDER_SERVICE_URL;
+    process.env.ORDER_SERVICE_URL = 'http://127.0.0.1:1';
+
+    try {
+      backdate(PaymentService.paydpiClient.payments.get(paymentId));
+      await PaymentService.getPaymentStatus(paymentId, actor);
+    } finally {
+      process.env.ORDER_SERVICE_URL = url;
+    }
+
+    const payment = await PaymentModel.findById(paymentId);
+    expect(payment.status).toBe('COMPLETED');
+    expect(payment.flagReason).toMatch(/Order ORD_UNREACHABLE could not be marked PAID/);
+  });
+});
@@ -0,0 +1,3 @@
+// Each test file gets its own in-memory payment ledger
+process.env.DB_PATH = ':memory:';
+process.env.SERVICE_API_KEY = 'test_service_key';
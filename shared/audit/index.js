@@ -0,0 +1,112 @@
+const { postJson } = require('../auth/http');
+const { getServiceApiKey } = require('../auth/revocation');
+
+const authServiceUrl = () => process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
+
+// Delay between deliveries of the outbox, and before retrying after a network error or 5xx
+const DELIVERY_INTERVAL_MS = 5000;
+
+// Network errors and server errors are worth retrying; auth-service rejecting an entry (4xx) is not
+const isRetryable = (error) => !error.status || error.status >= 500;
+
+/**
+ * Client for the central, hash-chained audit log kept by auth-service.
+ * An entry is recorded once it is in the service's own audit_outbox table, so it survives
+ * restarts and auth-service being down; recorded inside a transaction, it commits with it.
+ * Entries are delivered from the outbox in the background, in order, so recording never waits on
+ * auth-service. Entries that cannot be delivered because of a network error or 5xx stay in the
+ * outbox and are retried; entries auth-service rejects (4xx) are dead-lettered to the error log
+ * and removed, so one bad entry cannot hold up the ones behind it.
+ * @param {string} service - Name of the calling service, e.g. 'order-service'
+ * @param {Object} db - The service's Database; its migrations create audit_outbox
+ * @returns {Object} { record(entry), flush(), start() }
+ */
+function createAuditClient(service, db) {
+  let flushing = null;
+  let recordedWhileFlushing = false;
+  let deliveryTimer = null;
+
+  /**
+   * Deliver the outbox, oldest entry first
+   * @returns {Promise<boolean>} Whether the outbox was emptied
+   */
+  const deliver = async () => {
+    for (;;) {
+      const row = await db.get('SELECT id, entry FROM audit_outbox ORDER BY id LIMIT 1');
+      if (!row) return true;
+
+      try {
+        await postJson(`${authServiceUrl()}/api/admin/audit-log/events`, JSON.parse(row.entry), {
+          'X-Service-Key': getServiceApiKey()
+        });
+      } catch (error) {
+        if (isRetryable(error)) {
+          const { count } = await db.get('SELECT COUNT(*) AS count FROM audit_outbox');
+          console.warn(`[AUDIT] Audit log unavailable, ${count} entries waiting: ${error.message}`);
+          return false;
+        }
+        console.error(`[AUDIT] Dead letter: auth-service rejected audit entry (${error.message}): ${row.entry}`);
+      }
+
+      await db.run('DELETE FROM audit_outbox WHERE id = ?', [row.id]);
+    }
+  };
+
+  /**
+   * Try to deliver the waiting entries
+   * @returns {Promise<void>} Resolves once they are delivered, or left waiting for a retry
+   */
+  const flush = () => db.outsideTransaction(() => {
+    if (flushing) {
+      recordedWhileFlushing = true;
+      return flushing;
+    }
+
+    recordedWhileFlushing = false;
+    flushing = deliver()
+      .catch((error) => {
+        console.error('[AUDIT] Audit outbox delivery failed:', error.message);
+        return false;
+      })
+      .then((emptied) => {
+        flushing = null;
+        // Entries recorded while the last delivery was finishing
+        if (emptied && recordedWhileFlushing) flush();
+      });
+    return flushing;
+  });
+
+  return {
+    /**
+     * Append an entry to the audit log. The entry is stored in the outbox before this resolves;
+     * delivery happens in the background, and the caller does not wait for it.
+     * @param {Object} entry - { event, actorId, entityType, entityId, ipAddress, before, after, details }
+     * @returns {Promise<void>}
+     */
+    async record(entry) {
+      const occurredAt = new Date().toISOString();
+      await db.run('INSERT INTO audit_outbox (entry, created_at) VALUES (?, ?)', [
+        JSON.stringify({ ...entry, service, occurredAt }),
+        occurredAt
+      ]);
+
+      flush();
+    },
+
+    flush,
+
+    /**
+     * Deliver entries left in the outbox, e.g. by a restart, and keep checking it every few seconds
+     */
+    start() {
+      if (deliveryTimer) return;
+      deliveryTimer = setInterval(flush, DELIVERY_INTERVAL_MS);
+      deliveryTimer.unref();
+      flush();
+    }
+  };
+}
+
+module.exports = {
+  createAuditClient
+};
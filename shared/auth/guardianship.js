@@ -0,0 +1,85 @@
+const { sendAuthError } = require('./middleware');
+
+/**
+ * Check whether the caller is a verified guardian of a student.
+ * Verified links are embedded by auth-service in a parent's token as `profile.children`.
+ * @param {Object} user - Request user
+ * @param {string} studentId - Student user ID
+ * @returns {boolean} True if the caller is a linked guardian
+ */
+function isGuardianOf(user, studentId) {
+  return Boolean(user) &&
+    user.role === 'PARENT' &&
+    Array.isArray(user.profile && user.profile.children) &&
+    user.profile.children.includes(studentId);
+}
+
+/**
+ * Check whether the caller may act for a student: the student themselves or a verified guardian
+ * @param {Object} user - Request user
+ * @param {string} studentId - Student user ID
+ * @returns {boolean} True if allowed
+ */
+function canActForStudent(user, studentId) {
+  return Boolean(user) && (user.id === studentId || isGuardianOf(user, studentId));
+}
+
+/**
+ * Describe who is acting for whom, for audit trails
+ * @param {Object} user - Request user
+ * @param {string} studentId - Student acted upon
+ * @returns {Object} { actorId, actorRole, studentId, onBehalfOf } - onBehalfOf is the student ID
+ *   when a guardian acts for them, otherwise null
+ */
+function actingContext(user, studentId) {
+  return {
+    actorId: user.id,
+    actorRole: user.role,
+    studentId,
+    onBehalfOf: user.id !== studentId ? studentId : null
+  };
+}
+
+/**
+ * Resolve the student a request acts for and set req.student.
+ * Takes `studentId` from the body or query; without one, students act for themselves and a
+ * parent with exactly one linked child acts for that child.
+ * @param {string} source - 'body' or 'query'
+ * @returns {Function} Middleware function
+ */
+function resolveStudent(source = 'body') {
+  return (req, res, next) => {
+    const requested = req[source] && req[source].studentId;
+    const children = (req.user.profile && req.user.profile.children) || [];
+
+    let studentId = requested;
+    if (!studentId) {
+      if (req.user.role === 'PARENT') {
+        if (children.length !== 1) {
+          return res.status(400).json({
+            success: false,
+            error: 'validation_error',
+            message: 'studentId is required for parents with more than one linked child'
+          });
+        }
+        studentId = children[0];
+      } else {
+        studentId = req.user.id;
+      }
+    }
+
+    if (!canActForStudent(req.user, studentId)) {
+      return sendAuthError(res, 403, 'forbidden', 'You are not a verified guardian of this student');
+    }
+
+    req.student = actingContext(req.user, studentId);
+    next();
+  };
+}
+
+module.exports = {
+  isGuardianOf,
+  canActForStudent,
+  actingContext,
+  resolveStudent
+};
@@ -0,0 +1,98 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * GET a JSON document
+ * @param {string} url - Absolute URL
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Parsed body; non-200 responses reject with an error carrying `status`
+ */
+function fetchJson(url, headers = {}) {
+  const client = url.startsWith('https:') ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { headers, timeout: 5000 }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        if (response.statusCode !== 200) {
+          const error = new Error(`Unexpected status ${response.statusCode} from ${url}`);
+          error.status = response.statusCode;
+          return reject(error);
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Send a JSON document
+ * @param {string} method - HTTP method, e.g. 'POST' or 'PATCH'
+ * @param {string} url - Absolute URL
+ * @param {Object} payload - Request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Parsed body; non-2xx responses reject with an error carrying `status`
+ */
+function sendJson(method, url, payload, headers = {}) {
+  const client = url.startsWith('https:') ? https : http;
+  const data = JSON.stringify(payload);
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...headers
+      },
+      timeout: 5000
+    }, (response) => {
+      let body = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          const error = new Error(`Unexpected status ${response.statusCode} from ${url}`);
+          error.status = response.statusCode;
+          return reject(error);
+        }
+        try {
+          resolve(body ? JSON.parse(body) : null);
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+    request.on('error', reject);
+    request.end(data);
+  });
+}
+
+/**
+ * POST a JSON document
+ * @param {string} url - Absolute URL
+ * @param {Object} payload - Request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Parsed body; non-2xx responses reject with an error carrying `status`
+ */
+const postJson = (url, payload, headers = {}) => sendJson('POST', url, payload, headers);
+
+/**
+ * PATCH a JSON document
+ * @param {string} url - Absolute URL
+ * @param {Object} payload - Request body
+ * @param {Object} headers - Request headers
+ * @returns {Promise<Object>} Parsed body; non-2xx responses reject with an error carrying `status`
+ */
+const patchJson = (url, payload, headers = {}) => sendJson('PATCH', url, payload, headers);
+
+module.exports = { fetchJson, postJson, patchJson };
@@ -0,0 +1,15 @@
+const middleware = require('./middleware');
+const permissions = require('./permissions');
+const revocation = require('./revocation');
+const jwks = require('./jwks');
+const guardianship = require('./guardianship');
+const tenancy = require('./tenancy');
+
+module.exports = {
+  ...middleware,
+  ...permissions,
+  ...revocation,
+  ...jwks,
+  ...guardianship,
+  ...tenancy
+};
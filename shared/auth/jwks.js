@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const { fetchJson } = require('./http');
+
+const MIN_REFRESH_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Public keys auth-service signs access tokens with, indexed by `kid`.
+ * auth-service loads its own keys directly; other services poll its JWKS endpoint
+ * and refetch it when a token arrives with a key ID they have not seen yet (rotation).
+ */
+class JwksKeySet {
+  constructor() {
+    this.keys = new Map(); // kid -> public KeyObject
+    this.url = null;
+    this.lastFetchAt = 0;
+    this.pendingFetch = null;
+    this.syncTimer = null;
+  }
+
+  /**
+   * Replace the key set with a JWKS document
+   * @param {Object} jwks - { keys: [JWK] }
+   */
+  load(jwks) {
+    this.keys = new Map((jwks.keys || [])
+      .filter(jwk => jwk.kid && jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+  }
+
+  /**
+   * Fetch the JWKS from auth-service (concurrent callers share one request)
+   * @returns {Promise<void>}
+   */
+  refresh() {
+    if (!this.pendingFetch) {
+      this.pendingFetch = fetchJson(this.url)
+        .then((jwks) => {
+          this.load(jwks);
+          this.lastFetchAt = Date.now();
+        })
+        .finally(() => { this.pendingFetch = null; });
+    }
+    return this.pendingFetch;
+  }
+
+  /**
+   * Look up a verification key, refetching the JWKS for unknown key IDs.
+   * Refetches after a successful fetch are rate limited so tokens with made-up kids
+   * cannot flood auth-service; while auth-service is unreachable, callers share one attempt.
+   * @param {string} kid - Key ID from the token header
+   * @returns {Promise<KeyObject|null>} Public key, or null if unknown
+   */
+  async getKey(kid) {
+    if (!this.keys.has(kid) && this.url && Date.now() - this.lastFetchAt >= MIN_REFRESH_INTERVAL_MS) {
+      try {
+        await this.refresh();
+      } catch (error) {
+        console.warn(`[AUTH] JWKS refresh failed: ${error.message}`);
+      }
+    }
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * Poll auth-service's JWKS so retired keys drop out once they age out.
+   * The last good key set is kept if a poll fails.
+   * @param {Object} options - { url, intervalMs }
+   * @returns {Promise<void>} Resolves after the first sync attempt
+   */
+  startSync(options = {}) {
+    const {
+      url = `${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/.well-known/jwks.json`,
+      intervalMs = parseInt(process.env.JWKS_SYNC_INTERVAL_MS || '300000', 10)
+    } = options;
+
+    this.url = url;
+
+    const sync = async () => {
+      try {
+        await this.refresh();
+      } catch (error) {
+        console.warn(`[AUTH] JWKS sync failed: ${error.message}`);
+      }
+    };
+
+    this.stopSync();
+    this.syncTimer = setInterval(sync, intervalMs);
+    this.syncTimer.unref();
+    return sync();
+  }
+
+  stopSync() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  jwksKeySet: new JwksKeySet()
+};
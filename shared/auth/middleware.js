@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { permissionsForRole, hasPermission } = require('./permissions');
+const { revocationList, getServiceApiKey } = require('./revocation');
+const { jwksKeySet } = require('./jwks');
+
+/**
+ * Send a consistent authentication/authorization error body
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status (401 or 403)
+ * @param {string} error - Error code
+ * @param {string} message - Human-readable message
+ * @returns {Object} Express response
+ */
+function sendAuthError(res, status, error, message) {
+  return res.status(status).json({
+    success: false,
+    error,
+    message
+  });
+}
+
+/**
+ * Verify an access token issued by auth-service against its published RS256 keys
+ * @param {string} token - Encoded JWT
+ * @returns {Promise<Object>} Decoded claims
+ * @throws {Error} If the token is invalid, expired or signed with an unknown key
+ */
+async function verifyAccessToken(token) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const key = await jwksKeySet.getKey(decoded.header.kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key, { algorithms: ['RS256'] });
+}
+
+/**
+ * Map verified token claims onto the request user shape used by every service
+ * @param {Object} claims - Decoded JWT claims
+ * @returns {Object} Request user
+ */
+function toRequestUser(claims) {
+  const profile = claims.profile || {};
+
+  return {
+    id: claims.sub,
+    username: claims.username,
+    role: claims.role,
+    // Tenant: the school the caller belongs to (none for parents and platform administrators)
+    schoolId: claims.tid || null,
+    school: profile.school,
+    profile,
+    // Tokens issued before permissions were embedded fall back to the role defaults
+    permissions: Array.isArray(claims.permissions) ? claims.permissions : permissionsForRole(claims.role)
+  };
+}
+
+/**
+ * Authentication middleware
+ * Sets req.user from the Bearer token and keeps the raw claims on req.auth.
+ * Tokens on the revocation list are rejected like invalid ones.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function authenticateToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.startsWith('Bearer ') && authHeader.substring(7);
+
+  if (!token) {
+    return sendAuthError(res, 401, 'unauthorized', 'Access token required');
+  }
+
+  let claims;
+  try {
+    claims = await verifyAccessToken(token);
+  } catch (error) {
+    return sendAuthError(
+      res,
+      401,
+      'invalid_token',
+      error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token'
+    );
+  }
+
+  if (revocationList.isRevoked(claims)) {
+    return sendAuthError(res, 401, 'invalid_token', 'Access token has been revoked');
+  }
+
+  req.auth = claims;
+  req.user = toRequestUser(claims);
+  next();
+}
+
+/**
+ * Role-based access control middleware
+ * @param {Array} allowedRoles - Array of allowed roles
+ * @returns {Function} Middleware function
+ */
+function requireRole(allowedRoles) {
+  return (req, res, next) => {
+    if (!req.user || !allowedRoles.includes(req.user.role)) {
+      return sendAuthError(res, 403, 'forbidden', 'Insufficient permissions');
+    }
+    next();
+  };
+}
+
+/**
+ * Permission-based access control middleware
+ * Checks the permissions embedded in the caller's token, honouring wildcards such as `manage:*`
+ * @param {string} permission - Required permission, e.g. 'update:orders'
+ * @returns {Function} Middleware function
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.permissions, permission)) {
+      return sendAuthError(res, 403, 'forbidden', `Missing required permission: ${permission}`);
+    }
+    next();
+  };
+}
+
+/**
+ * Service-to-service authentication for internal endpoints (X-Service-Key header)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireServiceKey(req, res, next) {
+  const provided = Buffer.from(req.get('X-Service-Key') || '');
+  const expected = Buffer.from(getServiceApiKey());
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return sendAuthError(res, 401, 'unauthorized', 'Valid service key required');
+  }
+  next();
+}
+
+/**
+ * Receive revocations pushed by auth-service (mount behind requireServiceKey), so revoked
+ * access tokens are refused straight away instead of after the next poll
+ * @param {Object} req - Express request; body { tokens: [{ jti, exp }], users: [{ userId, notBeforeMs, exp }] }
+ * @param {Object} res - Express response
+ */
+function receiveRevocations(req, res) {
+  revocationList.load(req.body || {});
+  res.json({ success: true });
+}
+
+module.exports = {
+  sendAuthError,
+  verifyAccessToken,
+  toRequestUser,
+  authenticateToken,
+  requireRole,
+  requirePermission,
+  requireServiceKey,
+  receiveRevocations
+};
@@ -0,0 +1,57 @@
+/**
+ * Role-based permission vocabulary shared by all NutriConnect services.
+ * Permissions take the form `<action>:<resource>`, e.g. `read:menu` or `update:orders`.
+ */
+const BASE_PERMISSIONS = ['read:profile', 'update:profile'];
+
+const ROLE_PERMISSIONS = {
+  STUDENT: [...BASE_PERMISSIONS, 'read:menu', 'create:order', 'cancel:order', 'read:orders', 'create:payment', 'read:payments', 'create:refund', 'read:nutrition', 'read:guardians', 'read:consents', 'read:allergies'],
+  PARENT: [...BASE_PERMISSIONS, 'read:menu', 'create:order', 'cancel:order', 'read:orders', 'create:payment', 'read:payments', 'create:refund', 'read:children', 'read:nutrition', 'read:guardians', 'create:guardian_link', 'delete:guardian_link', 'read:consents', 'update:consents', 'read:allergies', 'update:allergies'],
+  SCHOOL_STAFF: [...BASE_PERMISSIONS, 'manage:menu', 'read:orders', 'update:orders', 'read:reports', 'read:nutrition', 'read:guardians', 'create:guardian_invitation', 'read:consents', 'read:allergies'],
+  ADMIN: [...BASE_PERMISSIONS, 'manage:*', 'read:*', 'create:*', 'update:*', 'delete:*']
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {Array<string>} Permissions
+ */
+function permissionsForRole(role) {
+  return [...(ROLE_PERMISSIONS[role] || BASE_PERMISSIONS)];
+}
+
+/**
+ * Check whether a single granted permission satisfies a required one.
+ * `*` matches any resource, and `manage:<resource>` implies every action on that resource.
+ * @param {string} granted - Granted permission
+ * @param {string} required - Required permission
+ * @returns {boolean} True if granted covers required
+ */
+function permissionMatches(granted, required) {
+  if (granted === required) return true;
+
+  const [grantedAction, grantedResource] = granted.split(':');
+  const [requiredAction, requiredResource] = required.split(':');
+
+  const actionMatches = grantedAction === requiredAction || grantedAction === 'manage';
+  const resourceMatches = grantedResource === '*' || grantedResource === requiredResource;
+
+  return actionMatches && resourceMatches;
+}
+
+/**
+ * Check whether a set of granted permissions satisfies a required permission
+ * @param {Array<string>} grantedPermissions - Permissions held by the caller
+ * @param {string} required - Required permission
+ * @returns {boolean} True if any granted permission covers required
+ */
+function hasPermission(grantedPermissions = [], required) {
+  return grantedPermissions.some(granted => permissionMatches(granted, required));
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  permissionsForRole,
+  permissionMatches,
+  hasPermission
+};
@@ -0,0 +1,161 @@
+const { fetchJson, postJson } = require('./http');
+
+// Only used with NODE_ENV=development; anywhere else SERVICE_API_KEY must be set
+const DEVELOPMENT_SERVICE_API_KEY = 'mock_service_key_for_development_only';
+
+/**
+ * Get the key services present to each other's internal endpoints.
+ * The services call this before serving, so one started without SERVICE_API_KEY outside
+ * development refuses to start.
+ * @returns {string} Service API key
+ * @throws {Error} When SERVICE_API_KEY is not set outside development
+ */
+function getServiceApiKey() {
+  if (process.env.SERVICE_API_KEY) {
+    return process.env.SERVICE_API_KEY;
+  }
+  if (process.env.NODE_ENV === 'development') {
+    return DEVELOPMENT_SERVICE_API_KEY;
+  }
+  throw new Error('SERVICE_API_KEY must be set outside development');
+}
+
+/**
+ * When an access token was issued, in epoch milliseconds. Tokens carry `iat_ms`; older tokens
+ * only have `iat` (whole seconds) and are taken as issued at the end of that second, so a cutoff
+ * in the same second still revokes them.
+ * @param {Object} claims - Decoded JWT claims
+ * @returns {number} Issue time (epoch milliseconds)
+ */
+const issuedAtMs = (claims) => (claims.iat_ms !== undefined ? claims.iat_ms : claims.iat * 1000 + 999);
+
+/**
+ * In-memory access token denylist.
+ * auth-service writes to it directly and pushes each revocation to the other services as it
+ * happens; they also poll auth-service's revocation snapshot to catch up on pushes they missed.
+ */
+class RevocationList {
+  constructor() {
+    this.tokens = new Map();      // jti -> token exp (epoch seconds)
+    this.userCutoffs = new Map(); // user ID -> { notBeforeMs, exp }: tokens issued at or before notBeforeMs are revoked
+    this.syncTimer = null;
+  }
+
+  /**
+   * Revoke a single access token
+   * @param {string} jti - Token ID
+   * @param {number} exp - Token expiry (epoch seconds); the entry is dropped after it
+   */
+  revokeToken(jti, exp) {
+    this.tokens.set(jti, exp);
+  }
+
+  /**
+   * Revoke every access token issued to a user up to a point in time
+   * @param {string} userId - User ID
+   * @param {number} notBeforeMs - Cutoff (epoch milliseconds)
+   * @param {number} exp - When every token issued before the cutoff has expired (epoch seconds); the entry is dropped after it
+   */
+  revokeUser(userId, notBeforeMs, exp) {
+    const current = this.userCutoffs.get(userId);
+    if (!current || notBeforeMs >= current.notBeforeMs) {
+      this.userCutoffs.set(userId, { notBeforeMs, exp });
+    }
+  }
+
+  /**
+   * Check whether verified token claims have been revoked
+   * @param {Object} claims - Decoded JWT claims
+   * @returns {boolean} True if revoked
+   */
+  isRevoked(claims) {
+    if (claims.jti && this.tokens.has(claims.jti)) return true;
+
+    const cutoff = this.userCutoffs.get(claims.sub);
+    return cutoff !== undefined && issuedAtMs(claims) <= cutoff.notBeforeMs;
+  }
+
+  /**
+   * Add revocations from auth-service, either a pushed update or a full snapshot. Entries are
+   * merged rather than replaced, so a snapshot taken just before a push cannot undo it; they
+   * leave the list once the tokens they cover have expired.
+   * @param {Object} update - { tokens: [{ jti, exp }], users: [{ userId, notBeforeMs, exp }] }
+   */
+  load(update) {
+    (update.tokens || []).forEach(entry => this.revokeToken(entry.jti, entry.exp));
+    (update.users || []).forEach(entry => this.revokeUser(entry.userId, entry.notBeforeMs, entry.exp));
+    this.prune();
+  }
+
+  /**
+   * Drop entries whose tokens have expired anyway
+   */
+  prune() {
+    const now = Math.floor(Date.now() / 1000);
+    for (const [jti, exp] of this.tokens) {
+      if (exp < now) this.tokens.delete(jti);
+    }
+    for (const [userId, cutoff] of this.userCutoffs) {
+      if (cutoff.exp < now) this.userCutoffs.delete(userId);
+    }
+  }
+
+  /**
+   * Poll auth-service for the current denylist, as a fallback for pushes that did not arrive.
+   * The list is left as it is if a poll fails.
+   * @param {Object} options - { url, intervalMs, serviceKey }
+   * @returns {Promise<void>} Resolves after the first sync attempt
+   */
+  startSync(options = {}) {
+    const {
+      url = `${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}/api/auth/revocations`,
+      intervalMs = parseInt(process.env.REVOCATION_SYNC_INTERVAL_MS || '15000', 10),
+      serviceKey = getServiceApiKey()
+    } = options;
+
+    const sync = async () => {
+      try {
+        this.load(await fetchJson(url, { 'X-Service-Key': serviceKey }));
+      } catch (error) {
+        console.warn(`[AUTH] Revocation list sync failed: ${error.message}`);
+      }
+    };
+
+    this.stopSync();
+    this.syncTimer = setInterval(sync, intervalMs);
+    this.syncTimer.unref();
+    return sync();
+  }
+
+  stopSync() {
+    if (this.syncTimer) {
+      clearInterval(this.syncTimer);
+      this.syncTimer = null;
+    }
+  }
+}
+
+/**
+ * Push a revocation to services that check access tokens (their POST /api/revocations)
+ * @param {Array<string>} serviceUrls - Base URLs of the services
+ * @param {Object} update - { tokens: [{ jti, exp }], users: [{ userId, notBeforeMs, exp }] }
+ * @returns {Promise<Array<string>>} Base URLs the push could not be delivered to
+ */
+async function pushRevocations(serviceUrls, update) {
+  const results = await Promise.all(serviceUrls.map(async (url) => {
+    try {
+      await postJson(`${url}/api/revocations`, update, { 'X-Service-Key': getServiceApiKey() });
+      return null;
+    } catch (error) {
+      console.warn(`[AUTH] Could not push revocation to ${url}: ${error.message}`);
+      return url;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+module.exports = {
+  getServiceApiKey,
+  pushRevocations,
+  revocationList: new RevocationList()
+};
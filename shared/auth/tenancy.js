@@ -0,0 +1,56 @@
+const { hasPermission } = require('./permissions');
+const { sendAuthError } = require('./middleware');
+
+/**
+ * Check whether the caller works across every school (platform administrators).
+ * Everyone else is confined to the school named by the `tid` claim of their token.
+ * @param {Object} user - Request user
+ * @returns {boolean} True if the caller is not confined to one school
+ */
+function isCrossTenant(user) {
+  return Boolean(user) && hasPermission(user.permissions, 'manage:schools');
+}
+
+/**
+ * Check whether a record carrying a `schoolId` falls inside a tenant scope
+ * @param {Object} record - e.g. an order or payment
+ * @param {Object} tenant - { schoolId } from requireTenant; a null schoolId means every school
+ * @returns {boolean} True if the record is visible in the scope
+ */
+function inTenant(record, tenant) {
+  return !tenant || !tenant.schoolId || (Boolean(record) && record.schoolId === tenant.schoolId);
+}
+
+/**
+ * Resolve the school a request is scoped to and set req.tenant = { schoolId }.
+ * School users are scoped to their own school; cross-tenant callers may narrow the scope
+ * with a `schoolId` parameter and otherwise see every school (schoolId null).
+ * @param {string} source - Where an explicit schoolId is read from: 'query' or 'body'
+ * @returns {Function} Middleware function
+ */
+function requireTenant(source = 'query') {
+  return (req, res, next) => {
+    const requested = req[source] && req[source].schoolId;
+
+    if (isCrossTenant(req.user)) {
+      req.tenant = { schoolId: requested || null };
+      return next();
+    }
+
+    if (!req.user.schoolId) {
+      return sendAuthError(res, 403, 'forbidden', 'Your account is not assigned to a school');
+    }
+    if (requested && requested !== req.user.schoolId) {
+      return sendAuthError(res, 403, 'forbidden', 'You can only access data for your own school');
+    }
+
+    req.tenant = { schoolId: req.user.schoolId };
+    next();
+  };
+}
+
+module.exports = {
+  isCrossTenant,
+  inTenant,
+  requireTenant
+};
@@ -0,0 +1,24 @@
+/**
+ * Purposes a guardian can consent to sharing a student's data for.
+ * Consent is opt-in: a purpose without a recorded grant is treated as withdrawn.
+ */
+const CONSENT_PURPOSES = {
+  nutrition_tracking: 'Track the meals the student eats and their nutrition intake',
+  ndx_health_records: 'Share dietary and health records with other agencies over NDX',
+  analytics: 'Include the student in aggregated nutrition and meal participation analytics',
+  third_party_apps: 'Share nutrition data with approved third-party apps'
+};
+
+/**
+ * Check whether a purpose is part of the consent vocabulary
+ * @param {string} purpose - Consent purpose
+ * @returns {boolean} True if known
+ */
+function isConsentPurpose(purpose) {
+  return Object.prototype.hasOwnProperty.call(CONSENT_PURPOSES, purpose);
+}
+
+module.exports = {
+  CONSENT_PURPOSES,
+  isConsentPurpose
+};
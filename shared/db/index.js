@@ -0,0 +1,222 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const SqliteDialect = require('./sqlite');
+const PostgresDialect = require('./postgresql');
+
+const DIALECTS = {
+  sqlite: SqliteDialect,
+  postgresql: PostgresDialect
+};
+
+/**
+ * Database connection shared by the services: promise helpers, schema migrations and transactions,
+ * on SQLite (development) or PostgreSQL (production).
+ * Each service creates one instance with its own settings, migrations and drivers.
+ * Migrations run once, lazily, before the first query.
+ *
+ * Statements use ? placeholders. A statement never runs inside another request's transaction
+ * (and is never rolled back with it): on SQLite every statement and transaction goes through one
+ * queue on the shared connection; on PostgreSQL each transaction has a connection of its own.
+ */
+class Database {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Service root; relative SQLite storage paths resolve against it
+   * @param {Object} options.config - Settings per NODE_ENV ({ dialect, logging, ... }); development when unset
+   * @param {Array} options.migrations - Ordered { id, up } migrations; up is SQL, or SQL per dialect
+   * @param {Object} options.drivers - Driver module per dialect, e.g. { sqlite: require('sqlite3') }
+   */
+  constructor({ root, config, migrations, drivers }) {
+    this.root = root;
+    this.config = config;
+    this.migrations = migrations;
+    this.drivers = drivers;
+    this.connection = null;
+    this.readyPromise = null;
+    // Settles when the statement or transaction queued last has finished (SQLite)
+    this.queue = Promise.resolve();
+    // Holds the transaction's session while its work runs; its own statements use it
+    this.transactionScope = new AsyncLocalStorage();
+  }
+
+  /**
+   * Settings for the current environment
+   * @returns {Object} Database settings
+   */
+  getConfig() {
+    return this.config[process.env.NODE_ENV] || this.config.development;
+  }
+
+  /**
+   * Open the connection and apply pending migrations
+   * @returns {Promise<void>}
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.open().then(() => this.migrate());
+    }
+    return this.readyPromise;
+  }
+
+  log(message) {
+    const { logging } = this.getConfig();
+    if (typeof logging === 'function') logging(message);
+  }
+
+  async open() {
+    const settings = this.getConfig();
+    const Dialect = DIALECTS[settings.dialect];
+    const driver = this.drivers[settings.dialect];
+    if (!Dialect || !driver) {
+      throw new Error(`Unsupported database dialect "${settings.dialect}"`);
+    }
+
+    const connection = new Dialect(driver, settings, this.root);
+    const description = await connection.open();
+    this.connection = connection;
+    this.log(`[DB] Connected to ${description}`);
+  }
+
+  /**
+   * Apply migrations that have not yet been recorded in schema_migrations
+   * @returns {Promise<void>}
+   */
+  async migrate() {
+    const { dialect } = this.getConfig();
+
+    await this.connection.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      )
+    `);
+
+    const applied = await this.connection.all('SELECT id FROM schema_migrations');
+    const appliedIds = new Set(applied.map(row => row.id));
+
+    for (const migration of this.migrations) {
+      if (appliedIds.has(migration.id)) continue;
+
+      const up = typeof migration.up === 'string' ? migration.up : migration.up[dialect];
+      if (up === undefined) {
+        throw new Error(`Migration ${migration.id} has no ${dialect} version`);
+      }
+
+      await this.connection.transaction(async (session) => {
+        await session.exec(up);
+        await session.run('INSERT INTO schema_migrations (id, applied_at) VALUES (?, ?)', [
+          migration.id,
+          new Date().toISOString()
+        ]);
+      });
+      this.log(`[DB] Applied migration ${migration.id}`);
+    }
+  }
+
+  /**
+   * Run a write statement
+   * @param {string} sql - SQL statement
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object>} { changes }, and lastID on SQLite
+   */
+  async run(sql, params = []) {
+    await this.ready();
+    return this.exclusive(session => session.run(sql, params));
+  }
+
+  /**
+   * Fetch a single row
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Object|undefined>} Row
+   */
+  async get(sql, params = []) {
+    await this.ready();
+    return this.exclusive(session => session.get(sql, params));
+  }
+
+  /**
+   * Fetch all rows
+   * @param {string} sql - SQL query
+   * @param {Array} params - Bound parameters
+   * @returns {Promise<Array>} Rows
+   */
+  async all(sql, params = []) {
+    await this.ready();
+    return this.exclusive(session => session.all(sql, params));
+  }
+
+  /**
+   * Run several statements atomically: all of them are committed, or none if work throws.
+   * Transactions behave as if run one at a time; one started inside work joins it.
+   * @param {Function} work - Async function issuing the statements
+   * @returns {Promise<*>} Result of work
+   */
+  async transaction(work) {
+    await this.ready();
+    if (this.transactionScope.getStore()) return work();
+
+    const run = () => this.connection.transaction(session => this.transactionScope.run(session, work));
+    return this.connection.serialized ? this.enqueue(run) : run();
+  }
+
+  /**
+   * Run task outside the transaction in scope, if any: for background work started from inside
+   * one, whose statements must not join it
+   * @param {Function} task - Function to run
+   * @returns {*} Result of task
+   */
+  outsideTransaction(task) {
+    return this.transactionScope.exit(task);
+  }
+
+  /**
+   * Whether error is a unique index or constraint violation on these columns
+   * @param {Error} error - Error thrown by a statement
+   * @param {string} table - Table name
+   * @param {Array<string>} columns - Columns of the unique index or constraint
+   * @returns {boolean}
+   */
+  isUniqueViolation(error, table, columns) {
+    return Boolean(this.connection) && this.connection.isUniqueViolation(error, table, columns);
+  }
+
+  /**
+   * Run a statement: inside a transaction on its session, otherwise on the connection
+   * (behind anything queued before it, on SQLite)
+   * @param {Function} statement - Receives the session to use
+   * @returns {Promise<*>} Result of statement
+   */
+  exclusive(statement) {
+    const session = this.transactionScope.getStore();
+    if (session) return statement(session);
+
+    const run = () => statement(this.connection);
+    return this.connection.serialized ? this.enqueue(run) : run();
+  }
+
+  /**
+   * Run task once everything queued before it has finished
+   * @param {Function} task - Async function using the connection
+   * @returns {Promise<*>} Result of task
+   */
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.connection) return;
+    await this.connection.close();
+    this.connection = null;
+    this.readyPromise = null;
+  }
+}
+
+module.exports = {
+  Database
+};
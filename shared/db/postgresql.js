@@ -0,0 +1,154 @@
+// PostgreSQL error codes a transaction is retried on
+const SERIALIZATION_FAILURE = '40001';
+const DEADLOCK_DETECTED = '40P01';
+const UNIQUE_VIOLATION = '23505';
+const TRANSACTION_ATTEMPTS = 5;
+
+// COUNT(*) is a bigint and SUM() of integers a numeric; the repositories expect numbers
+const PARSERS = {
+  20: Number, // int8
+  1700: Number // numeric
+};
+
+/**
+ * Rewrite ? placeholders as $1, $2, ... leaving quoted text alone
+ * @param {string} sql - SQL with ? placeholders
+ * @returns {string} SQL with numbered placeholders
+ */
+const numberPlaceholders = (sql) => {
+  let index = 0;
+  let quote = null;
+  let result = '';
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === "'" || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      result += `$${++index}`;
+      continue;
+    }
+    result += char;
+  }
+  return result;
+};
+
+/**
+ * Statement helpers on a pool or on one client checked out of it
+ */
+class Session {
+  constructor(queryable) {
+    this.queryable = queryable;
+  }
+
+  async run(sql, params = []) {
+    const result = await this.queryable.query(numberPlaceholders(sql), params);
+    return { changes: result.rowCount };
+  }
+
+  async get(sql, params = []) {
+    const result = await this.queryable.query(numberPlaceholders(sql), params);
+    return result.rows[0];
+  }
+
+  async all(sql, params = []) {
+    const result = await this.queryable.query(numberPlaceholders(sql), params);
+    return result.rows;
+  }
+
+  async exec(sql) {
+    await this.queryable.query(sql);
+  }
+}
+
+/**
+ * PostgreSQL dialect: a connection pool. Statements outside transactions take any connection;
+ * each transaction gets a connection of its own, so nothing needs to wait for it.
+ * Transactions run SERIALIZABLE, so they behave as if run one at a time, like on SQLite.
+ */
+class PostgresDialect extends Session {
+  /**
+   * @param {Object} pg - The pg module
+   * @param {Object} settings - { host, port, database, username, password, ssl, pool }
+   */
+  constructor(pg, settings) {
+    super(null);
+    this.pg = pg;
+    this.settings = settings;
+    this.serialized = false;
+  }
+
+  /**
+   * Open the pool and check the database can be reached
+   * @returns {Promise<string>} Description for the log
+   */
+  async open() {
+    const { host, port, database, username, password, ssl, pool = {} } = this.settings;
+
+    this.queryable = new this.pg.Pool({
+      host,
+      port: port ? parseInt(port, 10) : undefined,
+      database,
+      user: username,
+      password,
+      ssl,
+      ...pool,
+      types: {
+        getTypeParser: (oid, format) => PARSERS[oid] || this.pg.types.getTypeParser(oid, format)
+      }
+    });
+    // Errors on idle connections (e.g. the server restarting) must not crash the service
+    this.queryable.on('error', (error) => console.error('[DB] PostgreSQL connection error:', error.message));
+
+    await this.exec('SELECT 1');
+    return `PostgreSQL database: ${database} on ${host}`;
+  }
+
+  /**
+   * Run work in a SERIALIZABLE transaction on a connection of its own, rolling back if it throws.
+   * When PostgreSQL reports a conflict with a concurrent transaction, work runs again, so it
+   * should only issue statements.
+   * @param {Function} work - Receives the session the transaction's statements must use
+   * @returns {Promise<*>} Result of work
+   */
+  async transaction(work) {
+    for (let attempt = 1; ; attempt++) {
+      const client = await this.queryable.connect();
+      const session = new Session(client);
+      try {
+        await session.exec('BEGIN ISOLATION LEVEL SERIALIZABLE');
+        const result = await work(session);
+        await session.exec('COMMIT');
+        return result;
+      } catch (error) {
+        await session.exec('ROLLBACK').catch(() => {});
+        const conflict = error.code === SERIALIZATION_FAILURE || error.code === DEADLOCK_DETECTED;
+        if (!conflict || attempt >= TRANSACTION_ATTEMPTS) throw error;
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  /**
+   * Whether error is a unique index or constraint violation on these columns
+   * @param {Error} error - Error thrown by a statement
+   * @param {string} table - Table name
+   * @param {Array<string>} columns - Columns of the unique index or constraint
+   * @returns {boolean}
+   */
+  isUniqueViolation(error, table, columns) {
+    return error.code === UNIQUE_VIOLATION
+      && error.table === table
+      && typeof error.detail === 'string'
+      && error.detail.startsWith(`Key (${columns.join(', ')})=`);
+  }
+
+  async close() {
+    await this.queryable.end();
+    this.queryable = null;
+  }
+}
+
+module.exports = PostgresDialect;
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * SQLite dialect: one connection to a file (or ':memory:'), shared by every statement.
+ * Statements and transactions must therefore run one at a time (serialized).
+ */
+class SqliteDialect {
+  /**
+   * @param {Object} sqlite3 - The sqlite3 module
+   * @param {Object} settings - { storage }, relative to root
+   * @param {string} root - Service root
+   */
+  constructor(sqlite3, settings, root) {
+    this.sqlite3 = sqlite3;
+    this.storage = settings.storage === ':memory:' ? settings.storage : path.resolve(root, settings.storage);
+    this.serialized = true;
+    this.connection = null;
+  }
+
+  /**
+   * Open the connection
+   * @returns {Promise<string>} Description for the log
+   */
+  async open() {
+    if (this.storage !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.storage), { recursive: true });
+    }
+
+    this.connection = await new Promise((resolve, reject) => {
+      const connection = new this.sqlite3.Database(this.storage, (error) => (error ? reject(error) : resolve(connection)));
+    });
+
+    await this.exec('PRAGMA foreign_keys = ON');
+    return `SQLite database: ${this.storage}`;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.run(sql, params, function (error) {
+        if (error) return reject(error);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.get(sql, params, (error, row) => (error ? reject(error) : resolve(row)));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.connection.all(sql, params, (error, rows) => (error ? reject(error) : resolve(rows)));
+    });
+  }
+
+  exec(sql) {
+    return new Promise((resolve, reject) => {
+      this.connection.exec(sql, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Run work between BEGIN and COMMIT, rolling back if it throws
+   * @param {Function} work - Receives the connection the transaction's statements must use
+   * @returns {Promise<*>} Result of work
+   */
+  async transaction(work) {
+    await this.exec('BEGIN');
+    try {
+      const result = await work(this);
+      await this.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await this.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Whether error is a UNIQUE constraint failure on these columns
+   * @param {Error} error - Error thrown by a statement
+   * @param {string} table - Table name
+   * @param {Array<string>} columns - Columns of the unique index or constraint
+   * @returns {boolean}
+   */
+  isUniqueViolation(error, table, columns) {
+    return error.code === 'SQLITE_CONSTRAINT'
+      && error.message.includes(`UNIQUE constraint failed: ${columns.map(column => `${table}.${column}`).join(', ')}`);
+  }
+
+  async close() {
+    await new Promise((resolve, reject) => {
+      this.connection.close((error) => (error ? reject(error) : resolve()));
+    });
+    this.connection = null;
+  }
+}
+
+module.exports = SqliteDialect;
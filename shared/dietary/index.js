@@ -0,0 +1,57 @@
+/**
+ * Dietary vocabulary shared by the student directory and the meal catalogue.
+ * Meals are tagged with the allergens they contain and the dietary attributes they meet;
+ * guardians declare a student's allergies, and a student's dietary restrictions name the
+ * attributes their meals should have.
+ */
+const ALLERGENS = {
+  gluten: 'Cereals containing gluten (wheat, barley, rye, oats)',
+  crustaceans: 'Crustaceans (prawns, crab, lobster)',
+  molluscs: 'Molluscs (squid, mussels, oysters)',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  peanuts: 'Peanuts',
+  tree_nuts: 'Tree nuts (cashew, almond, walnut)',
+  soy: 'Soya',
+  milk: 'Milk and dairy',
+  sesame: 'Sesame',
+  mustard: 'Mustard',
+  celery: 'Celery',
+  lupin: 'Lupin',
+  sulphites: 'Sulphites'
+};
+
+const DIETARY_ATTRIBUTES = {
+  vegetarian: 'No meat or fish',
+  vegan: 'No animal products',
+  halal: 'Prepared to halal requirements',
+  no_beef: 'Contains no beef',
+  no_pork: 'Contains no pork',
+  gluten_free: 'Contains no gluten',
+  dairy_free: 'Contains no milk or dairy'
+};
+
+/**
+ * Check whether a name is part of the allergen vocabulary
+ * @param {string} allergen - Allergen
+ * @returns {boolean} True if known
+ */
+function isAllergen(allergen) {
+  return Object.prototype.hasOwnProperty.call(ALLERGENS, allergen);
+}
+
+/**
+ * Check whether a name is part of the dietary attribute vocabulary
+ * @param {string} attribute - Dietary attribute
+ * @returns {boolean} True if known
+ */
+function isDietaryAttribute(attribute) {
+  return Object.prototype.hasOwnProperty.call(DIETARY_ATTRIBUTES, attribute);
+}
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_ATTRIBUTES,
+  isAllergen,
+  isDietaryAttribute
+};
@@ -0,0 +1,64 @@
+const { fetchJson } = require('../auth/http');
+const { getServiceApiKey } = require('../auth/revocation');
+
+const authServiceUrl = () => process.env.AUTH_SERVICE_URL || 'http://localhost:3001';
+
+/**
+ * GET an auth-service internal endpoint, resolving null for 404
+ * @param {string} path - Path under the auth-service base URL
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object|null>} Response body or null
+ */
+async function fetchInternal(path, headers = {}) {
+  try {
+    return await fetchJson(`${authServiceUrl()}${path}`, { 'X-Service-Key': getServiceApiKey(), ...headers });
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Look up a student record (school, grade, subsidy eligibility, dietary restrictions, allergies, guardians, consents).
+ * auth-service records every lookup in the audit log.
+ * @param {string} studentId - Student user ID
+ * @param {Object} reader - { service, actorId }: the calling service and the user whose request needs the record
+ * @returns {Promise<Object|null>} Student or null if there is no such student
+ */
+async function fetchStudent(studentId, reader = {}) {
+  const headers = {
+    ...(reader.service && { 'X-Service-Name': reader.service }),
+    ...(reader.actorId && { 'X-Acting-User': reader.actorId })
+  };
+  const body = await fetchInternal(`/api/auth/students/${encodeURIComponent(studentId)}`, headers);
+  return body && body.student;
+}
+
+/**
+ * School (tenant) configuration cached for SCHOOL_CONFIG_TTL_MS, so ordering does not
+ * call auth-service every time. Setting changes therefore apply within that interval.
+ */
+const schoolCache = new Map(); // school ID -> { school, fetchedAt }
+
+/**
+ * Look up a school and its effective settings (prices, order cutoff, subsidy program)
+ * @param {string} schoolId - School ID
+ * @returns {Promise<Object|null>} School or null if there is no such school
+ */
+async function fetchSchool(schoolId) {
+  const ttlMs = parseInt(process.env.SCHOOL_CONFIG_TTL_MS || '60000', 10);
+  const cached = schoolCache.get(schoolId);
+  if (cached && Date.now() - cached.fetchedAt < ttlMs) {
+    return cached.school;
+  }
+
+  const body = await fetchInternal(`/api/schools/${encodeURIComponent(schoolId)}/config`);
+  const school = body && body.school;
+  schoolCache.set(schoolId, { school, fetchedAt: Date.now() });
+  return school;
+}
+
+module.exports = {
+  fetchStudent,
+  fetchSchool
+};
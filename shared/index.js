@@ -0,0 +1,9 @@
+module.exports = {
+  auth: require('./auth'),
+  db: require('./db'),
+  directory: require('./directory'),
+  orders: require('./orders'),
+  audit: require('./audit'),
+  dietary: require('./dietary'),
+  consent: require('./consent')
+};
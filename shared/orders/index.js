@@ -0,0 +1,59 @@
+const { fetchJson, postJson, patchJson } = require('../auth/http');
+const { getServiceApiKey } = require('../auth/revocation');
+
+const orderServiceUrl = () => process.env.ORDER_SERVICE_URL || 'http://localhost:3002';
+const paymentServiceUrl = () => process.env.PAYMENT_SERVICE_URL || 'http://localhost:3003';
+
+const orderPaymentUrl = (orderId) => `${orderServiceUrl()}/api/orders/${encodeURIComponent(orderId)}/payment`;
+
+/**
+ * Look up what an order costs and who it is for, to charge it
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object|null>} { id, studentId, schoolId, status, paymentStatus, totalAmount, subsidyAmount,
+ *   finalAmount, currency }, or null if there is no such order
+ */
+async function fetchOrderPayment(orderId) {
+  try {
+    const body = await fetchJson(orderPaymentUrl(orderId), { 'X-Service-Key': getServiceApiKey() });
+    return body.order;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+/**
+ * Record an order's payment status in order-service
+ * @param {string} orderId - Order ID
+ * @param {Object} update - { paymentStatus, paymentId }
+ * @param {string} service - Name of the calling service, recorded in the order's status history
+ * @returns {Promise<Object>} Updated order
+ */
+async function recordOrderPayment(orderId, update, service) {
+  const body = await patchJson(orderPaymentUrl(orderId), update, {
+    'X-Service-Key': getServiceApiKey(),
+    ...(service && { 'X-Service-Name': service })
+  });
+  return body.order;
+}
+
+/**
+ * Refund what was paid for an order, through payment-service
+ * @param {string} orderId - Order ID
+ * @param {Object} refund - { reason, requestedBy }
+ * @returns {Promise<Object>} { refundId, paymentId, amount, status }; rejects if nothing was refunded
+ */
+async function refundOrderPayment(orderId, refund) {
+  const body = await postJson(
+    `${paymentServiceUrl()}/api/payments/orders/${encodeURIComponent(orderId)}/refund`,
+    refund,
+    { 'X-Service-Key': getServiceApiKey() }
+  );
+  return body.refund;
+}
+
+module.exports = {
+  fetchOrderPayment,
+  recordOrderPayment,
+  refundOrderPayment
+};